@@ -0,0 +1,53 @@
+import dotenv from "dotenv";
+import dbConnect from "../src/config/db.js";
+import Lead from "../src/models/Lead.js";
+import { getLeadMatchKeys } from "../src/utils/leadDedupUtils.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Compute dedupe keys for leads uploaded before duplicate detection existed
+async function backfillLeadDedupeKeys() {
+  try {
+    console.log("🔍 Connecting to database...");
+    await dbConnect();
+
+    const cursor = Lead.find({})
+      .select("name email phone country websiteLink city")
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let updated = 0;
+
+    for await (const lead of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: lead._id },
+          update: { $set: { dedupe: getLeadMatchKeys(lead) } },
+        },
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await Lead.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+        console.log(`   ${updated} leads updated...`);
+      }
+    }
+
+    if (operations.length > 0) {
+      await Lead.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+
+    console.log(`✅ Dedupe keys backfilled for ${updated} leads`);
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+}
+
+backfillLeadDedupeKeys();
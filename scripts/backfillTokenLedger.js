@@ -0,0 +1,26 @@
+import dotenv from "dotenv";
+import dbConnect from "../src/config/db.js";
+import { reconcileTokenLedger } from "../src/services/tokenLedgerService.js";
+
+dotenv.config();
+
+// Write opening ledger entries for balances that existed before the token
+// ledger, so every user's buckets match the sum of their entries
+async function backfillTokenLedger() {
+  try {
+    console.log("🔍 Connecting to database...");
+    await dbConnect();
+
+    const summary = await reconcileTokenLedger({ apply: true });
+
+    console.log(
+      `✅ Checked ${summary.checked} users: ${summary.opened} opening balances written, ${summary.repaired} repaired, ${summary.needsReview} left for review`,
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+}
+
+backfillTokenLedger();
@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import dbConnect from "../src/config/db.js";
+import { User } from "../src/models/index.js";
+import { checkTokenConsistency } from "../src/services/tokenService.js";
+import { reconcileTokenLedger } from "../src/services/tokenLedgerService.js";
+
+dotenv.config();
+
+// Report users whose token buckets disagree with the legacy mirror fields
+// or with the token ledger. Changes nothing; fix with
+// npm run migrate:legacy-tokens and the ledger reconcile endpoint.
+async function checkTokens() {
+  try {
+    console.log("🔍 Connecting to database...");
+    await dbConnect();
+
+    let checked = 0;
+    let inconsistent = 0;
+    const cursor = User.find({}).lean().cursor();
+    for await (const user of cursor) {
+      checked++;
+      const issues = checkTokenConsistency(user);
+      if (issues.length === 0) continue;
+
+      inconsistent++;
+      console.log(`❌ ${user.email} (${user._id})`);
+      for (const { field, expected, actual } of issues) {
+        console.log(`   ${field}: ${actual} (expected ${expected})`);
+      }
+    }
+
+    // Report only; users without an opening balance are counted apart
+    const ledger = await reconcileTokenLedger();
+    for (const mismatch of ledger.mismatches) {
+      console.log("❌ Ledger mismatch:", mismatch);
+    }
+    if (ledger.unopened > 0) {
+      console.log(
+        `ℹ️ ${ledger.unopened} users have balances from before the ledger; ` +
+          "run npm run migrate:token-ledger once to open them",
+      );
+    }
+
+    console.log(
+      `\n${inconsistent === 0 && ledger.mismatched === 0 ? "✅" : "⚠️"} ` +
+        `Checked ${checked} users: ${inconsistent} with inconsistent ` +
+        `fields, ${ledger.mismatched} differing from the ledger`,
+    );
+    await mongoose.disconnect();
+    process.exit(inconsistent === 0 && ledger.mismatched === 0 ? 0 : 1);
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+}
+
+checkTokens();
@@ -0,0 +1,56 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import dbConnect from "../src/config/db.js";
+import { User } from "../src/models/index.js";
+import { planLegacyTokenMigration } from "../src/services/tokenService.js";
+import { readBucketBalances } from "../src/utils/tokenLedgerUtils.js";
+import {
+  recordBalanceChange,
+  withLedgerTransaction,
+} from "../src/services/tokenLedgerService.js";
+
+dotenv.config();
+
+// Move balances the old daily + temporary token code kept in the flat
+// fields (tokens, temporaryTokens) into the token buckets, and rewrite the
+// flat fields as mirrors of the buckets. Safe to run more than once.
+async function migrateLegacyTokens() {
+  try {
+    console.log("🔍 Connecting to database...");
+    await dbConnect();
+
+    let checked = 0;
+    let migrated = 0;
+    const cursor = User.find({}).lean().cursor();
+    for await (const user of cursor) {
+      checked++;
+      const update = planLegacyTokenMigration(user);
+      if (Object.keys(update).length === 0) continue;
+
+      await withLedgerTransaction(async (session) => {
+        const updated = await User.findByIdAndUpdate(
+          user._id,
+          { $set: update },
+          { new: true, session },
+        );
+        await recordBalanceChange(
+          updated,
+          readBucketBalances(user),
+          { type: "adjustment", reason: "legacy_migration" },
+          { session },
+        );
+      });
+      migrated++;
+      console.log(`Migrated ${user.email}:`, update);
+    }
+
+    console.log(`✅ Checked ${checked} users, migrated ${migrated}`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+}
+
+migrateLegacyTokens();
@@ -0,0 +1,249 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import dbConnect from "../src/config/db.js";
+import {
+  accessLead,
+  bulkAccessLeads,
+} from "../src/controller/UserController.js/leads.controller.js";
+import {
+  Lead,
+  TokenHold,
+  TokenLedgerEntry,
+  TokenSpendUsage,
+  User,
+} from "../src/models/index.js";
+import {
+  calculateTotalTokens,
+  deductTokens,
+} from "../src/services/tokenService.js";
+
+dotenv.config();
+
+// Fires many simultaneous deductions and lead unlocks at one throwaway
+// account and checks that no token is spent twice. Run against a test database:
+//   npm run test:token-concurrency
+const PARALLEL_REQUESTS = 50;
+
+const createTestUser = (buckets) =>
+  User.create({
+    name: "Token concurrency test",
+    email: `token-concurrency-${Date.now()}@example.test`,
+    subscription: {
+      startDate: new Date(),
+      endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      isActive: true,
+    },
+    ...buckets,
+  });
+
+// Fire `count` deductions at once and count how many went through
+const fireAtOnce = async (count, deduct) => {
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, () => deduct()),
+  );
+  const failures = results.filter((result) => result.status === "rejected");
+  const unexpected = failures.filter(
+    (result) => !result.reason.message.startsWith("Insufficient tokens"),
+  );
+  if (unexpected.length > 0) {
+    throw unexpected[0].reason;
+  }
+  return results.length - failures.length;
+};
+
+const check = (label, actual, expected) => {
+  const ok = actual === expected;
+  console.log(
+    `${ok ? "✅" : "❌"} ${label}: ${actual}${ok ? "" : ` (expected ${expected})`}`,
+  );
+  return ok;
+};
+
+// Sum of all ledger entries for the user
+const ledgerTotal = async (userId) => {
+  const [row] = await TokenLedgerEntry.aggregate([
+    { $match: { userId } },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  return row?.amount || 0;
+};
+
+async function testBucketDeduction() {
+  console.log("\n📊 deductTokens: 10 tokens across all buckets");
+  const user = await createTestUser({
+    dailyTokens: { current: 4, limit: 4, usedToday: 0 },
+    purchasedTokens: { current: 3, total: 3, used: 0 },
+    bonusTokens: { current: 2, initial: 2, used: 0 },
+    prizeTokens: { current: 1, used: 0 },
+  });
+
+  try {
+    const succeeded = await fireAtOnce(PARALLEL_REQUESTS, () =>
+      deductTokens(user._id, 1, "concurrency_test"),
+    );
+    const after = await User.findById(user._id);
+
+    return [
+      check("Deductions that succeeded", succeeded, 10),
+      check("Daily left", after.dailyTokens.current, 0),
+      check("Purchased left", after.purchasedTokens.current, 0),
+      check("Bonus left", after.bonusTokens.current, 0),
+      check("Prize left", after.prizeTokens.current, 0),
+      check("Total used", after.tokenStats.totalUsed, 10),
+      check("Ledger total", await ledgerTotal(user._id), -10),
+    ].every(Boolean);
+  } finally {
+    await cleanUp(user._id);
+  }
+}
+
+async function testBulkSizedDeduction() {
+  console.log("\n📊 deductTokens: 3 tokens per call from 10 tokens");
+  const user = await createTestUser({
+    dailyTokens: { current: 6, limit: 6, usedToday: 0 },
+    purchasedTokens: { current: 4, total: 4, used: 0 },
+  });
+
+  try {
+    const succeeded = await fireAtOnce(PARALLEL_REQUESTS, () =>
+      deductTokens(user._id, 3, "concurrency_test"),
+    );
+    const after = await User.findById(user._id);
+
+    return [
+      check("Deductions that succeeded", succeeded, 3),
+      check("Daily left", after.dailyTokens.current, 0),
+      check("Purchased left", after.purchasedTokens.current, 1),
+    ].every(Boolean);
+  } finally {
+    await cleanUp(user._id);
+  }
+}
+
+// Call a controller with a stand-in request and resolve with its response
+const callHandler = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    handler(req, res);
+  });
+
+async function testConcurrentLeadUnlocks() {
+  console.log("\n📊 accessLead + bulkAccessLeads: racing unlocks of 6 leads");
+  const user = await createTestUser({
+    purchasedTokens: { current: 4, total: 4, used: 0 },
+  });
+  const stamp = Date.now();
+  const leads = await Lead.insertMany(
+    Array.from({ length: 6 }, (_, i) => ({
+      leadId: `concurrency-${stamp}-${i}`,
+      name: `Concurrency lead ${i}`,
+      email: `concurrency-${stamp}-${i}@example.test`,
+      isActive: true,
+    })),
+  );
+  const leadIds = leads.map((lead) => lead._id.toString());
+  const req = (params, body) => ({
+    params,
+    body,
+    user: { userId: user._id.toString() },
+  });
+
+  try {
+    const tokensBefore = calculateTotalTokens(user);
+    // Every lead unlocked one by one several times, alongside bulk unlocks
+    // of all of them, all at once
+    const responses = await Promise.all([
+      ...leadIds.flatMap((id) =>
+        Array.from({ length: 4 }, () =>
+          callHandler(accessLead, req({ id }, {})),
+        ),
+      ),
+      ...Array.from({ length: 4 }, () =>
+        callHandler(bulkAccessLeads, req({}, { leadIds, confirm: true })),
+      ),
+    ]);
+
+    const serverErrors = responses.filter(
+      (response) => response.status >= 500,
+    );
+    serverErrors.forEach((response) => console.log("   ", response.body));
+    const charged = responses
+      .filter((response) => response.status === 200)
+      .reduce(
+        (sum, { body }) => sum + (body.tokensUsed ?? body.tokensSpent ?? 0),
+        0,
+      );
+
+    const after = await User.findById(user._id);
+    const tokensSpent = tokensBefore - calculateTotalTokens(after);
+    const entries = after.accessedLeads.map((item) => item.leadId.toString());
+    const historyCharged = after.accessedLeads.reduce(
+      (sum, item) => sum + (item.tokensSpent || 0),
+      0,
+    );
+    const unlocked = await Lead.countDocuments({
+      _id: { $in: leadIds },
+      accessedBy: user._id,
+    });
+
+    return [
+      check("Server errors", serverErrors.length, 0),
+      check("Balance not overspent", calculateTotalTokens(after) >= 0, true),
+      check("Tokens charged match responses", tokensSpent, charged),
+      check("Tokens charged match history", tokensSpent, historyCharged),
+      check("Ledger total", await ledgerTotal(user._id), -tokensSpent),
+      check(
+        "Duplicate history entries",
+        entries.length - new Set(entries).size,
+        0,
+      ),
+      check("History entries for unlocked leads", entries.length, unlocked),
+    ].every(Boolean);
+  } finally {
+    await Lead.deleteMany({ _id: { $in: leadIds } });
+    await cleanUp(user._id);
+  }
+}
+
+// Ledger entries are immutable through the model, so test data is
+// removed with the driver
+const cleanUp = async (userId) => {
+  await TokenLedgerEntry.collection.deleteMany({ userId });
+  await TokenHold.deleteMany({ userId });
+  await TokenSpendUsage.deleteMany({ userId });
+  await User.deleteOne({ _id: userId });
+};
+
+async function testTokenConcurrency() {
+  try {
+    console.log("🔍 Connecting to database...");
+    await dbConnect();
+
+    const passed = [
+      await testBucketDeduction(),
+      await testBulkSizedDeduction(),
+      await testConcurrentLeadUnlocks(),
+    ].every(Boolean);
+
+    console.log(
+      passed ? "\n✅ All checks passed" : "\n❌ Some checks failed",
+    );
+    await mongoose.disconnect();
+    process.exit(passed ? 0 : 1);
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+}
+
+testTokenConcurrency();
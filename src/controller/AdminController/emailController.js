@@ -43,12 +43,13 @@ export const getEmails = async (req, res) => {
       const openedCount = email.recipients.filter(r => r.opened).length;
       const clickedCount = email.recipients.filter(r => r.clicked).length;
       
-      const openRate = email.totalRecipients > 0 
-        ? ((openedCount / email.totalRecipients) * 100).toFixed(1)
+      // Rates are per email sent; skipped and failed recipients never got one
+      const openRate = email.successCount > 0 
+        ? ((openedCount / email.successCount) * 100).toFixed(1)
         : '0.0';
       
-      const clickRate = email.totalRecipients > 0 
-        ? ((clickedCount / email.totalRecipients) * 100).toFixed(1)
+      const clickRate = email.successCount > 0 
+        ? ((clickedCount / email.successCount) * 100).toFixed(1)
         : '0.0';
 
       return {
@@ -169,13 +170,13 @@ export const getEmailStats = async (req, res) => {
       totalEmailsClicked: 0
     };
 
-    // Calculate rates
-    const openRate = baseStats.totalRecipients > 0 
-      ? ((engagement.totalEmailsOpened / baseStats.totalRecipients) * 100).toFixed(1)
+    // Calculate rates per email sent
+    const openRate = baseStats.totalEmailsSent > 0 
+      ? ((engagement.totalEmailsOpened / baseStats.totalEmailsSent) * 100).toFixed(1)
       : '0.0';
 
-    const clickRate = baseStats.totalRecipients > 0 
-      ? ((engagement.totalEmailsClicked / baseStats.totalRecipients) * 100).toFixed(1)
+    const clickRate = baseStats.totalEmailsSent > 0 
+      ? ((engagement.totalEmailsClicked / baseStats.totalEmailsSent) * 100).toFixed(1)
       : '0.0';
 
     res.json({
@@ -0,0 +1,189 @@
+import ImportMappingProfile from "../../models/ImportMappingProfile.js";
+import {
+  IMPORT_TRANSFORMS,
+  LEAD_IMPORT_FIELDS,
+  parseMappings,
+} from "../../utils/importMappingUtils.js";
+import {
+  detectImportFormat,
+  parseLeadRow,
+  readImportRows,
+} from "../../services/leadImportService.js";
+
+const PREVIEW_ROWS = 10;
+
+// GET /api/admin/import-mappings
+export const getMappingProfiles = async (req, res) => {
+  try {
+    const profiles = await ImportMappingProfile.find().sort({ name: 1 });
+
+    res.json({
+      profiles,
+      fields: LEAD_IMPORT_FIELDS,
+      transforms: IMPORT_TRANSFORMS,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/import-mappings/:id
+export const getMappingProfile = async (req, res) => {
+  try {
+    const profile = await ImportMappingProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Mapping profile not found" });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/import-mappings
+export const createMappingProfile = async (req, res) => {
+  try {
+    const { name, description, vendor } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Profile name is required" });
+    }
+
+    const { mappings, error } = parseMappings(req.body.mappings);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const profile = await ImportMappingProfile.create({
+      name,
+      description,
+      vendor,
+      mappings,
+      createdBy: req.admin?.id,
+    });
+
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "A mapping profile with this name already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/admin/import-mappings/:id
+export const updateMappingProfile = async (req, res) => {
+  try {
+    const profile = await ImportMappingProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Mapping profile not found" });
+    }
+
+    const { name, description, vendor } = req.body;
+    if (name) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    if (vendor !== undefined) profile.vendor = vendor;
+
+    if (req.body.mappings !== undefined) {
+      const { mappings, error } = parseMappings(req.body.mappings);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      profile.mappings = mappings;
+    }
+
+    await profile.save();
+    res.json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "A mapping profile with this name already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/admin/import-mappings/:id
+export const deleteMappingProfile = async (req, res) => {
+  try {
+    const profile = await ImportMappingProfile.findByIdAndDelete(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Mapping profile not found" });
+    }
+
+    res.json({ message: "Mapping profile deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/import-mappings/preview
+// Maps the first rows of a file with a saved profile or inline mappings
+export const previewMapping = async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ error: "File is required" });
+    }
+
+    const format = detectImportFormat(file);
+    if (!format) {
+      return res.status(400).json({
+        error: "Unsupported file type. Upload .xlsx, .xls, .csv or .jsonl",
+      });
+    }
+
+    let mappings;
+    if (req.body.mappingProfileId) {
+      const profile = await ImportMappingProfile.findById(
+        req.body.mappingProfileId,
+      );
+      if (!profile) {
+        return res.status(404).json({ error: "Mapping profile not found" });
+      }
+      mappings = profile.mappings;
+    } else if (req.body.mappings) {
+      // Multipart forms send the mappings as a JSON string
+      let rawMappings = req.body.mappings;
+      if (typeof rawMappings === "string") {
+        try {
+          rawMappings = JSON.parse(rawMappings);
+        } catch {
+          return res.status(400).json({ error: "mappings must be valid JSON" });
+        }
+      }
+      const parsed = parseMappings(rawMappings);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      mappings = parsed.mappings;
+    }
+
+    const rows = readImportRows(file.buffer, format);
+    const headers = [
+      ...new Set(rows.slice(0, PREVIEW_ROWS).flatMap((row) => Object.keys(row))),
+    ].filter((header) => header !== "__parseError");
+    const firstRow = format === "jsonl" ? 1 : 2;
+
+    res.json({
+      format,
+      totalRows: rows.length,
+      headers,
+      rows: rows.slice(0, PREVIEW_ROWS).map((row, index) => {
+        const result = parseLeadRow(row, index + firstRow, mappings);
+        return {
+          row: index + firstRow,
+          lead: result.leadData || null,
+          error: result.error || null,
+          empty: Boolean(result.empty),
+        };
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,53 @@
+import { Lead, LeadAccessPolicy } from "../../models/index.js";
+import {
+  getLeadAccessPolicy,
+  updateLeadAccessPolicy,
+} from "../../services/leadAccessService.js";
+
+// GET /api/admin/leads/access-policy
+export const getAccessPolicy = async (req, res) => {
+  try {
+    const [policy, config, exclusiveLeads, cappedLeads] = await Promise.all([
+      getLeadAccessPolicy(),
+      LeadAccessPolicy.findOne({ key: "default" })
+        .populate("updatedBy", "username")
+        .lean(),
+      Lead.countDocuments({ exclusiveTo: { $ne: null } }),
+      Lead.countDocuments({ maxUnlocks: { $ne: null } }),
+    ]);
+
+    res.json({
+      policy,
+      updatedBy: config?.updatedBy || null,
+      updatedAt: config?.updatedAt || null,
+      stats: { exclusiveLeads, leadsWithOwnCap: cappedLeads },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/admin/leads/access-policy
+// Per-lead caps are set through PUT /api/admin/update-leads/:id (maxUnlocks)
+export const updateAccessPolicy = async (req, res) => {
+  try {
+    const { policy, error } = await updateLeadAccessPolicy(
+      req.body,
+      req.admin?.id,
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      message: "Lead access policy updated",
+      policy: {
+        maxUnlocksPerLead: policy.maxUnlocksPerLead,
+        exclusiveEnabled: policy.exclusiveEnabled,
+        exclusivePrice: policy.exclusivePrice,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
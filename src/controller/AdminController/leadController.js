@@ -1,7 +1,36 @@
 import Lead from "../../models/Lead.js";
-import User from "../../models/User.js";
-import xlsx from "xlsx";
-import { sendNewLeadsNotification } from "../../utils/emailUtils.js";
+import LeadImportJob from "../../models/LeadImportJob.js";
+import LeadImportIssue from "../../models/LeadImportIssue.js";
+import ImportMappingProfile from "../../models/ImportMappingProfile.js";
+import { getLeadMatchKeys } from "../../utils/leadDedupUtils.js";
+import {
+  findDuplicateLeads,
+  mergeLeads as mergeLeadDocuments,
+} from "../../services/leadDedupService.js";
+import {
+  buildImportReport,
+  createLeadImportJob,
+  detectImportFormat,
+  formatImportJob,
+  runLeadImportJobs,
+} from "../../services/leadImportService.js";
+import {
+  reverifyStaleLeads,
+  verifyLead as runLeadVerification,
+} from "../../services/leadVerificationService.js";
+
+// Shape a duplicate match for the duplicates endpoint
+const formatDuplicateMatch = ({ lead, reasons, nameSimilarity }) => ({
+  _id: lead._id,
+  leadId: lead.leadId,
+  name: lead.name,
+  email: lead.email,
+  phone: lead.phone,
+  city: lead.city,
+  websiteLink: lead.websiteLink,
+  reasons,
+  nameSimilarity,
+});
 
 // POST /api/admin/leads/upload
 export const uploadLeads = async (req, res) => {
@@ -12,243 +41,154 @@ export const uploadLeads = async (req, res) => {
       return res.status(400).json({ error: "Excel file is required" });
     }
 
-    // Parse Excel file with proper row order preservation
-    console.log("Parsing Excel file...");
-    const workbook = xlsx.read(file.buffer, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Get range to preserve row order
-    const range = xlsx.utils.decode_range(worksheet["!ref"]);
-    const data = [];
-
-    // Extract data row by row to maintain sequence
-    for (let rowNum = range.s.r + 1; rowNum <= range.e.r; rowNum++) {
-      const row = {};
-      for (let colNum = range.s.c; colNum <= range.e.c; colNum++) {
-        const cellAddress = xlsx.utils.encode_cell({ r: rowNum, c: colNum });
-        const headerAddress = xlsx.utils.encode_cell({
-          r: range.s.r,
-          c: colNum,
-        });
-        const header = worksheet[headerAddress]?.v;
-        const cellValue = worksheet[cellAddress]?.v || "";
-        if (header) {
-          row[header] = cellValue;
-        }
-      }
-      if (Object.keys(row).length > 0) {
-        data.push(row);
-      }
-    }
-
-    console.log("Total rows parsed:", data.length);
-    console.log("Sample row:", data[0]); // Debug log
-
-    // Get all existing leadIds and find max sequence
-    const existingLeads = await Lead.find({}, "leadId uploadSequence").lean();
-    const existingLeadIds = new Set(existingLeads.map((lead) => lead.leadId));
-    const maxSequence =
-      existingLeads.length > 0
-        ? Math.max(...existingLeads.map((lead) => lead.uploadSequence || 0))
-        : 0;
-
-    const leadsToInsert = [];
-    const errors = [];
-    const skipped = [];
-    let currentSequence = maxSequence + 1;
-
-    // Process data in original Excel order
-    for (let i = 0; i < data.length; i++) {
-      const row = data[i];
-
-      // Normalize column names (handle case variations)
-      const normalizedRow = {};
-      Object.keys(row).forEach((key) => {
-        const normalizedKey = key.toLowerCase().trim();
-        normalizedRow[normalizedKey] =
-          typeof row[key] === "string" ? row[key].trim() : row[key];
+    const format = detectImportFormat(file);
+    if (!format) {
+      return res.status(400).json({
+        error: "Unsupported file type. Upload .xlsx, .xls, .csv or .jsonl",
       });
+    }
 
-      // Extract leadId from multiple possible column names
-      const leadId =
-        normalizedRow.id ||
-        normalizedRow.leadid ||
-        normalizedRow["lead id"] ||
-        normalizedRow.leadId;
-      const name = normalizedRow.name;
-      const email = normalizedRow.email;
-
-      // Skip empty rows
-      if (!leadId && !name && !email) {
-        continue;
+    // Vendor files with their own headers are read through a mapping profile
+    const mappingProfileId = req.query.mappingProfileId ?? req.body?.mappingProfileId;
+    let mappingProfile = null;
+    if (mappingProfileId) {
+      mappingProfile = await ImportMappingProfile.findById(mappingProfileId);
+      if (!mappingProfile) {
+        return res.status(404).json({ error: "Mapping profile not found" });
       }
+    }
 
-      // Validate required fields
-      if (!leadId) {
-        errors.push(`Row ${i + 2}: Missing Lead ID (column: id or leadId)`);
-        continue;
-      }
+    // dryRun reports what would happen without inserting anything;
+    // allowDuplicates inserts rows even when they look like existing leads
+    const options = {
+      dryRun: String(req.query.dryRun ?? req.body?.dryRun) === "true",
+      allowDuplicates:
+        String(req.query.allowDuplicates ?? req.body?.allowDuplicates) ===
+        "true",
+    };
+    const chunkSize = parseInt(req.query.chunkSize ?? req.body?.chunkSize);
+    if (chunkSize) options.chunkSize = Math.min(Math.max(chunkSize, 50), 5000);
+
+    const job = await createLeadImportJob({
+      file,
+      adminId: req.admin?.id,
+      format,
+      mappingProfile,
+      options,
+    });
+    console.log(`📥 Lead import job ${job._id} queued for ${file.originalname}`);
 
-      if (!name) {
-        errors.push(`Row ${i + 2}: Missing Name`);
-        continue;
-      }
+    // Start processing now; the cron picks the job up if this process stops
+    runLeadImportJobs().catch((error) =>
+      console.error("Lead import runner error:", error),
+    );
 
-      if (!email) {
-        errors.push(`Row ${i + 2}: Missing Email`);
-        continue;
-      }
+    res.status(202).json({
+      message: "Upload received. Leads are being imported in the background.",
+      jobId: job._id,
+      job: formatImportJob(job),
+    });
+  } catch (error) {
+    console.error("Upload error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-      // Validate email format
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        errors.push(`Row ${i + 2}: Invalid email format: ${email}`);
-        continue;
-      }
+// GET /api/admin/leads/import-jobs
+export const getImportJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
 
-      // Check for duplicates
-      if (existingLeadIds.has(leadId)) {
-        skipped.push(`Row ${i + 2}: Lead ID ${leadId} already exists`);
-        continue;
-      }
+    const filter = {};
+    if (status) filter.status = status;
 
-      // Parse date if provided
-      let lastVerifiedAt = null;
-      if (normalizedRow.lastverifiedat || normalizedRow["last verified at"]) {
-        const dateStr =
-          normalizedRow.lastverifiedat || normalizedRow["last verified at"];
-        const parsedDate = new Date(dateStr);
-        if (!isNaN(parsedDate.getTime())) {
-          lastVerifiedAt = parsedDate;
-        }
-      }
+    const [jobs, total] = await Promise.all([
+      LeadImportJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      LeadImportJob.countDocuments(filter),
+    ]);
 
-      leadsToInsert.push({
-        leadId: leadId.toString(),
-        name: name.toString(),
-        email: email.toLowerCase(),
-        phone: normalizedRow.phone || null,
-        category: normalizedRow.category || null,
-        city: normalizedRow.city || null,
-        country: normalizedRow.country || null,
-        addressStreet:
-          normalizedRow.addressstreet ||
-          normalizedRow["address street"] ||
-          null,
-        linkedin: normalizedRow.linkedin || null,
-        facebookLink:
-          normalizedRow.facebooklink || normalizedRow["facebook link"] || null,
-        websiteLink:
-          normalizedRow.websitelink || normalizedRow["website link"] || null,
-        googleMapLink:
-          normalizedRow.googlemaplink ||
-          normalizedRow["google map link"] ||
-          null,
-        instagram: normalizedRow.instagram || null,
-        lastVerifiedAt,
-        uploadSequence: currentSequence++,
-      });
+    res.json({
+      jobs: jobs.map(formatImportJob),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/leads/import-jobs/:id
+export const getImportJob = async (req, res) => {
+  try {
+    const job = await LeadImportJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Import job not found" });
     }
 
-    // Insert leads in sequence order (ordered: true to maintain sequence)
-    let totalInserted = 0;
-
-    if (leadsToInsert.length > 0) {
-      try {
-        // Use ordered insertion to maintain sequence
-        const result = await Lead.insertMany(leadsToInsert, { ordered: true });
-        totalInserted = result.length;
-      } catch (error) {
-        // Handle errors while maintaining sequence
-        if (error.code === 11000) {
-          // Handle duplicate key errors
-          const insertedCount = error.insertedDocs?.length || 0;
-          totalInserted = insertedCount;
-
-          // Try inserting remaining documents one by one to maintain sequence
-          for (let i = insertedCount; i < leadsToInsert.length; i++) {
-            try {
-              await Lead.create(leadsToInsert[i]);
-              totalInserted++;
-            } catch (singleError) {
-              if (singleError.code === 11000) {
-                errors.push(`Duplicate leadId: ${leadsToInsert[i].leadId}`);
-              } else {
-                errors.push(
-                  `Error inserting ${leadsToInsert[i].leadId}: ${singleError.message}`,
-                );
-              }
-            }
-          }
-        } else {
-          errors.push(`Bulk insert error: ${error.message}`);
-        }
-      }
+    // First issues for a quick look; the full list is in the report
+    const issues = await LeadImportIssue.find({ jobId: job._id })
+      .sort({ row: 1 })
+      .limit(20)
+      .select("row type leadId message")
+      .lean();
+
+    res.json({ job: formatImportJob(job), issues });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/leads/import-jobs/:id/report?format=xlsx|csv
+export const downloadImportReport = async (req, res) => {
+  try {
+    const format = req.query.format === "csv" ? "csv" : "xlsx";
+
+    const job = await LeadImportJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Import job not found" });
     }
 
-    // Send email notifications if leads were successfully uploaded
-    if (totalInserted > 0) {
-      try {
-        console.log("📧 Sending email notifications for new leads...");
-
-        // Send notification to admin
-        const adminEmail = process.env.EMAIL_USER;
-        if (adminEmail) {
-          await sendNewLeadsNotification(
-            adminEmail,
-            "Admin",
-            totalInserted,
-            true,
-          ).catch((err) => console.error("Failed to send admin email:", err));
-        }
-
-        // Fetch all active users and send notifications
-        const users = await User.find(
-          { email: { $exists: true, $ne: null, $ne: "" } },
-          "name email",
-        ).lean();
-
-        console.log(`📤 Sending notifications to ${users.length} users...`);
-
-        // Send emails to users (non-blocking)
-        const emailPromises = users.map((user) =>
-          sendNewLeadsNotification(
-            user.email,
-            user.name,
-            totalInserted,
-            false,
-          ).catch((err) => {
-            console.error(
-              `Failed to send email to ${user.email}:`,
-              err.message,
-            );
-            return false;
-          }),
-        );
-
-        // Wait for all emails to be sent (with timeout protection)
-        await Promise.allSettled(emailPromises);
-        console.log("✅ Email notifications sent successfully");
-      } catch (emailError) {
-        // Log error but don't fail the upload
-        console.error("❌ Error sending email notifications:", emailError);
-      }
+    const { buffer, contentType, extension } = await buildImportReport(
+      job._id,
+      format,
+    );
+    const filename = `import_report_${job._id}.${extension}`;
+
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Type", contentType);
+    res.send(buffer);
+  } catch (error) {
+    console.error("Import report error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/import-jobs/:id/cancel
+export const cancelImportJob = async (req, res) => {
+  try {
+    // Rows already inserted stay; processing stops before the next chunk
+    const job = await LeadImportJob.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["queued", "processing"] } },
+      { $set: { status: "cancelled", completedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!job) {
+      return res.status(404).json({ error: "Running import job not found" });
     }
 
-    res.json({
-      message: `Upload completed: ${totalInserted} leads inserted`,
-      uploaded: totalInserted,
-      skipped: skipped.length,
-      errors: errors.length,
-      totalProcessed: data.length,
-      details: {
-        skippedDetails: skipped.slice(0, 10),
-        errorDetails: errors.slice(0, 10),
-      },
-    });
+    res.json({ message: "Import job cancelled", job: formatImportJob(job) });
   } catch (error) {
-    console.error("Upload error:", error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -332,15 +272,16 @@ export const getLead = async (req, res) => {
 // PUT /api/admin/update-leads/:id
 export const updateLead = async (req, res) => {
   try {
-    const lead = await Lead.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Loaded and saved (not findByIdAndUpdate) so dedupe keys are recomputed
+    const lead = await Lead.findById(req.params.id);
 
     if (!lead) {
       return res.status(404).json({ error: "Lead not found" });
     }
 
+    lead.set(req.body);
+    await lead.save();
+
     res.json(lead);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -384,3 +325,99 @@ export const bulkDeleteLeads = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// GET /api/admin/leads/:id/duplicates
+export const getLeadDuplicates = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id).lean();
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const matches = await findDuplicateLeads(getLeadMatchKeys(lead), {
+      excludeIds: [lead._id],
+    });
+
+    res.json({
+      lead: {
+        _id: lead._id,
+        leadId: lead.leadId,
+        name: lead.name,
+        email: lead.email,
+        city: lead.city,
+      },
+      duplicates: matches.map(formatDuplicateMatch),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/merge
+export const mergeLeads = async (req, res) => {
+  try {
+    const { primaryId, duplicateId } = req.body;
+
+    if (!primaryId || !duplicateId) {
+      return res
+        .status(400)
+        .json({ error: "primaryId and duplicateId are required" });
+    }
+    if (primaryId.toString() === duplicateId.toString()) {
+      return res.status(400).json({ error: "Cannot merge a lead into itself" });
+    }
+
+    const [primaryExists, duplicateExists] = await Promise.all([
+      Lead.exists({ _id: primaryId }),
+      Lead.exists({ _id: duplicateId }),
+    ]);
+    if (!primaryExists || !duplicateExists) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const summary = await mergeLeadDocuments(primaryId, duplicateId);
+    console.log("Leads merged:", summary);
+
+    res.json({
+      message: `Lead ${summary.mergedLeadId} merged successfully`,
+      ...summary,
+      lead: await Lead.findById(primaryId),
+    });
+  } catch (error) {
+    console.error("Merge leads error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/:id/verify
+export const verifyLead = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id).lean();
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const verification = await runLeadVerification(lead);
+    res.json({ leadId: lead._id, verification });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/verify-stale
+export const verifyStaleLeads = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit) || 200, 5000);
+
+    const summary = await reverifyStaleLeads({ limit });
+    if (!summary) {
+      return res
+        .status(409)
+        .json({ error: "A verification run is already in progress" });
+    }
+
+    res.json({ message: "Stale leads re-verified", summary });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
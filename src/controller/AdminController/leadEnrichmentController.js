@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import { Lead, LeadEnrichment } from "../../models/index.js";
+import { ENRICHABLE_FIELDS } from "../../utils/leadEnrichmentUtils.js";
+import {
+  approveLeadEnrichments as approveEnrichments,
+  enrichLead as runLeadEnrichment,
+  enrichPendingLeads,
+  rejectLeadEnrichments as rejectEnrichments,
+} from "../../services/leadEnrichmentService.js";
+
+const MAX_BULK_IDS = 500;
+
+// Validate the ids array of a bulk review request
+const readIds = (body) => {
+  const ids = body?.ids;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: "ids must be a non-empty array" };
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    return { error: `At most ${MAX_BULK_IDS} proposals per request` };
+  }
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "ids must be valid proposal IDs" };
+  }
+  return { ids: [...new Set(ids.map(String))] };
+};
+
+// GET /api/admin/leads/enrichments
+export const getLeadEnrichments = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = "pending", field, leadId } =
+      req.query;
+    const skip = (page - 1) * parseInt(limit);
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (field) query.field = field;
+    if (leadId) query.leadId = leadId;
+
+    const [enrichments, total] = await Promise.all([
+      LeadEnrichment.find(query)
+        .populate(
+          "leadId",
+          `leadId name websiteLink isActive ${ENRICHABLE_FIELDS.join(" ")}`,
+        )
+        .populate("reviewedBy", "username")
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      LeadEnrichment.countDocuments(query),
+    ]);
+
+    res.json({
+      enrichments: enrichments.map((enrichment) => ({
+        ...enrichment,
+        currentValue: enrichment.leadId?.[enrichment.field] || null,
+      })),
+      fields: ENRICHABLE_FIELDS,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + enrichments.length < total,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/:id/enrich
+export const enrichLead = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id).lean();
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+    if (!lead.websiteLink) {
+      return res.status(400).json({ error: "Lead has no website" });
+    }
+
+    const result = await runLeadEnrichment(lead);
+    const enrichments = await LeadEnrichment.find({
+      leadId: lead._id,
+      status: "pending",
+    }).lean();
+
+    res.json({ leadId: lead._id, ...result, enrichments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/enrich-pending
+export const enrichPending = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit) || 100, 2000);
+
+    const summary = await enrichPendingLeads({ limit });
+    if (!summary) {
+      return res
+        .status(409)
+        .json({ error: "An enrichment run is already in progress" });
+    }
+
+    res.json({ message: "Lead enrichment finished", summary });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/enrichments/approve
+export const approveLeadEnrichments = async (req, res) => {
+  try {
+    const { ids, error } = readIds(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const summary = await approveEnrichments(ids, { adminId: req.admin?.id });
+    res.json({
+      message: `${summary.approved} proposal(s) applied to leads`,
+      summary,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/enrichments/reject
+export const rejectLeadEnrichments = async (req, res) => {
+  try {
+    const { ids, error } = readIds(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rejected = await rejectEnrichments(ids, {
+      adminId: req.admin?.id,
+      note: req.body?.note,
+    });
+    res.json({ message: `${rejected} proposal(s) rejected`, rejected });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,134 @@
+import { Lead, LeadPricingRule } from "../../models/index.js";
+import {
+  PRICING_ACTIONS,
+  getLeadCompleteness,
+  parsePricingRule,
+} from "../../utils/leadPricingUtils.js";
+import { getLeadAccessPolicy } from "../../services/leadAccessService.js";
+import {
+  getLeadPrice,
+  getLeadPricing,
+} from "../../services/leadPricingService.js";
+
+// GET /api/admin/pricing-rules
+export const getPricingRules = async (req, res) => {
+  try {
+    const rules = await LeadPricingRule.find().sort({
+      priority: 1,
+      createdAt: 1,
+    });
+
+    res.json({ rules, actions: PRICING_ACTIONS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/pricing-rules/:id
+export const getPricingRule = async (req, res) => {
+  try {
+    const rule = await LeadPricingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Pricing rule not found" });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/pricing-rules
+export const createPricingRule = async (req, res) => {
+  try {
+    const { rule, error } = parsePricingRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await LeadPricingRule.create({
+      ...rule,
+      createdBy: req.admin?.id,
+      updatedBy: req.admin?.id,
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "A pricing rule with this name already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/admin/pricing-rules/:id
+export const updatePricingRule = async (req, res) => {
+  try {
+    const existing = await LeadPricingRule.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Pricing rule not found" });
+    }
+
+    const { rule, error } = parsePricingRule(req.body, existing.toObject());
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    existing.set({ ...rule, updatedBy: req.admin?.id });
+    await existing.save();
+    res.json(existing);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "A pricing rule with this name already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/admin/pricing-rules/:id
+export const deletePricingRule = async (req, res) => {
+  try {
+    const rule = await LeadPricingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Pricing rule not found" });
+    }
+
+    res.json({ message: "Pricing rule deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/pricing-rules/preview
+// Prices a lead with the active rules, shared and exclusive
+export const previewLeadPrice = async (req, res) => {
+  try {
+    const { leadId } = req.body;
+    if (!leadId) {
+      return res.status(400).json({ error: "leadId is required" });
+    }
+
+    const lead = await Lead.findById(leadId).lean();
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    // Default lead_access cost; plan overrides are not applied here
+    const pricing = await getLeadPricing(await getLeadAccessPolicy());
+
+    res.json({
+      leadId: lead._id,
+      category: lead.category,
+      country: lead.country,
+      completeness: getLeadCompleteness(lead),
+      shared: getLeadPrice(lead, pricing),
+      exclusive: getLeadPrice(lead, pricing, true),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
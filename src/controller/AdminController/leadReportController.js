@@ -0,0 +1,112 @@
+import { LeadReport } from "../../models/index.js";
+import { LEAD_REPORT_REASONS } from "../../models/LeadReport.js";
+import {
+  approveLeadReport as approveReport,
+  getReportThreshold,
+  rejectLeadReport as rejectReport,
+} from "../../services/leadReportService.js";
+
+// GET /api/admin/leads/reports
+export const getLeadReports = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = "pending", reason, leadId } =
+      req.query;
+    const skip = (page - 1) * parseInt(limit);
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (reason) query.reason = reason;
+    if (leadId) query.leadId = leadId;
+
+    const [reports, total] = await Promise.all([
+      LeadReport.find(query)
+        .populate("leadId", "leadId name email phone websiteLink isActive")
+        .populate("userId", "name email")
+        .populate("reviewedBy", "username")
+        // Oldest first so the queue is worked in order
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      LeadReport.countDocuments(query),
+    ]);
+
+    // Open report counts per lead, to spot leads close to the threshold
+    const leadIds = [
+      ...new Set(reports.map((report) => report.leadId?._id).filter(Boolean)),
+    ];
+    const counts = await LeadReport.aggregate([
+      {
+        $match: {
+          leadId: { $in: leadIds },
+          status: { $in: ["pending", "approved"] },
+        },
+      },
+      { $group: { _id: "$leadId", count: { $sum: 1 } } },
+    ]);
+    const countByLead = new Map(
+      counts.map((item) => [item._id.toString(), item.count]),
+    );
+
+    res.json({
+      reports: reports.map((report) => ({
+        ...report,
+        leadReportCount: report.leadId
+          ? countByLead.get(report.leadId._id.toString()) || 0
+          : 0,
+      })),
+      reasons: LEAD_REPORT_REASONS,
+      threshold: getReportThreshold(),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + reports.length < total,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/reports/:id/approve
+export const approveLeadReport = async (req, res) => {
+  try {
+    const report = await approveReport(req.params.id, {
+      adminId: req.admin?.id,
+      note: req.body?.note,
+    });
+    if (!report) {
+      return res
+        .status(404)
+        .json({ error: "Report not found or already reviewed" });
+    }
+
+    res.json({
+      message: `Report approved, ${report.tokensRefunded} token(s) refunded`,
+      report,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/reports/:id/reject
+export const rejectLeadReport = async (req, res) => {
+  try {
+    const report = await rejectReport(req.params.id, {
+      adminId: req.admin?.id,
+      note: req.body?.note,
+    });
+    if (!report) {
+      return res
+        .status(404)
+        .json({ error: "Report not found or already reviewed" });
+    }
+
+    res.json({ message: "Report rejected", report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
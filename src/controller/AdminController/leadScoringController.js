@@ -0,0 +1,66 @@
+import { LeadScoringConfig } from "../../models/index.js";
+import {
+  DEFAULT_SCORE_WEIGHTS,
+  LEAD_SCORE_COMPONENTS,
+} from "../../utils/leadScoringUtils.js";
+import {
+  getScoreWeights,
+  recalculateLeadScores,
+  updateScoreWeights,
+} from "../../services/leadScoringService.js";
+
+// GET /api/admin/leads/scoring
+export const getLeadScoring = async (req, res) => {
+  try {
+    const config = await LeadScoringConfig.findOne({ key: "default" })
+      .populate("updatedBy", "username")
+      .lean();
+
+    res.json({
+      weights: await getScoreWeights(),
+      defaults: DEFAULT_SCORE_WEIGHTS,
+      components: LEAD_SCORE_COMPONENTS,
+      updatedBy: config?.updatedBy || null,
+      updatedAt: config?.updatedAt || null,
+      lastRun: config?.lastRun || null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/admin/leads/scoring
+export const updateLeadScoring = async (req, res) => {
+  try {
+    const { config, error } = await updateScoreWeights(
+      req.body?.weights,
+      req.admin?.id,
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      message: "Score weights updated. Scores change on the next recalculation.",
+      weights: config.weights,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/leads/scoring/recalculate
+export const recalculateScores = async (req, res) => {
+  try {
+    const summary = await recalculateLeadScores();
+    if (!summary) {
+      return res
+        .status(409)
+        .json({ error: "A score recalculation is already in progress" });
+    }
+
+    res.json({ message: "Lead scores recalculated", summary });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
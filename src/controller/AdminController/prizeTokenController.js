@@ -1,8 +1,9 @@
 import User from "../../models/User.js";
 import {
-  calculateEffectiveTokens,
   cleanExpiredTokens,
-} from "../../utils/tokenUtils.js";
+  getTokenBreakdown,
+  grantPrizeTokens,
+} from "../../services/tokenService.js";
 import { createNotification } from "../../utils/notificationUtils.js";
 
 import Admin from "../../models/Admin.js";
@@ -47,42 +48,37 @@ export const awardPrizeTokens = async (req, res) => {
       });
     }
 
-    // Clean expired tokens first
-    await cleanExpiredTokens(user);
-
     // Check if user already has active prize tokens
+    const now = new Date();
     if (
-      user.temporaryTokens &&
-      user.temporaryTokens.amount > 0 &&
-      user.temporaryTokens.expiresAt
+      user.prizeTokens?.current > 0 &&
+      user.prizeTokens.expiresAt &&
+      now <= new Date(user.prizeTokens.expiresAt)
     ) {
-      const now = new Date();
-      const expiryTime = new Date(user.temporaryTokens.expiresAt);
-
-      if (now <= expiryTime) {
-        return res.status(400).json({
-          success: false,
-          error: "User already has active prize tokens",
-          currentTokens: user.temporaryTokens.amount,
-          expiresAt: user.temporaryTokens.expiresAt,
-          prizeType: user.temporaryTokens.prizeType,
-        });
-      }
+      return res.status(400).json({
+        success: false,
+        error: "User already has active prize tokens",
+        currentTokens: user.prizeTokens.current,
+        expiresAt: user.prizeTokens.expiresAt,
+        prizeType: user.prizeTokens.prizeType,
+      });
     }
 
-    // Set 24-hour temporary tokens
-    const now = new Date();
-    const expiryTime = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours
-
-    user.temporaryTokens = {
-      amount: tokenAmount,
-      grantedAt: now,
-      expiresAt: expiryTime,
-      grantedBy: adminUsername,
-      prizeType: prizeType,
-    };
-
-    await user.save();
+    // Prize tokens go to the prize bucket for 24 hours
+    let grant;
+    try {
+      grant = await grantPrizeTokens(
+        user._id,
+        Number(tokenAmount),
+        prizeType,
+        adminUsername,
+      );
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
 
     // Create PrizeDistribution record if we have adminId
     if (adminId) {
@@ -144,7 +140,7 @@ export const awardPrizeTokens = async (req, res) => {
       success: true,
       message: `${tokenAmount} ${prizeType} tokens awarded to ${user.name}. Notification sent successfully.`,
       tokenAmount,
-      expiresAt: expiryTime,
+      expiresAt: grant.expiresAt,
       user: {
         id: user._id,
         name: user.name,
@@ -180,27 +176,25 @@ export const getUserTokenStatus = async (req, res) => {
     // Clean expired tokens first
     await cleanExpiredTokens(user);
 
-    const effectiveTokens = calculateEffectiveTokens(user);
+    const breakdown = getTokenBreakdown(user);
 
-    let timeRemaining = 0;
-    if (user.temporaryTokens && user.temporaryTokens.expiresAt) {
-      timeRemaining = Math.max(
-        0,
-        new Date(user.temporaryTokens.expiresAt) - new Date(),
-      );
-    }
+    const expiresAt =
+      breakdown.prize.current > 0 ? user.prizeTokens?.expiresAt : null;
+    const timeRemaining = expiresAt
+      ? Math.max(0, new Date(expiresAt) - new Date())
+      : 0;
 
     res.json({
       success: true,
-      dailyTokens: user.tokens || 0,
+      dailyTokens: breakdown.daily.current,
       temporaryTokens: {
-        amount: user.temporaryTokens?.amount || 0,
-        grantedAt: user.temporaryTokens?.grantedAt,
-        expiresAt: user.temporaryTokens?.expiresAt,
-        grantedBy: user.temporaryTokens?.grantedBy,
-        prizeType: user.temporaryTokens?.prizeType,
+        amount: breakdown.prize.current,
+        grantedAt: user.prizeTokens?.grantedAt,
+        expiresAt,
+        grantedBy: breakdown.prize.grantedBy,
+        prizeType: breakdown.prize.prizeType,
       },
-      effectiveTokens,
+      effectiveTokens: breakdown.total,
       timeRemaining,
     });
   } catch (error) {
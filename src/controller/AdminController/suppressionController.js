@@ -0,0 +1,97 @@
+import EmailSuppression from "../../models/EmailSuppression.js";
+import { suppressEmail } from "../../utils/suppressionUtils.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Get suppression entries with pagination and filters
+export const getSuppressions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, scope, reason, search } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (reason) filter.reason = reason;
+    if (search) {
+      filter.email = {
+        $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        $options: "i",
+      };
+    }
+
+    const [suppressions, total] = await Promise.all([
+      EmailSuppression.find(filter)
+        .populate("userId", "name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EmailSuppression.countDocuments(filter),
+    ]);
+
+    res.json({
+      suppressions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    console.error("Get suppressions error:", error);
+    res.status(500).json({ error: "Failed to fetch suppressions" });
+  }
+};
+
+// Add an address to the global suppression list
+export const addGlobalSuppression = async (req, res) => {
+  try {
+    const { email, reason = "manual", note } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+      return res
+        .status(400)
+        .json({ error: "A valid email is required" });
+    }
+    if (!["manual", "bounce", "complaint"].includes(reason)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid suppression reason" });
+    }
+
+    const suppression = await suppressEmail({
+      email,
+      userId: null,
+      reason,
+      source: "admin",
+      note,
+    });
+
+    res.status(201).json({ message: "Email suppressed", suppression });
+  } catch (error) {
+    console.error("Add suppression error:", error);
+    res.status(500).json({ error: "Failed to add suppression" });
+  }
+};
+
+// Delete a suppression entry
+export const deleteSuppression = async (req, res) => {
+  try {
+    const suppression = await EmailSuppression.findByIdAndDelete(
+      req.params.id,
+    );
+
+    if (!suppression) {
+      return res
+        .status(404)
+        .json({ error: "Suppression not found" });
+    }
+
+    res.json({ message: "Suppression removed" });
+  } catch (error) {
+    console.error("Delete suppression error:", error);
+    res.status(500).json({ error: "Failed to delete suppression" });
+  }
+};
@@ -0,0 +1,56 @@
+import { User } from "../../models/index.js";
+import { parseStatementQuery } from "../../utils/tokenLedgerUtils.js";
+import {
+  getLedgerStatement,
+  reconcileTokenLedger,
+} from "../../services/tokenLedgerService.js";
+
+// GET /api/admin/users/:id/token-statement
+export const getUserTokenStatement = async (req, res) => {
+  try {
+    const { filters, error } = parseStatementQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const user = await User.findById(req.params.id).select("name email");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const statement = await getLedgerStatement(user._id, filters);
+    res.json({
+      user: { id: user._id, name: user.name, email: user.email },
+      ...statement,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/admin/token-ledger/reconcile
+// Body: { apply, userId }. Without apply the run only reports drift.
+export const reconcileLedger = async (req, res) => {
+  try {
+    const apply = req.body.apply === true || req.body.apply === "true";
+
+    const summary = await reconcileTokenLedger({
+      apply,
+      userId: req.body.userId,
+    });
+    if (!summary) {
+      return res
+        .status(409)
+        .json({ error: "A ledger reconciliation is already running" });
+    }
+
+    res.json({
+      message: apply
+        ? "Token balances reconciled with the ledger"
+        : "Token ledger check completed",
+      summary,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
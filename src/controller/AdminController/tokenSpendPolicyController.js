@@ -0,0 +1,62 @@
+import { SPEND_ACTIONS } from "../../utils/tokenSpendUtils.js";
+import {
+  getSpendPolicies,
+  resetSpendPolicy,
+  updateSpendPolicy,
+} from "../../services/tokenSpendService.js";
+
+const isSpendAction = (action) =>
+  Object.prototype.hasOwnProperty.call(SPEND_ACTIONS, action);
+
+// GET /api/admin/token-spend-policies
+export const getTokenSpendPolicies = async (req, res) => {
+  try {
+    res.json({
+      policies: await getSpendPolicies(),
+      actions: Object.keys(SPEND_ACTIONS),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/admin/token-spend-policies/:action
+export const updateTokenSpendPolicy = async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!isSpendAction(action)) {
+      return res.status(404).json({ error: "Unknown token spend action" });
+    }
+
+    const { policy, error } = await updateSpendPolicy(
+      action,
+      req.body,
+      req.admin?.id,
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ message: "Token spend policy updated", policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/admin/token-spend-policies/:action
+// Back to the default cost, no plan overrides and no free uses
+export const resetTokenSpendPolicy = async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!isSpendAction(action)) {
+      return res.status(404).json({ error: "Unknown token spend action" });
+    }
+
+    res.json({
+      message: "Token spend policy reset to default",
+      policy: await resetSpendPolicy(action),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -18,9 +18,10 @@ import {
   updateReferralStats,
 } from "../../utils/referralUtils.js";
 import {
-  calculateEffectiveTokens,
+  calculateTotalTokens,
   cleanExpiredTokens,
-} from "../../utils/tokenUtils.js";
+  getTokenBreakdown,
+} from "../../services/tokenService.js";
 
 // Setup nodemailer transporter
 const transporter = createTransporter();
@@ -389,7 +390,7 @@ export const login = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        tokens: user.tokens,
+        tokens: calculateTotalTokens(user),
         tokensUsedTotal: user.tokensUsedTotal,
         subscription: {
           planName: user.subscription.planId?.name,
@@ -790,17 +791,15 @@ export const getUserProfile = async (req, res) => {
     // Clean expired tokens first
     await cleanExpiredTokens(user);
 
-    // Calculate effective tokens (daily + prize)
-    const effectiveTokens = calculateEffectiveTokens(user);
+    // Same balances as GET /api/tokens/balance
+    const breakdown = getTokenBreakdown(user);
 
-    // Calculate time remaining for prize tokens
-    let prizeTokenTimeRemaining = 0;
-    if (user.temporaryTokens && user.temporaryTokens.expiresAt) {
-      prizeTokenTimeRemaining = Math.max(
-        0,
-        new Date(user.temporaryTokens.expiresAt) - new Date(),
-      );
-    }
+    // Prize tokens expire 24 hours after they are granted
+    const prizeTokenExpiresAt =
+      breakdown.prize.current > 0 ? user.prizeTokens?.expiresAt : null;
+    const prizeTokenTimeRemaining = prizeTokenExpiresAt
+      ? Math.max(0, new Date(prizeTokenExpiresAt) - new Date())
+      : 0;
 
     // Calculate days remaining for subscription
     let daysRemaining = 0;
@@ -820,31 +819,31 @@ export const getUserProfile = async (req, res) => {
         avatar: user.avatar,
       },
       tokens: {
-        daily: user.tokens,
-        dailyUsed: user.tokensUsedToday || 0,
-        dailyLimit: user.subscription.dailyTokens || 100,
+        daily: breakdown.daily.current,
+        dailyUsed: breakdown.daily.usedToday,
+        dailyLimit: breakdown.daily.limit,
         monthlyTotal: user.monthlyTokensTotal,
         monthlyUsed: user.monthlyTokensUsed,
         monthlyRemaining: user.monthlyTokensRemaining,
-        totalUsed: user.tokensUsedTotal,
+        totalUsed: user.tokenStats?.totalUsed || 0,
         // Bonus token information
-        bonusTokens: user.bonusTokens?.current || 0,
-        bonusTokensInitial: user.bonusTokens?.total || 0,
-        bonusTokensUsed: user.bonusTokens?.used || 0,
-        bonusTokensGrantedAt: user.bonusTokens?.grantedAt || null,
+        bonusTokens: breakdown.bonus.current,
+        bonusTokensInitial: breakdown.bonus.initial,
+        bonusTokensUsed: breakdown.bonus.used,
+        bonusTokensGrantedAt: breakdown.bonus.grantedAt || null,
         // Purchased token information
         purchasedTokens: {
-          current: user.purchasedTokens?.current || 0,
-          total: user.purchasedTokens?.total || 0,
-          used: user.purchasedTokens?.used || 0,
+          current: breakdown.purchased.current,
+          total: breakdown.purchased.total,
+          used: breakdown.purchased.used,
         },
         // Prize token information
-        prizeTokens: user.temporaryTokens?.amount || 0,
-        prizeTokenType: user.temporaryTokens?.prizeType || null,
-        prizeTokenExpiresAt: user.temporaryTokens?.expiresAt || null,
+        prizeTokens: breakdown.prize.current,
+        prizeTokenType: breakdown.prize.prizeType || null,
+        prizeTokenExpiresAt,
         prizeTokenTimeRemaining: prizeTokenTimeRemaining,
         // Effective total tokens
-        effectiveTokens: effectiveTokens,
+        effectiveTokens: breakdown.total,
       },
       subscription: {
         plan: user.subscription.planId
@@ -0,0 +1,297 @@
+import { EmailSequence, Lead, User } from "../../models/index.js";
+import { buildLeadEmailQuery } from "../../services/leadEmailService.js";
+import {
+  enrollLeadsInSequence,
+  formatSequence,
+} from "../../services/emailSequenceService.js";
+
+// Validate and normalize the steps array from a request body
+const parseSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: "At least one step is required" };
+  }
+  if (steps.length > 10) {
+    return { error: "A sequence can have at most 10 steps" };
+  }
+
+  const parsed = [];
+  for (let i = 0; i < steps.length; i++) {
+    const { subject, message, delayDays = 0 } = steps[i] || {};
+    if (!subject || !message) {
+      return { error: `Step ${i + 1}: subject and message are required` };
+    }
+    const delay = Number(delayDays);
+    if (!Number.isFinite(delay) || delay < 0 || delay > 365) {
+      return { error: `Step ${i + 1}: delayDays must be between 0 and 365` };
+    }
+    parsed.push({ subject, message, delayDays: delay });
+  }
+
+  return { steps: parsed };
+};
+
+// Load a sequence owned by the requesting user
+const findUserSequence = (id, userId) =>
+  EmailSequence.findOne({ _id: id, userId });
+
+// POST /api/leads/sequences
+export const createSequence = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Sequence name is required" });
+    }
+
+    const { steps, error } = parseSteps(req.body.steps);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sequence = await EmailSequence.create({ userId, name, steps });
+
+    res.status(201).json({
+      message: "Sequence created",
+      sequence: formatSequence(sequence),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/sequences
+export const getSequences = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { status } = req.query;
+
+    const query = { userId };
+    if (status) query.status = status;
+
+    const sequences = await EmailSequence.find(query).sort({ createdAt: -1 });
+
+    res.json({ sequences: sequences.map(formatSequence) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/sequences/:id
+export const getSequenceById = async (req, res) => {
+  try {
+    const sequence = await findUserSequence(req.params.id, req.user.userId);
+    if (!sequence) {
+      return res.status(404).json({ error: "Sequence not found" });
+    }
+
+    res.json({
+      sequence: formatSequence(sequence),
+      enrollments: sequence.enrollments.map((item) => ({
+        leadId: item.leadId,
+        email: item.email,
+        name: item.name,
+        status: item.status,
+        currentStep: item.currentStep,
+        nextSendAt: item.nextSendAt,
+        lastSentAt: item.lastSentAt,
+        enrolledAt: item.enrolledAt,
+        error: item.error,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/leads/sequences/:id
+export const updateSequence = async (req, res) => {
+  try {
+    const sequence = await findUserSequence(req.params.id, req.user.userId);
+    if (!sequence) {
+      return res.status(404).json({ error: "Sequence not found" });
+    }
+
+    if (["cancelled", "completed"].includes(sequence.status)) {
+      return res.status(400).json({
+        error: `Cannot edit a ${sequence.status} sequence`,
+      });
+    }
+
+    const { name } = req.body;
+    if (name) sequence.name = name;
+
+    if (req.body.steps !== undefined) {
+      const { steps, error } = parseSteps(req.body.steps);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // Steps that were already sent to someone cannot be removed
+      const highestStepStarted = sequence.enrollments.reduce(
+        (max, item) => Math.max(max, item.currentStep),
+        0,
+      );
+      if (steps.length < highestStepStarted) {
+        return res.status(400).json({
+          error: `Sequence already reached step ${highestStepStarted}; keep at least that many steps`,
+        });
+      }
+
+      // Keep the stats of steps that stay in place
+      sequence.steps = steps.map((step, index) => ({
+        ...step,
+        stats: sequence.steps[index]?.stats || undefined,
+      }));
+    }
+
+    await sequence.save();
+
+    res.json({
+      message: "Sequence updated",
+      sequence: formatSequence(sequence),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sequences/:id/enroll
+export const enrollSequenceLeads = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { type, category, city, country, leadIds } = req.body;
+
+    if (!type) {
+      return res.status(400).json({ error: "Enrollment type is required" });
+    }
+
+    const sequence = await findUserSequence(req.params.id, userId);
+    if (!sequence) {
+      return res.status(404).json({ error: "Sequence not found" });
+    }
+
+    if (["cancelled", "completed"].includes(sequence.status)) {
+      return res.status(400).json({
+        error: `Cannot enroll leads into a ${sequence.status} sequence`,
+      });
+    }
+
+    const user = await User.findById(userId).select("accessedLeads");
+    const accessedLeadIds =
+      user?.accessedLeads?.map((item) => item.leadId.toString()) || [];
+
+    if (accessedLeadIds.length === 0) {
+      return res.status(400).json({ error: "No accessed leads found" });
+    }
+
+    const { query } = buildLeadEmailQuery(
+      type,
+      { category, city, country, leadIds },
+      accessedLeadIds,
+    );
+    const leads = await Lead.find(query);
+
+    if (leads.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "No leads found matching criteria" });
+    }
+
+    const result = enrollLeadsInSequence(sequence, leads);
+    await sequence.save();
+
+    res.json({
+      message: `${result.enrolled} leads enrolled`,
+      ...result,
+      sequence: formatSequence(sequence),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sequences/:id/pause
+export const pauseSequence = async (req, res) => {
+  try {
+    const sequence = await EmailSequence.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, status: "active" },
+      { $set: { status: "paused", pausedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!sequence) {
+      return res
+        .status(404)
+        .json({ error: "Active sequence not found" });
+    }
+
+    res.json({
+      message: "Sequence paused",
+      sequence: formatSequence(sequence),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sequences/:id/resume
+export const resumeSequence = async (req, res) => {
+  try {
+    const sequence = await findUserSequence(req.params.id, req.user.userId);
+    if (!sequence || sequence.status !== "paused") {
+      return res.status(404).json({ error: "Paused sequence not found" });
+    }
+
+    // Shift pending sends by the time spent paused so step spacing is kept
+    const now = new Date();
+    const pausedFor = sequence.pausedAt
+      ? now.getTime() - sequence.pausedAt.getTime()
+      : 0;
+
+    sequence.enrollments.forEach((item) => {
+      if (item.status === "active" && item.nextSendAt) {
+        item.nextSendAt = new Date(item.nextSendAt.getTime() + pausedFor);
+      }
+    });
+
+    sequence.status = "active";
+    sequence.pausedAt = null;
+    await sequence.save();
+
+    res.json({
+      message: "Sequence resumed",
+      sequence: formatSequence(sequence),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sequences/:id/cancel
+export const cancelSequence = async (req, res) => {
+  try {
+    const sequence = await findUserSequence(req.params.id, req.user.userId);
+    if (!sequence || ["cancelled", "completed"].includes(sequence.status)) {
+      return res.status(404).json({ error: "Running sequence not found" });
+    }
+
+    sequence.enrollments.forEach((item) => {
+      if (item.status === "active") {
+        item.status = "cancelled";
+        item.nextSendAt = null;
+      }
+    });
+
+    sequence.status = "cancelled";
+    sequence.cancelledAt = new Date();
+    await sequence.save();
+
+    res.json({
+      message: "Sequence cancelled",
+      sequence: formatSequence(sequence),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,281 @@
+import { EmailTemplate, Lead, User } from "../../models/index.js";
+import { buildLeadEmailHtml } from "../../services/leadEmailService.js";
+import {
+  TEMPLATE_MERGE_FIELDS,
+  extractMergeFields,
+  normalizeFallbacks,
+  renderMergeFields,
+} from "../../utils/emailTemplateUtils.js";
+
+// Validate subject/message/fallbacks from a request body
+const parseTemplateContent = ({ subject, message, fallbacks }) => {
+  if (!subject || !message) {
+    return { error: "Subject and message are required" };
+  }
+
+  const unknown = [
+    ...new Set([
+      ...extractMergeFields(subject).unknown,
+      ...extractMergeFields(message).unknown,
+    ]),
+  ];
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown merge fields: ${unknown.join(", ")}. Available: ${TEMPLATE_MERGE_FIELDS.join(", ")}`,
+    };
+  }
+
+  return {
+    content: {
+      subject: String(subject).trim(),
+      message: String(message),
+      fallbacks: normalizeFallbacks(fallbacks),
+    },
+  };
+};
+
+const formatVersion = (version) => ({
+  version: version.version,
+  subject: version.subject,
+  message: version.message,
+  fallbacks: normalizeFallbacks(version.fallbacks),
+  mergeFields: [
+    ...new Set([
+      ...extractMergeFields(version.subject).fields,
+      ...extractMergeFields(version.message).fields,
+    ]),
+  ],
+  createdAt: version.createdAt,
+});
+
+const formatTemplate = (template) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description,
+  currentVersion: template.currentVersion,
+  ...formatVersion(template.getVersion()),
+  isArchived: template.isArchived,
+  usageCount: template.usageCount,
+  lastUsedAt: template.lastUsedAt,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+});
+
+// Load a template owned by the requesting user
+const findUserTemplate = (id, userId) =>
+  EmailTemplate.findOne({ _id: id, userId });
+
+// GET /api/leads/templates/fields
+export const getTemplateFields = async (req, res) => {
+  res.json({ fields: TEMPLATE_MERGE_FIELDS });
+};
+
+// POST /api/leads/templates
+export const createTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Template name is required" });
+    }
+
+    const { content, error } = parseTemplateContent(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const template = await EmailTemplate.create({
+      userId,
+      name,
+      description,
+      currentVersion: 1,
+      versions: [{ version: 1, ...content }],
+    });
+
+    res.status(201).json({
+      message: "Template created",
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/templates
+export const getTemplates = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { includeArchived } = req.query;
+
+    const query = { userId };
+    if (includeArchived !== "true") query.isArchived = false;
+
+    const templates = await EmailTemplate.find(query).sort({ updatedAt: -1 });
+
+    res.json({ templates: templates.map(formatTemplate) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/templates/:id
+export const getTemplateById = async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json({
+      template: formatTemplate(template),
+      versions: template.versions
+        .map(formatVersion)
+        .sort((a, b) => b.version - a.version),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/leads/templates/:id
+export const updateTemplate = async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const { name, description, isArchived } = req.body;
+    if (name) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (isArchived !== undefined) template.isArchived = Boolean(isArchived);
+
+    // Content changes create a new version; older versions stay available
+    const latest = template.getVersion();
+    if (
+      req.body.subject !== undefined ||
+      req.body.message !== undefined ||
+      req.body.fallbacks !== undefined
+    ) {
+      const { content, error } = parseTemplateContent({
+        subject: req.body.subject ?? latest.subject,
+        message: req.body.message ?? latest.message,
+        fallbacks: req.body.fallbacks ?? latest.fallbacks,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const changed =
+        content.subject !== latest.subject ||
+        content.message !== latest.message ||
+        JSON.stringify(content.fallbacks) !==
+          JSON.stringify(normalizeFallbacks(latest.fallbacks));
+
+      if (changed) {
+        template.currentVersion += 1;
+        template.versions.push({
+          version: template.currentVersion,
+          ...content,
+        });
+      }
+    }
+
+    await template.save();
+
+    res.json({
+      message: "Template updated",
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/templates/:id
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.userId,
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json({ message: "Template deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/templates/:id/preview
+export const previewTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { leadId, version } = req.body;
+
+    if (!leadId) {
+      return res.status(400).json({ error: "leadId is required" });
+    }
+
+    const template = await findUserTemplate(req.params.id, userId);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const templateVersion = template.getVersion(version);
+    if (!templateVersion) {
+      return res.status(404).json({ error: "Template version not found" });
+    }
+
+    // Previews are only rendered against leads the user has accessed
+    const user = await User.findById(userId).select("accessedLeads name");
+    const hasAccess = user?.accessedLeads?.some(
+      (item) => item.leadId.toString() === leadId.toString(),
+    );
+    if (!hasAccess) {
+      return res
+        .status(403)
+        .json({ error: "Lead not accessed. Please access this lead first." });
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const { fallbacks } = templateVersion;
+    const subject = renderMergeFields(templateVersion.subject, lead, {
+      fallbacks,
+    });
+    const message = renderMergeFields(templateVersion.message, lead, {
+      fallbacks,
+      html: true,
+    });
+
+    // Fields the lead has no value for (rendered from fallbacks or blank)
+    const missingFields = formatVersion(templateVersion).mergeFields.filter(
+      (field) => !lead[field] || String(lead[field]).trim() === "",
+    );
+
+    res.json({
+      templateId: template._id,
+      version: templateVersion.version,
+      leadId: lead._id,
+      subject,
+      message,
+      html: buildLeadEmailHtml({
+        subject,
+        message,
+        leadName: lead.name,
+        senderName: user.name,
+      }),
+      missingFields,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
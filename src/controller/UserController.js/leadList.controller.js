@@ -0,0 +1,465 @@
+import mongoose from "mongoose";
+import { Lead, LeadList, User } from "../../models/index.js";
+import {
+  iterateLeadRows,
+  parseExportOptions,
+} from "../../utils/leadExportUtils.js";
+import { exportChargedLeads } from "../../services/leadExportService.js";
+
+const MAX_LISTS = 50;
+const MAX_LEADS_PER_LIST = 5000;
+
+// userId may be populated with the owner's profile
+const isOwner = (list, userId) =>
+  (list.userId?._id || list.userId).toString() === userId;
+
+// Lists the user owns or that were shared with them
+const findViewableList = (id, userId) =>
+  LeadList.findOne({
+    _id: id,
+    $or: [{ userId }, { "sharedWith.userId": userId }],
+  });
+
+// Keep only leads the user has unlocked (Lead.accessedBy is never trimmed)
+const filterAccessedLeadIds = async (userId, leadIds) => {
+  const validIds = [...new Set(leadIds.map(String))].filter((id) =>
+    mongoose.Types.ObjectId.isValid(id),
+  );
+  const leads = await Lead.find({
+    _id: { $in: validIds },
+    accessedBy: userId,
+  }).select("_id");
+  return leads.map((lead) => lead._id);
+};
+
+const formatList = (list, userId) => ({
+  id: list._id,
+  name: list.name,
+  description: list.description,
+  leadCount: list.leads.length,
+  isOwner: isOwner(list, userId),
+  owner: list.userId?.name
+    ? { id: list.userId._id, name: list.userId.name, email: list.userId.email }
+    : undefined,
+  sharedWith: isOwner(list, userId)
+    ? list.sharedWith.map((share) => ({
+        userId: share.userId?._id || share.userId,
+        name: share.userId?.name,
+        email: share.userId?.email,
+        sharedAt: share.sharedAt,
+      }))
+    : undefined,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt,
+});
+
+// GET /api/leads/lists
+export const getLeadLists = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const [owned, shared] = await Promise.all([
+      LeadList.find({ userId })
+        .populate("sharedWith.userId", "name email")
+        .sort({ updatedAt: -1 }),
+      LeadList.find({ "sharedWith.userId": userId })
+        .populate("userId", "name email")
+        .sort({ updatedAt: -1 }),
+    ]);
+
+    res.json({
+      lists: owned.map((list) => formatList(list, userId)),
+      sharedWithMe: shared.map((list) => formatList(list, userId)),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/lists
+export const createLeadList = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, description, leadIds = [] } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "List name is required" });
+    }
+    if (!Array.isArray(leadIds) || leadIds.length > MAX_LEADS_PER_LIST) {
+      return res.status(400).json({
+        error: `leadIds must be an array of up to ${MAX_LEADS_PER_LIST} IDs`,
+      });
+    }
+
+    const existing = await LeadList.countDocuments({ userId });
+    if (existing >= MAX_LISTS) {
+      return res
+        .status(400)
+        .json({ error: `You can create up to ${MAX_LISTS} lists` });
+    }
+
+    const accessedIds = await filterAccessedLeadIds(userId, leadIds);
+    const list = await LeadList.create({
+      userId,
+      name: name.trim(),
+      description,
+      leads: accessedIds.map((leadId) => ({ leadId })),
+    });
+
+    res.status(201).json({
+      success: true,
+      list: formatList(list, userId),
+      added: accessedIds.length,
+      skipped: leadIds.length - accessedIds.length,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "You already have a list with this name" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/lists/:id
+export const getLeadListById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    const list = await findViewableList(id, userId)
+      .populate("userId", "name email")
+      .populate("sharedWith.userId", "name email");
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    // Newest additions first
+    const entries = [...list.leads]
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .slice(skip, skip + parseInt(limit));
+    const leads = await Lead.find({
+      _id: { $in: entries.map((entry) => entry.leadId) },
+    }).select("-accessedBy -dedupe -mergedFrom");
+    const leadsById = new Map(leads.map((lead) => [lead._id.toString(), lead]));
+
+    res.json({
+      list: formatList(list, userId),
+      leads: entries
+        .map((entry) => {
+          const lead = leadsById.get(entry.leadId.toString());
+          return lead ? { ...lead.toObject(), addedAt: entry.addedAt } : null;
+        })
+        .filter(Boolean),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(list.leads.length / limit),
+        totalItems: list.leads.length,
+        hasNext: skip + entries.length < list.leads.length,
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/leads/lists/:id
+export const updateLeadList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { name, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    const list = await LeadList.findOne({ _id: id, userId });
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    if (name !== undefined) {
+      if (!name?.trim()) {
+        return res.status(400).json({ error: "List name is required" });
+      }
+      list.name = name.trim();
+    }
+    if (description !== undefined) list.description = description;
+
+    await list.save();
+    res.json({ success: true, list: formatList(list, userId) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "You already have a list with this name" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/lists/:id
+export const deleteLeadList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    const list = await LeadList.findOneAndDelete({ _id: id, userId });
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    res.json({ success: true, message: "Lead list deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/lists/:id/leads
+export const addLeadsToList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { leadIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({ error: "Lead IDs array is required" });
+    }
+
+    const list = await LeadList.findOne({ _id: id, userId });
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    const existingIds = new Set(
+      list.leads.map((entry) => entry.leadId.toString()),
+    );
+    const accessedIds = await filterAccessedLeadIds(userId, leadIds);
+    const newIds = accessedIds.filter(
+      (leadId) => !existingIds.has(leadId.toString()),
+    );
+
+    if (list.leads.length + newIds.length > MAX_LEADS_PER_LIST) {
+      return res.status(400).json({
+        error: `A list can hold up to ${MAX_LEADS_PER_LIST} leads`,
+        currentCount: list.leads.length,
+      });
+    }
+
+    if (newIds.length > 0) {
+      // The $nin guard keeps a concurrent add from inserting the same lead twice
+      const result = await LeadList.updateOne(
+        { _id: list._id, "leads.leadId": { $nin: newIds } },
+        {
+          $push: {
+            leads: {
+              $each: newIds.map((leadId) => ({ leadId, addedAt: new Date() })),
+            },
+          },
+        },
+      );
+      if (result.modifiedCount === 0) {
+        return res
+          .status(409)
+          .json({ error: "The list was changed meanwhile, please retry" });
+      }
+    }
+
+    res.json({
+      success: true,
+      added: newIds.length,
+      alreadyInList: accessedIds.length - newIds.length,
+      notAccessed: leadIds.length - accessedIds.length,
+      leadCount: list.leads.length + newIds.length,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/lists/:id/leads
+export const removeLeadsFromList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { leadIds } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({ error: "Lead IDs array is required" });
+    }
+
+    const validIds = leadIds.filter((leadId) =>
+      mongoose.Types.ObjectId.isValid(leadId),
+    );
+    const list = await LeadList.findOneAndUpdate(
+      { _id: id, userId },
+      { $pull: { leads: { leadId: { $in: validIds } } } },
+      { new: true },
+    );
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    res.json({ success: true, leadCount: list.leads.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/lists/:id/share
+export const shareLeadList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const email = String(req.body.email || "")
+      .trim()
+      .toLowerCase();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    if (!email) {
+      return res.status(400).json({ error: "Teammate email is required" });
+    }
+
+    const list = await LeadList.findOne({ _id: id, userId });
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    const teammate = await User.findOne({ email }).select("name email");
+    if (!teammate) {
+      return res.status(404).json({ error: "No user found with this email" });
+    }
+    if (teammate._id.toString() === userId) {
+      return res
+        .status(400)
+        .json({ error: "You cannot share a list with yourself" });
+    }
+
+    await LeadList.updateOne(
+      { _id: list._id, "sharedWith.userId": { $ne: teammate._id } },
+      { $push: { sharedWith: { userId: teammate._id, sharedAt: new Date() } } },
+    );
+
+    res.json({
+      success: true,
+      message: `List shared with ${teammate.email} (read-only)`,
+      sharedWith: { userId: teammate._id, name: teammate.name, email },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/lists/:id/share/:userId
+export const unshareLeadList = async (req, res) => {
+  try {
+    const { id, userId: teammateId } = req.params;
+    const userId = req.user.userId;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(teammateId)
+    ) {
+      return res.status(400).json({ error: "Invalid list or user ID" });
+    }
+
+    const list = await LeadList.findOneAndUpdate(
+      { _id: id, userId },
+      { $pull: { sharedWith: { userId: teammateId } } },
+      { new: true },
+    );
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    res.json({ success: true, message: "Sharing removed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/lists/:id/export
+export const exportLeadList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid list ID" });
+    }
+
+    // ?format=csv&columns=name,email,phone&dateFormat=locale&locale=en-US
+    const { options, error } = parseExportOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const list = await findViewableList(id, userId);
+    if (!list) {
+      return res.status(404).json({ error: "Lead list not found" });
+    }
+
+    if (list.leads.length === 0) {
+      return res.status(404).json({
+        error: "No leads found to export",
+        message: "This list is empty",
+      });
+    }
+
+    // Exporting a shared list is charged to the user who downloads it
+    const user = await User.findById(userId).select("subscription.planId");
+    const safeName = list.name.replace(/[^a-z0-9_-]+/gi, "_").slice(0, 50);
+    const { required } = await exportChargedLeads(
+      res,
+      user,
+      list.leads.length,
+      iterateLeadRows(
+        Lead,
+        list.leads.map((entry) => ({
+          leadId: entry.leadId,
+          date: entry.addedAt,
+        })),
+      ),
+      options,
+      {
+        filename: `list_${safeName}_${Date.now()}`,
+        dateColumn: "Added To List",
+        sheetName: list.name,
+      },
+    );
+    if (required) {
+      return res.status(403).json({
+        error: "Insufficient tokens",
+        message: `You need ${required} token(s) to export this list`,
+        required,
+      });
+    }
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,345 @@
+import mongoose from "mongoose";
+import { User } from "../../models/index.js";
+import { LEAD_PIPELINE_STAGES } from "../../models/User.js";
+import {
+  CLOSED_PIPELINE_STAGES,
+  formatPipeline,
+  normalizeTags,
+} from "../../utils/leadPipelineUtils.js";
+
+// Find the user's accessedLeads entry for a lead
+const findAccessEntry = async (userId, leadId) => {
+  const user = await User.findById(userId).select("accessedLeads");
+  return user?.accessedLeads?.find(
+    (item) => item.leadId.toString() === leadId,
+  );
+};
+
+// PATCH /api/leads/accessed/:id/pipeline
+export const updateLeadPipeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { stage, nextFollowUpAt, tags } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid lead ID" });
+    }
+
+    const update = {};
+
+    if (stage !== undefined) {
+      if (!LEAD_PIPELINE_STAGES.includes(stage)) {
+        return res.status(400).json({
+          error: "Invalid stage",
+          allowedStages: LEAD_PIPELINE_STAGES,
+        });
+      }
+      update["accessedLeads.$.stage"] = stage;
+      update["accessedLeads.$.stageUpdatedAt"] = new Date();
+    }
+
+    if (nextFollowUpAt !== undefined) {
+      if (nextFollowUpAt === null || nextFollowUpAt === "") {
+        update["accessedLeads.$.nextFollowUpAt"] = null;
+      } else {
+        const followUp = new Date(nextFollowUpAt);
+        if (isNaN(followUp.getTime())) {
+          return res
+            .status(400)
+            .json({ error: "Invalid follow-up date format" });
+        }
+        update["accessedLeads.$.nextFollowUpAt"] = followUp;
+      }
+    }
+
+    if (tags !== undefined) {
+      update["accessedLeads.$.tags"] = normalizeTags(tags);
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        error: "Nothing to update",
+        message: "Provide stage, nextFollowUpAt or tags",
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, "accessedLeads.leadId": id },
+      { $set: update },
+      { new: true, runValidators: true },
+    ).select("accessedLeads");
+
+    if (!user) {
+      return res.status(403).json({
+        error: "Lead not accessed",
+        message: "You need to access this lead first to track it",
+      });
+    }
+
+    const accessItem = user.accessedLeads.find(
+      (item) => item.leadId.toString() === id,
+    );
+
+    res.json({
+      message: "Lead pipeline updated",
+      leadId: id,
+      pipeline: formatPipeline(accessItem),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/accessed/:id/pipeline
+export const resetLeadPipeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid lead ID" });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, "accessedLeads.leadId": id },
+      {
+        $set: {
+          "accessedLeads.$.stage": "new",
+          "accessedLeads.$.stageUpdatedAt": null,
+          "accessedLeads.$.nextFollowUpAt": null,
+          "accessedLeads.$.tags": [],
+          "accessedLeads.$.notes": [],
+        },
+      },
+      { new: true },
+    ).select("accessedLeads");
+
+    if (!user) {
+      return res.status(403).json({
+        error: "Lead not accessed",
+        message: "You need to access this lead first to track it",
+      });
+    }
+
+    const accessItem = user.accessedLeads.find(
+      (item) => item.leadId.toString() === id,
+    );
+
+    res.json({
+      message: "Lead pipeline reset",
+      leadId: id,
+      pipeline: formatPipeline(accessItem),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/accessed/:id/notes
+export const getLeadNotes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const accessItem = await findAccessEntry(req.user.userId, id);
+
+    if (!accessItem) {
+      return res.status(403).json({
+        error: "Lead not accessed",
+        message: "You need to access this lead first to view notes",
+      });
+    }
+
+    res.json({ leadId: id, notes: formatPipeline(accessItem).notes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/accessed/:id/notes
+export const addLeadNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { text } = req.body;
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ error: "Note text is required" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid lead ID" });
+    }
+
+    const now = new Date();
+    const note = {
+      _id: new mongoose.Types.ObjectId(),
+      text: String(text).trim(),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const result = await User.updateOne(
+      { _id: userId, "accessedLeads.leadId": id },
+      {
+        $push: {
+          "accessedLeads.$.notes": { $each: [note], $position: 0 },
+        },
+      },
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(403).json({
+        error: "Lead not accessed",
+        message: "You need to access this lead first to add notes",
+      });
+    }
+
+    res.status(201).json({
+      message: "Note added",
+      note: {
+        id: note._id,
+        text: note.text,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/leads/accessed/:id/notes/:noteId
+export const updateLeadNote = async (req, res) => {
+  try {
+    const { id, noteId } = req.params;
+    const userId = req.user.userId;
+    const { text } = req.body;
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ error: "Note text is required" });
+    }
+
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(noteId)
+    ) {
+      return res.status(400).json({ error: "Invalid lead or note ID" });
+    }
+
+    const result = await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          "accessedLeads.$[lead].notes.$[note].text": String(text).trim(),
+          "accessedLeads.$[lead].notes.$[note].updatedAt": new Date(),
+        },
+      },
+      {
+        arrayFilters: [
+          { "lead.leadId": new mongoose.Types.ObjectId(id) },
+          { "note._id": new mongoose.Types.ObjectId(noteId) },
+        ],
+      },
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    res.json({ message: "Note updated" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/accessed/:id/notes/:noteId
+export const deleteLeadNote = async (req, res) => {
+  try {
+    const { id, noteId } = req.params;
+    const userId = req.user.userId;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(noteId)
+    ) {
+      return res.status(400).json({ error: "Invalid lead or note ID" });
+    }
+
+    const result = await User.updateOne(
+      { _id: userId, "accessedLeads.leadId": id },
+      { $pull: { "accessedLeads.$.notes": { _id: noteId } } },
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    res.json({ message: "Note deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/pipeline/summary
+export const getPipelineSummary = async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(String(req.user.userId));
+    const now = new Date();
+    const endOfToday = new Date(now);
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const [summary] = await User.aggregate([
+      { $match: { _id: userId } },
+      { $unwind: "$accessedLeads" },
+      {
+        $project: {
+          stage: { $ifNull: ["$accessedLeads.stage", "new"] },
+          nextFollowUpAt: "$accessedLeads.nextFollowUpAt",
+        },
+      },
+      {
+        $facet: {
+          byStage: [{ $group: { _id: "$stage", count: { $sum: 1 } } }],
+          overdue: [
+            {
+              $match: {
+                stage: { $nin: CLOSED_PIPELINE_STAGES },
+                nextFollowUpAt: { $ne: null, $lt: now },
+              },
+            },
+            { $count: "count" },
+          ],
+          dueToday: [
+            {
+              $match: {
+                stage: { $nin: CLOSED_PIPELINE_STAGES },
+                nextFollowUpAt: { $gte: now, $lte: endOfToday },
+              },
+            },
+            { $count: "count" },
+          ],
+        },
+      },
+    ]);
+
+    const stageCounts = Object.fromEntries(
+      (summary?.byStage || []).map((item) => [item._id, item.count]),
+    );
+
+    const columns = LEAD_PIPELINE_STAGES.map((stage) => ({
+      stage,
+      count: stageCounts[stage] || 0,
+    }));
+
+    res.json({
+      columns,
+      totalLeads: columns.reduce((sum, column) => sum + column.count, 0),
+      followUps: {
+        overdue: summary?.overdue[0]?.count || 0,
+        dueToday: summary?.dueToday[0]?.count || 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
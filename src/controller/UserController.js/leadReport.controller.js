@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import { Lead, LeadReport, User } from "../../models/index.js";
+import { LEAD_REPORT_REASONS } from "../../models/LeadReport.js";
+import { applyReportThreshold } from "../../services/leadReportService.js";
+import { getTokensSpentOn } from "../../services/tokenLedgerService.js";
+
+// POST /api/leads/accessed/:id/report
+export const reportLeadIssue = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { reason, details } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid lead ID" });
+    }
+
+    if (!LEAD_REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: "Invalid reason",
+        allowedReasons: LEAD_REPORT_REASONS,
+      });
+    }
+
+    if (reason === "other" && !details?.trim()) {
+      return res
+        .status(400)
+        .json({ error: "Please describe the issue for reason 'other'" });
+    }
+
+    // accessedBy is kept for every unlock; accessedLeads drops old plain entries
+    const lead = await Lead.findOne({ _id: id, accessedBy: userId }).select(
+      "name leadId",
+    );
+    if (!lead) {
+      return res.status(403).json({
+        error: "Lead not accessed",
+        message: "You can only report leads you have unlocked",
+      });
+    }
+
+    const user = await User.findById(userId).select("accessedLeads");
+    const accessEntry = user?.accessedLeads?.find(
+      (item) => item.leadId.toString() === id,
+    );
+    // Entries older than per-entry costs (or trimmed from the history) have
+    // no tokensSpent; the ledger has what the unlock was charged
+    const tokensSpent =
+      accessEntry?.tokensSpent ??
+      (await getTokensSpentOn(userId, { kind: "Lead", id: lead._id }));
+
+    let report;
+    try {
+      report = await LeadReport.create({
+        leadId: lead._id,
+        userId,
+        reason,
+        details,
+        tokensSpent,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "You have already reported this lead" });
+      }
+      throw error;
+    }
+
+    const leadDeactivated = await applyReportThreshold(lead._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Report submitted. Tokens are refunded if the report is approved.",
+      report,
+      leadDeactivated,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/leads/reports
+export const getMyLeadReports = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { userId };
+    if (status) query.status = status;
+
+    const [reports, total] = await Promise.all([
+      LeadReport.find(query)
+        .populate("leadId", "leadId name email")
+        .select("-reviewedBy")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LeadReport.countDocuments(query),
+    ]);
+
+    res.json({
+      reports,
+      reasons: LEAD_REPORT_REASONS,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: skip + reports.length < total,
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
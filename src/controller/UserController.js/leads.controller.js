@@ -1,15 +1,156 @@
-import { Lead, User } from "../../models/index.js";
+import { EmailTemplate, Lead, LeadList, User } from "../../models/index.js";
 import EmailFeedback from "../../models/EmailFeedback.js";
-import * as XLSX from "xlsx";
 import {
-  calculateEffectiveTokens,
-  deductTokensWithPriority,
-  cleanExpiredTokens,
-} from "../../utils/tokenUtils.js";
+  calculateTotalTokens,
+  deductTokens,
+  getTokenBreakdown,
+} from "../../services/tokenService.js";
+import { createTransporter } from "../../utils/emailUtils.js";
 import {
-  createTransporter,
-  sendEmailWithRetry,
-} from "../../utils/emailUtils.js";
+  iterateLeadRows,
+  parseExportOptions,
+} from "../../utils/leadExportUtils.js";
+import { exportChargedLeads } from "../../services/leadExportService.js";
+import {
+  createIdentityTransporter,
+  getSendingIdentity,
+  releaseDailySends,
+  reserveDailySends,
+} from "../../services/senderIdentityService.js";
+import {
+  buildLeadEmailQuery,
+  sendLeadEmailBatch,
+} from "../../services/leadEmailService.js";
+import {
+  formatPipeline,
+  isFollowUpOverdue,
+  normalizeTags,
+  parseStageFilter,
+} from "../../utils/leadPipelineUtils.js";
+import { LEAD_PIPELINE_STAGES } from "../../models/User.js";
+import {
+  LEAD_FRESHNESS_LEVELS,
+  buildFreshnessQuery,
+  getLeadFreshness,
+} from "../../utils/leadVerificationUtils.js";
+import {
+  LEAD_SEARCH_SORTS,
+  buildCursorCondition,
+  buildFacetPipeline,
+  buildLeadSearchConditions,
+  decodeSearchCursor,
+  encodeSearchCursor,
+  formatFacetCounts,
+  getSearchSort,
+} from "../../utils/leadSearchUtils.js";
+import {
+  buildAvailableLeadQuery,
+  getLeadAccessPolicy,
+  getLeadAvailability,
+  recordLeadAccess,
+  releaseLeadAccess,
+  reserveLeadAccess,
+} from "../../services/leadAccessService.js";
+import {
+  applyFreeUnlocks,
+  getLeadPrice,
+  getLeadPricing,
+  quoteLeads,
+} from "../../services/leadPricingService.js";
+import {
+  chargeTokenHold,
+  commitTokenHold,
+  releaseTokenHold,
+  reserveTokens,
+} from "../../services/tokenHoldService.js";
+import {
+  claimFreeUses,
+  claimSpend,
+  getFreeUsesLeft,
+  quoteSpend,
+  releaseFreeUses,
+} from "../../services/tokenSpendService.js";
+
+// Lead fields returned once a lead is unlocked
+const formatUnlockedLead = (lead) => ({
+  id: lead._id,
+  leadId: lead.leadId,
+  name: lead.name,
+  email: lead.email,
+  linkedin: lead.linkedin,
+  lastVerifiedAt: lead.lastVerifiedAt,
+  phone: lead.phone,
+  facebookLink: lead.facebookLink,
+  websiteLink: lead.websiteLink,
+  googleMapLink: lead.googleMapLink,
+  instagram: lead.instagram,
+  addressStreet: lead.addressStreet,
+  city: lead.city,
+  country: lead.country,
+  category: lead.category,
+});
+
+// Messages for reserveLeadAccess failure reasons
+const UNAVAILABLE_MESSAGES = {
+  not_found: "Lead not found",
+  exclusive: "This lead was unlocked exclusively by another user",
+  sold_out: "This lead has reached its unlock limit",
+  already_unlocked: "Leads unlocked by other users cannot be bought exclusively",
+  already_exclusive: "You already own this lead exclusively",
+  unavailable: "This lead is not available",
+};
+
+// An email with retries can take a few seconds; the token hold of a bulk
+// send gets this much time per email on top of the default 5 minutes
+const HOLD_SECONDS_PER_EMAIL = 10;
+
+// Per-field statuses only; verifier details stay admin-side
+const formatVerification = (lead) => ({
+  status: lead.verification?.status || "unverified",
+  checkedAt: lead.verification?.checkedAt || null,
+  fields: Object.fromEntries(
+    [...(lead.verification?.fields || new Map())].map(([field, result]) => [
+      field,
+      result.status,
+    ]),
+  ),
+});
+
+// Lead as listed in getLeads/searchLeads (not yet accessed by the user).
+// pricing is { policy, rules } for availability and token prices.
+const formatLockedLead = (lead, pricing) => {
+  const availability = getLeadAvailability(lead, pricing.policy);
+
+  return {
+    id: lead._id,
+    leadId: lead.leadId,
+    name: lead.name,
+    email: lead.email,
+    linkedin: lead.linkedin,
+    lastVerifiedAt: lead.lastVerifiedAt,
+    freshness: getLeadFreshness(lead.lastVerifiedAt),
+    verification: formatVerification(lead),
+    score: lead.score ?? null,
+    phone: lead.phone,
+    facebookLink: lead.facebookLink,
+    websiteLink: lead.websiteLink,
+    googleMapLink: lead.googleMapLink,
+    instagram: lead.instagram,
+    addressStreet: lead.addressStreet,
+    city: lead.city,
+    country: lead.country,
+    category: lead.category,
+    isActive: lead.isActive,
+    createdAt: lead.createdAt,
+    updatedAt: lead.updatedAt,
+    isAccessedByUser: false, // All leads here are locked
+    availability,
+    price: getLeadPrice(lead, pricing).price,
+    exclusivePrice: availability.exclusiveAvailable
+      ? getLeadPrice(lead, pricing, true).price
+      : null,
+  };
+};
 
 // GET /api/auth/leads
 export const getLeads = async (req, res) => {
@@ -23,11 +164,20 @@ export const getLeads = async (req, res) => {
       country,
       startDate,
       endDate,
+      freshness,
     } = req.query;
     const skip = (page - 1) * limit;
 
+    if (freshness && !LEAD_FRESHNESS_LEVELS.includes(freshness)) {
+      return res.status(400).json({
+        error: `Invalid freshness. Use one of: ${LEAD_FRESHNESS_LEVELS.join(", ")}`,
+      });
+    }
+
     // Get user's accessed leads first
-    const user = await User.findById(userId).select("accessedLeads");
+    const user = await User.findById(userId).select(
+      "accessedLeads subscription.planId",
+    );
     const accessedLeadIds =
       user?.accessedLeads?.map((item) => item.leadId.toString()) || [];
 
@@ -63,6 +213,16 @@ export const getLeads = async (req, res) => {
       }
     }
 
+    // Freshness filter (fresh / aging / stale by lastVerifiedAt)
+    if (freshness) {
+      Object.assign(query, buildFreshnessQuery(freshness));
+    }
+
+    // Hide leads that are sold out or owned exclusively
+    const policy = await getLeadAccessPolicy();
+    Object.assign(query, buildAvailableLeadQuery(policy));
+    const pricing = await getLeadPricing(policy, user?.subscription?.planId);
+
     // Sorting logic
     let sortOptions = { uploadSequence: -1, createdAt: -1 };
 
@@ -72,8 +232,16 @@ export const getLeads = async (req, res) => {
       sortOptions = { name: 1 };
     } else if (req.query.sortBy === "name_desc") {
       sortOptions = { name: -1 };
-    } else if (req.query.sortBy === "verified") {
-      sortOptions = { lastVerifiedAt: -1 };
+    } else if (
+      req.query.sortBy === "verified" ||
+      req.query.sortBy === "freshness"
+    ) {
+      sortOptions = { lastVerifiedAt: -1, uploadSequence: -1 };
+    } else if (req.query.sortBy === "stale") {
+      sortOptions = { lastVerifiedAt: 1, uploadSequence: -1 };
+    } else if (req.query.sortBy === "score") {
+      // Unscored leads (null) sort last
+      sortOptions = { score: -1, uploadSequence: -1 };
     } else if (req.query.sortBy === "newest") {
       sortOptions = { createdAt: -1 };
     }
@@ -86,27 +254,7 @@ export const getLeads = async (req, res) => {
     const total = await Lead.countDocuments(query);
 
     res.json({
-      leads: leads.map((lead) => ({
-        id: lead._id,
-        leadId: lead.leadId,
-        name: lead.name,
-        email: lead.email,
-        linkedin: lead.linkedin,
-        lastVerifiedAt: lead.lastVerifiedAt,
-        phone: lead.phone,
-        facebookLink: lead.facebookLink,
-        websiteLink: lead.websiteLink,
-        googleMapLink: lead.googleMapLink,
-        instagram: lead.instagram,
-        addressStreet: lead.addressStreet,
-        city: lead.city,
-        country: lead.country,
-        category: lead.category,
-        isActive: lead.isActive,
-        createdAt: lead.createdAt,
-        updatedAt: lead.updatedAt,
-        isAccessedByUser: false, // All leads here are locked
-      })),
+      leads: leads.map((lead) => formatLockedLead(lead, pricing)),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -120,22 +268,123 @@ export const getLeads = async (req, res) => {
   }
 };
 
+// GET /api/auth/leads/search
+// Free text (q), multi-value facets, has-field toggles and cursor pagination.
+// Cursors hold the sort values of the last lead, so uploads of new leads
+// do not shift later pages.
+export const searchLeads = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { cursor, sortBy = "newest" } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!LEAD_SEARCH_SORTS[sortBy]) {
+      return res.status(400).json({
+        error: "Invalid sortBy",
+        allowedSorts: Object.keys(LEAD_SEARCH_SORTS),
+      });
+    }
+
+    let cursorValues = null;
+    if (cursor) {
+      cursorValues = decodeSearchCursor(cursor, sortBy);
+      if (!cursorValues) {
+        return res.status(400).json({ error: "Invalid or expired cursor" });
+      }
+    }
+
+    const user = await User.findById(userId).select(
+      "accessedLeads subscription.planId",
+    );
+    const accessedLeadIds =
+      user?.accessedLeads?.map((item) => item.leadId) || [];
+
+    const { base, facets } = buildLeadSearchConditions(req.query);
+    // ObjectIds (not strings) since the facet aggregation is not cast
+    base.push({ isActive: true, _id: { $nin: accessedLeadIds } });
+    const policy = await getLeadAccessPolicy();
+    base.push(buildAvailableLeadQuery(policy));
+    const pricing = await getLeadPricing(policy, user?.subscription?.planId);
+
+    const conditions = [...base, ...Object.values(facets)];
+    if (cursorValues) {
+      conditions.push(buildCursorCondition(sortBy, cursorValues));
+    }
+
+    const leads = await Lead.find({ $and: conditions })
+      .sort(getSearchSort(sortBy))
+      .limit(limit + 1);
+
+    const hasNext = leads.length > limit;
+    const page = hasNext ? leads.slice(0, limit) : leads;
+
+    // Facet counts describe the whole result set, so only the first page
+    // computes them unless asked for
+    const includeFacets = req.query.facets
+      ? req.query.facets === "true"
+      : !cursor;
+    let facetCounts = null;
+    if (includeFacets) {
+      const [result] = await Lead.aggregate(buildFacetPipeline(base, facets));
+      facetCounts = formatFacetCounts(result);
+    }
+
+    res.json({
+      leads: page.map((lead) => formatLockedLead(lead, pricing)),
+      ...(facetCounts && {
+        total: facetCounts.total,
+        facets: facetCounts.facets,
+        toggles: facetCounts.toggles,
+      }),
+      pagination: {
+        limit,
+        sortBy,
+        hasNext,
+        nextCursor: hasNext
+          ? encodeSearchCursor(page[page.length - 1], sortBy)
+          : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // POST /api/auth/leads/:id/access
 export const accessLead = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
+    const exclusive =
+      req.body?.exclusive === true || req.body?.exclusive === "true";
 
     const lead = await Lead.findById(id);
     if (!lead || !lead.isActive) {
       return res.status(404).json({ error: "Lead not found" });
     }
 
+    const policy = await getLeadAccessPolicy();
+    if (exclusive && !policy.exclusiveEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Exclusive unlocks are not available" });
+    }
+
     const user = await User.findById(userId).populate("subscription.planId");
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
+    const pricing = await getLeadPricing(
+      policy,
+      user.subscription.planId?._id,
+    );
+    const { price, appliedRules } = getLeadPrice(lead, pricing, exclusive);
+    // The daily free quota covers shared unlocks only
+    const freeLeft = exclusive
+      ? 0
+      : await getFreeUsesLeft(userId, "lead_access", pricing.freePerDay);
+
     // Check if subscription is active
     const now = new Date();
     if (!user.subscription.endDate || user.subscription.endDate < now) {
@@ -145,74 +394,106 @@ export const accessLead = async (req, res) => {
       });
     }
 
-    // Clean expired tokens first
-    await cleanExpiredTokens(user);
-
-    // Check if user has enough effective tokens (daily + prize)
-    const effectiveTokens = calculateEffectiveTokens(user);
-    if (effectiveTokens < 1) {
+    const availableTokens = calculateTotalTokens(user);
+    if (freeLeft === 0 && availableTokens < price) {
       return res.status(403).json({
         error: "Insufficient tokens",
-        message: "You need 1 token to access this lead",
-        availableTokens: effectiveTokens,
+        message: `You need ${price} token(s) to access this lead`,
+        availableTokens,
       });
     }
 
-    // Deduct 1 token using priority system (daily first, then prize)
-    const deductionResult = await deductTokensWithPriority(user._id, 1);
-    if (!deductionResult.success) {
-      return res.status(500).json({
-        error: "Token deduction failed",
-        message: "Error processing token deduction",
+    // Claim an unlock slot atomically before charging, so concurrent
+    // unlocks cannot go over the lead's cap
+    const reservation = await reserveLeadAccess(lead._id, userId, {
+      policy,
+      exclusive,
+    });
+    if (reservation.reason) {
+      return res.status(409).json({
+        error: "Lead not available",
+        reason: reservation.reason,
+        message: UNAVAILABLE_MESSAGES[reservation.reason],
       });
     }
 
-    // Add to accessed leads history
-    if (!user.accessedLeads) {
-      user.accessedLeads = [];
-    }
-    user.accessedLeads.unshift({
-      leadId: lead._id,
-      accessedAt: new Date(),
-    });
-
-    // Keep only last 100 accessed leads
-    if (user.accessedLeads.length > 100) {
-      user.accessedLeads = user.accessedLeads.slice(0, 100);
+    // The user already held a slot (a parallel request, or an entry gone
+    // from the history): nothing new was bought, so nothing is charged.
+    // Making a shared unlock exclusive is still a purchase.
+    const upgraded = exclusive && !reservation.lead.exclusiveTo;
+    if (!reservation.claimed && !upgraded) {
+      await recordLeadAccess(user._id, [
+        { leadId: lead._id, accessedAt: now, tokensSpent: null },
+      ]);
+      const current = getTokenBreakdown(user);
+      return res.json({
+        message: "Lead already accessed",
+        alreadyAccessed: true,
+        exclusive: Boolean(reservation.lead.exclusiveTo),
+        tokensSpent: 0,
+        freeUnlock: false,
+        appliedRules: [],
+        lead: formatUnlockedLead(lead),
+        tokensRemaining: current.total,
+        tokenBreakdown: {
+          dailyTokens: current.daily.current,
+          purchasedTokens: current.purchased.current,
+          bonusTokens: current.bonus.current,
+          prizeTokens: current.prize.current,
+        },
+        deductedFrom: { daily: 0, purchased: 0, bonus: 0, prize: 0 },
+      });
     }
 
-    // Add user to lead's accessedBy array
-    if (!lead.accessedBy.includes(userId)) {
-      lead.accessedBy.push(userId);
-      await lead.save();
+    // Use a free unlock if one is left, otherwise deduct tokens (daily →
+    // purchased → bonus → prize); give the slot back if that fails
+    const freeUnlock =
+      freeLeft > 0 &&
+      (await claimFreeUses(userId, "lead_access", pricing.freePerDay)) > 0;
+    const tokensSpent = freeUnlock ? 0 : price;
+    let remaining = getTokenBreakdown(user);
+    let deductedFrom = { daily: 0, purchased: 0, bonus: 0, prize: 0 };
+    if (tokensSpent > 0) {
+      try {
+        const deductionResult = await deductTokens(
+          user._id,
+          price,
+          exclusive ? "lead_access_exclusive" : "lead_access",
+          { reference: { kind: "Lead", id: lead._id } },
+        );
+        remaining = deductionResult.remaining;
+        deductedFrom = deductionResult.breakdown;
+      } catch (error) {
+        await releaseLeadAccess(reservation, userId, exclusive);
+        if (error.message.startsWith("Insufficient tokens")) {
+          return res.status(403).json({ error: error.message });
+        }
+        throw error;
+      }
     }
 
-    await user.save();
+    // Add to accessed leads history
+    await recordLeadAccess(user._id, [
+      { leadId: lead._id, accessedAt: new Date(), tokensSpent },
+    ]);
 
     res.json({
-      message: "Lead access granted",
-      lead: {
-        id: lead._id,
-        leadId: lead.leadId,
-        name: lead.name,
-        email: lead.email,
-        linkedin: lead.linkedin,
-        lastVerifiedAt: lead.lastVerifiedAt,
-        phone: lead.phone,
-        facebookLink: lead.facebookLink,
-        websiteLink: lead.websiteLink,
-        googleMapLink: lead.googleMapLink,
-        instagram: lead.instagram,
-        addressStreet: lead.addressStreet,
-        city: lead.city,
-        country: lead.country,
-        category: lead.category,
-      },
-      tokensRemaining: deductionResult.totalRemaining,
+      message: exclusive
+        ? "Exclusive lead access granted"
+        : "Lead access granted",
+      exclusive,
+      tokensSpent,
+      freeUnlock,
+      appliedRules,
+      lead: formatUnlockedLead(lead),
+      tokensRemaining: remaining.total,
       tokenBreakdown: {
-        dailyTokens: deductionResult.remainingDaily,
-        prizeTokens: deductionResult.remainingTemporary,
+        dailyTokens: remaining.daily.current,
+        purchasedTokens: remaining.purchased.current,
+        bonusTokens: remaining.bonus.current,
+        prizeTokens: remaining.prize.current,
       },
+      deductedFrom,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -263,6 +544,7 @@ export const getAccessedLeadById = async (req, res) => {
       createdAt: lead.createdAt,
       updatedAt: lead.updatedAt,
       accessedAt: accessedLead.accessedAt,
+      pipeline: formatPipeline(accessedLead),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -274,11 +556,20 @@ export const bulkAccessLeads = async (req, res) => {
   try {
     const { leadIds } = req.body;
     const userId = req.user.userId;
+    const exclusive =
+      req.body.exclusive === true || req.body.exclusive === "true";
 
     if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
       return res.status(400).json({ error: "Lead IDs array is required" });
     }
 
+    const policy = await getLeadAccessPolicy();
+    if (exclusive && !policy.exclusiveEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Exclusive unlocks are not available" });
+    }
+
     // Limit to maximum 100 leads per request
     if (leadIds.length > 100) {
       return res.status(400).json({
@@ -322,80 +613,204 @@ export const bulkAccessLeads = async (req, res) => {
     const newLeads = leads.filter(
       (lead) => !accessedLeadIds.includes(lead._id.toString()),
     );
-    const tokensRequired = newLeads.length;
 
-    if (tokensRequired === 0) {
+    if (newLeads.length === 0) {
       return res.status(400).json({
         error: "All requested leads already accessed",
         alreadyAccessed: leads.length,
       });
     }
 
-    // Clean expired tokens first
-    await cleanExpiredTokens(user);
+    // Price every lead with the current rules; the first leads use up the
+    // user's free daily unlocks (shared unlocks only)
+    const pricing = await getLeadPricing(
+      policy,
+      user.subscription.planId?._id,
+    );
+    let quote = quoteLeads(newLeads, pricing, exclusive);
+    if (!exclusive) {
+      quote = applyFreeUnlocks(
+        quote,
+        await getFreeUsesLeft(userId, "lead_access", pricing.freePerDay),
+      );
+    }
+    const availableTokens = calculateTotalTokens(user);
 
-    // Check if user has enough effective tokens (daily + prize)
-    const effectiveTokens = calculateEffectiveTokens(user);
-    if (effectiveTokens < tokensRequired) {
-      return res.status(403).json({
-        error: "Insufficient tokens",
-        required: tokensRequired,
-        available: effectiveTokens,
-        message: `You need ${tokensRequired} tokens to access these leads`,
+    // Without confirm the request only returns the quote
+    if (req.body.confirm !== true && req.body.confirm !== "true") {
+      return res.json({
+        requiresConfirmation: true,
+        exclusive,
+        quote,
+        availableTokens,
+        alreadyAccessed: leads.length - newLeads.length,
       });
     }
 
-    // Deduct tokens using priority system (daily first, then prize)
-    const deductionResult = await deductTokensWithPriority(
-      user._id,
-      tokensRequired,
-    );
-    if (!deductionResult.success) {
-      return res.status(500).json({
-        error: "Token deduction failed",
-        message: "Error processing token deduction",
+    // Prices changed since the user saw the quote
+    if (
+      req.body.expectedTotal !== undefined &&
+      Number(req.body.expectedTotal) !== quote.total
+    ) {
+      return res.status(409).json({
+        error: "Prices changed, please review the new quote",
+        quote,
       });
     }
 
-    // Add to accessed leads history
-    if (!user.accessedLeads) {
-      user.accessedLeads = [];
+    // Claim the quoted free unlocks before holding tokens
+    const freeClaimed = await claimFreeUses(
+      userId,
+      "lead_access",
+      pricing.freePerDay,
+      quote.free || 0,
+    );
+    if (freeClaimed < (quote.free || 0)) {
+      await releaseFreeUses(userId, "lead_access", freeClaimed);
+      return res.status(409).json({
+        error: "Free unlocks changed, please review the new quote",
+      });
     }
 
-    const accessTime = new Date();
-    const newAccessEntries = newLeads.map((lead) => ({
-      leadId: lead._id,
-      accessedAt: accessTime,
-    }));
-
-    user.accessedLeads.unshift(...newAccessEntries);
+    if (availableTokens < quote.total) {
+      await releaseFreeUses(userId, "lead_access", freeClaimed);
+      return res.status(403).json({
+        error: "Insufficient tokens",
+        required: quote.total,
+        available: availableTokens,
+        message: `You need ${quote.total} tokens to access these leads`,
+      });
+    }
 
-    // Keep only last 100 accessed leads
-    if (user.accessedLeads.length > 100) {
-      user.accessedLeads = user.accessedLeads.slice(0, 100);
+    // Hold the quoted tokens while the unlocks run; anything not committed
+    // goes back to the user, and the hold expires if this request dies
+    const reason = exclusive ? "lead_access_exclusive" : "lead_access";
+    let hold = null;
+    try {
+      if (quote.total > 0) {
+        hold = await reserveTokens(user._id, quote.total, {
+          reason,
+          metadata: { leadIds: newLeads.map((lead) => lead._id) },
+        });
+      }
+    } catch (error) {
+      await releaseFreeUses(userId, "lead_access", freeClaimed);
+      if (error.message.startsWith("Insufficient tokens")) {
+        return res.status(403).json({ error: error.message });
+      }
+      throw error;
     }
 
-    // Batch update leads' accessedBy arrays for better performance
-    const leadsToUpdate = newLeads.filter(
-      (lead) => !lead.accessedBy.includes(userId),
+    // Claim unlock slots one lead at a time; leads that are sold out or
+    // exclusive are skipped and not charged
+    const priceById = new Map(
+      quote.items.map((item) => [item.id.toString(), item.price]),
+    );
+    const freeIds = new Set(
+      quote.items.filter((item) => item.free).map((item) => item.id.toString()),
     );
+    const quotedIds = new Set(
+      quote.items
+        .filter((item) => item.available)
+        .map((item) => item.id.toString()),
+    );
+    const reservations = [];
+    const unavailable = [];
+    let deductionResult = null;
+    let freeUnlocks = 0;
+    let boughtIds = new Set();
+    try {
+      for (const lead of newLeads) {
+        // Leads the quote left out are not in the hold either
+        if (!quotedIds.has(lead._id.toString())) {
+          unavailable.push({
+            id: lead._id,
+            leadId: lead.leadId,
+            reason: "unavailable",
+          });
+          continue;
+        }
+
+        const reservation = await reserveLeadAccess(lead._id, userId, {
+          policy,
+          exclusive,
+        });
+        if (reservation.reason) {
+          unavailable.push({
+            id: lead._id,
+            leadId: lead.leadId,
+            reason: reservation.reason,
+          });
+        } else {
+          reservations.push(reservation);
+        }
+      }
 
-    if (leadsToUpdate.length > 0) {
-      await Lead.bulkWrite(
-        leadsToUpdate.map((lead) => ({
-          updateOne: {
-            filter: { _id: lead._id },
-            update: { $addToSet: { accessedBy: userId } },
+      // Commit only what was unlocked; the rest of the hold and unused
+      // free unlocks are released. Leads a parallel request already
+      // unlocked for the user are not charged again.
+      const bought = reservations.filter(
+        (reservation) =>
+          reservation.claimed || (exclusive && !reservation.lead.exclusiveTo),
+      );
+      const tokensUnlocked = bought.reduce(
+        (sum, reservation) =>
+          sum + priceById.get(reservation.lead._id.toString()),
+        0,
+      );
+      if (hold) {
+        deductionResult = await commitTokenHold(hold._id, tokensUnlocked, {
+          metadata: {
+            leadIds: bought.map((reservation) => reservation.lead._id),
           },
-        })),
+        });
+      }
+      freeUnlocks = bought.filter((reservation) =>
+        freeIds.has(reservation.lead._id.toString()),
+      ).length;
+      boughtIds = new Set(
+        bought.map((reservation) => reservation.lead._id.toString()),
+      );
+    } catch (error) {
+      // Give the slots, the tokens and the free unlocks back
+      await Promise.all(
+        reservations.map((reservation) =>
+          releaseLeadAccess(reservation, userId, exclusive),
+        ),
       );
+      if (hold) await releaseTokenHold(hold._id);
+      await releaseFreeUses(userId, "lead_access", freeClaimed);
+      throw error;
     }
+    await releaseFreeUses(userId, "lead_access", freeClaimed - freeUnlocks);
 
-    await user.save();
+    if (reservations.length === 0) {
+      return res.status(409).json({
+        error: "None of the requested leads are available",
+        unavailable,
+      });
+    }
+    const accessed = reservations.map((reservation) => reservation.lead);
+    const tokensRequired = deductionResult?.hold.committedAmount ?? 0;
+    const remaining = deductionResult?.remaining ?? getTokenBreakdown(user);
+
+    // Add to accessed leads history
+    const accessTime = new Date();
+    await recordLeadAccess(
+      user._id,
+      accessed.map((lead) => ({
+        leadId: lead._id,
+        accessedAt: accessTime,
+        tokensSpent: boughtIds.has(lead._id.toString())
+          ? priceById.get(lead._id.toString())
+          : null,
+      })),
+    );
 
     res.json({
-      message: `Successfully accessed ${tokensRequired} leads`,
-      accessedLeads: newLeads.map((lead) => ({
+      message: `Successfully accessed ${accessed.length} leads`,
+      exclusive,
+      accessedLeads: accessed.map((lead) => ({
         id: lead._id,
         leadId: lead.leadId,
         name: lead.name,
@@ -411,14 +826,27 @@ export const bulkAccessLeads = async (req, res) => {
         city: lead.city,
         country: lead.country,
         category: lead.category,
+        tokensSpent: boughtIds.has(lead._id.toString())
+          ? priceById.get(lead._id.toString())
+          : 0,
       })),
       tokensUsed: tokensRequired,
-      tokensRemaining: deductionResult.totalRemaining,
+      freeUnlocks,
+      tokensRemaining: remaining.total,
       tokenBreakdown: {
-        dailyTokens: deductionResult.remainingDaily,
-        prizeTokens: deductionResult.remainingTemporary,
+        dailyTokens: remaining.daily.current,
+        purchasedTokens: remaining.purchased.current,
+        bonusTokens: remaining.bonus.current,
+        prizeTokens: remaining.prize.current,
+      },
+      deductedFrom: deductionResult?.breakdown ?? {
+        daily: 0,
+        purchased: 0,
+        bonus: 0,
+        prize: 0,
       },
       alreadyAccessed: leads.length - newLeads.length,
+      unavailable,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -439,9 +867,17 @@ export const getAccessedLeads = async (req, res) => {
       search,
       startDate,
       endDate,
+      stage,
+      tag,
+      followUpFrom,
+      followUpTo,
+      overdue,
       sortBy = "latest", // default sort
     } = req.query;
 
+    const { stages, error: stageError } = parseStageFilter(stage);
+    if (stageError) return res.status(400).json({ error: stageError });
+
     const user = await User.findById(userId).select("accessedLeads");
     if (!user || !user.accessedLeads) {
       return res.json({
@@ -469,7 +905,41 @@ export const getAccessedLeads = async (req, res) => {
       });
     }
 
-    // 2. Get all lead IDs from the (potentially date-filtered) list
+    // Filter by pipeline stage, tag and follow-up date
+    if (stages.length > 0) {
+      filteredAccessList = filteredAccessList.filter((item) =>
+        stages.includes(item.stage || "new"),
+      );
+    }
+
+    if (tag) {
+      const tags = normalizeTags(tag);
+      filteredAccessList = filteredAccessList.filter((item) =>
+        tags.every((t) => item.tags?.includes(t)),
+      );
+    }
+
+    if (followUpFrom || followUpTo) {
+      const from = followUpFrom ? new Date(followUpFrom) : null;
+      const to = followUpTo ? new Date(followUpTo) : null;
+      if (from) from.setHours(0, 0, 0, 0);
+      if (to) to.setHours(23, 59, 59, 999);
+
+      filteredAccessList = filteredAccessList.filter((item) => {
+        if (!item.nextFollowUpAt) return false;
+        const followUp = new Date(item.nextFollowUpAt);
+        return (!from || followUp >= from) && (!to || followUp <= to);
+      });
+    }
+
+    if (overdue === "true") {
+      const now = new Date();
+      filteredAccessList = filteredAccessList.filter((item) =>
+        isFollowUpOverdue(item, now),
+      );
+    }
+
+    // 2. Get all lead IDs from the (potentially filtered) list
     const accessedLeadIds = filteredAccessList.map((item) => item.leadId);
 
     // 3. Build query for Leads (Search + Property Filters)
@@ -537,12 +1007,32 @@ export const getAccessedLeads = async (req, res) => {
           createdAt: leadDetails.createdAt,
           updatedAt: leadDetails.updatedAt,
           isAccessedByUser: true,
+          pipeline: formatPipeline(accessItem),
         };
       })
       .filter((item) => item !== null);
 
     // Sort the combined list
-    if (sortBy === "default") {
+    if (sortBy === "follow_up") {
+      // Soonest follow-up first, leads without a follow-up last
+      combinedLeads.sort((a, b) => {
+        const dateA = a.pipeline.nextFollowUpAt
+          ? new Date(a.pipeline.nextFollowUpAt).getTime()
+          : Infinity;
+        const dateB = b.pipeline.nextFollowUpAt
+          ? new Date(b.pipeline.nextFollowUpAt).getTime()
+          : Infinity;
+        return dateA - dateB;
+      });
+    } else if (sortBy === "stage") {
+      // Pipeline order, latest accessed first within a stage
+      combinedLeads.sort(
+        (a, b) =>
+          LEAD_PIPELINE_STAGES.indexOf(a.pipeline.stage) -
+            LEAD_PIPELINE_STAGES.indexOf(b.pipeline.stage) ||
+          new Date(b.accessedAt).getTime() - new Date(a.accessedAt).getTime(),
+      );
+    } else if (sortBy === "default") {
       combinedLeads.sort((a, b) => {
         const dateA = a.lastVerifiedAt
           ? new Date(a.lastVerifiedAt).getTime()
@@ -592,12 +1082,19 @@ export const exportLeadData = async (req, res) => {
     const { leadId } = req.body;
     const userId = req.user.userId;
 
-    const lead = await Lead.findById(leadId);
+    const { options, error } = parseExportOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const lead = await Lead.findById(leadId).lean();
     if (!lead || !lead.isActive) {
       return res.status(404).json({ error: "Lead not found" });
     }
 
-    const user = await User.findById(userId).select("accessedLeads");
+    const user = await User.findById(userId).select(
+      "accessedLeads subscription.planId",
+    );
     const accessedLead = user?.accessedLeads?.find(
       (item) => item.leadId.toString() === leadId,
     );
@@ -609,49 +1106,23 @@ export const exportLeadData = async (req, res) => {
       });
     }
 
-    // Format date as DD/MM/YYYY
-    const formatDate = (dateString) => {
-      if (!dateString) return "N/A";
-      const date = new Date(dateString);
-      const day = date.getDate().toString().padStart(2, "0");
-      const month = (date.getMonth() + 1).toString().padStart(2, "0");
-      const year = date.getFullYear();
-      return `${day}/${month}/${year}`;
-    };
-
-    const leadData = {
-      "Lead ID": lead.leadId,
-      Name: lead.name,
-      Email: lead.email,
-      Phone: lead.phone || "N/A",
-      Category: lead.category || "N/A",
-      City: lead.city || "N/A",
-      Country: lead.country || "N/A",
-      Address: lead.addressStreet || "N/A",
-      Website: lead.websiteLink || "N/A",
-      LinkedIn: lead.linkedin || "N/A",
-      Facebook: lead.facebookLink || "N/A",
-      Instagram: lead.instagram || "N/A",
-      "Google Maps": lead.googleMapLink || "N/A",
-      "Last Verified": formatDate(lead.lastVerifiedAt),
-      "Accessed Date": formatDate(accessedLead.accessedAt),
-    };
-
-    const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.json_to_sheet([leadData]);
-    XLSX.utils.book_append_sheet(wb, ws, "Lead Data");
-
-    const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
-
-    const filename = `lead_${lead.leadId}_${Date.now()}.xlsx`;
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    const { required } = await exportChargedLeads(
+      res,
+      user,
+      1,
+      [{ lead, date: accessedLead.accessedAt }],
+      options,
+      { filename: `lead_${lead.leadId}_${Date.now()}`, sheetName: "Lead Data" },
     );
-
-    res.send(buffer);
+    if (required) {
+      return res.status(403).json({
+        error: "Insufficient tokens",
+        message: `You need ${required} token(s) to export this lead`,
+        required,
+      });
+    }
   } catch (error) {
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -666,6 +1137,12 @@ export const bulkExportLeads = async (req, res) => {
       return res.status(400).json({ error: "Filters object is required" });
     }
 
+    // format, columns, dateFormat, locale, timeZone
+    const { options, error } = parseExportOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const {
       exportAll,
       page,
@@ -681,7 +1158,9 @@ export const bulkExportLeads = async (req, res) => {
       endDate,
     } = filters;
 
-    const user = await User.findById(userId).select("accessedLeads");
+    const user = await User.findById(userId).select(
+      "accessedLeads subscription.planId",
+    );
     if (!user || !user.accessedLeads || user.accessedLeads.length === 0) {
       return res.status(404).json({
         error: "No accessed leads found",
@@ -689,16 +1168,6 @@ export const bulkExportLeads = async (req, res) => {
       });
     }
 
-    // Format date as DD/MM/YYYY
-    const formatDate = (dateString) => {
-      if (!dateString) return "N/A";
-      const date = new Date(dateString);
-      const day = date.getDate().toString().padStart(2, "0");
-      const month = (date.getMonth() + 1).toString().padStart(2, "0");
-      const year = date.getFullYear();
-      return `${day}/${month}/${year}`;
-    };
-
     // 1. Filter accessedLeads by Access Date if provided
     let filteredAccessList = user.accessedLeads;
     if (date) {
@@ -749,23 +1218,20 @@ export const bulkExportLeads = async (req, res) => {
       }
     }
 
-    // 4. Fetch matching leads
-    const matchingLeads = await Lead.find(leadQuery);
+    // 4. Fetch matching lead IDs; details are loaded in batches while exporting
+    const matchingIds = new Set(
+      (await Lead.find(leadQuery).select("_id").lean()).map((l) =>
+        l._id.toString(),
+      ),
+    );
 
-    // 5. Combine Access Info with Lead Details & Maintain Access Order
+    // 5. Keep the access order
     const combinedLeads = filteredAccessList
-      .map((accessItem) => {
-        const leadDetails = matchingLeads.find(
-          (l) => l._id.toString() === accessItem.leadId.toString(),
-        );
-        if (!leadDetails) return null;
-
-        return {
-          lead: leadDetails,
-          accessedAt: accessItem.accessedAt,
-        };
-      })
-      .filter((item) => item !== null);
+      .filter((accessItem) => matchingIds.has(accessItem.leadId.toString()))
+      .map((accessItem) => ({
+        leadId: accessItem.leadId,
+        date: accessItem.accessedAt,
+      }));
 
     // 6. Apply pagination based on export type
     let leadsToExport = [];
@@ -795,43 +1261,24 @@ export const bulkExportLeads = async (req, res) => {
       });
     }
 
-    // 7. Format data for Excel export
-    const leadsData = leadsToExport.map(({ lead, accessedAt }) => {
-      return {
-        "Lead ID": lead.leadId,
-        Name: lead.name,
-        Email: lead.email,
-        Phone: lead.phone || "N/A",
-        Category: lead.category || "N/A",
-        City: lead.city || "N/A",
-        Country: lead.country || "N/A",
-        Address: lead.addressStreet || "N/A",
-        Website: lead.websiteLink || "N/A",
-        LinkedIn: lead.linkedin || "N/A",
-        Facebook: lead.facebookLink || "N/A",
-        Instagram: lead.instagram || "N/A",
-        "Google Maps": lead.googleMapLink || "N/A",
-        "Last Verified": formatDate(lead.lastVerifiedAt),
-        "Accessed Date": formatDate(accessedAt),
-      };
-    });
-
-    const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.json_to_sheet(leadsData);
-    XLSX.utils.book_append_sheet(wb, ws, "Leads Data");
-
-    const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
-
-    const filename = `leads_export_${Date.now()}.xlsx`;
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    // 7. Write the export, charging lead_export per row
+    const { required } = await exportChargedLeads(
+      res,
+      user,
+      leadsToExport.length,
+      iterateLeadRows(Lead, leadsToExport),
+      options,
     );
-
-    res.send(buffer);
+    if (required) {
+      return res.status(403).json({
+        error: "Insufficient tokens",
+        message: `You need ${required} token(s) to export these leads`,
+        required,
+      });
+    }
   } catch (error) {
     console.error("Bulk export error:", error);
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -846,16 +1293,19 @@ export const sendBulkEmail = async (req, res) => {
     });
 
     const {
-      subject,
-      message,
       type,
       category,
       city,
       country,
       leadIds,
+      listId,
       cc,
       bcc,
+      templateId,
+      templateVersion,
+      senderIdentityId,
     } = req.body;
+    let { subject, message } = req.body;
     const userId = req.user?.userId;
 
     // Validation
@@ -864,14 +1314,30 @@ export const sendBulkEmail = async (req, res) => {
       return res.status(401).json({ error: "User not authenticated" });
     }
 
+    // A saved template replaces the raw subject/message
+    let template = null;
+    let templateContent = null;
+    if (templateId) {
+      template = await EmailTemplate.findOne({ _id: templateId, userId });
+      templateContent = template?.getVersion(templateVersion);
+      if (!templateContent) {
+        console.log("❌ Template not found:", templateId);
+        return res.status(404).json({ error: "Template not found" });
+      }
+      subject = templateContent.subject;
+      message = templateContent.message;
+    }
+
     if (!subject || !message || !type) {
       console.log("❌ Validation failed: Missing required fields");
-      return res
-        .status(400)
-        .json({ error: "Subject, message, and type are required" });
+      return res.status(400).json({
+        error: "Subject, message (or templateId), and type are required",
+      });
     }
 
-    const user = await User.findById(userId).select("accessedLeads name email");
+    const user = await User.findById(userId).select(
+      "accessedLeads name email subscription.planId",
+    );
     if (!user) {
       console.log("❌ User not found:", userId);
       return res.status(404).json({ error: "User not found" });
@@ -888,23 +1354,29 @@ export const sendBulkEmail = async (req, res) => {
       return res.status(400).json({ error: "No accessed leads found" });
     }
 
-    // Build query based on type
-    let query = { _id: { $in: accessedLeadIds }, isActive: true };
-    let filterCriteria = {};
+    // A lead list the user owns or that was shared with them
+    let list = null;
+    if (type === "list") {
+      list = listId
+        ? await LeadList.findOne({
+            _id: listId,
+            $or: [{ userId }, { "sharedWith.userId": userId }],
+          }).select("name leads")
+        : null;
+      if (!list) {
+        console.log("❌ Lead list not found:", listId);
+        return res.status(404).json({ error: "Lead list not found" });
+      }
+    }
 
-    if (type === "category" && category) {
-      query.category = category;
-      filterCriteria.category = category;
-    } else if (type === "city" && city) {
-      query.city = city;
-      filterCriteria.city = city;
-    } else if (type === "country" && country) {
-      query.country = country;
-      filterCriteria.country = country;
-    } else if (type === "selected" && leadIds && leadIds.length > 0) {
-      const validLeadIds = leadIds.filter((id) => accessedLeadIds.includes(id));
-      query._id = { $in: validLeadIds };
-      console.log("🎯 Selected leads:", validLeadIds.length);
+    // Build query based on type
+    const { query, filterCriteria } = buildLeadEmailQuery(
+      type,
+      { category, city, country, leadIds, list, userId },
+      accessedLeadIds,
+    );
+    if (type === "selected") {
+      console.log("🎯 Selected leads:", query._id.$in.length);
     }
 
     console.log("🔍 Query:", query);
@@ -918,13 +1390,43 @@ export const sendBulkEmail = async (req, res) => {
         .json({ error: "No leads found matching criteria" });
     }
 
+    // Send from the user's own mailbox when they have a sender identity
+    const identity = await getSendingIdentity(userId, senderIdentityId);
+    if (senderIdentityId && !identity) {
+      console.log("❌ Sender identity not found:", senderIdentityId);
+      return res.status(404).json({ error: "Sender identity not found" });
+    }
+    if (identity && identity.verificationStatus !== "verified") {
+      console.log("❌ Sender identity not verified:", identity.fromEmail);
+      return res.status(400).json({
+        error: `Sender identity ${identity.fromEmail} must be verified before sending`,
+      });
+    }
+    if (identity) {
+      const { reserved, remaining } = await reserveDailySends(
+        identity._id,
+        leads.length,
+      );
+      if (!reserved) {
+        console.log("❌ Daily send cap reached for:", identity.fromEmail);
+        return res.status(429).json({
+          error: `Daily sending limit reached for ${identity.fromEmail}. ${remaining} emails left today.`,
+          remainingToday: remaining,
+          requested: leads.length,
+        });
+      }
+    }
+
     // Create transporter
     console.log("📮 Creating email transporter...");
     let transporter;
     try {
-      transporter = createTransporter();
+      transporter = identity
+        ? createIdentityTransporter(identity)
+        : createTransporter();
       if (!transporter) {
         console.log("❌ Email transporter creation failed");
+        if (identity) await releaseDailySends(identity._id, leads.length);
         return res
           .status(500)
           .json({ error: "Email service configuration error" });
@@ -932,127 +1434,99 @@ export const sendBulkEmail = async (req, res) => {
       console.log("✅ Email transporter created successfully");
     } catch (transporterError) {
       console.error("❌ Transporter creation error:", transporterError);
+      if (identity) await releaseDailySends(identity._id, leads.length);
       return res
         .status(500)
         .json({ error: "Email service initialization failed" });
     }
 
-    const recipients = [];
-    let successCount = 0;
-    let failedCount = 0;
-
-    // Send emails
-    console.log("📤 Starting to send emails...");
-    for (const lead of leads) {
+    // Hold the email_send cost of every lead (after free emails); only
+    // emails that go out are charged
+    const spend = await claimSpend(
+      await quoteSpend("email_send", user, leads.length),
+      userId,
+    );
+    let hold = null;
+    if (spend.tokens > 0) {
       try {
-        console.log(`📧 Sending email to: ${lead.email}`);
-
-        const mailOptions = {
-          from: `"${user.name}" <${process.env.EMAIL_USER}>`,
-          to: lead.email,
-          subject: subject,
-          cc: cc || undefined,
-          bcc: bcc || undefined,
-          html: `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-              <meta charset="utf-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-              <meta http-equiv="X-UA-Compatible" content="IE=edge">
-              <title>${subject}</title>
-              <style>
-                @media only screen and (max-width: 600px) {
-                  .container { width: 100% !important; padding: 10px !important; }
-                  .content { padding: 20px !important; }
-                }
-              </style>
-            </head>
-            <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f8fafc;">
-              <div class="container" style="max-width: 600px; margin: 0 auto; padding: 20px;">
-                <div class="content" style="background: white; padding: 40px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); border: 1px solid #e2e8f0;">
-                  <div style="text-align: center; margin-bottom: 30px;">
-                    <h1 style="color: #1e293b; font-size: 24px; font-weight: 600; margin: 0; padding: 0;">ClientSure</h1>
-                    <div style="width: 50px; height: 3px; background: linear-gradient(90deg, #3b82f6, #1d4ed8); margin: 10px auto; border-radius: 2px;"></div>
-                  </div>
-                  
-                  <div style="margin-bottom: 25px;">
-                    <h2 style="color: #1e293b; font-size: 20px; font-weight: 500; margin: 0 0 15px 0;">Hello ${
-                      lead.name
-                    },</h2>
-                  </div>
-                  
-                  <div style="margin: 25px 0; font-size: 16px; line-height: 1.7; color: #374151;">
-                    ${message}
-                  </div>
-                  
-                  <div style="margin-top: 40px; padding-top: 25px; border-top: 2px solid #f1f5f9;">
-                    <div style="background: #f8fafc; padding: 20px; border-radius: 8px; border-left: 4px solid #3b82f6;">
-                      <p style="margin: 0; font-size: 14px; color: #64748b; line-height: 1.5;">
-                        <strong style="color: #1e293b;">Best regards,</strong><br>
-                        ${user.name}<br>
-                        <span style="color: #3b82f6;">via ClientSure Platform</span>
-                      </p>
-                    </div>
-                  </div>
-                  
-                  <div style="margin-top: 30px; text-align: center; padding-top: 20px; border-top: 1px solid #e2e8f0;">
-                    <p style="margin: 0; font-size: 12px; color: #94a3b8; line-height: 1.4;">
-                      This email was sent via <strong>ClientSure</strong> - Professional Lead Management Platform<br>
-                      © ${new Date().getFullYear()} ClientSure. All rights reserved.
-                    </p>
-                  </div>
-                </div>
-              </div>
-            </body>
-            </html>
-          `,
-        };
-
-        await sendEmailWithRetry(transporter, mailOptions, 2);
-        console.log(`✅ Email sent successfully to: ${lead.email}`);
-
-        recipients.push({
-          leadId: lead._id,
-          email: lead.email,
-          name: lead.name,
-          status: "sent",
+        hold = await reserveTokens(userId, spend.tokens, {
+          reason: "email_send",
+          holdSeconds: 5 * 60 + leads.length * HOLD_SECONDS_PER_EMAIL,
+          metadata: { emails: leads.length },
         });
-        successCount++;
       } catch (error) {
-        console.error(
-          `❌ Failed to send email to ${lead.email}:`,
-          error.message,
-        );
-        recipients.push({
-          leadId: lead._id,
-          email: lead.email,
-          name: lead.name,
-          status: "failed",
-          error: error.message,
-        });
-        failedCount++;
+        if (identity) await releaseDailySends(identity._id, leads.length);
+        await releaseFreeUses(userId, "email_send", spend.free);
+        if (error.message.startsWith("Insufficient tokens")) {
+          console.log("❌ Insufficient tokens for emails:", spend.tokens);
+          return res.status(403).json({
+            error: "Insufficient tokens",
+            message: `You need ${spend.tokens} token(s) to send these emails`,
+            required: spend.tokens,
+          });
+        }
+        throw error;
       }
     }
 
-    console.log(
-      `📊 Email sending completed: ${successCount} success, ${failedCount} failed`,
-    );
-
-    // Save email feedback
-    const emailFeedback = new EmailFeedback({
-      userId,
-      subject,
-      message,
-      emailType: type,
-      filterCriteria,
+    // Send emails (EmailFeedback is recorded with tracking links)
+    console.log("📤 Starting to send emails...");
+    let batch;
+    try {
+      batch = await sendLeadEmailBatch(transporter, {
+        sender: user,
+        leads,
+        subject,
+        message,
+        cc,
+        bcc,
+        fallbacks: templateContent?.fallbacks,
+        identity,
+        feedback: {
+          emailType: type,
+          filterCriteria,
+          templateId: template?._id,
+          templateVersion: templateContent?.version,
+          senderIdentityId: identity?._id,
+        },
+      });
+    } catch (error) {
+      if (hold) await releaseTokenHold(hold._id);
+      await releaseFreeUses(userId, "email_send", spend.free);
+      if (identity) await releaseDailySends(identity._id, leads.length);
+      throw error;
+    }
+    const {
+      emailFeedback,
       recipients,
-      totalRecipients: leads.length,
       successCount,
       failedCount,
-    });
+      skippedCount,
+    } = batch;
+
+    // Free emails cover the first sends; unused ones go back to the quota
+    const freeEmails = Math.min(successCount, spend.free);
+    await releaseFreeUses(userId, "email_send", spend.free - freeEmails);
+    let tokensSpent = (successCount - freeEmails) * spend.unitCost;
+    if (hold) {
+      tokensSpent = await chargeTokenHold(hold, tokensSpent, {
+        reference: { kind: "EmailFeedback", id: emailFeedback._id },
+      });
+    }
 
-    await emailFeedback.save();
+    // Suppressed recipients were never sent, so they do not count against the cap
+    if (identity) await releaseDailySends(identity._id, skippedCount);
+
+    if (template) {
+      await EmailTemplate.updateOne(
+        { _id: template._id },
+        { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } },
+      );
+    }
+
+    console.log(
+      `📊 Email sending completed: ${successCount} success, ${failedCount} failed, ${skippedCount} suppressed`,
+    );
     console.log("💾 Email feedback saved");
 
     res.json({
@@ -1061,6 +1535,9 @@ export const sendBulkEmail = async (req, res) => {
       totalRecipients: leads.length,
       successCount,
       failedCount,
+      skippedCount,
+      tokensSpent,
+      freeEmails,
       emailFeedbackId: emailFeedback._id,
       recipients: recipients,
     });
@@ -1114,8 +1591,17 @@ export const getEmailFeedback = async (req, res) => {
       .limit(parseInt(limit))
       .select("-recipients");
 
+    // Rates are per email sent; skipped and failed recipients never got one
+    const rate = (count, sent) =>
+      sent > 0 ? ((count / sent) * 100).toFixed(1) : "0.0";
+
     res.json({
-      emailFeedbacks,
+      emailFeedbacks: emailFeedbacks.map((email) => ({
+        ...email.toObject(),
+        openRate: rate(email.openedCount, email.successCount),
+        clickRate: rate(email.clickedCount, email.successCount),
+        replyRate: rate(email.repliedCount, email.successCount),
+      })),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
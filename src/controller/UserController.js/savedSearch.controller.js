@@ -0,0 +1,152 @@
+import mongoose from "mongoose";
+import { Lead, SavedSearch, User } from "../../models/index.js";
+import { normalizeSavedSearchFilters } from "../../utils/leadSearchUtils.js";
+import { buildSavedSearchQuery } from "../../services/savedSearchService.js";
+
+const MAX_SAVED_SEARCHES = 25;
+
+const parseAlerts = (alerts = {}) => ({
+  ...(alerts.inApp !== undefined && { inApp: Boolean(alerts.inApp) }),
+  ...(alerts.email !== undefined && { email: Boolean(alerts.email) }),
+});
+
+// GET /api/leads/saved-searches
+export const getSavedSearches = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const searches = await SavedSearch.find({ userId }).sort({ createdAt: -1 });
+    if (req.query.withCounts !== "true") {
+      return res.json({ searches });
+    }
+
+    // Current number of matching, not yet accessed leads per search
+    const user = await User.findById(userId).select("accessedLeads");
+    const accessedLeadIds =
+      user?.accessedLeads?.map((item) => item.leadId) || [];
+    const counts = await Promise.all(
+      searches.map((search) =>
+        Lead.countDocuments(buildSavedSearchQuery(search, accessedLeadIds)),
+      ),
+    );
+
+    res.json({
+      searches: searches.map((search, index) => ({
+        ...search.toObject(),
+        matchCount: counts[index],
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/saved-searches
+export const createSavedSearch = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, alerts } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "Search name is required" });
+    }
+
+    const { filters, error } = normalizeSavedSearchFilters(req.body.filters);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await SavedSearch.countDocuments({ userId });
+    if (existing >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        error: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+      });
+    }
+
+    const search = await SavedSearch.create({
+      userId,
+      name: name.trim(),
+      filters,
+      alerts: parseAlerts(alerts),
+    });
+
+    res.status(201).json({ success: true, search });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "You already have a saved search with this name" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/leads/saved-searches/:id
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid saved search ID" });
+    }
+
+    const search = await SavedSearch.findOne({ _id: id, userId });
+    if (!search) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    const { name, alerts } = req.body;
+    if (name !== undefined) {
+      if (!name?.trim()) {
+        return res.status(400).json({ error: "Search name is required" });
+      }
+      search.name = name.trim();
+    }
+
+    if (req.body.filters !== undefined) {
+      const { filters, error } = normalizeSavedSearchFilters(req.body.filters);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      search.filters = filters;
+      // Changed filters only alert on leads uploaded from now on
+      search.lastCheckedAt = new Date();
+    }
+
+    if (alerts !== undefined) {
+      Object.assign(search.alerts, parseAlerts(alerts));
+    }
+
+    await search.save();
+    res.json({ success: true, search });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "You already have a saved search with this name" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/saved-searches/:id
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid saved search ID" });
+    }
+
+    const search = await SavedSearch.findOneAndDelete({ _id: id, userId });
+    if (!search) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    res.json({ success: true, message: "Saved search deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
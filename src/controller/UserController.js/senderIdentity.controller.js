@@ -0,0 +1,263 @@
+import { SenderIdentity, User } from "../../models/index.js";
+import {
+  createIdentityTransporter,
+  formatSenderIdentity,
+} from "../../services/senderIdentityService.js";
+import { encryptSecret } from "../../utils/encryptionUtils.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate the identity fields of a request body (partial for updates)
+const parseIdentityFields = (body, { partial = false } = {}) => {
+  const fields = {};
+  const required = (key) => !partial || body[key] !== undefined;
+
+  if (required("fromName")) {
+    if (!body.fromName) return { error: "fromName is required" };
+    fields.fromName = body.fromName;
+  }
+  if (required("fromEmail")) {
+    if (!body.fromEmail || !EMAIL_PATTERN.test(body.fromEmail)) {
+      return { error: "A valid fromEmail is required" };
+    }
+    fields.fromEmail = body.fromEmail;
+  }
+  if (body.replyTo !== undefined) {
+    if (body.replyTo && !EMAIL_PATTERN.test(body.replyTo)) {
+      return { error: "replyTo must be a valid email" };
+    }
+    fields.replyTo = body.replyTo || undefined;
+  }
+  if (body.label !== undefined) fields.label = body.label;
+
+  if (body.dailyLimit !== undefined) {
+    const dailyLimit = parseInt(body.dailyLimit);
+    if (!Number.isInteger(dailyLimit) || dailyLimit < 1 || dailyLimit > 2000) {
+      return { error: "dailyLimit must be between 1 and 2000" };
+    }
+    fields.dailyLimit = dailyLimit;
+  }
+
+  const smtp = body.smtp || {};
+  if (!partial && (!smtp.host || !smtp.port || !smtp.username || !smtp.password)) {
+    return {
+      error: "smtp.host, smtp.port, smtp.username and smtp.password are required",
+    };
+  }
+  if (smtp.host !== undefined) fields["smtp.host"] = smtp.host;
+  if (smtp.port !== undefined) {
+    const port = parseInt(smtp.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { error: "smtp.port must be a valid port number" };
+    }
+    fields["smtp.port"] = port;
+    // Port 465 uses implicit TLS unless told otherwise
+    if (smtp.secure === undefined) fields["smtp.secure"] = port === 465;
+  }
+  if (smtp.secure !== undefined) fields["smtp.secure"] = Boolean(smtp.secure);
+  if (smtp.username !== undefined) fields["smtp.username"] = smtp.username;
+  if (smtp.password) {
+    fields["smtp.passwordEncrypted"] = encryptSecret(smtp.password);
+  }
+
+  return { fields };
+};
+
+// Load an identity owned by the requesting user
+const findUserIdentity = (id, userId, withPassword = false) => {
+  const query = SenderIdentity.findOne({ _id: id, userId });
+  return withPassword ? query.select("+smtp.passwordEncrypted") : query;
+};
+
+// GET /api/leads/sender-identities
+export const getSenderIdentities = async (req, res) => {
+  try {
+    const identities = await SenderIdentity.find({
+      userId: req.user.userId,
+    }).sort({ isDefault: -1, createdAt: 1 });
+
+    res.json({ identities: identities.map(formatSenderIdentity) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sender-identities
+export const createSenderIdentity = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { fields, error } = parseIdentityFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The first identity becomes the default
+    const existing = await SenderIdentity.countDocuments({ userId });
+
+    const identity = new SenderIdentity({ userId, isDefault: existing === 0 });
+    identity.set(fields);
+    await identity.save();
+
+    res.status(201).json({
+      message: "Sender identity created. Verify it before sending.",
+      identity: formatSenderIdentity(identity),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "A sender identity for this email already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PUT /api/leads/sender-identities/:id
+export const updateSenderIdentity = async (req, res) => {
+  try {
+    const identity = await findUserIdentity(req.params.id, req.user.userId);
+    if (!identity) {
+      return res.status(404).json({ error: "Sender identity not found" });
+    }
+
+    const { fields, error } = parseIdentityFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    identity.set(fields);
+
+    // New credentials or address must be verified again
+    const needsVerification = Object.keys(fields).some(
+      (key) => key === "fromEmail" || key.startsWith("smtp."),
+    );
+    if (needsVerification) {
+      identity.verificationStatus = "unverified";
+      identity.verifiedAt = undefined;
+      identity.lastError = undefined;
+    }
+
+    await identity.save();
+
+    res.json({
+      message: "Sender identity updated",
+      identity: formatSenderIdentity(identity),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: "A sender identity for this email already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/sender-identities/:id
+export const deleteSenderIdentity = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const identity = await SenderIdentity.findOneAndDelete({
+      _id: req.params.id,
+      userId,
+    });
+    if (!identity) {
+      return res.status(404).json({ error: "Sender identity not found" });
+    }
+
+    // Promote the oldest remaining identity so the user keeps a default
+    if (identity.isDefault) {
+      await SenderIdentity.findOneAndUpdate(
+        { userId },
+        { $set: { isDefault: true } },
+        { sort: { createdAt: 1 } },
+      );
+    }
+
+    res.json({ message: "Sender identity deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sender-identities/:id/default
+export const setDefaultSenderIdentity = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const identity = await findUserIdentity(req.params.id, userId);
+    if (!identity) {
+      return res.status(404).json({ error: "Sender identity not found" });
+    }
+
+    await SenderIdentity.updateMany(
+      { userId, _id: { $ne: identity._id }, isDefault: true },
+      { $set: { isDefault: false } },
+    );
+    identity.isDefault = true;
+    await identity.save();
+
+    res.json({
+      message: "Default sender identity updated",
+      identity: formatSenderIdentity(identity),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/sender-identities/:id/verify
+export const verifySenderIdentity = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const identity = await findUserIdentity(req.params.id, userId, true);
+    if (!identity) {
+      return res.status(404).json({ error: "Sender identity not found" });
+    }
+
+    if (req.body.to && !EMAIL_PATTERN.test(req.body.to)) {
+      return res.status(400).json({ error: "to must be a valid email" });
+    }
+
+    const user = await User.findById(userId).select("email name");
+    const testRecipient = req.body.to || user?.email || identity.fromEmail;
+
+    try {
+      const transporter = createIdentityTransporter(identity);
+      await transporter.verify();
+      await transporter.sendMail({
+        from: `"${identity.fromName}" <${identity.fromEmail}>`,
+        to: testRecipient,
+        subject: "ClientSure sender verification",
+        html: `<p>Hello ${user?.name || ""},</p><p>This test email confirms that ClientSure can send lead emails from <strong>${identity.fromEmail}</strong>.</p>`,
+      });
+
+      identity.verificationStatus = "verified";
+      identity.verifiedAt = new Date();
+      identity.lastError = undefined;
+    } catch (sendError) {
+      console.error("❌ Sender identity verification failed:", sendError.message);
+      identity.verificationStatus = "failed";
+      identity.lastError = sendError.message;
+    }
+
+    await identity.save();
+
+    if (identity.verificationStatus !== "verified") {
+      return res.status(400).json({
+        error: `Verification failed: ${identity.lastError}`,
+        identity: formatSenderIdentity(identity),
+      });
+    }
+
+    res.json({
+      message: `Test email sent to ${testRecipient}`,
+      identity: formatSenderIdentity(identity),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
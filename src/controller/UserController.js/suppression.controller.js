@@ -0,0 +1,94 @@
+import { EmailSuppression } from "../../models/index.js";
+import { suppressEmail } from "../../utils/suppressionUtils.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// GET /api/leads/suppressions
+export const getSuppressions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { page = 1, limit = 20, search } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = { userId, scope: "sender" };
+    if (search) {
+      filter.email = {
+        $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        $options: "i",
+      };
+    }
+
+    const [suppressions, total] = await Promise.all([
+      EmailSuppression.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EmailSuppression.countDocuments(filter),
+    ]);
+
+    res.json({
+      suppressions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/leads/suppressions
+export const addSuppression = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { email, note } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+
+    const suppression = await suppressEmail({
+      email,
+      userId,
+      reason: "manual",
+      source: "user",
+      note,
+    });
+
+    res.status(201).json({ message: "Email suppressed", suppression });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/leads/suppressions/:id
+export const removeSuppression = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const suppression = await EmailSuppression.findOne({
+      _id: req.params.id,
+      userId,
+    });
+    if (!suppression) {
+      return res.status(404).json({ error: "Suppression not found" });
+    }
+
+    // Recipients who opted out themselves can only opt back in on their own
+    if (suppression.reason !== "manual") {
+      return res
+        .status(403)
+        .json({ error: "Only manually added entries can be removed" });
+    }
+
+    await suppression.deleteOne();
+    res.json({ message: "Suppression removed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
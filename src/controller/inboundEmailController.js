@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import { processInboundEmail } from "../services/inboundEmailService.js";
+
+// Relays authenticate with a shared secret in the X-Inbound-Secret header
+const isAuthorizedRelay = (req) => {
+  const expected = process.env.INBOUND_EMAIL_SECRET;
+  if (!expected) return false;
+
+  const provided = Buffer.from(String(req.get("x-inbound-secret") || ""));
+  const wanted = Buffer.from(expected);
+  return (
+    provided.length === wanted.length &&
+    crypto.timingSafeEqual(provided, wanted)
+  );
+};
+
+// Accept a raw MIME body, or JSON { raw } / { rawBase64 }
+const getRawMessage = (req) => {
+  if (typeof req.body === "string") return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (req.body?.rawBase64) return Buffer.from(req.body.rawBase64, "base64");
+  if (typeof req.body?.raw === "string") return req.body.raw;
+  return null;
+};
+
+// POST /api/inbound/email
+export const receiveInboundEmail = async (req, res) => {
+  try {
+    if (!isAuthorizedRelay(req)) {
+      return res.status(401).json({ error: "Invalid inbound secret" });
+    }
+
+    const raw = getRawMessage(req);
+    if (!raw || raw.length === 0) {
+      return res.status(400).json({ error: "Raw MIME message is required" });
+    }
+
+    const result = await processInboundEmail(raw, { source: "relay" });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Inbound email error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -15,6 +15,15 @@ import {
   updateReferralStats,
   processReferralReward,
 } from "../utils/referralUtils.js";
+import { readBucketBalances } from "../utils/tokenLedgerUtils.js";
+import {
+  recordBalanceChange,
+  withLedgerTransaction,
+} from "../services/tokenLedgerService.js";
+import {
+  refreshDailyTokens,
+  syncLegacyTokenFields,
+} from "../services/tokenService.js";
 import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
 
@@ -128,7 +137,6 @@ export const verifySubscriptionPayment = async (req, res) => {
           passwordHash,
           resetTokenHash,
           resetTokenExpires,
-          tokens: plan.dailyTokens,
           tokensUsedTotal: 0,
           monthlyTokensTotal: monthlyAllocation,
           monthlyTokensUsed: 0,
@@ -156,7 +164,20 @@ export const verifySubscriptionPayment = async (req, res) => {
           },
         });
 
-        await user.save();
+        await withLedgerTransaction(async (session) => {
+          await user.save({ session });
+          await recordBalanceChange(
+            user,
+            readBucketBalances(null),
+            {
+              reason: "plan_purchase",
+              reference: { kind: "Order", id: order._id },
+            },
+            { session },
+          );
+        });
+        // The first day's tokens; legacy fields follow the buckets
+        await refreshDailyTokens(user, startDate);
         console.log("New user created via Razorpay verification:", user.email);
 
         // Update order with new userId
@@ -201,6 +222,7 @@ export const verifySubscriptionPayment = async (req, res) => {
           startDate.getTime() + plan.durationDays * 24 * 60 * 60 * 1000,
         );
         const monthlyAllocation = plan.durationDays * plan.dailyTokens;
+        const balancesBefore = readBucketBalances(user);
 
         user.subscription = {
           planId: plan._id,
@@ -210,7 +232,6 @@ export const verifySubscriptionPayment = async (req, res) => {
           monthlyAllocation,
           isActive: true,
         };
-        user.tokens = plan.dailyTokens;
         user.monthlyTokensTotal = monthlyAllocation;
         user.monthlyTokensRemaining = monthlyAllocation;
 
@@ -222,7 +243,22 @@ export const verifySubscriptionPayment = async (req, res) => {
           grantedAt: plan.bonusTokens > 0 ? new Date() : null,
         };
 
-        await user.save();
+        // The new plan's bonus replaces what was left of the old one
+        await withLedgerTransaction(async (session) => {
+          await user.save({ session });
+          await recordBalanceChange(
+            user,
+            balancesBefore,
+            {
+              reason: "plan_purchase",
+              debit: "expiry",
+              reference: { kind: "Order", id: order._id },
+            },
+            { session },
+          );
+        });
+        // A renewal starts with a full day of tokens
+        await refreshDailyTokens(user, startDate);
         console.log("User subscription updated/activated:", user.email);
         console.log(
           `Granted ${plan.bonusTokens || 0} bonus tokens to ${user.email}`,
@@ -355,7 +391,7 @@ export const verifyTokenPurchasePayment = async (req, res) => {
     // Add tokens
     const user = await User.findById(transaction.userId);
     if (user) {
-      user.tokens = (user.tokens || 0) + transaction.tokens;
+      const balancesBefore = readBucketBalances(user);
 
       // Update Enhanced Token Stats
       if (!user.purchasedTokens) {
@@ -373,8 +409,20 @@ export const verifyTokenPurchasePayment = async (req, res) => {
       user.purchasedTokens.total =
         (user.purchasedTokens.total || 0) + transaction.tokens;
       user.purchasedTokens.lastPurchasedAt = new Date();
-
-      await user.save();
+      syncLegacyTokenFields(user);
+
+      await withLedgerTransaction(async (session) => {
+        await user.save({ session });
+        await recordBalanceChange(
+          user,
+          balancesBefore,
+          {
+            reason: "token_purchase",
+            reference: { kind: "TokenTransaction", id: transaction._id },
+          },
+          { session },
+        );
+      });
     }
 
     await transaction.save();
@@ -4,7 +4,12 @@ import {
   deductTokens,
   calculateTotalTokens,
   getTokenBreakdown,
-} from "../utils/enhancedTokenUtils.js";
+} from "../services/tokenService.js";
+import {
+  claimSpend,
+  quoteSpend,
+  releaseFreeUses,
+} from "../services/tokenSpendService.js";
 
 // GET /api/resources - Get all available resources
 export const getResources = async (req, res) => {
@@ -79,41 +84,47 @@ export const accessResource = async (req, res) => {
       });
     }
 
-    // Define token cost for resource access (can be made dynamic per resource)
-    const resourceCost = resource.tokenCost || 10; // Default 10 tokens
+    // Token cost from the resource_access spend policy (plan override and
+    // free daily uses included)
+    const quote = await quoteSpend("resource_access", user);
 
     // Check if user has enough tokens
     const availableTokens = calculateTotalTokens(user);
-    if (availableTokens < resourceCost) {
+    if (availableTokens < quote.tokens) {
       return res.status(403).json({
         error: "Insufficient tokens",
-        required: resourceCost,
+        required: quote.tokens,
         available: availableTokens,
         needsPurchase: true,
       });
     }
 
     // Deduct tokens with priority: Daily → Purchased → Bonus → Prize
-    try {
-      const deductionResult = await deductTokens(
-        userId,
-        resourceCost,
-        `resource_access:${resource._id}`,
-      );
+    const spend = await claimSpend(quote, userId);
+    if (spend.tokens > 0) {
+      try {
+        const deductionResult = await deductTokens(
+          userId,
+          spend.tokens,
+          "resource_access",
+          { reference: { kind: "Resource", id: resource._id } },
+        );
 
-      console.log(
-        `Resource accessed: ${resource.title} by ${user.email}`,
-        `Tokens deducted: ${resourceCost}`,
-        `Breakdown:`,
-        deductionResult.breakdown,
-        `Remaining total: ${deductionResult.remaining.total}`,
-      );
-    } catch (deductError) {
-      console.error("Token deduction failed:", deductError);
-      return res.status(500).json({
-        error: "Failed to deduct tokens",
-        message: deductError.message,
-      });
+        console.log(
+          `Resource accessed: ${resource.title} by ${user.email}`,
+          `Tokens deducted: ${spend.tokens}`,
+          `Breakdown:`,
+          deductionResult.breakdown,
+          `Remaining total: ${deductionResult.remaining.total}`,
+        );
+      } catch (deductError) {
+        console.error("Token deduction failed:", deductError);
+        await releaseFreeUses(userId, "resource_access", spend.free);
+        return res.status(500).json({
+          error: "Failed to deduct tokens",
+          message: deductError.message,
+        });
+      }
     }
 
     // Refresh user to get updated token balances
@@ -149,7 +160,8 @@ export const accessResource = async (req, res) => {
     // Return resource access data
     res.json({
       message: "Resource access granted",
-      tokensDeducted: resourceCost,
+      tokensDeducted: spend.tokens,
+      freeAccess: spend.free > 0,
       resource: {
         id: resource._id,
         title: resource.title,
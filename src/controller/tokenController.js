@@ -9,7 +9,12 @@ import {
   addPurchasedTokens,
   getTokenBreakdown,
   calculateTotalTokens,
-} from "../utils/enhancedTokenUtils.js";
+} from "../services/tokenService.js";
+import { parseStatementQuery } from "../utils/tokenLedgerUtils.js";
+import { getLedgerStatement } from "../services/tokenLedgerService.js";
+import { getHeldTokens } from "../services/tokenHoldService.js";
+import { getSpendPricing } from "../services/tokenSpendService.js";
+import { getLeadAccessPolicy } from "../services/leadAccessService.js";
 
 /**
  * Get available token packages
@@ -43,6 +48,40 @@ export const getTokenPackages = async (req, res) => {
   }
 };
 
+/**
+ * Get the token cost of every action, with plan overrides and free daily uses
+ * GET /api/tokens/pricing?planId=
+ */
+export const getTokenPricing = async (req, res) => {
+  try {
+    const { planId } = req.query;
+    if (planId && !mongoose.isValidObjectId(planId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid planId",
+      });
+    }
+
+    const policy = await getLeadAccessPolicy();
+
+    res.json({
+      success: true,
+      actions: await getSpendPricing(planId),
+      // Exclusive unlocks have their own price in the lead access policy
+      exclusiveUnlock: {
+        enabled: policy.exclusiveEnabled,
+        tokens: policy.exclusivePrice,
+      },
+    });
+  } catch (error) {
+    console.error("Get token pricing error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch token pricing",
+    });
+  }
+};
+
 /**
  * Create token purchase order
  * POST /api/tokens/purchase
@@ -303,7 +342,7 @@ export const getTokenHistory = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .select(
-        "transactionId tokens amount status createdAt metadata.expiresAt",
+        "transactionId type description tokens amount status createdAt metadata.expiresAt",
       );
 
     const total = await TokenTransaction.countDocuments({ userId });
@@ -311,8 +350,12 @@ export const getTokenHistory = async (req, res) => {
     res.json({
       success: true,
       transactions: transactions.map((txn) => ({
-        id: txn.transactionId,
-        packageName: txn.packageId?.name || "Unknown Package",
+        id: txn.transactionId || txn._id,
+        type: txn.type,
+        packageName:
+          txn.packageId?.name ||
+          (txn.type === "refund" ? txn.description : null) ||
+          "Unknown Package",
         tokens: txn.tokens,
         amount: txn.amount,
         status: txn.status,
@@ -336,6 +379,36 @@ export const getTokenHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get user's token statement from the ledger: every grant, deduction,
+ * refund and expiry. Purchase orders stay on TokenTransaction.
+ * GET /api/tokens/statement
+ */
+export const getTokenStatement = async (req, res) => {
+  try {
+    const { filters, error } = parseStatementQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const statement = await getLedgerStatement(req.user.userId, filters);
+
+    res.json({
+      success: true,
+      entries: statement.entries,
+      totals: statement.totals,
+      balances: statement.balances.ledger,
+      pagination: statement.pagination,
+    });
+  } catch (error) {
+    console.error("Get token statement error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch token statement",
+    });
+  }
+};
+
 /**
  * Get current token balance with breakdown
  * GET /api/tokens/balance
@@ -363,6 +436,8 @@ export const getTokenBalance = async (req, res) => {
     res.json({
       success: true,
       breakdown,
+      // Set aside for bulk unlocks still in progress, not in the total
+      held: await getHeldTokens(userId),
       // Legacy format for backward compatibility
       balance: {
         total: breakdown.total,
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import EmailFeedback from "../models/EmailFeedback.js";
+import {
+  parseTrackingToken,
+  verifyClickSignature,
+} from "../utils/emailTrackingUtils.js";
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64",
+);
+
+const toObjectIds = ({ emailFeedbackId, recipientId }) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(emailFeedbackId) ||
+    !mongoose.Types.ObjectId.isValid(recipientId)
+  ) {
+    return null;
+  }
+  return {
+    emailFeedbackId: new mongoose.Types.ObjectId(emailFeedbackId),
+    recipientId: new mongoose.Types.ObjectId(recipientId),
+  };
+};
+
+/**
+ * Record an open for a recipient. The first open also bumps the email's
+ * unique openedCount; both updates are single atomic operations.
+ */
+const recordOpen = async ({ emailFeedbackId, recipientId }, now) => {
+  await EmailFeedback.updateOne(
+    {
+      _id: emailFeedbackId,
+      recipients: { $elemMatch: { _id: recipientId, opened: false } },
+    },
+    {
+      $set: { "recipients.$.opened": true, "recipients.$.openedAt": now },
+      $inc: { openedCount: 1 },
+    },
+  );
+
+  await EmailFeedback.updateOne(
+    { _id: emailFeedbackId, "recipients._id": recipientId },
+    { $inc: { "recipients.$.openCount": 1 } },
+  );
+};
+
+/**
+ * Record a click for a recipient. A click without a prior pixel load (images
+ * blocked) also counts as an open.
+ */
+const recordClick = async (ids, now) => {
+  const { emailFeedbackId, recipientId } = ids;
+
+  await EmailFeedback.updateOne(
+    {
+      _id: emailFeedbackId,
+      recipients: { $elemMatch: { _id: recipientId, opened: false } },
+    },
+    {
+      $set: { "recipients.$.opened": true, "recipients.$.openedAt": now },
+      $inc: { openedCount: 1 },
+    },
+  );
+
+  await EmailFeedback.updateOne(
+    {
+      _id: emailFeedbackId,
+      recipients: { $elemMatch: { _id: recipientId, clicked: false } },
+    },
+    {
+      $set: { "recipients.$.clicked": true, "recipients.$.clickedAt": now },
+      $inc: { clickedCount: 1 },
+    },
+  );
+
+  await EmailFeedback.updateOne(
+    { _id: emailFeedbackId, "recipients._id": recipientId },
+    { $inc: { "recipients.$.clickCount": 1 } },
+  );
+};
+
+// GET /api/track/open/:token.gif
+export const trackOpen = async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.gif$/i, "");
+    const parsed = parseTrackingToken(token);
+    const ids = parsed && toObjectIds(parsed);
+
+    if (ids) {
+      await recordOpen(ids, new Date());
+    }
+  } catch (error) {
+    console.error("Open tracking error:", error);
+  }
+
+  // Always answer with the pixel so the email renders normally
+  res.set({
+    "Content-Type": "image/gif",
+    "Content-Length": TRACKING_PIXEL.length,
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+    Pragma: "no-cache",
+    Expires: "0",
+  });
+  res.end(TRACKING_PIXEL);
+};
+
+// GET /api/track/click/:token?u=<url>&s=<signature>
+export const trackClick = async (req, res) => {
+  const { token } = req.params;
+  const { u: url, s: signature } = req.query;
+
+  if (
+    typeof url !== "string" ||
+    !/^https?:\/\//i.test(url) ||
+    !verifyClickSignature(token, url, signature)
+  ) {
+    return res.status(400).json({ error: "Invalid tracking link" });
+  }
+
+  try {
+    const parsed = parseTrackingToken(token);
+    const ids = parsed && toObjectIds(parsed);
+
+    if (ids) {
+      await recordClick(ids, new Date());
+    }
+  } catch (error) {
+    console.error("Click tracking error:", error);
+  }
+
+  res.redirect(302, url);
+};
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import {
+  parseUnsubscribeToken,
+  suppressEmail,
+} from "../utils/suppressionUtils.js";
+import { stopSequenceEnrollments } from "../services/emailSequenceService.js";
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ],
+  );
+
+const renderPage = (title, body) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 40px auto; padding: 20px;">
+    <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center;">
+      <h1 style="margin: 0 0 20px; font-size: 24px; color: #1e293b;">ClientSure</h1>
+      ${body}
+    </div>
+  </body>
+  </html>
+`;
+
+// Suppress the address and stop running sequences for it
+const unsubscribe = async ({ userId, email }, scope, source) => {
+  const senderId =
+    scope === "global" || !mongoose.Types.ObjectId.isValid(userId)
+      ? null
+      : userId;
+
+  await suppressEmail({
+    email,
+    userId: senderId,
+    reason: "unsubscribe",
+    source,
+  });
+  await stopSequenceEnrollments({
+    email,
+    userId: senderId,
+    status: "unsubscribed",
+  });
+
+  console.log(
+    `🚫 ${email} unsubscribed (${senderId ? `sender ${senderId}` : "global"})`,
+  );
+  return senderId;
+};
+
+const invalidLinkPage = () =>
+  renderPage(
+    "Invalid link",
+    "<p>This unsubscribe link is invalid or has been modified.</p>",
+  );
+
+const errorPage = () =>
+  renderPage(
+    "Something went wrong",
+    "<p>We could not process your request. Please try again later.</p>",
+  );
+
+// GET /api/unsubscribe/:token
+// Only asks for confirmation: link scanners and prefetchers follow GET links
+export const showUnsubscribePage = async (req, res) => {
+  try {
+    const parsed = parseUnsubscribeToken(req.params.token);
+    if (!parsed) {
+      return res.status(400).send(invalidLinkPage());
+    }
+
+    const scope = req.query.scope === "global" ? "global" : "sender";
+    const sender =
+      scope === "sender" && mongoose.Types.ObjectId.isValid(parsed.userId)
+        ? await User.findById(parsed.userId).select("name")
+        : null;
+    const email = escapeHtml(parsed.email);
+
+    res.send(
+      renderPage(
+        "Unsubscribe",
+        `<p>Stop emails to <strong>${email}</strong> ${
+          scope === "global"
+            ? "from everyone sending via ClientSure"
+            : `from ${escapeHtml(sender?.name || "this sender")} via ClientSure`
+        }?</p>
+         <form method="post">
+           <input type="hidden" name="scope" value="${scope}">
+           <button type="submit" style="background: #1e293b; color: white; border: 0; border-radius: 6px; padding: 10px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+         </form>
+         ${
+           scope === "global"
+             ? ""
+             : `<p style="font-size: 14px; color: #64748b;">Want to stop all emails sent through ClientSure? <a href="?scope=global">Unsubscribe from everyone</a></p>`
+         }`,
+      ),
+    );
+  } catch (error) {
+    console.error("Unsubscribe page error:", error);
+    res.status(500).send(errorPage());
+  }
+};
+
+// POST /api/unsubscribe/:token
+// The confirmation form, or RFC 8058 one-click from the mail client
+// (body List-Unsubscribe=One-Click)
+export const unsubscribeFromLink = async (req, res) => {
+  const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+
+  try {
+    const parsed = parseUnsubscribeToken(req.params.token);
+    if (!parsed) {
+      return oneClick
+        ? res.status(400).json({ error: "Invalid unsubscribe token" })
+        : res.status(400).send(invalidLinkPage());
+    }
+
+    if (oneClick) {
+      await unsubscribe(parsed, "sender", "one_click");
+      return res.json({ success: true, message: "Unsubscribed" });
+    }
+
+    const scope = req.body?.scope === "global" ? "global" : "sender";
+    const senderId = await unsubscribe(parsed, scope, "link");
+
+    const sender = senderId
+      ? await User.findById(senderId).select("name")
+      : null;
+    const email = escapeHtml(parsed.email);
+
+    res.send(
+      renderPage(
+        "Unsubscribed",
+        senderId
+          ? `<p><strong>${email}</strong> will no longer receive emails from ${escapeHtml(
+              sender?.name || "this sender",
+            )} via ClientSure.</p>
+             <p style="font-size: 14px; color: #64748b;">Want to stop all emails sent through ClientSure? <a href="?scope=global">Unsubscribe from everyone</a></p>`
+          : `<p><strong>${email}</strong> will no longer receive any emails sent via ClientSure.</p>`,
+      ),
+    );
+  } catch (error) {
+    console.error("Unsubscribe error:", error);
+    if (oneClick) {
+      return res.status(500).json({ error: "Failed to unsubscribe" });
+    }
+    res.status(500).send(errorPage());
+  }
+};
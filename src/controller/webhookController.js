@@ -2,6 +2,7 @@ import crypto from 'crypto';
 import { Order, Plan, User } from '../models/index.js';
 import { sendPasswordSetupEmail } from './UserController.js/authController.js';
 import { processReferralReward } from '../utils/referralUtils.js';
+import { refreshDailyTokens } from '../services/tokenService.js';
 
 export const handleWebhook = async (req, res) => {
   try {
@@ -81,7 +82,6 @@ export const handleWebhook = async (req, res) => {
         user = new User({
           name: name || order.userName,
           email: email.toLowerCase(),
-          tokens: plan.dailyTokens, // Use plan's daily tokens
           tokensUsedTotal: 0,
           tokensUsedToday: 0,
           monthlyTokensTotal: monthlyAllocation,
@@ -102,10 +102,6 @@ export const handleWebhook = async (req, res) => {
         // For existing user renewal - use plan data
         const monthlyAllocation = plan.durationDays * plan.dailyTokens;
         
-        // Update existing user subscription
-        user.tokens = plan.dailyTokens; // Use plan's daily tokens
-        user.tokensUsedToday = 0;
-        
         // Reset monthly tokens for new plan purchase
         user.monthlyTokensTotal = monthlyAllocation;
         user.monthlyTokensUsed = 0;
@@ -123,7 +119,8 @@ export const handleWebhook = async (req, res) => {
         };
       }
 
-      await user.save();
+      // Start the plan with a full day of tokens; saves the user
+      await refreshDailyTokens(user);
 
       // Process referral reward if user was referred
       if (user.referredBy) {
@@ -16,10 +16,24 @@ import notificationsRoute from "./route/notifications.js";
 import referralsRoute from "./route/referrals.js";
 import composeRoute from "./route/compose.js";
 import tokensRoute from "./route/tokens.js";
+import trackingRoute from "./route/tracking.js";
+import unsubscribeRoute from "./route/unsubscribe.js";
+import inboundRoute from "./route/inbound.js";
+import { isTrackingConfigured } from "./utils/emailTrackingUtils.js";
 
 import {
   startTokenRefreshCron,
   startSubscriptionExpiryCron,
+  startEmailSequenceCron,
+  startInboundMaildirCron,
+  startLeadImportCron,
+  startLeadVerificationCron,
+  startLeadEnrichmentCron,
+  startLeadScoringCron,
+  startSavedSearchAlertCron,
+  startTokenLedgerCron,
+  startTokenHoldCron,
+  startPrizeTokenExpiryCron,
 } from "./services/cronJobs.js";
 // import { seedTokenPackages } from "./seed/seedTokenPackages.js";
 // import { seedInitialData } from "./services/seedData.js"; // Disabled seed data
@@ -27,6 +41,12 @@ import {
 dotenv.config();
 const PORT = process.env.PORT || 5001;
 
+// Tracking and unsubscribe links are signed with this key
+if (!isTrackingConfigured()) {
+  console.error("EMAIL_TRACKING_SECRET (or JWT_SECRET) must be set");
+  process.exit(1);
+}
+
 const app = express();
 
 // CORS Configuration - Comprehensive setup for Vercel deployment
@@ -89,6 +109,16 @@ try {
 // Start cron jobs
 startTokenRefreshCron();
 startSubscriptionExpiryCron();
+startEmailSequenceCron();
+startInboundMaildirCron();
+startLeadImportCron();
+startLeadVerificationCron();
+startLeadEnrichmentCron();
+startLeadScoringCron();
+startSavedSearchAlertCron();
+startTokenLedgerCron();
+startTokenHoldCron();
+startPrizeTokenExpiryCron();
 
 // Routes
 app.get("/", (req, res) => {
@@ -146,6 +176,9 @@ app.use("/api/notifications", notificationsRoute);
 app.use("/api/referrals", referralsRoute);
 app.use("/api/compose", composeRoute);
 app.use("/api/tokens", tokensRoute);
+app.use("/api/track", trackingRoute);
+app.use("/api/unsubscribe", unsubscribeRoute);
+app.use("/api/inbound", inboundRoute);
 
 app.listen(PORT, () => {
   console.log(`🚀 ClientSure Server is running on port ${PORT}`);
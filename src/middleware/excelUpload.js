@@ -6,12 +6,19 @@ const fileFilter = (req, file, cb) => {
   const allowedTypes = [
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
     'application/vnd.ms-excel', // .xls
-    'text/csv' // .csv
+    'text/csv', // .csv
+    'application/x-ndjson', // .jsonl
+    'application/jsonl',
+    'application/json'
   ];
-  if (allowedTypes.includes(file.mimetype)) {
+  // Browsers often send CSV and JSON-lines files as text/plain or octet-stream
+  const allowedExtensions = ['xlsx', 'xls', 'csv', 'jsonl', 'ndjson', 'json'];
+  const extension = file.originalname.toLowerCase().split('.').pop();
+
+  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(extension)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only Excel files (.xlsx, .xls, .csv) are allowed.'), false);
+    cb(new Error('Invalid file type. Only .xlsx, .xls, .csv and .jsonl files are allowed.'), false);
   }
 };
 
@@ -18,13 +18,39 @@ const emailFeedbackSchema = new mongoose.Schema({
   },
   emailType: {
     type: String,
-    enum: ['bulk', 'category', 'city', 'country', 'selected'],
+    enum: ['bulk', 'category', 'city', 'country', 'selected', 'list', 'sequence'],
     required: true
   },
+  // Set when the email was sent as a step of a drip sequence
+  sequenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailSequence'
+  },
+  sequenceStep: {
+    type: Number
+  },
+  // Set when the email was rendered from a saved template
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailTemplate'
+  },
+  templateVersion: {
+    type: Number
+  },
+  // Set when the email went out through the user's own SMTP identity
+  senderIdentityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SenderIdentity'
+  },
   filterCriteria: {
     category: String,
     city: String,
-    country: String
+    country: String,
+    listId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeadList'
+    },
+    listName: String
   },
   recipients: [{
     leadId: {
@@ -35,9 +61,24 @@ const emailFeedbackSchema = new mongoose.Schema({
     name: String,
     status: {
       type: String,
-      enum: ['sent', 'failed'],
+      enum: ['pending', 'sent', 'failed', 'skipped'],
       default: 'sent'
     },
+    error: String,
+    // Why a recipient was not sent to (e.g. 'suppressed')
+    skipReason: String,
+    // Message-ID of the sent email, quoted back by replies
+    messageId: String,
+    replied: {
+      type: Boolean,
+      default: false
+    },
+    repliedAt: Date,
+    reply: {
+      from: String,
+      subject: String,
+      snippet: String
+    },
     opened: {
       type: Boolean,
       default: false
@@ -69,6 +110,24 @@ const emailFeedbackSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  skippedCount: {
+    type: Number,
+    default: 0
+  },
+  // Unique recipients that opened / clicked (kept in sync by the tracking routes)
+  openedCount: {
+    type: Number,
+    default: 0
+  },
+  clickedCount: {
+    type: Number,
+    default: 0
+  },
+  // Unique recipients that replied (kept in sync by inbound email processing)
+  repliedCount: {
+    type: Number,
+    default: 0
+  },
   sentAt: {
     type: Date,
     default: Date.now
@@ -79,5 +138,6 @@ const emailFeedbackSchema = new mongoose.Schema({
 
 emailFeedbackSchema.index({ userId: 1, sentAt: -1 });
 emailFeedbackSchema.index({ emailType: 1 });
+emailFeedbackSchema.index({ 'recipients.messageId': 1 }, { sparse: true });
 
 export default mongoose.model('EmailFeedback', emailFeedbackSchema);
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+
+const sequenceStepSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Days to wait after the previous step (or after enrollment for step 0)
+    delayDays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    stats: {
+      sent: {
+        type: Number,
+        default: 0,
+      },
+      failed: {
+        type: Number,
+        default: 0,
+      },
+      skipped: {
+        type: Number,
+        default: 0,
+      },
+    },
+  },
+  { _id: true },
+);
+
+const emailSequenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    steps: {
+      type: [sequenceStepSchema],
+      validate: {
+        validator: (steps) => steps.length > 0 && steps.length <= 10,
+        message: "A sequence needs between 1 and 10 steps",
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused", "cancelled", "completed"],
+      default: "active",
+      index: true,
+    },
+    enrollments: [
+      {
+        leadId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Lead",
+          required: true,
+        },
+        email: String,
+        name: String,
+        // Index of the next step to send
+        currentStep: {
+          type: Number,
+          default: 0,
+        },
+        nextSendAt: {
+          type: Date,
+          default: null,
+        },
+        status: {
+          type: String,
+          enum: [
+            "active",
+            "completed",
+            "replied",
+            "unsubscribed",
+            "failed",
+            "cancelled",
+          ],
+          default: "active",
+        },
+        enrolledAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastSentAt: {
+          type: Date,
+          default: null,
+        },
+        error: String,
+      },
+    ],
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Scheduler lookup: active sequences with enrollments due to send
+emailSequenceSchema.index({
+  status: 1,
+  "enrollments.status": 1,
+  "enrollments.nextSendAt": 1,
+});
+
+export default mongoose.model("EmailSequence", emailSequenceSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const emailSuppressionSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // "global" blocks every sender, "sender" only the user in userId
+    scope: {
+      type: String,
+      enum: ["global", "sender"],
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: ["unsubscribe", "manual", "bounce", "complaint"],
+      default: "unsubscribe",
+    },
+    source: {
+      type: String,
+      enum: ["link", "one_click", "user", "admin", "system"],
+      default: "link",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One entry per address per sender (userId null = global)
+emailSuppressionSchema.index({ email: 1, userId: 1 }, { unique: true });
+emailSuppressionSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("EmailSuppression", emailSuppressionSchema);
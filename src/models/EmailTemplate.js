@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const templateVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Values used when a lead field is empty, keyed by merge field
+    fallbacks: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Latest version number; versions holds every revision
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    versions: {
+      type: [templateVersionSchema],
+      validate: {
+        validator: (versions) => versions.length > 0,
+        message: "A template needs at least one version",
+      },
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+emailTemplateSchema.index({ userId: 1, isArchived: 1, updatedAt: -1 });
+
+/**
+ * Get a specific version of the template (latest when omitted)
+ * @param {number} [version] - Version number
+ * @returns {object|null} Version entry
+ */
+emailTemplateSchema.methods.getVersion = function (version) {
+  const wanted = version ? Number(version) : this.currentVersion;
+  return this.versions.find((item) => item.version === wanted) || null;
+};
+
+export default mongoose.model("EmailTemplate", emailTemplateSchema);
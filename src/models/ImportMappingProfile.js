@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import {
+  IMPORT_TRANSFORMS,
+  LEAD_IMPORT_FIELDS,
+} from "../utils/importMappingUtils.js";
+
+const columnMappingSchema = new mongoose.Schema(
+  {
+    // Header in the vendor file (matched case-insensitively)
+    source: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    field: {
+      type: String,
+      enum: LEAD_IMPORT_FIELDS,
+      required: true,
+    },
+    transforms: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: IMPORT_TRANSFORMS,
+          required: true,
+        },
+        // Only used by "split"
+        delimiter: String,
+        index: Number,
+      },
+    ],
+  },
+  { _id: false },
+);
+
+const importMappingProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Vendor name, for the admin's reference
+    vendor: {
+      type: String,
+      trim: true,
+    },
+    mappings: {
+      type: [columnMappingSchema],
+      validate: {
+        validator: (mappings) => mappings.length > 0,
+        message: "At least one column mapping is required",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+importMappingProfileSchema.index({ name: 1 }, { unique: true });
+
+export default mongoose.model(
+  "ImportMappingProfile",
+  importMappingProfileSchema,
+);
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Log of processed inbound messages; also de-duplicates relay retries
+const inboundEmailSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    fromEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    subject: {
+      type: String,
+      trim: true,
+    },
+    snippet: {
+      type: String,
+    },
+    source: {
+      type: String,
+      enum: ["relay", "maildir"],
+      default: "relay",
+    },
+    status: {
+      type: String,
+      enum: ["matched", "unmatched"],
+      required: true,
+    },
+    emailFeedbackId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailFeedback",
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+inboundEmailSchema.index({ userId: 1, receivedAt: -1 });
+
+export default mongoose.model("InboundEmail", inboundEmailSchema);
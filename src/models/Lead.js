@@ -1,4 +1,21 @@
 import mongoose from 'mongoose';
+import { getLeadMatchKeys } from '../utils/leadDedupUtils.js';
+import {
+  FIELD_VERIFICATION_STATUSES,
+  LEAD_VERIFICATION_STATUSES
+} from '../utils/leadVerificationUtils.js';
+import { LEAD_ENRICHMENT_STATUSES } from '../utils/leadEnrichmentUtils.js';
+
+const fieldVerificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: FIELD_VERIFICATION_STATUSES,
+    default: 'unknown'
+  },
+  detail: String,
+  verifier: String,
+  checkedAt: Date
+}, { _id: false });
 
 const leadSchema = new mongoose.Schema({
   leadId: {
@@ -26,6 +43,48 @@ const leadSchema = new mongoose.Schema({
   lastVerifiedAt: {
     type: Date
   },
+  // Result of the last verification run, per field (email, website, phone, ...)
+  verification: {
+    status: {
+      type: String,
+      enum: LEAD_VERIFICATION_STATUSES,
+      default: 'unverified'
+    },
+    checkedAt: Date,
+    fields: {
+      type: Map,
+      of: fieldVerificationSchema,
+      default: {}
+    }
+  },
+  // 0-100 ranking score, recalculated by the lead scoring job
+  score: {
+    type: Number,
+    default: null
+  },
+  scoring: {
+    // Component values (0-1) the score was built from
+    components: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    engagement: {
+      sent: Number,
+      opened: Number,
+      clicked: Number,
+      replied: Number
+    },
+    calculatedAt: Date
+  },
+  // Last website enrichment run; proposals are stored as LeadEnrichment
+  enrichment: {
+    status: {
+      type: String,
+      enum: LEAD_ENRICHMENT_STATUSES
+    },
+    checkedAt: Date,
+    detail: String
+  },
   phone: {
     type: String,
     trim: true
@@ -70,12 +129,88 @@ const leadSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Why the lead was taken offline automatically (e.g. "reports")
+  deactivationReason: {
+    type: String,
+    default: null
+  },
   accessedBy: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // Per-lead unlock cap; null uses LeadAccessPolicy.maxUnlocksPerLead
+  maxUnlocks: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Set when a user bought the lead exclusively
+  exclusiveTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  exclusiveAt: {
+    type: Date,
+    default: null
+  },
+  // Normalized keys for duplicate detection (kept in sync on validate)
+  dedupe: {
+    email: String,
+    phone: String,
+    domain: String,
+    name: String,
+    nameBlock: String,
+    city: String
+  },
+  // Leads that were merged into this one
+  mergedFrom: [{
+    leadId: String,
+    name: String,
+    email: String,
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 }, {
   timestamps: true
 });
 
+// Lead fields checked by each verifier result key
+const VERIFIED_PATHS = { email: 'email', website: 'websiteLink', phone: 'phone' };
+
+leadSchema.pre('validate', function (next) {
+  this.dedupe = getLeadMatchKeys(this);
+
+  // An edited value has not been verified yet
+  if (!this.isNew && this.verification?.fields) {
+    for (const [field, path] of Object.entries(VERIFIED_PATHS)) {
+      if (this.isModified(path)) this.verification.fields.delete(field);
+    }
+  }
+  next();
+});
+
+// Free-text lead search
+leadSchema.index(
+  { name: 'text', category: 'text', addressStreet: 'text', websiteLink: 'text' },
+  {
+    name: 'lead_text_search',
+    weights: { name: 10, category: 5, addressStreet: 2, websiteLink: 2 }
+  }
+);
+leadSchema.index({ isActive: 1, 'verification.checkedAt': 1 });
+leadSchema.index({ lastVerifiedAt: -1 });
+leadSchema.index({ isActive: 1, score: -1 });
+leadSchema.index({ isActive: 1, 'enrichment.checkedAt': 1 });
+leadSchema.index({ 'dedupe.email': 1 });
+leadSchema.index({ 'dedupe.phone': 1 });
+leadSchema.index({ 'dedupe.domain': 1 });
+leadSchema.index({ 'dedupe.city': 1, 'dedupe.nameBlock': 1 });
+
 export default mongoose.model('Lead', leadSchema);
\ No newline at end of file
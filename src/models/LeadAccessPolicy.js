@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Lead unlock caps and exclusivity set by admins (a single "default" document)
+const leadAccessPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Users that can unlock a lead; null means unlimited.
+    // Lead.maxUnlocks overrides it per lead.
+    maxUnlocksPerLead: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Exclusive unlocks keep a lead away from every other user
+    exclusiveEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    exclusivePrice: {
+      type: Number,
+      min: 1,
+      default: 10,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export default mongoose.model("LeadAccessPolicy", leadAccessPolicySchema);
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { ENRICHABLE_FIELDS } from "../utils/leadEnrichmentUtils.js";
+
+// A field value found on a lead's website, waiting for admin approval
+const leadEnrichmentSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    // Lead field the value would be written to
+    field: {
+      type: String,
+      enum: ENRICHABLE_FIELDS,
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Where the value was found
+    source: {
+      url: String,
+      // mailto | tel | text | json-ld | link
+      method: String,
+      fetchedAt: Date,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "superseded"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// A value is proposed once per lead and field, so rejected values stay rejected
+leadEnrichmentSchema.index({ leadId: 1, field: 1, value: 1 }, { unique: true });
+leadEnrichmentSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("LeadEnrichment", leadEnrichmentSchema);
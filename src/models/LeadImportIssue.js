@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// One skipped/failed row of an import job (kept out of the job document so
+// large imports do not hit the document size limit)
+const leadImportIssueSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LeadImportJob",
+      required: true,
+    },
+    row: {
+      type: Number,
+    },
+    type: {
+      type: String,
+      enum: ["error", "skipped", "duplicate"],
+      required: true,
+    },
+    leadId: {
+      type: String,
+    },
+    name: {
+      type: String,
+    },
+    email: {
+      type: String,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+leadImportIssueSchema.index({ jobId: 1, row: 1 });
+
+export default mongoose.model("LeadImportIssue", leadImportIssueSchema);
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+const leadImportJobSchema = new mongoose.Schema(
+  {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    fileSize: {
+      type: Number,
+    },
+    // Uploaded file stored in the "leadImports" GridFS bucket
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    format: {
+      type: String,
+      enum: ["xlsx", "csv", "jsonl"],
+      default: "xlsx",
+    },
+    mappingProfileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportMappingProfile",
+    },
+    // Copy of the profile's mappings at upload time, so later edits to the
+    // profile do not change a running import
+    mappings: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    options: {
+      dryRun: {
+        type: Boolean,
+        default: false,
+      },
+      allowDuplicates: {
+        type: Boolean,
+        default: false,
+      },
+      chunkSize: {
+        type: Number,
+        default: 1000,
+        min: 50,
+        max: 5000,
+      },
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    // Rows handled so far; a resumed job continues from here
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    insertedCount: {
+      type: Number,
+      default: 0,
+    },
+    skippedCount: {
+      type: Number,
+      default: 0,
+    },
+    errorCount: {
+      type: Number,
+      default: 0,
+    },
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Updated after every chunk; stale jobs are picked up again
+    heartbeatAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+leadImportJobSchema.index({ status: 1, createdAt: 1 });
+leadImportJobSchema.index({ createdAt: -1 });
+
+export default mongoose.model("LeadImportJob", leadImportJobSchema);
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Named collection of a user's accessed leads, optionally shared read-only
+const leadListSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    leads: [
+      {
+        _id: false,
+        leadId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Lead",
+          required: true,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Users who can view and export the list (read-only)
+    sharedWith: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        sharedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+leadListSchema.index({ userId: 1, name: 1 }, { unique: true });
+leadListSchema.index({ "sharedWith.userId": 1 });
+
+export default mongoose.model("LeadList", leadListSchema);
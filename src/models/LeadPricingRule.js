@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { PRICING_ACTIONS } from "../utils/leadPricingUtils.js";
+import { LEAD_FRESHNESS_LEVELS } from "../utils/leadVerificationUtils.js";
+
+// Admin rule adjusting the token price of matching leads
+const leadPricingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Rules apply in ascending priority, each on the previous result
+    priority: {
+      type: Number,
+      default: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Empty or null conditions match every lead
+    conditions: {
+      categories: [String],
+      countries: [String],
+      freshness: [
+        {
+          type: String,
+          enum: LEAD_FRESHNESS_LEVELS,
+        },
+      ],
+      // Percentage of optional contact fields filled in
+      minCompleteness: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      maxCompleteness: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      // true: exclusive unlocks only, false: shared unlocks only
+      exclusive: {
+        type: Boolean,
+        default: null,
+      },
+    },
+    action: {
+      type: {
+        type: String,
+        enum: PRICING_ACTIONS,
+        required: true,
+      },
+      value: {
+        type: Number,
+        required: true,
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+leadPricingRuleSchema.index({ isActive: 1, priority: 1 });
+
+export default mongoose.model("LeadPricingRule", leadPricingRuleSchema);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+export const LEAD_REPORT_REASONS = [
+  "email_bounced",
+  "invalid_email",
+  "phone_dead",
+  "wrong_phone",
+  "website_down",
+  "business_closed",
+  "wrong_contact",
+  "duplicate",
+  "other",
+];
+
+// A user's report of bad data on a lead they unlocked
+const leadReportSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: LEAD_REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    // Tokens spent unlocking the lead, refunded on approval
+    tokensSpent: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    tokensRefunded: {
+      type: Number,
+      default: 0,
+    },
+    refundTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TokenTransaction",
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One report per user per lead
+leadReportSchema.index({ leadId: 1, userId: 1 }, { unique: true });
+leadReportSchema.index({ status: 1, createdAt: 1 });
+leadReportSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("LeadReport", leadReportSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_SCORE_WEIGHTS,
+  LEAD_SCORE_COMPONENTS,
+} from "../utils/leadScoringUtils.js";
+
+// Lead score weights set by admins (a single "default" document)
+const leadScoringConfigSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    weights: Object.fromEntries(
+      LEAD_SCORE_COMPONENTS.map((component) => [
+        component,
+        {
+          type: Number,
+          min: 0,
+          max: 100,
+          default: DEFAULT_SCORE_WEIGHTS[component],
+        },
+      ]),
+    ),
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    // Summary of the last recalculation
+    lastRun: {
+      startedAt: Date,
+      finishedAt: Date,
+      scored: Number,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export default mongoose.model("LeadScoringConfig", leadScoringConfigSchema);
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// A user's named lead filter with optional alerts for newly uploaded matches
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Same parameters as the lead search endpoint
+    filters: {
+      q: {
+        type: String,
+        trim: true,
+      },
+      category: [String],
+      city: [String],
+      country: [String],
+      hasPhone: {
+        type: Boolean,
+        default: false,
+      },
+      hasLinkedin: {
+        type: Boolean,
+        default: false,
+      },
+      hasWebsite: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    alerts: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Leads uploaded after this are "new" for the next alert run
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    lastMatchCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+savedSearchSchema.index({ userId: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ "alerts.inApp": 1, "alerts.email": 1, userId: 1 });
+
+export default mongoose.model("SavedSearch", savedSearchSchema);
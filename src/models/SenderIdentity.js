@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+const senderIdentitySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    fromName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    fromEmail: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    replyTo: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    smtp: {
+      host: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      port: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 65535,
+      },
+      // true for implicit TLS (465), false for STARTTLS (587)
+      secure: {
+        type: Boolean,
+        default: false,
+      },
+      username: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      // AES-256-GCM encrypted, never returned by default
+      passwordEncrypted: {
+        type: String,
+        required: true,
+        select: false,
+      },
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    verificationStatus: {
+      type: String,
+      enum: ["unverified", "verified", "failed"],
+      default: "unverified",
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    dailyLimit: {
+      type: Number,
+      default: 200,
+      min: 1,
+      max: 2000,
+    },
+    // Sends counted against dailyLimit for sendDay (YYYY-MM-DD, IST)
+    sentToday: {
+      type: Number,
+      default: 0,
+    },
+    sendDay: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+senderIdentitySchema.index({ userId: 1, fromEmail: 1 }, { unique: true });
+// At most one default identity per user
+senderIdentitySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } },
+);
+
+export default mongoose.model("SenderIdentity", senderIdentitySchema);
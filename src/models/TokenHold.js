@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const bucketAmounts = {
+  daily: { type: Number, default: 0 },
+  purchased: { type: Number, default: 0 },
+  bonus: { type: Number, default: 0 },
+  prize: { type: Number, default: 0 },
+};
+
+// Tokens taken out of a user's buckets for a multi-step operation, until
+// the operation commits what it used or the hold is released
+const tokenHoldSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Tokens taken from each bucket
+    breakdown: bucketAmounts,
+    // held: waiting; expired: released by the timeout
+    status: {
+      type: String,
+      enum: ["held", "committed", "released", "expired"],
+      default: "held",
+    },
+    // e.g. lead_access
+    reason: {
+      type: String,
+      required: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Tokens the operation used, per bucket
+    committedAmount: {
+      type: Number,
+      default: 0,
+    },
+    committedBreakdown: bucketAmounts,
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+tokenHoldSchema.index({ status: 1, expiresAt: 1 });
+tokenHoldSchema.index({ userId: 1, status: 1 });
+
+export default mongoose.model("TokenHold", tokenHoldSchema);
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import {
+  LEDGER_ENTRY_TYPES,
+  TOKEN_BUCKETS,
+} from "../utils/tokenLedgerUtils.js";
+
+// One change to one token bucket of a user. Entries are never updated or
+// deleted; a bucket's balance is the sum of its entries.
+const tokenLedgerEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    bucket: {
+      type: String,
+      enum: TOKEN_BUCKETS,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+    // Positive for credits, negative for debits
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Bucket balance on the user right after the change
+    balanceAfter: {
+      type: Number,
+      default: null,
+    },
+    // e.g. lead_access, resource_access, daily_refresh, token_purchase
+    reason: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // What the tokens were spent on or came from
+    reference: {
+      kind: {
+        type: String,
+        enum: [
+          "Lead",
+          "Resource",
+          "TokenTransaction",
+          "Order",
+          "LeadReport",
+          "EmailFeedback",
+          null,
+        ],
+        default: null,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: "reference.kind",
+        default: null,
+      },
+    },
+    // Extra context, e.g. the lead IDs of a bulk unlock
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+tokenLedgerEntrySchema.index({ userId: 1, createdAt: -1 });
+tokenLedgerEntrySchema.index({ userId: 1, bucket: 1 });
+
+const rejectChange = () => {
+  throw new Error("Token ledger entries cannot be changed or deleted");
+};
+
+tokenLedgerEntrySchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+tokenLedgerEntrySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange,
+);
+tokenLedgerEntrySchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  rejectChange,
+);
+
+export default mongoose.model("TokenLedgerEntry", tokenLedgerEntrySchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import { SPEND_ACTIONS } from "../utils/tokenSpendUtils.js";
+
+// Admin-set token cost of an action; actions without a document use the
+// defaults in SPEND_ACTIONS
+const tokenSpendPolicySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.keys(SPEND_ACTIONS),
+      required: true,
+      unique: true,
+    },
+    // Tokens per action (per lead, per email, ...)
+    tokens: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    // Replaces `tokens` for users on these plans
+    planOverrides: [
+      {
+        _id: false,
+        planId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Plan",
+          required: true,
+        },
+        tokens: {
+          type: Number,
+          min: 0,
+          required: true,
+        },
+      },
+    ],
+    // Actions each user gets for free per day (IST) before paying
+    freePerDay: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export default mongoose.model("TokenSpendPolicy", tokenSpendPolicySchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { SPEND_ACTIONS } from "../utils/tokenSpendUtils.js";
+
+// Free actions a user has taken on one day, counted against freePerDay
+const tokenSpendUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: Object.keys(SPEND_ACTIONS),
+      required: true,
+    },
+    // YYYY-MM-DD in IST
+    day: {
+      type: String,
+      required: true,
+    },
+    freeUsed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+tokenSpendUsageSchema.index({ userId: 1, action: 1, day: 1 }, { unique: true });
+// Counters are only read for the current day
+tokenSpendUsageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 3 * 24 * 60 * 60 },
+);
+
+export default mongoose.model("TokenSpendUsage", tokenSpendUsageSchema);
@@ -11,7 +11,10 @@ const tokenTransactionSchema = new mongoose.Schema(
     packageId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "TokenPackage",
-      required: true,
+      // Refunds and other non-purchase entries have no package
+      required: function () {
+        return this.type === "purchase";
+      },
     },
     transactionId: {
       type: String,
@@ -77,6 +80,16 @@ const tokenTransactionSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    description: {
+      type: String,
+      required: false,
+    },
+    // Lead report that triggered a refund
+    leadReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LeadReport",
+      required: false,
+    },
 
     completedAt: {
       type: Date,
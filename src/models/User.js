@@ -1,5 +1,15 @@
 import mongoose from "mongoose";
 
+// Pipeline stages a user can move an accessed lead through
+export const LEAD_PIPELINE_STAGES = [
+  "new",
+  "contacted",
+  "replied",
+  "meeting",
+  "won",
+  "lost",
+];
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -253,6 +263,49 @@ const userSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Tokens charged to unlock the lead (refundable on an approved report)
+        tokensSpent: {
+          type: Number,
+          default: null,
+        },
+        // Per-user CRM pipeline for the unlocked lead
+        stage: {
+          type: String,
+          enum: LEAD_PIPELINE_STAGES,
+          default: "new",
+        },
+        stageUpdatedAt: {
+          type: Date,
+          default: null,
+        },
+        nextFollowUpAt: {
+          type: Date,
+          default: null,
+        },
+        tags: [
+          {
+            type: String,
+            trim: true,
+            lowercase: true,
+          },
+        ],
+        notes: [
+          {
+            text: {
+              type: String,
+              required: true,
+              trim: true,
+            },
+            createdAt: {
+              type: Date,
+              default: Date.now,
+            },
+            updatedAt: {
+              type: Date,
+              default: Date.now,
+            },
+          },
+        ],
       },
     ],
     points: {
@@ -336,6 +389,9 @@ const userSchema = new mongoose.Schema(
             "post_unlike",
             "prize_tokens_awarded",
             "milestone_reward",
+            "lead_reply",
+            "lead_report",
+            "saved_search",
             "system",
           ],
           required: true,
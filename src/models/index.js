@@ -3,15 +3,34 @@ import Plan from "./Plan.js";
 import Order from "./Order.js";
 import Resource from "./Resource.js";
 import Lead from "./Lead.js";
+import LeadImportJob from "./LeadImportJob.js";
+import LeadImportIssue from "./LeadImportIssue.js";
+import LeadReport from "./LeadReport.js";
+import LeadEnrichment from "./LeadEnrichment.js";
+import LeadScoringConfig from "./LeadScoringConfig.js";
+import LeadAccessPolicy from "./LeadAccessPolicy.js";
+import LeadPricingRule from "./LeadPricingRule.js";
+import ImportMappingProfile from "./ImportMappingProfile.js";
 import Feedback from "./Feedback.js";
 import EmailFeedback from "./EmailFeedback.js";
+import EmailSequence from "./EmailSequence.js";
+import EmailSuppression from "./EmailSuppression.js";
+import EmailTemplate from "./EmailTemplate.js";
+import InboundEmail from "./InboundEmail.js";
 import TokenPackage from "./TokenPackage.js";
 import TokenTransaction from "./TokenTransaction.js";
+import TokenLedgerEntry from "./TokenLedgerEntry.js";
+import TokenHold from "./TokenHold.js";
+import TokenSpendPolicy from "./TokenSpendPolicy.js";
+import TokenSpendUsage from "./TokenSpendUsage.js";
 import PrizeDistribution from "./PrizeDistribution.js";
 import PrizeTemplate from "./PrizeTemplate.js";
 import ReferralReward from "./ReferralReward.js";
 import Admin from "./Admin.js";
 import Session from "./Session.js";
+import SenderIdentity from "./SenderIdentity.js";
+import SavedSearch from "./SavedSearch.js";
+import LeadList from "./LeadList.js";
 
 export {
   User,
@@ -19,13 +38,32 @@ export {
   Order,
   Resource,
   Lead,
+  LeadImportJob,
+  LeadImportIssue,
+  LeadReport,
+  LeadEnrichment,
+  LeadScoringConfig,
+  LeadAccessPolicy,
+  LeadPricingRule,
+  ImportMappingProfile,
   Feedback,
   EmailFeedback,
+  EmailSequence,
+  EmailSuppression,
+  EmailTemplate,
+  InboundEmail,
   TokenPackage,
   TokenTransaction,
+  TokenLedgerEntry,
+  TokenHold,
+  TokenSpendPolicy,
+  TokenSpendUsage,
   PrizeDistribution,
   PrizeTemplate,
   ReferralReward,
   Admin,
   Session,
+  SenderIdentity,
+  SavedSearch,
+  LeadList,
 };
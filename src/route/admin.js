@@ -34,7 +34,61 @@ import {
   updateLead,
   deleteLead,
   bulkDeleteLeads,
+  getLeadDuplicates,
+  mergeLeads,
+  getImportJobs,
+  getImportJob,
+  downloadImportReport,
+  cancelImportJob,
+  verifyLead,
+  verifyStaleLeads,
 } from "../controller/AdminController/leadController.js";
+import {
+  getLeadReports,
+  approveLeadReport,
+  rejectLeadReport,
+} from "../controller/AdminController/leadReportController.js";
+import {
+  getLeadEnrichments,
+  enrichLead,
+  enrichPending,
+  approveLeadEnrichments,
+  rejectLeadEnrichments,
+} from "../controller/AdminController/leadEnrichmentController.js";
+import {
+  getLeadScoring,
+  updateLeadScoring,
+  recalculateScores,
+} from "../controller/AdminController/leadScoringController.js";
+import {
+  getAccessPolicy,
+  updateAccessPolicy,
+} from "../controller/AdminController/leadAccessController.js";
+import {
+  getPricingRules,
+  getPricingRule,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  previewLeadPrice,
+} from "../controller/AdminController/leadPricingController.js";
+import {
+  getUserTokenStatement,
+  reconcileLedger,
+} from "../controller/AdminController/tokenLedgerController.js";
+import {
+  getTokenSpendPolicies,
+  updateTokenSpendPolicy,
+  resetTokenSpendPolicy,
+} from "../controller/AdminController/tokenSpendPolicyController.js";
+import {
+  getMappingProfiles,
+  getMappingProfile,
+  createMappingProfile,
+  updateMappingProfile,
+  deleteMappingProfile,
+  previewMapping,
+} from "../controller/AdminController/importMappingController.js";
 import {
   getUsers,
   getUser,
@@ -73,6 +127,11 @@ import {
   getEmailStats,
   deleteEmail,
 } from "../controller/AdminController/emailController.js";
+import {
+  getSuppressions,
+  addGlobalSuppression,
+  deleteSuppression,
+} from "../controller/AdminController/suppressionController.js";
 
 const router = express.Router();
 
@@ -109,6 +168,23 @@ router.delete("/resources/:id", authenticateAdmin, deleteResource);
 router.get("/users", authenticateAdmin, getUsers);
 router.get("/users/:id", authenticateAdmin, getUser);
 router.put("/users/:id/tokens", authenticateAdmin, updateUserTokens);
+router.get(
+  "/users/:id/token-statement",
+  authenticateAdmin,
+  getUserTokenStatement,
+);
+router.post("/token-ledger/reconcile", authenticateAdmin, reconcileLedger);
+router.get("/token-spend-policies", authenticateAdmin, getTokenSpendPolicies);
+router.put(
+  "/token-spend-policies/:action",
+  authenticateAdmin,
+  updateTokenSpendPolicy,
+);
+router.delete(
+  "/token-spend-policies/:action",
+  authenticateAdmin,
+  resetTokenSpendPolicy,
+);
 router.put("/users/:id/status", authenticateAdmin, updateUserStatus);
 
 // Lead CRUD operations
@@ -122,6 +198,66 @@ router.get("/leads", authenticateAdmin, getLeads);
 router.get("/get-lead/:id", authenticateAdmin, getLead);
 router.put("/update-leads/:id", authenticateAdmin, updateLead);
 router.delete("/leads/bulk-delete", authenticateAdmin, bulkDeleteLeads);
+router.get("/leads/:id/duplicates", authenticateAdmin, getLeadDuplicates);
+router.post("/leads/merge", authenticateAdmin, mergeLeads);
+router.post("/leads/verify-stale", authenticateAdmin, verifyStaleLeads);
+router.get("/leads/reports", authenticateAdmin, getLeadReports);
+router.post("/leads/reports/:id/approve", authenticateAdmin, approveLeadReport);
+router.post("/leads/reports/:id/reject", authenticateAdmin, rejectLeadReport);
+router.get("/leads/enrichments", authenticateAdmin, getLeadEnrichments);
+router.post(
+  "/leads/enrichments/approve",
+  authenticateAdmin,
+  approveLeadEnrichments,
+);
+router.post(
+  "/leads/enrichments/reject",
+  authenticateAdmin,
+  rejectLeadEnrichments,
+);
+router.post("/leads/enrich-pending", authenticateAdmin, enrichPending);
+router.get("/leads/access-policy", authenticateAdmin, getAccessPolicy);
+router.put("/leads/access-policy", authenticateAdmin, updateAccessPolicy);
+router.get("/leads/scoring", authenticateAdmin, getLeadScoring);
+router.put("/leads/scoring", authenticateAdmin, updateLeadScoring);
+router.post(
+  "/leads/scoring/recalculate",
+  authenticateAdmin,
+  recalculateScores,
+);
+router.post("/leads/:id/verify", authenticateAdmin, verifyLead);
+router.post("/leads/:id/enrich", authenticateAdmin, enrichLead);
+
+// Background lead import jobs
+router.get("/leads/import-jobs", authenticateAdmin, getImportJobs);
+router.get("/leads/import-jobs/:id", authenticateAdmin, getImportJob);
+router.get(
+  "/leads/import-jobs/:id/report",
+  authenticateAdmin,
+  downloadImportReport,
+);
+router.post("/leads/import-jobs/:id/cancel", authenticateAdmin, cancelImportJob);
+
+// Import column mapping profiles
+router.get("/import-mappings", authenticateAdmin, getMappingProfiles);
+router.post(
+  "/import-mappings/preview",
+  authenticateAdmin,
+  excelUpload.single("file"),
+  previewMapping,
+);
+router.get("/import-mappings/:id", authenticateAdmin, getMappingProfile);
+router.post("/import-mappings", authenticateAdmin, createMappingProfile);
+router.put("/import-mappings/:id", authenticateAdmin, updateMappingProfile);
+router.delete("/import-mappings/:id", authenticateAdmin, deleteMappingProfile);
+
+// Lead token pricing rules
+router.get("/pricing-rules", authenticateAdmin, getPricingRules);
+router.post("/pricing-rules/preview", authenticateAdmin, previewLeadPrice);
+router.get("/pricing-rules/:id", authenticateAdmin, getPricingRule);
+router.post("/pricing-rules", authenticateAdmin, createPricingRule);
+router.put("/pricing-rules/:id", authenticateAdmin, updatePricingRule);
+router.delete("/pricing-rules/:id", authenticateAdmin, deletePricingRule);
 router.delete("/leads/:id", authenticateAdmin, deleteLead);
 
 // Analytics operations
@@ -174,6 +310,11 @@ router.get("/emails/stats", authenticateAdmin, getEmailStats);
 router.get("/emails/:id", authenticateAdmin, getEmailById);
 router.delete("/emails/:id", authenticateAdmin, deleteEmail);
 
+// Email suppression list
+router.get("/suppressions", authenticateAdmin, getSuppressions);
+router.post("/suppressions", authenticateAdmin, addGlobalSuppression);
+router.delete("/suppressions/:id", authenticateAdmin, deleteSuppression);
+
 // Referral Rewards management
 import {
   getReferralRewards,
@@ -30,6 +30,7 @@ import {
   bulkExportLeads,
   sendBulkEmail,
   getFilterOptions,
+  searchLeads,
 } from "../controller/UserController.js/leads.controller.js";
 import { User } from "../models/index.js";
 
@@ -133,6 +134,9 @@ router.post("/leads/send-email", authenticateToken, sendBulkEmail);
 // GET /api/auth/leads/filter-options
 router.get("/leads/filter-options", authenticateToken, getFilterOptions);
 
+// GET /api/auth/leads/search
+router.get("/leads/search", authenticateToken, searchLeads);
+
 // PUT /api/auth/change-password
 router.put("/change-password", authenticateToken, changePassword);
 
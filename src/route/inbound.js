@@ -0,0 +1,13 @@
+import express from "express";
+import { receiveInboundEmail } from "../controller/inboundEmailController.js";
+
+const router = express.Router();
+
+// Raw MIME posted by a mail relay (JSON bodies are parsed by the app-wide parser)
+router.post(
+  "/email",
+  express.text({ type: ["message/rfc822", "text/plain"], limit: "25mb" }),
+  receiveInboundEmail,
+);
+
+export default router;
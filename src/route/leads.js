@@ -9,13 +9,96 @@ import {
   exportLeadData,
   bulkExportLeads,
   sendBulkEmail,
-  getEmailFeedback
+  getEmailFeedback,
+  searchLeads
 } from '../controller/UserController.js/leads.controller.js';
+import {
+  updateLeadPipeline,
+  resetLeadPipeline,
+  getLeadNotes,
+  addLeadNote,
+  updateLeadNote,
+  deleteLeadNote,
+  getPipelineSummary
+} from '../controller/UserController.js/leadPipeline.controller.js';
+import {
+  createSequence,
+  getSequences,
+  getSequenceById,
+  updateSequence,
+  enrollSequenceLeads,
+  pauseSequence,
+  resumeSequence,
+  cancelSequence
+} from '../controller/UserController.js/emailSequence.controller.js';
+import {
+  getSuppressions,
+  addSuppression,
+  removeSuppression
+} from '../controller/UserController.js/suppression.controller.js';
+import {
+  getTemplateFields,
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate
+} from '../controller/UserController.js/emailTemplate.controller.js';
+import {
+  getSenderIdentities,
+  createSenderIdentity,
+  updateSenderIdentity,
+  deleteSenderIdentity,
+  setDefaultSenderIdentity,
+  verifySenderIdentity
+} from '../controller/UserController.js/senderIdentity.controller.js';
+import {
+  reportLeadIssue,
+  getMyLeadReports
+} from '../controller/UserController.js/leadReport.controller.js';
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} from '../controller/UserController.js/savedSearch.controller.js';
+import {
+  getLeadLists,
+  createLeadList,
+  getLeadListById,
+  updateLeadList,
+  deleteLeadList,
+  addLeadsToList,
+  removeLeadsFromList,
+  shareLeadList,
+  unshareLeadList,
+  exportLeadList
+} from '../controller/UserController.js/leadList.controller.js';
 
 const router = express.Router();
 
 // Lead access routes
 router.get('/', authenticateToken, getLeads);
+router.get('/search', authenticateToken, searchLeads);
+
+// Saved searches with new-match alerts
+router.get('/saved-searches', authenticateToken, getSavedSearches);
+router.post('/saved-searches', authenticateToken, createSavedSearch);
+router.put('/saved-searches/:id', authenticateToken, updateSavedSearch);
+router.delete('/saved-searches/:id', authenticateToken, deleteSavedSearch);
+
+// Lead lists (named groups of accessed leads, shareable read-only)
+router.get('/lists', authenticateToken, getLeadLists);
+router.post('/lists', authenticateToken, createLeadList);
+router.get('/lists/:id', authenticateToken, getLeadListById);
+router.put('/lists/:id', authenticateToken, updateLeadList);
+router.delete('/lists/:id', authenticateToken, deleteLeadList);
+router.post('/lists/:id/leads', authenticateToken, addLeadsToList);
+router.delete('/lists/:id/leads', authenticateToken, removeLeadsFromList);
+router.post('/lists/:id/share', authenticateToken, shareLeadList);
+router.delete('/lists/:id/share/:userId', authenticateToken, unshareLeadList);
+router.get('/lists/:id/export', authenticateToken, exportLeadList);
 router.post('/:id/access', authenticateToken, accessLead);
 router.get('/accessed', authenticateToken, getAccessedLeads);
 router.get('/accessed/:id', authenticateToken, getAccessedLeadById);
@@ -25,4 +108,49 @@ router.post('/bulk-export', authenticateToken, bulkExportLeads);
 router.post('/send-email', authenticateToken, sendBulkEmail);
 router.get('/email-feedback', authenticateToken, getEmailFeedback);
 
-export default router;
\ No newline at end of file
+// Lead pipeline (per-user CRM tracking on accessed leads)
+router.get('/pipeline/summary', authenticateToken, getPipelineSummary);
+router.patch('/accessed/:id/pipeline', authenticateToken, updateLeadPipeline);
+router.delete('/accessed/:id/pipeline', authenticateToken, resetLeadPipeline);
+router.get('/accessed/:id/notes', authenticateToken, getLeadNotes);
+router.post('/accessed/:id/notes', authenticateToken, addLeadNote);
+router.put('/accessed/:id/notes/:noteId', authenticateToken, updateLeadNote);
+router.delete('/accessed/:id/notes/:noteId', authenticateToken, deleteLeadNote);
+
+// Bad lead data reports (refunded on admin approval)
+router.post('/accessed/:id/report', authenticateToken, reportLeadIssue);
+router.get('/reports', authenticateToken, getMyLeadReports);
+
+// Drip email sequences
+router.post('/sequences', authenticateToken, createSequence);
+router.get('/sequences', authenticateToken, getSequences);
+router.get('/sequences/:id', authenticateToken, getSequenceById);
+router.put('/sequences/:id', authenticateToken, updateSequence);
+router.post('/sequences/:id/enroll', authenticateToken, enrollSequenceLeads);
+router.post('/sequences/:id/pause', authenticateToken, pauseSequence);
+router.post('/sequences/:id/resume', authenticateToken, resumeSequence);
+router.post('/sequences/:id/cancel', authenticateToken, cancelSequence);
+
+// Per-sender email suppression list
+router.get('/suppressions', authenticateToken, getSuppressions);
+router.post('/suppressions', authenticateToken, addSuppression);
+router.delete('/suppressions/:id', authenticateToken, removeSuppression);
+
+// Email templates with merge fields
+router.get('/templates/fields', authenticateToken, getTemplateFields);
+router.post('/templates', authenticateToken, createTemplate);
+router.get('/templates', authenticateToken, getTemplates);
+router.get('/templates/:id', authenticateToken, getTemplateById);
+router.put('/templates/:id', authenticateToken, updateTemplate);
+router.delete('/templates/:id', authenticateToken, deleteTemplate);
+router.post('/templates/:id/preview', authenticateToken, previewTemplate);
+
+// Sender identities (user's own SMTP mailbox)
+router.get('/sender-identities', authenticateToken, getSenderIdentities);
+router.post('/sender-identities', authenticateToken, createSenderIdentity);
+router.put('/sender-identities/:id', authenticateToken, updateSenderIdentity);
+router.delete('/sender-identities/:id', authenticateToken, deleteSenderIdentity);
+router.post('/sender-identities/:id/default', authenticateToken, setDefaultSenderIdentity);
+router.post('/sender-identities/:id/verify', authenticateToken, verifySenderIdentity);
+
+export default router;
@@ -5,13 +5,16 @@ import {
   createTokenPurchase,
   processTokenPurchase,
   getTokenHistory,
-  getTokenBalance
+  getTokenStatement,
+  getTokenBalance,
+  getTokenPricing
 } from '../controller/tokenController.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/packages', getTokenPackages);
+router.get('/pricing', getTokenPricing);
 // Webhook for payment completion (should be called by payment gateway)
 router.post('/webhook', processTokenPurchase);
 
@@ -22,5 +25,6 @@ router.use(authenticateToken);
 router.post('/purchase', createTokenPurchase);
 router.get('/balance', getTokenBalance);
 router.get('/history', getTokenHistory);
+router.get('/statement', getTokenStatement);
 
 export default router;
\ No newline at end of file
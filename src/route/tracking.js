@@ -0,0 +1,10 @@
+import express from "express";
+import { trackOpen, trackClick } from "../controller/trackingController.js";
+
+const router = express.Router();
+
+// Public email tracking endpoints (links are HMAC-signed)
+router.get("/open/:token", trackOpen);
+router.get("/click/:token", trackClick);
+
+export default router;
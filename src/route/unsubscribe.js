@@ -0,0 +1,14 @@
+import express from "express";
+import {
+  showUnsubscribePage,
+  unsubscribeFromLink,
+} from "../controller/unsubscribeController.js";
+
+const router = express.Router();
+
+// Public unsubscribe endpoints (tokens are HMAC-signed). GET only shows a
+// confirmation; POST unsubscribes (the form or RFC 8058 one-click).
+router.get("/:token", showUnsubscribePage);
+router.post("/:token", unsubscribeFromLink);
+
+export default router;
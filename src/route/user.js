@@ -7,6 +7,7 @@ import {
   getSocialAccounts,
 } from "../controller/UserController.js/socialAccountController.js";
 import { getPlanStatus } from "../controller/UserController.js/planController.js";
+import { calculateTotalTokens } from "../services/tokenService.js";
 
 const router = express.Router();
 
@@ -26,7 +27,7 @@ router.get("/profile", authenticateToken, async (req, res) => {
       id: user._id,
       name: user.name,
       email: user.email,
-      tokens: user.tokens,
+      tokens: calculateTotalTokens(user),
       tokensUsedTotal: user.tokensUsedTotal,
       subscription: {
         planName: user.subscription.planId?.name,
@@ -54,7 +55,7 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
       user: {
         name: user.name,
         email: user.email,
-        tokens: user.tokens,
+        tokens: calculateTotalTokens(user),
         tokensUsedTotal: user.tokensUsedTotal,
       },
       subscription: {
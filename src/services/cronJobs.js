@@ -1,11 +1,24 @@
 import cron from "node-cron";
 import { User } from "../models/index.js";
-import { cleanExpiredTokens } from "../utils/enhancedTokenUtils.js";
+import {
+  cleanExpiredTokens,
+  expirePrizeTokens,
+  refreshDailyTokens,
+} from "./tokenService.js";
+import { reconcileTokenLedger } from "./tokenLedgerService.js";
 import {
   sendExpiryWarningEmail,
   sendSubscriptionExpiredEmail,
   sendRenewalReminderEmail,
 } from "./subscriptionEmailService.js";
+import { processDueSequenceSteps } from "./emailSequenceService.js";
+import { processMaildir } from "./inboundEmailService.js";
+import { runLeadImportJobs } from "./leadImportService.js";
+import { reverifyStaleLeads } from "./leadVerificationService.js";
+import { enrichPendingLeads } from "./leadEnrichmentService.js";
+import { recalculateLeadScores } from "./leadScoringService.js";
+import { processSavedSearchAlerts } from "./savedSearchService.js";
+import { releaseExpiredHolds } from "./tokenHoldService.js";
 
 // Daily token refresh at 12:00 AM (midnight) IST
 export const startTokenRefreshCron = () => {
@@ -33,35 +46,6 @@ export const startTokenRefreshCron = () => {
 
           if (isActive) {
             // Active subscription - reset daily tokens only, keep purchased/bonus/prize
-            const plan = user.subscription.planId;
-            const dailyLimit = plan ? plan.dailyTokens : 100;
-
-            // Initialize dailyTokens if not exists
-            if (!user.dailyTokens) {
-              user.dailyTokens = {
-                current: dailyLimit,
-                limit: dailyLimit,
-                usedToday: 0,
-                lastRefreshedAt: now,
-              };
-            } else {
-              // Reset daily tokens
-              user.dailyTokens.current = dailyLimit;
-              user.dailyTokens.limit = dailyLimit;
-              user.dailyTokens.usedToday = 0;
-              user.dailyTokens.lastRefreshedAt = now;
-            }
-
-            // Reset daily stats in tokenStats
-            if (user.tokenStats) {
-              user.tokenStats.dailyUsed = 0;
-            }
-
-            // Update legacy fields for backward compatibility
-            user.tokens = plan ? plan.dailyTokens : 100;
-            user.tokensUsedToday = 0;
-            user.subscription.lastRefreshedAt = now;
-
             // Reset daily community limits
             user.dailyLimits = {
               date: now,
@@ -70,9 +54,7 @@ export const startTokenRefreshCron = () => {
               comments: 0,
             };
 
-            // NOTE: purchased/bonus/prize tokens remain unchanged!
-
-            await user.save();
+            await refreshDailyTokens(user, now);
             refreshedCount++;
           } else if (
             user.subscription.endDate &&
@@ -156,9 +138,8 @@ export const startSubscriptionExpiryCron = () => {
 
           // Subscription expired today
           else if (diffDays === 0 && user.subscription.endDate <= now) {
-            // Deactivate subscription
-            user.tokens = 0;
-            user.tokensUsedToday = 0;
+            // Deactivate subscription; the buckets expire with the plan
+            await cleanExpiredTokens(user);
             user.monthlyTokensRemaining = 0;
             user.subscription.isActive = false;
 
@@ -201,6 +182,227 @@ export const startSubscriptionExpiryCron = () => {
   console.log("Subscription expiry monitoring cron job started (02:00 IST)");
 };
 
+// Drip email sequence sender every 15 minutes
+export const startEmailSequenceCron = () => {
+  cron.schedule(
+    "*/15 * * * *",
+    async () => {
+      try {
+        await processDueSequenceSteps();
+      } catch (error) {
+        console.error("Email sequence cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Email sequence cron job started (every 15 minutes)");
+};
+
+// Lead import jobs: resumes queued or abandoned imports every minute
+export const startLeadImportCron = () => {
+  cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        await runLeadImportJobs();
+      } catch (error) {
+        console.error("Lead import cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Lead import cron job started (every minute)");
+};
+
+// Lead re-verification at 03:00 IST: checks leads not verified within LEAD_STALE_DAYS
+export const startLeadVerificationCron = () => {
+  cron.schedule(
+    "0 3 * * *",
+    async () => {
+      try {
+        const summary = await reverifyStaleLeads();
+        if (summary) {
+          console.log("🔎 Stale leads re-verified:", summary);
+        }
+      } catch (error) {
+        console.error("Lead verification cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Lead verification cron job started (03:00 IST)");
+};
+
+// Website enrichment at 04:00 IST: proposes missing contact fields for admin review
+export const startLeadEnrichmentCron = () => {
+  cron.schedule(
+    "0 4 * * *",
+    async () => {
+      try {
+        const summary = await enrichPendingLeads();
+        if (summary) {
+          console.log("🌐 Lead enrichment finished:", summary);
+        }
+      } catch (error) {
+        console.error("Lead enrichment cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Lead enrichment cron job started (04:00 IST)");
+};
+
+// Lead score recalculation at 05:00 IST, after verification and enrichment
+export const startLeadScoringCron = () => {
+  cron.schedule(
+    "0 5 * * *",
+    async () => {
+      try {
+        const summary = await recalculateLeadScores();
+        if (summary) {
+          console.log("📊 Lead scores recalculated:", summary);
+        }
+      } catch (error) {
+        console.error("Lead scoring cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Lead scoring cron job started (05:00 IST)");
+};
+
+// Token ledger check at 01:00 IST, after the daily refresh. Only reports
+// drift; repairs go through POST /api/admin/token-ledger/reconcile.
+export const startTokenLedgerCron = () => {
+  cron.schedule(
+    "0 1 * * *",
+    async () => {
+      try {
+        const summary = await reconcileTokenLedger();
+        if (summary?.mismatched > 0) {
+          console.warn("⚠️ Token balances differ from the ledger:", summary);
+        }
+        if (summary?.unopened > 0) {
+          console.warn(
+            `⚠️ ${summary.unopened} users have no opening ledger balance; run npm run migrate:token-ledger`,
+          );
+        }
+      } catch (error) {
+        console.error("Token ledger cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Token ledger check cron job started (01:00 IST)");
+};
+
+// Give back tokens held by operations that never committed, every minute
+export const startTokenHoldCron = () => {
+  cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        const summary = await releaseExpiredHolds();
+        if (summary?.released > 0) {
+          console.log(`Released ${summary.released} expired token holds`);
+        }
+      } catch (error) {
+        console.error("Token hold cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Token hold expiry cron job started (every minute)");
+};
+
+// Expire prize tokens past their 24 hours, every minute
+export const startPrizeTokenExpiryCron = () => {
+  cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        const summary = await expirePrizeTokens();
+        if (summary?.expired > 0) {
+          console.log(`Expired prize tokens of ${summary.expired} users`);
+        }
+      } catch (error) {
+        console.error("Prize token expiry cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Prize token expiry cron job started (every minute)");
+};
+
+// Saved search alerts at 09:00 IST for leads uploaded since the previous run
+export const startSavedSearchAlertCron = () => {
+  cron.schedule(
+    "0 9 * * *",
+    async () => {
+      try {
+        const summary = await processSavedSearchAlerts();
+        console.log("🎯 Saved search alerts processed:", summary);
+      } catch (error) {
+        console.error("Saved search alert cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log("Saved search alert cron job started (09:00 IST)");
+};
+
+// Inbound reply polling from a local maildir (only when INBOUND_MAILDIR is set)
+export const startInboundMaildirCron = () => {
+  const maildir = process.env.INBOUND_MAILDIR;
+  if (!maildir) return;
+
+  cron.schedule(
+    "*/5 * * * *",
+    async () => {
+      try {
+        const summary = await processMaildir(maildir);
+        if (summary.matched + summary.unmatched + summary.failed > 0) {
+          console.log("📬 Inbound maildir processed:", summary);
+        }
+      } catch (error) {
+        console.error("Inbound maildir cron error:", error);
+      }
+    },
+    {
+      timezone: "Asia/Kolkata",
+    },
+  );
+
+  console.log(`Inbound maildir cron job started (every 5 minutes, ${maildir})`);
+};
+
 // Manual token refresh function (for testing)
 export const manualTokenRefresh = async () => {
   try {
@@ -218,16 +420,11 @@ export const manualTokenRefresh = async () => {
 
     for (const user of activeUsers) {
       // Reset ONLY daily tokens, keep monthly tokens as is
-      const plan = user.subscription.planId;
-      user.tokens = plan ? plan.dailyTokens : 100;
-      user.tokensUsedToday = 0;
-      user.subscription.lastRefreshedAt = now;
-
-      await user.save();
+      await refreshDailyTokens(user, now);
       refreshedCount++;
 
       console.log(
-        `Refreshed daily tokens for ${user.email}: ${user.tokens} tokens (Monthly: ${user.monthlyTokensRemaining})`,
+        `Refreshed daily tokens for ${user.email}: ${user.dailyTokens.current} tokens (Monthly: ${user.monthlyTokensRemaining})`,
       );
     }
 
@@ -276,8 +473,7 @@ export const manualSubscriptionCheck = async (userEmail = null) => {
         await sendExpiryWarningEmail(user, diffDays);
         results.warnings.push({ email: user.email, daysLeft: diffDays });
       } else if (diffDays === 0 && user.subscription.endDate <= now) {
-        user.tokens = 0;
-        user.tokensUsedToday = 0;
+        await cleanExpiredTokens(user);
         user.monthlyTokensRemaining = 0;
         user.subscription.isActive = false;
 
@@ -326,8 +522,6 @@ export const manualPlanRenewal = async (userEmail) => {
     const now = new Date();
 
     // Reset monthly tokens (plan renewal)
-    user.tokens = plan.dailyTokens;
-    user.tokensUsedToday = 0;
     user.monthlyTokensTotal = monthlyAllocation;
     user.monthlyTokensUsed = 0;
     user.monthlyTokensRemaining = monthlyAllocation;
@@ -337,9 +531,9 @@ export const manualPlanRenewal = async (userEmail) => {
     user.subscription.endDate = new Date(
       now.getTime() + plan.durationDays * 24 * 60 * 60 * 1000,
     );
-    user.subscription.lastRefreshedAt = now;
 
-    await user.save();
+    // A renewal starts with a full day of tokens
+    await refreshDailyTokens(user, now);
 
     console.log(
       `✅ Plan renewed for ${userEmail}: ${monthlyAllocation} monthly tokens`,
@@ -0,0 +1,321 @@
+import { EmailSequence, Lead, User } from "../models/index.js";
+import { createTransporter } from "../utils/emailUtils.js";
+import { sendLeadEmailBatch } from "./leadEmailService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pipeline stages that mean the lead already answered - stop following up
+export const SEQUENCE_STOP_STAGES = ["replied", "meeting", "won", "lost"];
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Move an enrollment past a step before its email goes out. The update only
+// matches while the enrollment still waits on that step, so an overlapping
+// run, or a run after a failed save, cannot send the same step twice.
+const claimSequenceStep = async (sequence, enrollment, stepIndex, now) => {
+  const nextStep = sequence.steps[stepIndex + 1];
+  const claimed = {
+    currentStep: stepIndex + 1,
+    nextSendAt: nextStep ? addDays(now, nextStep.delayDays || 0) : null,
+    status: nextStep ? "active" : "completed",
+  };
+
+  const { modifiedCount } = await EmailSequence.updateOne(
+    {
+      _id: sequence._id,
+      status: "active",
+      enrollments: {
+        $elemMatch: {
+          _id: enrollment._id,
+          status: "active",
+          currentStep: stepIndex,
+          nextSendAt: { $lte: now },
+        },
+      },
+    },
+    {
+      $set: Object.fromEntries(
+        Object.entries(claimed).map(([field, value]) => [
+          `enrollments.$.${field}`,
+          value,
+        ]),
+      ),
+    },
+  );
+  if (modifiedCount === 0) return false;
+
+  enrollment.set(claimed);
+  return true;
+};
+
+/**
+ * Enroll leads into a sequence, skipping leads that are already enrolled
+ * @param {object} sequence - EmailSequence document (not saved here)
+ * @param {object[]} leads - Lead documents
+ * @param {Date} now - Enrollment time
+ * @returns {{enrolled: number, alreadyEnrolled: number}} Enrollment counts
+ */
+export const enrollLeadsInSequence = (sequence, leads, now = new Date()) => {
+  const enrolledIds = new Set(
+    sequence.enrollments.map((item) => item.leadId.toString()),
+  );
+  const firstSendAt = addDays(now, sequence.steps[0].delayDays || 0);
+
+  let enrolled = 0;
+  for (const lead of leads) {
+    if (enrolledIds.has(lead._id.toString())) continue;
+
+    sequence.enrollments.push({
+      leadId: lead._id,
+      // Stored lowercase so replies and unsubscribes match the enrollment
+      email: lead.email.trim().toLowerCase(),
+      name: lead.name,
+      currentStep: 0,
+      nextSendAt: firstSendAt,
+      status: "active",
+      enrolledAt: now,
+    });
+    enrolledIds.add(lead._id.toString());
+    enrolled++;
+  }
+
+  return { enrolled, alreadyEnrolled: leads.length - enrolled };
+};
+
+/**
+ * Summarize a sequence for API responses (per-step stats and enrollment counts)
+ * @param {object} sequence - EmailSequence document
+ * @returns {object} Sequence summary
+ */
+export const formatSequence = (sequence) => {
+  const enrollmentCounts = sequence.enrollments.reduce((counts, item) => {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    id: sequence._id,
+    name: sequence.name,
+    status: sequence.status,
+    steps: sequence.steps.map((step, index) => ({
+      index,
+      subject: step.subject,
+      message: step.message,
+      delayDays: step.delayDays,
+      stats: {
+        sent: step.stats?.sent || 0,
+        failed: step.stats?.failed || 0,
+        skipped: step.stats?.skipped || 0,
+        // Enrollments currently waiting on this step
+        pending: sequence.enrollments.filter(
+          (item) => item.status === "active" && item.currentStep === index,
+        ).length,
+      },
+    })),
+    enrollments: {
+      total: sequence.enrollments.length,
+      ...enrollmentCounts,
+    },
+    pausedAt: sequence.pausedAt,
+    cancelledAt: sequence.cancelledAt,
+    createdAt: sequence.createdAt,
+    updatedAt: sequence.updatedAt,
+  };
+};
+
+/**
+ * Send every sequence step that is due. Called by the scheduler.
+ * Leads whose pipeline moved past "contacted" (they replied), that
+ * unsubscribed, or that are no longer active are skipped and dropped from
+ * the sequence.
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} Run summary
+ */
+export const processDueSequenceSteps = async (now = new Date()) => {
+  const sequences = await EmailSequence.find({
+    status: "active",
+    enrollments: {
+      $elemMatch: { status: "active", nextSendAt: { $lte: now } },
+    },
+  });
+
+  const summary = { sequences: sequences.length, sent: 0, failed: 0, skipped: 0 };
+  if (sequences.length === 0) {
+    return { success: true, ...summary };
+  }
+
+  const transporter = createTransporter();
+  if (!transporter) {
+    return {
+      success: false,
+      error: "Email service configuration error",
+      ...summary,
+    };
+  }
+
+  for (const sequence of sequences) {
+    try {
+      const user = await User.findById(sequence.userId).select(
+        "name email accessedLeads",
+      );
+      if (!user) {
+        sequence.status = "cancelled";
+        sequence.cancelledAt = now;
+        await sequence.save();
+        continue;
+      }
+
+      const stageByLead = new Map(
+        (user.accessedLeads || []).map((item) => [
+          item.leadId.toString(),
+          item.stage || "new",
+        ]),
+      );
+
+      const due = sequence.enrollments.filter(
+        (item) =>
+          item.status === "active" &&
+          item.nextSendAt &&
+          item.nextSendAt <= now,
+      );
+
+      // Send step by step so each step gets its own EmailFeedback record
+      const dueByStep = new Map();
+      for (const enrollment of due) {
+        const list = dueByStep.get(enrollment.currentStep) || [];
+        list.push(enrollment);
+        dueByStep.set(enrollment.currentStep, list);
+      }
+
+      for (const [stepIndex, enrollments] of dueByStep) {
+        const step = sequence.steps[stepIndex];
+        if (!step) {
+          enrollments.forEach((item) => {
+            item.status = "completed";
+            item.nextSendAt = null;
+          });
+          continue;
+        }
+
+        const leads = await Lead.find({
+          _id: { $in: enrollments.map((item) => item.leadId) },
+          isActive: true,
+        });
+        const leadMap = new Map(leads.map((lead) => [lead._id.toString(), lead]));
+
+        const sendable = [];
+        for (const enrollment of enrollments) {
+          const leadKey = enrollment.leadId.toString();
+          const lead = leadMap.get(leadKey);
+
+          if (!lead || !stageByLead.has(leadKey)) {
+            enrollment.status = "cancelled";
+            enrollment.nextSendAt = null;
+            step.stats.skipped++;
+            summary.skipped++;
+            continue;
+          }
+
+          if (SEQUENCE_STOP_STAGES.includes(stageByLead.get(leadKey))) {
+            enrollment.status = "replied";
+            enrollment.nextSendAt = null;
+            step.stats.skipped++;
+            summary.skipped++;
+            continue;
+          }
+
+          if (await claimSequenceStep(sequence, enrollment, stepIndex, now)) {
+            sendable.push({ enrollment, lead });
+          }
+        }
+
+        if (sendable.length === 0) continue;
+
+        const { recipients } = await sendLeadEmailBatch(transporter, {
+          sender: user,
+          leads: sendable.map((item) => item.lead),
+          subject: step.subject,
+          message: step.message,
+          feedback: {
+            emailType: "sequence",
+            sequenceId: sequence._id,
+            sequenceStep: stepIndex,
+          },
+        });
+
+        recipients.forEach((recipient, index) => {
+          const { enrollment } = sendable[index];
+
+          // The claim already moved the enrollment on as if the email went out
+          if (recipient.status === "sent") {
+            step.stats.sent++;
+            summary.sent++;
+
+            enrollment.lastSentAt = now;
+          } else if (recipient.status === "skipped") {
+            step.stats.skipped++;
+            summary.skipped++;
+
+            enrollment.currentStep = stepIndex;
+            enrollment.status = "unsubscribed";
+            enrollment.nextSendAt = null;
+          } else {
+            step.stats.failed++;
+            summary.failed++;
+
+            enrollment.currentStep = stepIndex;
+            enrollment.status = "failed";
+            enrollment.nextSendAt = null;
+            enrollment.error = recipient.error;
+          }
+        });
+      }
+
+      if (!sequence.enrollments.some((item) => item.status === "active")) {
+        sequence.status = "completed";
+      }
+
+      await sequence.save();
+    } catch (error) {
+      console.error(`Email sequence ${sequence._id} processing error:`, error);
+    }
+  }
+
+  console.log(
+    `📨 Email sequences processed: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped`,
+  );
+  return { success: true, ...summary };
+};
+
+/**
+ * Stop active sequence enrollments for an address (after an unsubscribe or reply)
+ * @param {object} params
+ * @param {string} params.email - Recipient address
+ * @param {string|null} params.userId - Only stop this sender's sequences, null for all
+ * @param {string} params.status - Enrollment status to set (unsubscribed | replied)
+ * @returns {Promise<number>} Number of sequences updated
+ */
+export const stopSequenceEnrollments = async ({ email, userId = null, status }) => {
+  const query = {
+    status: { $in: ["active", "paused"] },
+    "enrollments.email": String(email).toLowerCase(),
+  };
+  if (userId) query.userId = userId;
+
+  const result = await EmailSequence.updateMany(
+    query,
+    {
+      $set: {
+        "enrollments.$[item].status": status,
+        "enrollments.$[item].nextSendAt": null,
+      },
+    },
+    {
+      arrayFilters: [
+        { "item.email": String(email).toLowerCase(), "item.status": "active" },
+      ],
+    },
+  );
+
+  return result.modifiedCount;
+};
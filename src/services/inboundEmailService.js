@@ -0,0 +1,238 @@
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+import { EmailFeedback, InboundEmail, User } from "../models/index.js";
+import {
+  parseMimeMessage,
+  stripQuotedReply,
+} from "../utils/mimeUtils.js";
+import { parseMessageIdToken } from "../utils/emailTrackingUtils.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import { stopSequenceEnrollments } from "./emailSequenceService.js";
+
+// Accessed-lead stages that a reply moves forward to "replied"
+const REPLY_ADVANCES_STAGES = ["new", "contacted"];
+
+const SNIPPET_LENGTH = 280;
+
+/**
+ * Find the recipient a reply belongs to. In-Reply-To is checked first, then
+ * References (newest first), then a stored Message-ID lookup for mail whose
+ * IDs were rewritten by the sender's provider.
+ * @param {object} message - Parsed message
+ * @returns {Promise<{emailFeedback: object, recipient: object}|null>} Match
+ */
+const findRepliedRecipient = async (message) => {
+  const candidates = [
+    ...message.inReplyTo,
+    ...[...message.references].reverse(),
+  ];
+
+  for (const candidate of candidates) {
+    const ids = parseMessageIdToken(candidate);
+    if (
+      !ids ||
+      !mongoose.Types.ObjectId.isValid(ids.emailFeedbackId) ||
+      !mongoose.Types.ObjectId.isValid(ids.recipientId)
+    ) {
+      continue;
+    }
+
+    const emailFeedback = await EmailFeedback.findById(ids.emailFeedbackId);
+    const recipient = emailFeedback?.recipients.id(ids.recipientId);
+    if (recipient) return { emailFeedback, recipient };
+  }
+
+  if (candidates.length > 0) {
+    const emailFeedback = await EmailFeedback.findOne({
+      "recipients.messageId": { $in: candidates },
+    });
+    const recipient = emailFeedback?.recipients.find((item) =>
+      candidates.includes(item.messageId),
+    );
+    if (recipient) return { emailFeedback, recipient };
+  }
+
+  return null;
+};
+
+/**
+ * Mark a recipient as replied, stop follow-ups and notify the sender
+ * @param {object} emailFeedback - EmailFeedback document
+ * @param {object} recipient - Recipient subdocument
+ * @param {object} reply - { from, subject, snippet, receivedAt }
+ * @returns {Promise<boolean>} True when this was the recipient's first reply
+ */
+const recordReply = async (emailFeedback, recipient, reply) => {
+  // Atomic first-reply update so the unique repliedCount stays exact
+  const result = await EmailFeedback.updateOne(
+    {
+      _id: emailFeedback._id,
+      recipients: { $elemMatch: { _id: recipient._id, replied: { $ne: true } } },
+    },
+    {
+      $set: {
+        "recipients.$.replied": true,
+        "recipients.$.repliedAt": reply.receivedAt,
+        "recipients.$.reply": {
+          from: reply.from,
+          subject: reply.subject,
+          snippet: reply.snippet,
+        },
+      },
+      $inc: { repliedCount: 1 },
+    },
+  );
+  const firstReply = result.modifiedCount > 0;
+
+  // Follow-ups stop for every sequence of this sender, not only the one replied to
+  await stopSequenceEnrollments({
+    email: recipient.email,
+    userId: emailFeedback.userId,
+    status: "replied",
+  });
+
+  if (recipient.leadId) {
+    await User.updateOne(
+      { _id: emailFeedback.userId },
+      {
+        $set: {
+          "accessedLeads.$[item].stage": "replied",
+          "accessedLeads.$[item].stageUpdatedAt": reply.receivedAt,
+        },
+      },
+      {
+        arrayFilters: [
+          {
+            "item.leadId": recipient.leadId,
+            // null also matches entries created before the pipeline existed
+            "item.stage": { $in: [...REPLY_ADVANCES_STAGES, null] },
+          },
+        ],
+      },
+    );
+  }
+
+  if (firstReply) {
+    await createNotification(
+      emailFeedback.userId,
+      "lead_reply",
+      `${recipient.name || recipient.email} replied to "${emailFeedback.subject}"`,
+    );
+  }
+
+  return firstReply;
+};
+
+/**
+ * Process one raw inbound email
+ * @param {string|Buffer} raw - Full MIME message
+ * @param {object} [options]
+ * @param {string} [options.source] - relay | maildir
+ * @returns {Promise<object>} { status: matched | unmatched | duplicate, ... }
+ */
+export const processInboundEmail = async (raw, { source = "relay" } = {}) => {
+  const message = parseMimeMessage(raw);
+  const receivedAt =
+    message.date && !Number.isNaN(message.date.getTime())
+      ? message.date
+      : new Date();
+
+  // Messages without a Message-ID get a stable one so retries still de-duplicate
+  const messageId =
+    message.messageId ||
+    `missing-${message.from.email}-${receivedAt.getTime()}-${message.subject}`;
+
+  if (await InboundEmail.exists({ messageId })) {
+    return { status: "duplicate", messageId };
+  }
+
+  const snippet = stripQuotedReply(message.text).slice(0, SNIPPET_LENGTH);
+  const match = await findRepliedRecipient(message);
+
+  const log = {
+    messageId,
+    fromEmail: message.from.email,
+    subject: message.subject,
+    snippet,
+    source,
+    receivedAt,
+    status: match ? "matched" : "unmatched",
+  };
+
+  if (!match) {
+    try {
+      await InboundEmail.create(log);
+    } catch (error) {
+      // A concurrent delivery of the same message already logged it
+      if (error.code === 11000) return { status: "duplicate", messageId };
+      throw error;
+    }
+    console.log(`📭 Inbound email from ${message.from.email} did not match a campaign`);
+    return { status: "unmatched", messageId };
+  }
+
+  const { emailFeedback, recipient } = match;
+  try {
+    await InboundEmail.create({
+      ...log,
+      emailFeedbackId: emailFeedback._id,
+      recipientId: recipient._id,
+      userId: emailFeedback.userId,
+      leadId: recipient.leadId,
+    });
+  } catch (error) {
+    // A concurrent delivery of the same message already handled it
+    if (error.code === 11000) return { status: "duplicate", messageId };
+    throw error;
+  }
+
+  const firstReply = await recordReply(emailFeedback, recipient, {
+    from: message.from.email,
+    subject: message.subject,
+    snippet,
+    receivedAt,
+  });
+
+  console.log(
+    `📬 Reply from ${message.from.email} matched email ${emailFeedback._id}`,
+  );
+  return {
+    status: "matched",
+    messageId,
+    emailFeedbackId: emailFeedback._id,
+    recipientId: recipient._id,
+    firstReply,
+  };
+};
+
+/**
+ * Process every message in a maildir's new/ folder, moving each file to
+ * cur/ once handled (stand-in for polling an IMAP inbox)
+ * @param {string} dir - Maildir root
+ * @returns {Promise<object>} Counts per status
+ */
+export const processMaildir = async (dir) => {
+  const newDir = path.join(dir, "new");
+  const curDir = path.join(dir, "cur");
+  await fs.mkdir(curDir, { recursive: true });
+
+  const summary = { matched: 0, unmatched: 0, duplicate: 0, failed: 0 };
+  const files = await fs.readdir(newDir).catch(() => []);
+
+  for (const file of files) {
+    const filePath = path.join(newDir, file);
+    try {
+      const raw = await fs.readFile(filePath);
+      const { status } = await processInboundEmail(raw, { source: "maildir" });
+      summary[status]++;
+      // ":2,S" marks the message as seen in maildir naming
+      await fs.rename(filePath, path.join(curDir, `${file}:2,S`));
+    } catch (error) {
+      console.error(`❌ Failed to process inbound file ${file}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,266 @@
+import mongoose from "mongoose";
+import { Lead, LeadAccessPolicy, User } from "../models/index.js";
+import { hasPipelineData } from "../utils/leadPipelineUtils.js";
+
+const DEFAULT_POLICY = {
+  maxUnlocksPerLead: Number(process.env.LEAD_MAX_UNLOCKS) || null,
+  exclusiveEnabled: false,
+  exclusivePrice: 10,
+};
+
+// Stand-in for "no cap" inside aggregation expressions
+const UNLIMITED = Number.MAX_SAFE_INTEGER;
+
+// Unlock history kept on the user, newest first. Entries with pipeline
+// data do not count against the cap and are never dropped.
+const MAX_ACCESSED_LEADS = 100;
+
+// accessedLeads entries without pipeline data (see hasPipelineData)
+const NO_PIPELINE_DATA = {
+  stage: { $in: ["new", null] },
+  stageUpdatedAt: null,
+  nextFollowUpAt: null,
+  "tags.0": { $exists: false },
+  "notes.0": { $exists: false },
+};
+
+/**
+ * Current unlock policy (defaults until an admin saves one)
+ * @returns {Promise<{maxUnlocksPerLead: number|null, exclusiveEnabled: boolean, exclusivePrice: number}>} Policy
+ */
+export const getLeadAccessPolicy = async () => {
+  const policy = await LeadAccessPolicy.findOne({ key: "default" }).lean();
+  if (!policy) return { ...DEFAULT_POLICY };
+
+  return {
+    maxUnlocksPerLead: policy.maxUnlocksPerLead ?? null,
+    exclusiveEnabled: policy.exclusiveEnabled,
+    exclusivePrice: policy.exclusivePrice,
+  };
+};
+
+/**
+ * Update the unlock policy
+ * @param {object} input - maxUnlocksPerLead (null for unlimited), exclusiveEnabled, exclusivePrice
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<{policy?: object, error?: string}>} Saved policy or a validation error
+ */
+export const updateLeadAccessPolicy = async (input = {}, adminId) => {
+  const update = {};
+
+  if (input.maxUnlocksPerLead !== undefined) {
+    const cap = input.maxUnlocksPerLead;
+    if (cap !== null && !(Number.isInteger(Number(cap)) && Number(cap) >= 1)) {
+      return { error: "maxUnlocksPerLead must be a positive integer or null" };
+    }
+    update.maxUnlocksPerLead = cap === null ? null : Number(cap);
+  }
+  if (input.exclusiveEnabled !== undefined) {
+    update.exclusiveEnabled = Boolean(input.exclusiveEnabled);
+  }
+  if (input.exclusivePrice !== undefined) {
+    const price = Number(input.exclusivePrice);
+    if (!Number.isInteger(price) || price < 1) {
+      return { error: "exclusivePrice must be a positive integer" };
+    }
+    update.exclusivePrice = price;
+  }
+
+  const policy = await LeadAccessPolicy.findOneAndUpdate(
+    { key: "default" },
+    { $set: { ...update, updatedBy: adminId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  );
+  return { policy };
+};
+
+/**
+ * Tokens charged for one unlock
+ * @param {object} policy - From getLeadAccessPolicy
+ * @param {boolean} exclusive - Exclusive unlock
+ * @param {number} [sharedPrice] - lead_access cost from the spend policy
+ * @returns {number} Token price
+ */
+export const getUnlockPrice = (policy, exclusive, sharedPrice = 1) =>
+  exclusive ? policy.exclusivePrice : sharedPrice;
+
+const sizeOfAccessedBy = { $size: { $ifNull: ["$accessedBy", []] } };
+
+const capExpression = (policy) => ({
+  $ifNull: ["$maxUnlocks", policy.maxUnlocksPerLead ?? UNLIMITED],
+});
+
+/**
+ * Condition for leads another user can still unlock: not exclusive and
+ * below their cap
+ * @param {object} policy - From getLeadAccessPolicy
+ * @returns {object} Query condition
+ */
+export const buildAvailableLeadQuery = (policy) => ({
+  exclusiveTo: null,
+  $expr: { $lt: [sizeOfAccessedBy, capExpression(policy)] },
+});
+
+/**
+ * Remaining availability of a lead, for listings
+ * @param {object} lead - Lead with accessedBy
+ * @param {object} policy - From getLeadAccessPolicy
+ * @returns {{cap: number|null, unlocks: number, remaining: number|null, exclusive: boolean, exclusiveAvailable: boolean}} Availability
+ */
+export const getLeadAvailability = (lead, policy) => {
+  const cap = lead.maxUnlocks ?? policy.maxUnlocksPerLead ?? null;
+  const unlocks = lead.accessedBy?.length || 0;
+  const exclusive = Boolean(lead.exclusiveTo);
+
+  return {
+    cap,
+    unlocks,
+    remaining: exclusive ? 0 : cap === null ? null : Math.max(cap - unlocks, 0),
+    exclusive,
+    exclusiveAvailable: policy.exclusiveEnabled && !exclusive && unlocks === 0,
+  };
+};
+
+// Why a reservation failed, read after the atomic update missed
+const getUnavailableReason = async (leadId, userId, exclusive, policy) => {
+  const lead = await Lead.findById(leadId)
+    .select("isActive exclusiveTo accessedBy maxUnlocks")
+    .lean();
+  if (!lead || !lead.isActive) return "not_found";
+  if (lead.exclusiveTo && String(lead.exclusiveTo) !== String(userId)) {
+    return "exclusive";
+  }
+  if (exclusive) {
+    return lead.exclusiveTo ? "already_exclusive" : "already_unlocked";
+  }
+  return getLeadAvailability(lead, policy).remaining === 0
+    ? "sold_out"
+    : "unavailable";
+};
+
+/**
+ * Atomically claim an unlock slot on a lead for a user. A user who already
+ * holds a slot keeps it without using another. An exclusive claim needs a
+ * lead nobody else has unlocked.
+ * @param {string} leadId - Lead ID
+ * @param {string} userId - User ID
+ * @param {object} options
+ * @param {object} options.policy - From getLeadAccessPolicy
+ * @param {boolean} [options.exclusive] - Claim the lead exclusively
+ * @returns {Promise<{lead?: object, claimed?: boolean, reason?: string}>} Lead (before the claim) and whether a new slot was taken, or the reason it is unavailable
+ */
+export const reserveLeadAccess = async (
+  leadId,
+  userId,
+  { policy, exclusive = false },
+) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  const filter = exclusive
+    ? {
+        _id: leadId,
+        isActive: true,
+        exclusiveTo: null,
+        // Nobody but this user has unlocked it
+        $expr: {
+          $eq: [
+            {
+              $size: {
+                $setDifference: [
+                  { $ifNull: ["$accessedBy", []] },
+                  [userObjectId],
+                ],
+              },
+            },
+            0,
+          ],
+        },
+      }
+    : {
+        _id: leadId,
+        isActive: true,
+        $or: [
+          { accessedBy: userObjectId, exclusiveTo: null },
+          { exclusiveTo: userObjectId },
+          buildAvailableLeadQuery(policy),
+        ],
+      };
+
+  const update = { $addToSet: { accessedBy: userObjectId } };
+  if (exclusive) {
+    update.$set = { exclusiveTo: userObjectId, exclusiveAt: new Date() };
+  }
+
+  // Pre-update document, to tell whether this call added the user
+  const lead = await Lead.findOneAndUpdate(filter, update, { new: false });
+  if (!lead) {
+    return {
+      reason: await getUnavailableReason(leadId, userId, exclusive, policy),
+    };
+  }
+
+  const claimed = !lead.accessedBy.some((id) => id.equals(userObjectId));
+  return { lead, claimed };
+};
+
+// Drop the oldest plain entries past MAX_ACCESSED_LEADS. The $pull only
+// matches entries that still have no pipeline data, so a stage or note
+// saved in the meantime keeps its entry.
+const trimAccessedLeads = async (userId) => {
+  const user = await User.findById(userId).select("accessedLeads").lean();
+  const plain = (user?.accessedLeads || []).filter(
+    (item) => !hasPipelineData(item),
+  );
+  const excess = plain.length - MAX_ACCESSED_LEADS;
+  if (excess <= 0) return;
+
+  const dropIds = plain.slice(-excess).map((item) => item._id);
+  await User.updateOne(
+    { _id: userId },
+    {
+      $pull: {
+        accessedLeads: { _id: { $in: dropIds }, ...NO_PIPELINE_DATA },
+      },
+    },
+  );
+};
+
+/**
+ * Add unlocked leads to the front of a user's accessedLeads, in the given
+ * order. A lead already in the list is not added again, so concurrent
+ * unlocks of the same lead leave one entry.
+ * @param {string} userId - User ID
+ * @param {object[]} entries - { leadId, accessedAt, tokensSpent }
+ * @returns {Promise<number>} Entries added
+ */
+export const recordLeadAccess = async (userId, entries) => {
+  let added = 0;
+  // Each push goes to the front, so push the last entry first
+  for (const entry of [...entries].reverse()) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, "accessedLeads.leadId": { $ne: entry.leadId } },
+      { $push: { accessedLeads: { $each: [entry], $position: 0 } } },
+    );
+    added += modifiedCount;
+  }
+  if (added > 0) await trimAccessedLeads(userId);
+  return added;
+};
+
+/**
+ * Undo reserveLeadAccess, e.g. when the token deduction fails
+ * @param {{lead: object, claimed: boolean}} reservation - Result of reserveLeadAccess
+ * @param {string} userId - User ID
+ * @param {boolean} [exclusive] - The reservation was exclusive
+ */
+export const releaseLeadAccess = async (reservation, userId, exclusive = false) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const update = {};
+  if (reservation.claimed) update.$pull = { accessedBy: userObjectId };
+  if (exclusive && !reservation.lead.exclusiveTo) {
+    update.$set = { exclusiveTo: null, exclusiveAt: null };
+  }
+  if (Object.keys(update).length === 0) return;
+
+  await Lead.updateOne({ _id: reservation.lead._id }, update);
+};
@@ -0,0 +1,190 @@
+import {
+  EmailFeedback,
+  EmailSequence,
+  InboundEmail,
+  Lead,
+  LeadList,
+  User,
+} from "../models/index.js";
+import {
+  buildDuplicateQuery,
+  compareMatchKeys,
+} from "../utils/leadDedupUtils.js";
+
+// Lead fields copied from the duplicate when the primary has no value
+const MERGEABLE_FIELDS = [
+  "phone",
+  "linkedin",
+  "facebookLink",
+  "websiteLink",
+  "googleMapLink",
+  "instagram",
+  "addressStreet",
+  "city",
+  "country",
+  "category",
+];
+
+const CANDIDATE_FIELDS =
+  "leadId name email phone websiteLink city country category dedupe isActive";
+
+/**
+ * Find existing leads that probably describe the same business
+ * @param {object} keys - Match keys from getLeadMatchKeys
+ * @param {object} [options]
+ * @param {string[]} [options.excludeIds] - Lead _ids to ignore
+ * @param {number} [options.limit] - Max candidates to compare
+ * @returns {Promise<object[]>} [{ lead, reasons, nameSimilarity }]
+ */
+export const findDuplicateLeads = async (
+  keys,
+  { excludeIds = [], limit = 50 } = {},
+) => {
+  const query = buildDuplicateQuery(keys);
+  if (!query) return [];
+  if (excludeIds.length > 0) query._id = { $nin: excludeIds };
+
+  const candidates = await Lead.find(query)
+    .select(CANDIDATE_FIELDS)
+    .limit(limit)
+    .lean();
+
+  return candidates
+    .map((lead) => ({ lead, ...compareMatchKeys(keys, lead.dedupe || {}) }))
+    .filter((match) => match.isDuplicate)
+    .map(({ isDuplicate, ...match }) => match);
+};
+
+/**
+ * Merge a duplicate lead into a primary lead. Empty primary fields are
+ * filled from the duplicate, accessedBy is combined, and every reference to
+ * the duplicate (users' accessedLeads, lead lists, email history, sequences)
+ * is moved to the primary before the duplicate is deleted.
+ * @param {string} primaryId - Lead _id that is kept
+ * @param {string} duplicateId - Lead _id that is merged and removed
+ * @returns {Promise<object>} Merge summary
+ */
+export const mergeLeads = async (primaryId, duplicateId) => {
+  const [primary, duplicate] = await Promise.all([
+    Lead.findById(primaryId),
+    Lead.findById(duplicateId),
+  ]);
+  if (!primary || !duplicate) {
+    throw new Error("Lead not found");
+  }
+
+  const filledFields = MERGEABLE_FIELDS.filter(
+    (field) => !primary[field] && duplicate[field],
+  );
+  filledFields.forEach((field) => {
+    primary[field] = duplicate[field];
+  });
+
+  if (
+    duplicate.lastVerifiedAt &&
+    (!primary.lastVerifiedAt || duplicate.lastVerifiedAt > primary.lastVerifiedAt)
+  ) {
+    primary.lastVerifiedAt = duplicate.lastVerifiedAt;
+  }
+
+  const accessedBy = new Set(primary.accessedBy.map((id) => id.toString()));
+  duplicate.accessedBy.forEach((id) => accessedBy.add(id.toString()));
+  primary.accessedBy = [...accessedBy];
+  primary.isActive = primary.isActive || duplicate.isActive;
+  primary.mergedFrom.push(
+    ...(duplicate.mergedFrom || []),
+    {
+      leadId: duplicate.leadId,
+      name: duplicate.name,
+      email: duplicate.email,
+      mergedAt: new Date(),
+    },
+  );
+  await primary.save();
+
+  // Users who accessed only the duplicate: point their entry at the primary
+  const movedUsers = await User.updateMany(
+    {
+      $and: [
+        { "accessedLeads.leadId": duplicate._id },
+        { "accessedLeads.leadId": { $ne: primary._id } },
+      ],
+    },
+    { $set: { "accessedLeads.$[item].leadId": primary._id } },
+    { arrayFilters: [{ "item.leadId": duplicate._id }] },
+  );
+
+  // Users who accessed both: keep the primary entry, carry over notes and tags
+  const usersWithBoth = await User.find({
+    $and: [
+      { "accessedLeads.leadId": duplicate._id },
+      { "accessedLeads.leadId": primary._id },
+    ],
+  }).select("accessedLeads");
+
+  for (const user of usersWithBoth) {
+    const duplicateEntry = user.accessedLeads.find(
+      (item) => item.leadId.toString() === duplicate._id.toString(),
+    );
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $push: {
+          "accessedLeads.$[item].notes": { $each: duplicateEntry.notes || [] },
+        },
+        $addToSet: {
+          "accessedLeads.$[item].tags": { $each: duplicateEntry.tags || [] },
+        },
+      },
+      { arrayFilters: [{ "item.leadId": primary._id }] },
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { accessedLeads: { leadId: duplicate._id } } },
+    );
+  }
+
+  // Email history and sequences keep pointing at a live lead
+  await EmailFeedback.updateMany(
+    { "recipients.leadId": duplicate._id },
+    { $set: { "recipients.$[item].leadId": primary._id } },
+    { arrayFilters: [{ "item.leadId": duplicate._id }] },
+  );
+  await EmailSequence.updateMany(
+    { "enrollments.leadId": duplicate._id },
+    { $set: { "enrollments.$[item].leadId": primary._id } },
+    { arrayFilters: [{ "item.leadId": duplicate._id }] },
+  );
+  await InboundEmail.updateMany(
+    { leadId: duplicate._id },
+    { $set: { leadId: primary._id } },
+  );
+
+  // Lead lists: retarget the duplicate, or drop it where the primary is listed
+  await LeadList.updateMany(
+    {
+      $and: [
+        { "leads.leadId": duplicate._id },
+        { "leads.leadId": { $ne: primary._id } },
+      ],
+    },
+    { $set: { "leads.$[item].leadId": primary._id } },
+    { arrayFilters: [{ "item.leadId": duplicate._id }] },
+  );
+  await LeadList.updateMany(
+    { "leads.leadId": duplicate._id },
+    { $pull: { leads: { leadId: duplicate._id } } },
+  );
+
+  await duplicate.deleteOne();
+
+  return {
+    primaryId: primary._id,
+    mergedLeadId: duplicate.leadId,
+    filledFields,
+    accessedByCount: primary.accessedBy.length,
+    usersMoved: movedUsers.modifiedCount,
+    usersDeduplicated: usersWithBoth.length,
+  };
+};
@@ -0,0 +1,318 @@
+import mongoose from "mongoose";
+import EmailFeedback from "../models/EmailFeedback.js";
+import { sendEmailWithRetry } from "../utils/emailUtils.js";
+import {
+  buildMessageId,
+  createTrackingToken,
+  injectEmailTracking,
+} from "../utils/emailTrackingUtils.js";
+import {
+  buildUnsubscribeUrl,
+  getSuppressedEmails,
+} from "../utils/suppressionUtils.js";
+import { renderMergeFields } from "../utils/emailTemplateUtils.js";
+
+/**
+ * Build the Lead query for an outbound email targeting a user's accessed leads
+ * @param {string} type - Targeting type (category, city, country, selected, list, bulk)
+ * @param {object} filters - { category, city, country, leadIds, list, userId }
+ * @param {string[]} accessedLeadIds - IDs of leads the user has unlocked
+ * @returns {{query: object, filterCriteria: object}} Mongo query and the criteria to record
+ */
+export const buildLeadEmailQuery = (type, filters, accessedLeadIds) => {
+  const { category, city, country, leadIds, list, userId } = filters || {};
+  const query = { _id: { $in: accessedLeadIds }, isActive: true };
+  const filterCriteria = {};
+
+  if (type === "category" && category) {
+    query.category = category;
+    filterCriteria.category = category;
+  } else if (type === "city" && city) {
+    query.city = city;
+    filterCriteria.city = city;
+  } else if (type === "country" && country) {
+    query.country = country;
+    filterCriteria.country = country;
+  } else if (type === "selected" && leadIds && leadIds.length > 0) {
+    const validLeadIds = leadIds.filter((id) =>
+      accessedLeadIds.includes(id.toString()),
+    );
+    query._id = { $in: validLeadIds };
+  } else if (type === "list" && list) {
+    // Lists can hold more leads than the recent accessedLeads history, so
+    // membership is checked against Lead.accessedBy instead
+    query._id = { $in: list.leads.map((item) => item.leadId) };
+    query.accessedBy = userId;
+    filterCriteria.listId = list._id;
+    filterCriteria.listName = list.name;
+  }
+
+  return { query, filterCriteria };
+};
+
+/**
+ * Render the branded HTML body used for every email sent to a lead
+ * @param {object} params
+ * @param {string} params.subject - Email subject (used as document title)
+ * @param {string} params.message - Message body (HTML allowed)
+ * @param {string} params.leadName - Recipient lead name
+ * @param {string} params.senderName - Name of the user sending the email
+ * @param {string} [params.unsubscribeUrl] - Adds an unsubscribe link to the footer
+ * @returns {string} Email HTML
+ */
+export const buildLeadEmailHtml = ({
+  subject,
+  message,
+  leadName,
+  senderName,
+  unsubscribeUrl,
+}) => `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+              <meta charset="utf-8">
+              <meta name="viewport" content="width=device-width, initial-scale=1.0">
+              <meta http-equiv="X-UA-Compatible" content="IE=edge">
+              <title>${subject}</title>
+              <style>
+                @media only screen and (max-width: 600px) {
+                  .container { width: 100% !important; padding: 10px !important; }
+                  .content { padding: 20px !important; }
+                }
+              </style>
+            </head>
+            <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f8fafc;">
+              <div class="container" style="max-width: 600px; margin: 0 auto; padding: 20px;">
+                <div class="content" style="background: white; padding: 40px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); border: 1px solid #e2e8f0;">
+                  <div style="text-align: center; margin-bottom: 30px;">
+                    <h1 style="color: #1e293b; font-size: 24px; font-weight: 600; margin: 0; padding: 0;">ClientSure</h1>
+                    <div style="width: 50px; height: 3px; background: linear-gradient(90deg, #3b82f6, #1d4ed8); margin: 10px auto; border-radius: 2px;"></div>
+                  </div>
+
+                  <div style="margin-bottom: 25px;">
+                    <h2 style="color: #1e293b; font-size: 20px; font-weight: 500; margin: 0 0 15px 0;">Hello ${leadName},</h2>
+                  </div>
+
+                  <div style="margin: 25px 0; font-size: 16px; line-height: 1.7; color: #374151;">
+                    ${message}
+                  </div>
+
+                  <div style="margin-top: 40px; padding-top: 25px; border-top: 2px solid #f1f5f9;">
+                    <div style="background: #f8fafc; padding: 20px; border-radius: 8px; border-left: 4px solid #3b82f6;">
+                      <p style="margin: 0; font-size: 14px; color: #64748b; line-height: 1.5;">
+                        <strong style="color: #1e293b;">Best regards,</strong><br>
+                        ${senderName}<br>
+                        <span style="color: #3b82f6;">via ClientSure Platform</span>
+                      </p>
+                    </div>
+                  </div>
+
+                  <div style="margin-top: 30px; text-align: center; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0; font-size: 12px; color: #94a3b8; line-height: 1.4;">
+                      This email was sent via <strong>ClientSure</strong> - Professional Lead Management Platform<br>
+                      © ${new Date().getFullYear()} ClientSure. All rights reserved.
+                    </p>${
+                      unsubscribeUrl
+                        ? `
+                    <p style="margin: 10px 0 0; font-size: 12px; color: #94a3b8;">
+                      Don't want to hear from ${senderName}? <a data-notrack href="${unsubscribeUrl}" style="color: #64748b;">Unsubscribe</a>
+                    </p>`
+                        : ""
+                    }
+                  </div>
+                </div>
+              </div>
+            </body>
+            </html>
+          `;
+
+/**
+ * Send one email to a lead on behalf of a user.
+ * {{merge}} variables in the subject and message are filled from the lead.
+ * @param {object} transporter - Nodemailer transporter
+ * @param {object} params
+ * @param {object} params.sender - Sending user ({ name })
+ * @param {object} params.lead - Lead document ({ name, email })
+ * @param {string} params.subject - Email subject
+ * @param {string} params.message - Message body (HTML allowed)
+ * @param {string} [params.cc] - CC addresses
+ * @param {string} [params.bcc] - BCC addresses
+ * @param {object} [params.fallbacks] - Template fallbacks for empty lead fields
+ * @param {object} [params.identity] - SenderIdentity to send from (platform mailbox when omitted)
+ * @param {string} [params.trackingToken] - Adds open pixel and click tracking,
+ * and a Message-ID used to match replies, when set
+ * @returns {Promise<boolean>} Success status (throws after the last retry)
+ */
+export const sendLeadEmail = async (
+  transporter,
+  {
+    sender,
+    lead,
+    subject,
+    message,
+    cc,
+    bcc,
+    fallbacks,
+    identity,
+    trackingToken,
+  },
+) => {
+  const unsubscribeUrl = buildUnsubscribeUrl(sender._id, lead.email);
+  const renderedSubject = renderMergeFields(subject, lead, { fallbacks });
+
+  let html = buildLeadEmailHtml({
+    subject: renderedSubject,
+    message: renderMergeFields(message, lead, { fallbacks, html: true }),
+    leadName: lead.name,
+    senderName: sender.name,
+    unsubscribeUrl,
+  });
+  if (trackingToken) {
+    html = injectEmailTracking(html, trackingToken);
+  }
+
+  const mailOptions = {
+    from: identity
+      ? `"${identity.fromName}" <${identity.fromEmail}>`
+      : `"${sender.name}" <${process.env.EMAIL_USER}>`,
+    replyTo: identity?.replyTo || undefined,
+    to: lead.email,
+    subject: renderedSubject,
+    cc: cc || undefined,
+    bcc: bcc || undefined,
+    html,
+    messageId: trackingToken ? `<${buildMessageId(trackingToken)}>` : undefined,
+    // RFC 8058 one-click unsubscribe
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+
+  return sendEmailWithRetry(transporter, mailOptions, 2);
+};
+
+/**
+ * Send the same email to a list of leads and record it in EmailFeedback.
+ * The EmailFeedback document is saved before sending so that tracking
+ * requests arriving mid-batch find their recipient; statuses are then
+ * written per recipient without touching engagement fields.
+ * Addresses on the suppression list are recorded as skipped and never sent.
+ * @param {object} transporter - Nodemailer transporter
+ * @param {object} params
+ * @param {object} params.sender - Sending user document
+ * @param {object[]} params.leads - Lead documents
+ * @param {string} params.subject - Email subject
+ * @param {string} params.message - Message body (HTML allowed)
+ * @param {string} [params.cc] - CC addresses
+ * @param {string} [params.bcc] - BCC addresses
+ * @param {object} [params.fallbacks] - Template fallbacks for empty lead fields
+ * @param {object} [params.identity] - SenderIdentity to send from
+ * @param {object} params.feedback - Extra EmailFeedback fields (emailType, filterCriteria, sequenceId, sequenceStep)
+ * @returns {Promise<{emailFeedback: object, recipients: object[], successCount: number, failedCount: number, skippedCount: number}>}
+ */
+export const sendLeadEmailBatch = async (
+  transporter,
+  { sender, leads, subject, message, cc, bcc, fallbacks, identity, feedback },
+) => {
+  const suppressed = await getSuppressedEmails(
+    sender._id,
+    leads.map((lead) => lead.email),
+  );
+
+  const recipients = leads.map((lead) => {
+    const isSuppressed = suppressed.has(lead.email?.toLowerCase());
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      leadId: lead._id,
+      email: lead.email,
+      name: lead.name,
+      status: isSuppressed ? "skipped" : "pending",
+      skipReason: isSuppressed ? "suppressed" : undefined,
+    };
+  });
+  const skippedCount = recipients.filter(
+    (recipient) => recipient.status === "skipped",
+  ).length;
+
+  const emailFeedback = await EmailFeedback.create({
+    userId: sender._id,
+    subject,
+    message,
+    ...feedback,
+    recipients,
+    totalRecipients: leads.length,
+    skippedCount,
+  });
+
+  let successCount = 0;
+  let failedCount = 0;
+
+  for (let i = 0; i < leads.length; i++) {
+    const lead = leads[i];
+    const recipient = recipients[i];
+
+    if (recipient.status === "skipped") {
+      console.log(`🚫 Skipping suppressed address: ${lead.email}`);
+      continue;
+    }
+
+    const trackingToken = createTrackingToken(emailFeedback._id, recipient._id);
+    recipient.messageId = buildMessageId(trackingToken);
+
+    try {
+      console.log(`📧 Sending email to: ${lead.email}`);
+      await sendLeadEmail(transporter, {
+        sender,
+        lead,
+        subject,
+        message,
+        cc,
+        bcc,
+        fallbacks,
+        identity,
+        trackingToken,
+      });
+      console.log(`✅ Email sent successfully to: ${lead.email}`);
+
+      recipient.status = "sent";
+      successCount++;
+    } catch (error) {
+      console.error(`❌ Failed to send email to ${lead.email}:`, error.message);
+      recipient.status = "failed";
+      recipient.error = error.message;
+      failedCount++;
+    }
+  }
+
+  await EmailFeedback.bulkWrite([
+    ...recipients
+      .filter((recipient) => recipient.status !== "skipped")
+      .map((recipient) => ({
+        updateOne: {
+          filter: { _id: emailFeedback._id, "recipients._id": recipient._id },
+          update: {
+            $set: {
+              "recipients.$.status": recipient.status,
+              "recipients.$.error": recipient.error,
+              "recipients.$.messageId": recipient.messageId,
+            },
+          },
+        },
+      })),
+    {
+      updateOne: {
+        filter: { _id: emailFeedback._id },
+        update: { $set: { successCount, failedCount } },
+      },
+    },
+  ]);
+
+  return {
+    emailFeedback,
+    recipients,
+    successCount,
+    failedCount,
+    skippedCount,
+  };
+};
@@ -0,0 +1,311 @@
+import { Lead, LeadEnrichment } from "../models/index.js";
+import {
+  ENRICHABLE_FIELDS,
+  createEnrichmentFetcher,
+  extractLeadContacts,
+  findContactPageUrls,
+  rankLeadContacts,
+} from "../utils/leadEnrichmentUtils.js";
+
+const BATCH_SIZE = 50;
+const CONCURRENCY = 5;
+const PAGE_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 1024 * 1024;
+
+let runnerActive = false;
+
+const getRecheckDays = () => Number(process.env.LEAD_ENRICH_RECHECK_DAYS) || 30;
+
+const isEmpty = (value) => !String(value ?? "").trim();
+
+/**
+ * Shared state for one enrichment run
+ * @param {object} [overrides] - Replace fetch, e.g. with a local stand-in
+ * @returns {object} Enrichment context
+ */
+export const createEnrichmentContext = (overrides = {}) => ({
+  fetch: createEnrichmentFetcher(),
+  ...overrides,
+});
+
+// Read at most MAX_PAGE_BYTES of an HTML response
+const readPage = async (response) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < MAX_PAGE_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, MAX_PAGE_BYTES).toString("utf8");
+};
+
+const fetchPage = async (url, context) => {
+  // The enrichment fetcher follows redirects itself, checking each hop
+  const response = await context.fetch(url, {
+    redirect: "manual",
+    signal: AbortSignal.timeout(PAGE_TIMEOUT_MS),
+    headers: { accept: "text/html,application/xhtml+xml" },
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const contentType = response.headers.get("content-type") || "";
+  if (contentType && !/html|text\/plain/i.test(contentType)) {
+    throw new Error(`Unsupported content type ${contentType}`);
+  }
+  return { url: response.url || String(url), html: await readPage(response) };
+};
+
+/**
+ * Fetch a lead's website (home page and up to two contact pages), and store
+ * the values found for its empty fields as pending LeadEnrichment proposals
+ * @param {object} lead - Lead with a websiteLink
+ * @param {object} [context] - Enrichment context to reuse across leads
+ * @returns {Promise<{status: string, proposed: number, detail?: string}>} Result
+ */
+export const enrichLead = async (lead, context = createEnrichmentContext()) => {
+  const checkedAt = new Date();
+  const missing = ENRICHABLE_FIELDS.filter((field) => isEmpty(lead[field]));
+  const setResult = (status, detail = null) =>
+    Lead.updateOne(
+      { _id: lead._id },
+      { $set: { enrichment: { status, checkedAt, detail } } },
+    );
+
+  let homeUrl;
+  try {
+    const value = String(lead.websiteLink || "").trim();
+    homeUrl = new URL(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+  } catch {
+    await setResult("failed", "Invalid website URL");
+    return { status: "failed", proposed: 0, detail: "Invalid website URL" };
+  }
+
+  const candidates = [];
+  try {
+    const home = await fetchPage(homeUrl, context);
+    candidates.push(...extractLeadContacts(home.html, home.url, lead));
+
+    for (const url of findContactPageUrls(home.html, home.url)) {
+      try {
+        const page = await fetchPage(url, context);
+        candidates.push(...extractLeadContacts(page.html, page.url, lead));
+      } catch {
+        // The home page is enough; contact pages are a bonus
+      }
+    }
+  } catch (error) {
+    const detail = String(
+      error.name === "TimeoutError"
+        ? "Request timed out"
+        : error.cause?.code || error.message,
+    ).slice(0, 200);
+    await setResult("failed", detail);
+    return { status: "failed", proposed: 0, detail };
+  }
+
+  const ranked = rankLeadContacts(
+    candidates.filter((candidate) => missing.includes(candidate.field)),
+    lead,
+  );
+  const operations = Object.values(ranked)
+    .flat()
+    .map((candidate) => ({
+      updateOne: {
+        filter: {
+          leadId: lead._id,
+          field: candidate.field,
+          value: candidate.value,
+        },
+        update: {
+          $setOnInsert: {
+            source: {
+              url: candidate.url,
+              method: candidate.method,
+              fetchedAt: checkedAt,
+            },
+            status: "pending",
+          },
+        },
+        upsert: true,
+      },
+    }));
+
+  let proposed = 0;
+  if (operations.length > 0) {
+    const result = await LeadEnrichment.bulkWrite(operations, { ordered: false });
+    proposed = result.upsertedCount;
+  }
+
+  const status = operations.length > 0 ? "found" : "none";
+  await setResult(status);
+  return { status, proposed };
+};
+
+// One run of enrichPendingLeads
+const enrichBatch = async (limit) => {
+  const cutoff = new Date(
+    Date.now() - getRecheckDays() * 24 * 60 * 60 * 1000,
+  );
+  const context = createEnrichmentContext();
+  const summary = { checked: 0, found: 0, none: 0, failed: 0, proposed: 0 };
+
+  while (summary.checked < limit) {
+    const leads = await Lead.find({
+      isActive: true,
+      websiteLink: { $nin: [null, ""] },
+      $and: [
+        {
+          $or: ENRICHABLE_FIELDS.map((field) => ({
+            [field]: { $in: [null, ""] },
+          })),
+        },
+        {
+          $or: [
+            { "enrichment.checkedAt": { $lt: cutoff } },
+            { "enrichment.checkedAt": null },
+          ],
+        },
+      ],
+    })
+      .sort({ "enrichment.checkedAt": 1, _id: 1 })
+      .limit(Math.min(BATCH_SIZE, limit - summary.checked))
+      .select(`websiteLink country ${ENRICHABLE_FIELDS.join(" ")}`)
+      .lean();
+
+    if (leads.length === 0) break;
+
+    for (let i = 0; i < leads.length; i += CONCURRENCY) {
+      const results = await Promise.all(
+        leads.slice(i, i + CONCURRENCY).map((lead) => enrichLead(lead, context)),
+      );
+      for (const result of results) {
+        summary.checked++;
+        summary[result.status]++;
+        summary.proposed += result.proposed;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Enrich active leads that have a website but are missing contact fields,
+ * skipping leads checked within LEAD_ENRICH_RECHECK_DAYS
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum leads to check in this run
+ * @returns {Promise<object|null>} Run counts, null if a run is already active
+ */
+export const enrichPendingLeads = async ({
+  limit = Number(process.env.LEAD_ENRICH_BATCH_LIMIT) || 500,
+} = {}) => {
+  if (runnerActive) return null;
+  runnerActive = true;
+
+  try {
+    return await enrichBatch(limit);
+  } finally {
+    runnerActive = false;
+  }
+};
+
+/**
+ * Approve pending proposals and write them to their leads. A proposal is
+ * superseded when the field was filled in the meantime, and approving one
+ * value supersedes the other pending values for the same field.
+ * @param {string[]} ids - LeadEnrichment IDs
+ * @param {object} review
+ * @param {string} review.adminId - Reviewing admin
+ * @returns {Promise<object>} Counts: approved, superseded, skipped, failed
+ */
+export const approveLeadEnrichments = async (ids, { adminId }) => {
+  const summary = { approved: 0, superseded: 0, skipped: 0, failed: [] };
+  const review = { reviewedBy: adminId, reviewedAt: new Date() };
+
+  const proposals = await LeadEnrichment.find({
+    _id: { $in: ids },
+    status: "pending",
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  summary.skipped = ids.length - proposals.length;
+
+  for (const proposal of proposals) {
+    // Atomic claim, so a proposal is applied once
+    const claimed = await LeadEnrichment.findOneAndUpdate(
+      { _id: proposal._id, status: "pending" },
+      { $set: { status: "approved", ...review } },
+    );
+    if (!claimed) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const lead = await Lead.findById(proposal.leadId);
+      if (!lead || !isEmpty(lead[proposal.field])) {
+        await LeadEnrichment.updateOne(
+          { _id: proposal._id },
+          {
+            $set: {
+              status: "superseded",
+              adminNote: lead ? "Field already set" : "Lead not found",
+            },
+          },
+        );
+        summary.superseded++;
+        continue;
+      }
+
+      // save() keeps dedupe keys and verification state in sync
+      lead[proposal.field] = proposal.value;
+      await lead.save();
+
+      await LeadEnrichment.updateMany(
+        {
+          leadId: proposal.leadId,
+          field: proposal.field,
+          status: "pending",
+        },
+        { $set: { status: "superseded", ...review } },
+      );
+      summary.approved++;
+    } catch (error) {
+      await LeadEnrichment.updateOne(
+        { _id: proposal._id },
+        { $set: { status: "pending", reviewedBy: null, reviewedAt: null } },
+      );
+      summary.failed.push({ id: proposal._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Reject pending proposals. Rejected values are not proposed again.
+ * @param {string[]} ids - LeadEnrichment IDs
+ * @param {object} review
+ * @param {string} review.adminId - Reviewing admin
+ * @param {string} [review.note] - Reason
+ * @returns {Promise<number>} Number of rejected proposals
+ */
+export const rejectLeadEnrichments = async (ids, { adminId, note }) => {
+  const result = await LeadEnrichment.updateMany(
+    { _id: { $in: ids }, status: "pending" },
+    {
+      $set: {
+        status: "rejected",
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        adminNote: note,
+      },
+    },
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,69 @@
+import { streamLeadExport } from "../utils/leadExportUtils.js";
+import {
+  chargeTokenHold,
+  releaseTokenHold,
+  reserveTokens,
+} from "./tokenHoldService.js";
+import {
+  claimSpend,
+  quoteSpend,
+  releaseFreeUses,
+} from "./tokenSpendService.js";
+
+/**
+ * Write an export and charge the lead_export spend action for the rows
+ * written. The cost is held before anything is sent, so a failed export
+ * charges nothing and free exports only count rows that went out.
+ * @param {object} res - Express response
+ * @param {object} user - User (_id, subscription.planId)
+ * @param {number} count - Leads requested
+ * @param {AsyncIterable<{lead: object, date: Date}>|Array} rows - Rows to export
+ * @param {object} options - From parseExportOptions
+ * @param {object} [meta] - filename, dateColumn, sheetName for streamLeadExport
+ * @returns {Promise<{exported?: number, tokensSpent?: number, required?: number}>} Rows and tokens charged, or the tokens required when the user cannot pay (nothing is written)
+ */
+export const exportChargedLeads = async (
+  res,
+  user,
+  count,
+  rows,
+  options,
+  meta,
+) => {
+  const spend = await claimSpend(
+    await quoteSpend("lead_export", user, count),
+    user._id,
+  );
+  let hold = null;
+  if (spend.tokens > 0) {
+    try {
+      hold = await reserveTokens(user._id, spend.tokens, {
+        reason: "lead_export",
+        metadata: { leads: count },
+      });
+    } catch (error) {
+      await releaseFreeUses(user._id, "lead_export", spend.free);
+      if (error.message.startsWith("Insufficient tokens")) {
+        return { required: spend.tokens };
+      }
+      throw error;
+    }
+  }
+
+  let exported;
+  try {
+    exported = await streamLeadExport(res, rows, options, meta);
+  } catch (error) {
+    if (hold) await releaseTokenHold(hold._id);
+    await releaseFreeUses(user._id, "lead_export", spend.free);
+    throw error;
+  }
+
+  // Free exports cover the first rows; unused ones go back to the quota
+  const freeRows = Math.min(exported, spend.free);
+  await releaseFreeUses(user._id, "lead_export", spend.free - freeRows);
+  const tokensSpent = hold
+    ? await chargeTokenHold(hold, (exported - freeRows) * spend.unitCost)
+    : 0;
+  return { exported, tokensSpent };
+};
@@ -0,0 +1,598 @@
+import mongoose from "mongoose";
+import xlsx from "xlsx";
+import {
+  Lead,
+  LeadImportIssue,
+  LeadImportJob,
+} from "../models/index.js";
+import { sendLeadsUploadedEmail } from "../utils/emailUtils.js";
+import {
+  compareMatchKeys,
+  getLeadMatchKeys,
+} from "../utils/leadDedupUtils.js";
+import {
+  applyDefaultMapping,
+  applyMappings,
+} from "../utils/importMappingUtils.js";
+import { findDuplicateLeads } from "./leadDedupService.js";
+
+const BUCKET_NAME = "leadImports";
+// A processing job without a heartbeat for this long is picked up again
+const STALE_JOB_MS = 5 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let runnerActive = false;
+
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: BUCKET_NAME,
+  });
+
+const readStoredFile = async (fileId) => {
+  const chunks = [];
+  for await (const chunk of getBucket().openDownloadStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const deleteStoredFile = async (fileId) => {
+  try {
+    await getBucket().delete(fileId);
+  } catch (error) {
+    console.error("Failed to delete import file:", error.message);
+  }
+};
+
+/**
+ * Work out the file format from its name and MIME type
+ * @param {object} file - { originalname, mimetype }
+ * @returns {string|null} xlsx | csv | jsonl, or null when unsupported
+ */
+export const detectImportFormat = ({ originalname = "", mimetype = "" }) => {
+  const extension = originalname.toLowerCase().split(".").pop();
+  if (["jsonl", "ndjson", "json"].includes(extension)) return "jsonl";
+  if (extension === "csv" || mimetype === "text/csv") return "csv";
+  if (["xlsx", "xls"].includes(extension)) return "xlsx";
+  if (/ndjson|jsonl|json/.test(mimetype)) return "jsonl";
+  if (/spreadsheet|excel/.test(mimetype)) return "xlsx";
+  return null;
+};
+
+/**
+ * Read the first sheet of an uploaded workbook into row objects keyed by
+ * header, keeping the sheet's row order
+ * @param {Buffer} buffer - File contents
+ * @param {object} [options]
+ * @param {boolean} [options.raw] - Keep cell text as-is (CSV: no number parsing,
+ * so phone numbers keep leading zeros)
+ * @returns {object[]} Rows
+ */
+export const readWorkbookRows = (buffer, { raw = false } = {}) => {
+  const workbook = xlsx.read(buffer, { type: "buffer", raw });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet?.["!ref"]) return [];
+
+  const range = xlsx.utils.decode_range(worksheet["!ref"]);
+  const headers = [];
+  for (let colNum = range.s.c; colNum <= range.e.c; colNum++) {
+    const headerAddress = xlsx.utils.encode_cell({ r: range.s.r, c: colNum });
+    headers.push(worksheet[headerAddress]?.v);
+  }
+
+  const data = [];
+  for (let rowNum = range.s.r + 1; rowNum <= range.e.r; rowNum++) {
+    const row = {};
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const cellAddress = xlsx.utils.encode_cell({
+        r: rowNum,
+        c: range.s.c + index,
+      });
+      row[header] = worksheet[cellAddress]?.v || "";
+    });
+    if (Object.keys(row).length > 0) {
+      data.push(row);
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Read JSON-lines content: one lead object per line. Lines that are not
+ * valid JSON objects become rows carrying a parse error.
+ * @param {Buffer} buffer - File contents
+ * @returns {object[]} Rows
+ */
+export const readJsonLinesRows = (buffer) => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "").trim();
+
+  // A plain JSON array is accepted as well
+  if (text.startsWith("[")) {
+    try {
+      const items = JSON.parse(text);
+      return items.map((item) =>
+        item && typeof item === "object" && !Array.isArray(item)
+          ? item
+          : { __parseError: "Item is not an object" },
+      );
+    } catch (error) {
+      return [{ __parseError: `Invalid JSON: ${error.message}` }];
+    }
+  }
+
+  return text.split(/\r?\n/).map((line) => {
+    if (!line.trim()) return {};
+    try {
+      const item = JSON.parse(line);
+      return item && typeof item === "object" && !Array.isArray(item)
+        ? item
+        : { __parseError: "Line is not a JSON object" };
+    } catch (error) {
+      return { __parseError: `Invalid JSON: ${error.message}` };
+    }
+  });
+};
+
+/**
+ * Read an uploaded file into row objects in file order
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - xlsx | csv | jsonl
+ * @returns {object[]} Rows
+ */
+export const readImportRows = (buffer, format) => {
+  if (format === "jsonl") return readJsonLinesRows(buffer);
+  return readWorkbookRows(buffer, { raw: format === "csv" });
+};
+
+/**
+ * Validate one uploaded row and map it to Lead fields
+ * @param {object} row - Row keyed by header
+ * @param {number} rowNumber - Row number in the file (for messages)
+ * @param {object[]} [mappings] - Mapping profile columns; built-in header
+ * spellings are used when omitted
+ * @returns {{leadData?: object, error?: string, empty?: boolean}} Result
+ */
+export const parseLeadRow = (row, rowNumber, mappings) => {
+  if (row.__parseError) {
+    return { error: `Row ${rowNumber}: ${row.__parseError}` };
+  }
+
+  const normalizedRow = mappings?.length
+    ? applyMappings(row, mappings)
+    : applyDefaultMapping(row);
+
+  const leadId = normalizedRow.leadId;
+  const name = normalizedRow.name;
+  const email = normalizedRow.email;
+
+  // Skip empty rows
+  if (!leadId && !name && !email) {
+    return { empty: true };
+  }
+
+  if (!leadId) {
+    return { error: `Row ${rowNumber}: Missing Lead ID (column: id or leadId)` };
+  }
+  if (!name) {
+    return { error: `Row ${rowNumber}: Missing Name` };
+  }
+  if (!email) {
+    return { error: `Row ${rowNumber}: Missing Email` };
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: `Row ${rowNumber}: Invalid email format: ${email}` };
+  }
+
+  // Parse date if provided
+  let lastVerifiedAt = null;
+  const dateStr = normalizedRow.lastVerifiedAt;
+  if (dateStr) {
+    const parsedDate = new Date(dateStr);
+    if (!isNaN(parsedDate.getTime())) {
+      lastVerifiedAt = parsedDate;
+    }
+  }
+
+  return {
+    leadData: {
+      leadId: leadId.toString(),
+      name: name.toString(),
+      email: email.toString().toLowerCase(),
+      phone: normalizedRow.phone || null,
+      category: normalizedRow.category || null,
+      city: normalizedRow.city || null,
+      country: normalizedRow.country || null,
+      addressStreet: normalizedRow.addressStreet || null,
+      linkedin: normalizedRow.linkedin || null,
+      facebookLink: normalizedRow.facebookLink || null,
+      websiteLink: normalizedRow.websiteLink || null,
+      googleMapLink: normalizedRow.googleMapLink || null,
+      instagram: normalizedRow.instagram || null,
+      lastVerifiedAt,
+    },
+  };
+};
+
+/**
+ * Store an uploaded file and queue an import job for it
+ * @param {object} params
+ * @param {object} params.file - Multer file (memory storage)
+ * @param {string} [params.adminId] - Admin who uploaded
+ * @param {string} params.format - xlsx | csv | jsonl
+ * @param {object} [params.mappingProfile] - ImportMappingProfile to apply
+ * @param {object} [params.options] - { dryRun, allowDuplicates, chunkSize }
+ * @returns {Promise<object>} LeadImportJob document
+ */
+export const createLeadImportJob = async ({
+  file,
+  adminId,
+  format,
+  mappingProfile,
+  options = {},
+}) => {
+  const fileId = new mongoose.Types.ObjectId();
+  await new Promise((resolve, reject) => {
+    getBucket()
+      .openUploadStreamWithId(fileId, file.originalname, {
+        metadata: { contentType: file.mimetype },
+      })
+      .on("error", reject)
+      .on("finish", resolve)
+      .end(file.buffer);
+  });
+
+  return LeadImportJob.create({
+    adminId,
+    fileName: file.originalname,
+    fileSize: file.size,
+    fileId,
+    format,
+    mappingProfileId: mappingProfile?._id,
+    mappings: mappingProfile?.mappings.map((mapping) => mapping.toObject()),
+    options,
+  });
+};
+
+/**
+ * Shape a job for API responses
+ * @param {object} job - LeadImportJob document
+ * @returns {object} Job with progress percentage
+ */
+export const formatImportJob = (job) => ({
+  id: job._id,
+  fileName: job.fileName,
+  format: job.format,
+  mappingProfileId: job.mappingProfileId || null,
+  status: job.status,
+  options: {
+    dryRun: job.options?.dryRun || false,
+    allowDuplicates: job.options?.allowDuplicates || false,
+  },
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  progress:
+    job.totalRows > 0
+      ? Math.min(100, Math.round((job.processedRows / job.totalRows) * 100))
+      : job.status === "completed"
+        ? 100
+        : 0,
+  insertedCount: job.insertedCount,
+  skippedCount: job.skippedCount,
+  errorCount: job.errorCount,
+  duplicateCount: job.duplicateCount,
+  error: job.error || null,
+  startedAt: job.startedAt || null,
+  completedAt: job.completedAt || null,
+  createdAt: job.createdAt,
+});
+
+// Insert a chunk's leads, reporting rows that hit a unique index conflict
+const insertChunk = async (docs, issues) => {
+  if (docs.length === 0) return 0;
+
+  try {
+    const result = await Lead.insertMany(docs, { ordered: false });
+    return result.length;
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+
+    for (const writeError of error.writeErrors) {
+      const doc = docs[writeError.index];
+      issues.push({
+        type: writeError.code === 11000 ? "skipped" : "error",
+        leadId: doc?.leadId,
+        name: doc?.name,
+        email: doc?.email,
+        message:
+          writeError.code === 11000
+            ? `Duplicate leadId: ${doc?.leadId}`
+            : `Error inserting ${doc?.leadId}: ${writeError.errmsg}`,
+      });
+    }
+    return error.insertedDocs?.length ?? docs.length - error.writeErrors.length;
+  }
+};
+
+/**
+ * Validate, de-duplicate and insert one chunk of rows
+ * @returns {Promise<object>} Counter increments for the job
+ */
+const processChunk = async (job, rows, startIndex, state) => {
+  const issues = [];
+  const parsed = [];
+
+  rows.forEach((row, offset) => {
+    // Sheets have a header row; JSON-lines rows are numbered by line
+    const rowNumber = startIndex + offset + (job.format === "jsonl" ? 1 : 2);
+    const result = parseLeadRow(row, rowNumber, job.mappings);
+    if (result.empty) return;
+    if (result.error) {
+      issues.push({ row: rowNumber, type: "error", message: result.error });
+      return;
+    }
+    parsed.push({ row: rowNumber, ...result.leadData });
+  });
+
+  // Only this chunk's IDs are looked up instead of every leadId in the database
+  const existing = await Lead.find({
+    leadId: { $in: parsed.map((item) => item.leadId) },
+  })
+    .select("leadId")
+    .lean();
+  const existingLeadIds = new Set(existing.map((lead) => lead.leadId));
+
+  const toInsert = [];
+  const acceptedRows = [];
+  let duplicateCount = 0;
+
+  for (const item of parsed) {
+    const { row, ...leadData } = item;
+
+    if (existingLeadIds.has(leadData.leadId) || state.seenLeadIds.has(leadData.leadId)) {
+      issues.push({
+        row,
+        type: "skipped",
+        leadId: leadData.leadId,
+        name: leadData.name,
+        email: leadData.email,
+        message: `Row ${row}: Lead ID ${leadData.leadId} already exists`,
+      });
+      continue;
+    }
+
+    // Earlier chunks are already in the database, so they are found here too
+    const keys = getLeadMatchKeys(leadData);
+    const matches = await findDuplicateLeads(keys);
+    const inChunk = acceptedRows.filter(
+      (accepted) => compareMatchKeys(keys, accepted.keys).isDuplicate,
+    );
+
+    if (matches.length > 0 || inChunk.length > 0) {
+      duplicateCount++;
+      const message = `Row ${row}: Probable duplicate of ${[
+        ...matches.map(
+          (match) => `lead ${match.lead.leadId} (${match.reasons.join(", ")})`,
+        ),
+        ...inChunk.map((accepted) => `row ${accepted.row}`),
+      ].join(", ")}`;
+
+      if (!job.options.allowDuplicates) {
+        issues.push({
+          row,
+          type: "duplicate",
+          leadId: leadData.leadId,
+          name: leadData.name,
+          email: leadData.email,
+          message,
+        });
+        continue;
+      }
+    }
+
+    state.seenLeadIds.add(leadData.leadId);
+    acceptedRows.push({ row, keys });
+    toInsert.push({ ...leadData, row, uploadSequence: state.nextSequence++ });
+  }
+
+  let inserted = 0;
+  if (job.options.dryRun) {
+    inserted = toInsert.length;
+  } else {
+    // row is only kept for error messages; it is not a Lead field
+    const docs = toInsert.map(({ row, ...doc }) => doc);
+    const rowByLeadId = new Map(toInsert.map((doc) => [doc.leadId, doc.row]));
+    const insertIssues = [];
+    inserted = await insertChunk(docs, insertIssues);
+    insertIssues.forEach((issue) => {
+      issues.push({ ...issue, row: rowByLeadId.get(issue.leadId) });
+    });
+  }
+
+  if (issues.length > 0) {
+    await LeadImportIssue.insertMany(
+      issues.map((issue) => ({ ...issue, jobId: job._id })),
+    );
+  }
+
+  return {
+    insertedCount: inserted,
+    skippedCount: issues.filter((issue) => issue.type !== "error").length,
+    errorCount: issues.filter((issue) => issue.type === "error").length,
+    duplicateCount,
+  };
+};
+
+// Confirm newly imported leads to the admin
+const notifyNewLeads = async (totalInserted) => {
+  // Users hear about new leads through their saved search alerts
+  const adminEmail = process.env.EMAIL_USER;
+  if (adminEmail) {
+    await sendLeadsUploadedEmail(adminEmail, totalInserted).catch((err) =>
+      console.error("Failed to send admin email:", err),
+    );
+  }
+};
+
+/**
+ * Process a claimed job chunk by chunk, resuming from processedRows
+ * @param {object} job - LeadImportJob document in "processing" state
+ */
+const processImportJob = async (job) => {
+  const rows = readImportRows(await readStoredFile(job.fileId), job.format);
+  const chunkSize = job.options.chunkSize || 1000;
+
+  const lastLead = await Lead.findOne({}, "uploadSequence")
+    .sort({ uploadSequence: -1 })
+    .lean();
+  const state = {
+    nextSequence: (lastLead?.uploadSequence || 0) + 1,
+    seenLeadIds: new Set(),
+  };
+
+  await LeadImportJob.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        totalRows: rows.length,
+        startedAt: job.startedAt || new Date(),
+        heartbeatAt: new Date(),
+      },
+    },
+  );
+  console.log(`📥 Import job ${job._id}: ${rows.length} rows`);
+
+  for (let start = job.processedRows; start < rows.length; start += chunkSize) {
+    const current = await LeadImportJob.findById(job._id).select("status");
+    if (current?.status !== "processing") {
+      console.log(`⏹️ Import job ${job._id} stopped (${current?.status})`);
+      return;
+    }
+
+    const counts = await processChunk(
+      job,
+      rows.slice(start, start + chunkSize),
+      start,
+      state,
+    );
+
+    await LeadImportJob.updateOne(
+      { _id: job._id },
+      {
+        $inc: counts,
+        $set: {
+          processedRows: Math.min(start + chunkSize, rows.length),
+          heartbeatAt: new Date(),
+        },
+      },
+    );
+  }
+
+  const finished = await LeadImportJob.findOneAndUpdate(
+    { _id: job._id, status: "processing" },
+    { $set: { status: "completed", completedAt: new Date() } },
+    { new: true },
+  );
+  await deleteStoredFile(job.fileId);
+
+  if (finished) {
+    console.log(
+      `✅ Import job ${job._id} completed: ${finished.insertedCount} inserted, ${finished.skippedCount} skipped, ${finished.errorCount} errors`,
+    );
+    if (!finished.options.dryRun && finished.insertedCount > 0) {
+      await notifyNewLeads(finished.insertedCount);
+    }
+  }
+};
+
+// Atomically take the oldest queued (or abandoned) job
+const claimNextJob = () =>
+  LeadImportJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued" },
+        {
+          status: "processing",
+          heartbeatAt: { $lt: new Date(Date.now() - STALE_JOB_MS) },
+        },
+      ],
+    },
+    { $set: { status: "processing", heartbeatAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true },
+  );
+
+/**
+ * Process queued import jobs one after another until none are left.
+ * Safe to call repeatedly; only one runner is active per process.
+ */
+export const runLeadImportJobs = async () => {
+  if (runnerActive) return;
+  runnerActive = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      try {
+        await processImportJob(job);
+      } catch (error) {
+        console.error(`❌ Import job ${job._id} failed:`, error);
+        await LeadImportJob.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: "failed",
+              error: error.message,
+              completedAt: new Date(),
+            },
+          },
+        );
+        await deleteStoredFile(job.fileId);
+      }
+    }
+  } finally {
+    runnerActive = false;
+  }
+};
+
+/**
+ * Build the downloadable error/skip report for a job
+ * @param {string} jobId - LeadImportJob ID
+ * @param {string} format - xlsx | csv
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>} Report file
+ */
+export const buildImportReport = async (jobId, format = "xlsx") => {
+  const issues = await LeadImportIssue.find({ jobId })
+    .sort({ row: 1, createdAt: 1 })
+    .lean();
+
+  const rows = issues.map((issue) => ({
+    Row: issue.row ?? "",
+    Type: issue.type,
+    "Lead ID": issue.leadId || "",
+    Name: issue.name || "",
+    Email: issue.email || "",
+    Message: issue.message,
+  }));
+
+  const ws = xlsx.utils.json_to_sheet(rows, {
+    header: ["Row", "Type", "Lead ID", "Name", "Email", "Message"],
+  });
+
+  if (format === "csv") {
+    return {
+      buffer: Buffer.from(xlsx.utils.sheet_to_csv(ws), "utf8"),
+      contentType: "text/csv",
+      extension: "csv",
+    };
+  }
+
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, "Import Report");
+  return {
+    buffer: xlsx.write(wb, { type: "buffer", bookType: "xlsx" }),
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  };
+};
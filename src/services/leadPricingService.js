@@ -0,0 +1,109 @@
+import { LeadPricingRule } from "../models/index.js";
+import { calculateLeadPrice } from "../utils/leadPricingUtils.js";
+import { getLeadAvailability, getUnlockPrice } from "./leadAccessService.js";
+import { getSpendCost } from "./tokenSpendService.js";
+
+/**
+ * Active pricing rules in the order they apply
+ * @returns {Promise<object[]>} Rules
+ */
+export const getActivePricingRules = () =>
+  LeadPricingRule.find({ isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+
+/**
+ * Everything lead prices depend on for a user: unlock policy, pricing
+ * rules and the lead_access spend policy for their plan
+ * @param {object} policy - From getLeadAccessPolicy
+ * @param {string} [planId] - User's plan
+ * @returns {Promise<object>} { policy, rules, unlockCost, freePerDay }
+ */
+export const getLeadPricing = async (policy, planId) => {
+  const [rules, cost] = await Promise.all([
+    getActivePricingRules(),
+    getSpendCost("lead_access", planId),
+  ]);
+  return {
+    policy,
+    rules,
+    unlockCost: cost.tokens,
+    freePerDay: cost.freePerDay,
+  };
+};
+
+/**
+ * Price of a lead under the current policy and rules
+ * @param {object} lead - Lead
+ * @param {object} pricing - From getLeadPricing
+ * @param {boolean} [exclusive] - Exclusive unlock
+ * @returns {{price: number, basePrice: number, appliedRules: object[]}} Price details
+ */
+export const getLeadPrice = (
+  lead,
+  { policy, rules, unlockCost },
+  exclusive = false,
+) =>
+  calculateLeadPrice(lead, rules, {
+    basePrice: getUnlockPrice(policy, exclusive, unlockCost),
+    exclusive,
+  });
+
+/**
+ * Quote a set of leads. Leads that cannot be unlocked right now are listed
+ * but not counted in the total.
+ * @param {object[]} leads - Leads (with accessedBy)
+ * @param {object} pricing - From getLeadPricing
+ * @param {boolean} [exclusive] - Exclusive unlocks
+ * @returns {{items: object[], total: number, available: number}} Quote
+ */
+export const quoteLeads = (leads, pricing, exclusive = false) => {
+  const items = leads.map((lead) => {
+    const availability = getLeadAvailability(lead, pricing.policy);
+    const available = exclusive
+      ? availability.exclusiveAvailable
+      : availability.remaining !== 0;
+    const { price, appliedRules } = getLeadPrice(lead, pricing, exclusive);
+
+    return {
+      id: lead._id,
+      leadId: lead.leadId,
+      name: lead.name,
+      price,
+      appliedRules,
+      available,
+    };
+  });
+
+  const availableItems = items.filter((item) => item.available);
+  return {
+    items,
+    total: availableItems.reduce((sum, item) => sum + item.price, 0),
+    available: availableItems.length,
+  };
+};
+
+/**
+ * Make the first `freeCount` available leads of a quote free (the user's
+ * free daily unlocks)
+ * @param {object} quote - From quoteLeads
+ * @param {number} freeCount - Free unlocks left today
+ * @returns {object} The quote with free items at price 0 and `free` counted
+ */
+export const applyFreeUnlocks = (quote, freeCount) => {
+  let free = 0;
+  const items = quote.items.map((item) => {
+    if (!item.available || free >= freeCount) return item;
+    free++;
+    return { ...item, price: 0, fullPrice: item.price, free: true };
+  });
+
+  return {
+    ...quote,
+    items,
+    free,
+    total: items
+      .filter((item) => item.available)
+      .reduce((sum, item) => sum + item.price, 0),
+  };
+};
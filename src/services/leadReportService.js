@@ -0,0 +1,136 @@
+import { Lead, LeadReport } from "../models/index.js";
+import { refundTokens } from "./tokenService.js";
+import { createNotification } from "../utils/notificationUtils.js";
+
+// Reports (pending or approved) from distinct users that take a lead offline
+export const getReportThreshold = () =>
+  Number(process.env.LEAD_REPORT_DEACTIVATE_THRESHOLD) || 3;
+
+/**
+ * Deactivate a lead once enough users have reported it. Rejected reports
+ * do not count.
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<boolean>} True when the lead was deactivated by this call
+ */
+export const applyReportThreshold = async (leadId) => {
+  const openReports = await LeadReport.countDocuments({
+    leadId,
+    status: { $in: ["pending", "approved"] },
+  });
+  if (openReports < getReportThreshold()) return false;
+
+  const result = await Lead.updateOne(
+    { _id: leadId, isActive: true },
+    {
+      $set: {
+        isActive: false,
+        deactivatedAt: new Date(),
+        deactivationReason: "reports",
+      },
+    },
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(
+      `🚩 Lead ${leadId} deactivated after ${openReports} user reports`,
+    );
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Approve a pending report and refund the tokens spent on the lead.
+ * The pending → approved transition is atomic, so a report is refunded once.
+ * @param {string} reportId - LeadReport ID
+ * @param {object} review
+ * @param {string} review.adminId - Reviewing admin
+ * @param {string} [review.note] - Note shown to the user
+ * @returns {Promise<object|null>} Updated report, or null if it is not pending
+ */
+export const approveLeadReport = async (reportId, { adminId, note }) => {
+  const report = await LeadReport.findOneAndUpdate(
+    { _id: reportId, status: "pending" },
+    {
+      $set: {
+        status: "approved",
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        adminNote: note,
+      },
+    },
+    { new: true },
+  ).populate("leadId", "name leadId");
+  if (!report) return null;
+
+  if (report.tokensSpent > 0) {
+    try {
+      const refund = await refundTokens(report.userId, report.tokensSpent, {
+        description: `Refund for reported lead ${report.leadId?.name || ""}`.trim(),
+        leadReportId: report._id,
+      });
+      report.tokensRefunded = report.tokensSpent;
+      report.refundTransactionId = refund.transactionId;
+      await report.save();
+    } catch (error) {
+      // Put the report back in the queue so the refund can be retried
+      await LeadReport.updateOne(
+        { _id: report._id },
+        {
+          $set: { status: "pending" },
+          $unset: { reviewedBy: "", reviewedAt: "", adminNote: "" },
+        },
+      );
+      throw error;
+    }
+  }
+
+  await createNotification(
+    report.userId,
+    "lead_report",
+    `✅ Your report on ${report.leadId?.name || "a lead"} was approved` +
+      (report.tokensRefunded > 0
+        ? ` and ${report.tokensRefunded} token(s) were refunded.`
+        : "."),
+    null,
+    null,
+  );
+  await applyReportThreshold(report.leadId?._id || report.leadId);
+
+  return report;
+};
+
+/**
+ * Reject a pending report
+ * @param {string} reportId - LeadReport ID
+ * @param {object} review
+ * @param {string} review.adminId - Reviewing admin
+ * @param {string} [review.note] - Note shown to the user
+ * @returns {Promise<object|null>} Updated report, or null if it is not pending
+ */
+export const rejectLeadReport = async (reportId, { adminId, note }) => {
+  const report = await LeadReport.findOneAndUpdate(
+    { _id: reportId, status: "pending" },
+    {
+      $set: {
+        status: "rejected",
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        adminNote: note,
+      },
+    },
+    { new: true },
+  ).populate("leadId", "name leadId");
+  if (!report) return null;
+
+  await createNotification(
+    report.userId,
+    "lead_report",
+    `Your report on ${report.leadId?.name || "a lead"} was reviewed and not approved` +
+      (note ? `: ${note}` : "."),
+    null,
+    null,
+  );
+
+  return report;
+};
@@ -0,0 +1,143 @@
+import { EmailFeedback, Lead, LeadScoringConfig } from "../models/index.js";
+import {
+  DEFAULT_SCORE_WEIGHTS,
+  computeLeadScore,
+  validateScoreWeights,
+} from "../utils/leadScoringUtils.js";
+
+const WRITE_BATCH_SIZE = 500;
+
+let runnerActive = false;
+
+/**
+ * Current score weights (defaults until an admin saves some)
+ * @returns {Promise<object>} Weights by component
+ */
+export const getScoreWeights = async () => {
+  const config = await LeadScoringConfig.findOne({ key: "default" }).lean();
+  return { ...DEFAULT_SCORE_WEIGHTS, ...config?.weights };
+};
+
+/**
+ * Update score weights. Scores change on the next recalculation.
+ * @param {object} input - Weights by component (partial updates allowed)
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<{config?: object, error?: string}>} Saved config or a validation error
+ */
+export const updateScoreWeights = async (input, adminId) => {
+  const { weights, error } = validateScoreWeights(input, await getScoreWeights());
+  if (error) return { error };
+
+  const config = await LeadScoringConfig.findOneAndUpdate(
+    { key: "default" },
+    { $set: { weights, updatedBy: adminId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  );
+  return { config };
+};
+
+/**
+ * Email engagement per lead across all users' campaigns
+ * @returns {Promise<Map<string, {sent: number, opened: number, clicked: number, replied: number}>>} Stats by lead ID
+ */
+export const aggregateLeadEngagement = async () => {
+  const engagement = new Map();
+  const cursor = EmailFeedback.aggregate([
+    { $unwind: "$recipients" },
+    {
+      $match: {
+        "recipients.status": "sent",
+        "recipients.leadId": { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: "$recipients.leadId",
+        sent: { $sum: 1 },
+        opened: { $sum: { $cond: ["$recipients.opened", 1, 0] } },
+        clicked: { $sum: { $cond: ["$recipients.clicked", 1, 0] } },
+        replied: { $sum: { $cond: ["$recipients.replied", 1, 0] } },
+      },
+    },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize: 1000 });
+
+  for await (const { _id, ...stats } of cursor) {
+    engagement.set(_id.toString(), stats);
+  }
+  return engagement;
+};
+
+// One run of recalculateLeadScores
+const scoreLeads = async () => {
+  const startedAt = new Date();
+  const weights = await getScoreWeights();
+  const engagement = await aggregateLeadEngagement();
+  const noEngagement = { sent: 0, opened: 0, clicked: 0, replied: 0 };
+
+  let scored = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Lead.bulkWrite(operations, { ordered: false });
+    scored += operations.length;
+    operations = [];
+  };
+
+  const cursor = Lead.find({ isActive: true })
+    .select("phone linkedin websiteLink googleMapLink lastVerifiedAt")
+    .lean()
+    .cursor();
+
+  for await (const lead of cursor) {
+    const stats = engagement.get(lead._id.toString()) || noEngagement;
+    const { score, components } = computeLeadScore(
+      lead,
+      stats,
+      weights,
+      startedAt,
+    );
+
+    operations.push({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: {
+          $set: {
+            score,
+            scoring: {
+              components,
+              engagement: stats,
+              calculatedAt: startedAt,
+            },
+          },
+        },
+      },
+    });
+    if (operations.length >= WRITE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  const lastRun = { startedAt, finishedAt: new Date(), scored };
+  await LeadScoringConfig.updateOne(
+    { key: "default" },
+    { $set: { lastRun } },
+    { upsert: true },
+  );
+  return lastRun;
+};
+
+/**
+ * Recalculate the score of every active lead with the current weights
+ * @returns {Promise<object|null>} Run summary, null if a run is already active
+ */
+export const recalculateLeadScores = async () => {
+  if (runnerActive) return null;
+  runnerActive = true;
+
+  try {
+    return await scoreLeads();
+  } finally {
+    runnerActive = false;
+  }
+};
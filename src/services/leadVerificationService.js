@@ -0,0 +1,153 @@
+import { Lead } from "../models/index.js";
+import {
+  createDnsResolver,
+  emailVerifier,
+  getStaleDays,
+  phoneVerifier,
+  summarizeVerification,
+  websiteVerifier,
+} from "../utils/leadVerificationUtils.js";
+
+const BATCH_SIZE = 100;
+const CONCURRENCY = 10;
+
+let runnerActive = false;
+
+/**
+ * Registered verifiers. A verifier is
+ * { name, field, verify(lead, context) => Promise<{status, detail?}> }
+ * where status is valid | invalid | unknown | missing. The result is stored
+ * under Lead.verification.fields[field].
+ */
+const verifiers = new Map();
+
+/**
+ * Add or replace a verifier (by name)
+ * @param {{name: string, field: string, verify: Function}} verifier - Verifier
+ */
+export const registerLeadVerifier = (verifier) => {
+  if (!verifier?.name || !verifier.field || typeof verifier.verify !== "function") {
+    throw new Error("A lead verifier needs a name, a field and a verify function");
+  }
+  verifiers.set(verifier.name, verifier);
+};
+
+export const unregisterLeadVerifier = (name) => verifiers.delete(name);
+
+export const getLeadVerifiers = () => [...verifiers.values()];
+
+registerLeadVerifier(emailVerifier);
+registerLeadVerifier(websiteVerifier);
+registerLeadVerifier(phoneVerifier);
+
+/**
+ * Shared state for one verification run (DNS resolver, HTTP client, caches)
+ * @param {object} [overrides] - Replace dns/fetch, e.g. with stand-ins
+ * @returns {object} Verification context
+ */
+export const createVerificationContext = (overrides = {}) => ({
+  dns: createDnsResolver(),
+  fetch: globalThis.fetch,
+  mxCache: new Map(),
+  ...overrides,
+});
+
+/**
+ * Run all registered verifiers against a lead and store the results
+ * @param {object} lead - Lead document
+ * @param {object} [context] - Verification context to reuse across leads
+ * @returns {Promise<object>} The lead's verification data
+ */
+export const verifyLead = async (lead, context = createVerificationContext()) => {
+  const checkedAt = new Date();
+  const fields = {};
+
+  await Promise.all(
+    getLeadVerifiers().map(async (verifier) => {
+      let result;
+      try {
+        result = await verifier.verify(lead, context);
+      } catch (error) {
+        result = { status: "unknown", detail: error.message };
+      }
+      fields[verifier.field] = {
+        status: result.status,
+        detail: result.detail ? String(result.detail).slice(0, 200) : null,
+        verifier: verifier.name,
+        checkedAt,
+      };
+    }),
+  );
+
+  const status = summarizeVerification(fields);
+  const update = {
+    "verification.status": status,
+    "verification.checkedAt": checkedAt,
+  };
+  for (const [field, result] of Object.entries(fields)) {
+    update[`verification.fields.${field}`] = result;
+  }
+  // Only a confirmed lead counts as freshly verified
+  if (status === "verified" || status === "partial") {
+    update.lastVerifiedAt = checkedAt;
+  }
+
+  await Lead.updateOne({ _id: lead._id }, { $set: update });
+
+  return { status, checkedAt, fields };
+};
+
+// One run of reverifyStaleLeads
+const reverifyBatch = async (limit) => {
+  const cutoff = new Date(Date.now() - getStaleDays() * 24 * 60 * 60 * 1000);
+  const context = createVerificationContext();
+  const summary = { checked: 0, verified: 0, partial: 0, failed: 0, unverified: 0 };
+
+  while (summary.checked < limit) {
+    const leads = await Lead.find({
+      isActive: true,
+      $or: [
+        { "verification.checkedAt": { $lt: cutoff } },
+        { "verification.checkedAt": null },
+      ],
+    })
+      .sort({ "verification.checkedAt": 1, lastVerifiedAt: 1 })
+      .limit(Math.min(BATCH_SIZE, limit - summary.checked))
+      .select("-accessedBy -mergedFrom")
+      .lean();
+
+    if (leads.length === 0) break;
+
+    for (let i = 0; i < leads.length; i += CONCURRENCY) {
+      const results = await Promise.all(
+        leads.slice(i, i + CONCURRENCY).map((lead) => verifyLead(lead, context)),
+      );
+      for (const result of results) {
+        summary.checked++;
+        summary[result.status]++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Re-verify active leads whose last check is older than LEAD_STALE_DAYS
+ * (or that were never checked), oldest first
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum leads to check in this run
+ * @returns {Promise<object|null>} Counts by resulting status, null if a run is already active
+ */
+export const reverifyStaleLeads = async ({
+  limit = Number(process.env.LEAD_VERIFY_BATCH_LIMIT) || 1000,
+} = {}) => {
+  if (runnerActive) return null;
+  runnerActive = true;
+
+  try {
+    return await reverifyBatch(limit);
+  } finally {
+    runnerActive = false;
+  }
+};
@@ -0,0 +1,116 @@
+import { Lead, SavedSearch, User } from "../models/index.js";
+import { buildLeadSearchConditions } from "../utils/leadSearchUtils.js";
+import { sendSavedSearchAlertEmail } from "../utils/emailUtils.js";
+import { createNotification } from "../utils/notificationUtils.js";
+
+const SAMPLE_SIZE = 5;
+
+/**
+ * Query for active leads matching a saved search that the user has not
+ * accessed yet
+ * @param {object} search - SavedSearch document
+ * @param {Array} accessedLeadIds - Lead IDs the user already unlocked
+ * @param {object} [extra] - Additional condition (e.g. createdAt window)
+ * @returns {object} Mongo query
+ */
+export const buildSavedSearchQuery = (search, accessedLeadIds, extra) => {
+  const { base, facets } = buildLeadSearchConditions(search.filters || {});
+  const conditions = [
+    ...base,
+    ...Object.values(facets),
+    { isActive: true, _id: { $nin: accessedLeadIds } },
+  ];
+  if (extra) conditions.push(extra);
+  return { $and: conditions };
+};
+
+// Check one user's saved searches for leads created in (since, until]
+const checkUserSearches = async (userId, searches, until) => {
+  const user = await User.findById(userId).select("name email accessedLeads");
+  if (!user) return [];
+
+  const accessedLeadIds = user.accessedLeads?.map((item) => item.leadId) || [];
+  const matches = [];
+
+  for (const search of searches) {
+    const query = buildSavedSearchQuery(search, accessedLeadIds, {
+      createdAt: { $gt: search.lastCheckedAt || search.createdAt, $lte: until },
+    });
+
+    const count = await Lead.countDocuments(query);
+    const update = { lastCheckedAt: until };
+
+    if (count > 0) {
+      const samples = await Lead.find(query)
+        .sort({ _id: -1 })
+        .limit(SAMPLE_SIZE)
+        .select("name category city")
+        .lean();
+      matches.push({ search, name: search.name, count, samples });
+      update.lastNotifiedAt = until;
+      update.lastMatchCount = count;
+
+      if (search.alerts.inApp) {
+        await createNotification(
+          userId,
+          "saved_search",
+          `🎯 ${count} new lead${count === 1 ? "" : "s"} match your saved search "${search.name}"`,
+          null,
+          null,
+        );
+      }
+    }
+
+    await SavedSearch.updateOne({ _id: search._id }, { $set: update });
+  }
+
+  const emailMatches = matches.filter((match) => match.search.alerts.email);
+  if (emailMatches.length > 0 && user.email) {
+    await sendSavedSearchAlertEmail(user, emailMatches);
+  }
+
+  return matches;
+};
+
+/**
+ * Alert users about leads uploaded since each saved search was last checked.
+ * One in-app notification per matching search and one email digest per user.
+ * @returns {Promise<{users: number, searches: number, alerts: number}>} Run summary
+ */
+export const processSavedSearchAlerts = async () => {
+  const until = new Date();
+  const summary = { users: 0, searches: 0, alerts: 0 };
+
+  const cursor = SavedSearch.find({
+    $or: [{ "alerts.inApp": true }, { "alerts.email": true }],
+  })
+    .sort({ userId: 1 })
+    .cursor();
+
+  // Searches arrive grouped by user
+  let currentUserId = null;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    try {
+      const matches = await checkUserSearches(currentUserId, batch, until);
+      summary.users++;
+      summary.searches += batch.length;
+      summary.alerts += matches.length;
+    } catch (error) {
+      console.error(`Saved search alerts failed for user ${currentUserId}:`, error);
+    }
+    batch = [];
+  };
+
+  for await (const search of cursor) {
+    if (currentUserId && !search.userId.equals(currentUserId)) {
+      await flush();
+    }
+    currentUserId = search.userId;
+    batch.push(search);
+  }
+  await flush();
+
+  return summary;
+};
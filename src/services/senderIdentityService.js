@@ -0,0 +1,128 @@
+import nodemailer from "nodemailer";
+import SenderIdentity from "../models/SenderIdentity.js";
+import { decryptSecret } from "../utils/encryptionUtils.js";
+
+// Daily caps reset on the same calendar day as the token refresh cron
+const getSendDay = (date = new Date()) =>
+  date.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
+
+/**
+ * Shape an identity for API responses (credentials are never exposed)
+ * @param {object} identity - SenderIdentity document
+ * @returns {object} Identity data
+ */
+export const formatSenderIdentity = (identity) => {
+  const today = getSendDay();
+  const sentToday = identity.sendDay === today ? identity.sentToday : 0;
+
+  return {
+    id: identity._id,
+    label: identity.label,
+    fromName: identity.fromName,
+    fromEmail: identity.fromEmail,
+    replyTo: identity.replyTo,
+    smtp: {
+      host: identity.smtp.host,
+      port: identity.smtp.port,
+      secure: identity.smtp.secure,
+      username: identity.smtp.username,
+    },
+    isDefault: identity.isDefault,
+    verificationStatus: identity.verificationStatus,
+    verifiedAt: identity.verifiedAt || null,
+    lastError: identity.lastError || null,
+    dailyLimit: identity.dailyLimit,
+    sentToday,
+    remainingToday: Math.max(identity.dailyLimit - sentToday, 0),
+    createdAt: identity.createdAt,
+    updatedAt: identity.updatedAt,
+  };
+};
+
+/**
+ * Create a nodemailer transporter for a user's SMTP identity
+ * @param {object} identity - SenderIdentity document loaded with +smtp.passwordEncrypted
+ * @returns {object} Nodemailer transporter
+ */
+export const createIdentityTransporter = (identity) =>
+  nodemailer.createTransport({
+    host: identity.smtp.host,
+    port: identity.smtp.port,
+    secure: identity.smtp.secure,
+    auth: {
+      user: identity.smtp.username,
+      pass: decryptSecret(identity.smtp.passwordEncrypted),
+    },
+    connectionTimeout: 15000,
+    greetingTimeout: 15000,
+  });
+
+/**
+ * Resolve the identity a user sends from: the requested one, else their default
+ * @param {string} userId - User ID
+ * @param {string} [identityId] - Explicit identity
+ * @returns {Promise<object|null>} Identity with encrypted password, or null when
+ * the user has no identity and the platform mailbox should be used
+ */
+export const getSendingIdentity = async (userId, identityId) => {
+  const query = identityId
+    ? { _id: identityId, userId }
+    : { userId, isDefault: true };
+
+  return SenderIdentity.findOne(query).select("+smtp.passwordEncrypted");
+};
+
+/**
+ * Atomically reserve part of an identity's daily cap
+ * @param {string} identityId - SenderIdentity ID
+ * @param {number} count - Emails about to be sent
+ * @returns {Promise<{reserved: boolean, remaining: number}>} Result
+ */
+export const reserveDailySends = async (identityId, count) => {
+  const today = getSendDay();
+
+  // Start a new day's counter if the last send was on an earlier day
+  await SenderIdentity.updateOne(
+    { _id: identityId, sendDay: { $ne: today } },
+    { $set: { sendDay: today, sentToday: 0 } },
+  );
+
+  const updated = await SenderIdentity.findOneAndUpdate(
+    {
+      _id: identityId,
+      sendDay: today,
+      $expr: { $lte: [{ $add: ["$sentToday", count] }, "$dailyLimit"] },
+    },
+    { $inc: { sentToday: count } },
+    { new: true },
+  );
+
+  if (updated) {
+    return {
+      reserved: true,
+      remaining: updated.dailyLimit - updated.sentToday,
+    };
+  }
+
+  const current = await SenderIdentity.findById(identityId).select(
+    "dailyLimit sentToday",
+  );
+  return {
+    reserved: false,
+    remaining: current ? Math.max(current.dailyLimit - current.sentToday, 0) : 0,
+  };
+};
+
+/**
+ * Give back reserved sends that were not used (e.g. suppressed recipients)
+ * @param {string} identityId - SenderIdentity ID
+ * @param {number} count - Unused sends
+ */
+export const releaseDailySends = async (identityId, count) => {
+  if (count <= 0) return;
+
+  await SenderIdentity.updateOne(
+    { _id: identityId, sendDay: getSendDay(), sentToday: { $gte: count } },
+    { $inc: { sentToday: -count } },
+  );
+};
@@ -0,0 +1,291 @@
+import mongoose from "mongoose";
+import { TokenHold, User } from "../models/index.js";
+import {
+  TOKEN_BUCKETS,
+  readBucketBalances,
+} from "../utils/tokenLedgerUtils.js";
+import {
+  deductTokens,
+  getTokenBreakdown,
+  settleWithdrawnTokens,
+  splitDeduction,
+  withdrawTokens,
+} from "./tokenService.js";
+import {
+  recordLedgerEntries,
+  withLedgerTransaction,
+} from "./tokenLedgerService.js";
+
+const DEFAULT_HOLD_SECONDS = 5 * 60;
+const MAX_HOLD_SECONDS = 30 * 60;
+
+let runnerActive = false;
+
+/**
+ * Take tokens out of a user's buckets for a multi-step operation. Nothing
+ * counts as spent until commitTokenHold; whatever is not committed goes
+ * back to the user on release or after the timeout.
+ * @param {string} userId - User ID
+ * @param {number} amount - Tokens to hold (e.g. a quoted total)
+ * @param {object} options
+ * @param {string} options.reason - What the tokens are for, e.g. lead_access
+ * @param {number} [options.holdSeconds] - Timeout (default 5 minutes, at most 30)
+ * @param {object} [options.metadata] - Extra context
+ * @returns {Promise<object>} The hold
+ */
+export const reserveTokens = async (
+  userId,
+  amount,
+  { reason, holdSeconds = DEFAULT_HOLD_SECONDS, metadata } = {},
+) => {
+  const seconds = Math.min(
+    Math.max(Number(holdSeconds) || 0, 1),
+    MAX_HOLD_SECONDS,
+  );
+
+  return withLedgerTransaction(async (session) => {
+    const { user, breakdown } = await withdrawTokens(userId, amount, {
+      countUsage: false,
+      session,
+    });
+    const [hold] = await TokenHold.create(
+      [
+        {
+          userId,
+          amount,
+          breakdown,
+          reason,
+          metadata,
+          expiresAt: new Date(Date.now() + seconds * 1000),
+        },
+      ],
+      { session },
+    );
+
+    const balances = readBucketBalances(user);
+    await recordLedgerEntries(
+      userId,
+      TOKEN_BUCKETS.map((bucket) => ({
+        bucket,
+        amount: -breakdown[bucket],
+        balanceAfter: balances[bucket],
+      })),
+      { type: "hold", reason, metadata: { holdId: hold._id } },
+      { session },
+    );
+
+    return hold;
+  });
+};
+
+// Give a claimed hold back to its user, counting `spentAmount` as used.
+// Runs in the caller's transaction.
+const settleHold = async (hold, spentAmount, ledger, session) => {
+  const held = Object.fromEntries(
+    TOKEN_BUCKETS.map((bucket) => [bucket, hold.breakdown?.[bucket] || 0]),
+  );
+  // Spent in the usual priority order out of what was held
+  const spent = splitDeduction(held, spentAmount);
+  const returned = Object.fromEntries(
+    TOKEN_BUCKETS.map((bucket) => [bucket, held[bucket] - spent[bucket]]),
+  );
+
+  // Daily tokens held before the daily reset expired with that day
+  const current = await User.findById(hold.userId)
+    .select("dailyTokens")
+    .session(session);
+  if (current?.dailyTokens?.lastRefreshedAt > hold.createdAt) {
+    returned.daily = 0;
+  }
+
+  const user = await settleWithdrawnTokens(
+    hold.userId,
+    { returned, spent },
+    { session },
+  );
+  if (!user) return { user: null, spent, returned };
+
+  const balances = readBucketBalances(user);
+  const meta = { holdId: hold._id, ...hold.metadata, ...ledger.metadata };
+  await recordLedgerEntries(
+    hold.userId,
+    TOKEN_BUCKETS.map((bucket) => ({
+      bucket,
+      amount: returned[bucket] + spent[bucket],
+      balanceAfter: balances[bucket] + spent[bucket],
+    })),
+    { type: "release", reason: hold.reason, metadata: meta },
+    { session },
+  );
+  await recordLedgerEntries(
+    hold.userId,
+    TOKEN_BUCKETS.map((bucket) => ({
+      bucket,
+      amount: -spent[bucket],
+      balanceAfter: balances[bucket],
+    })),
+    {
+      type: "deduction",
+      reason: hold.reason,
+      reference: ledger.reference,
+      metadata: meta,
+    },
+    { session },
+  );
+
+  return { user, spent, returned };
+};
+
+/**
+ * Spend part or all of a hold and give the rest back
+ * @param {string} holdId - Hold ID
+ * @param {number} amount - Tokens actually used (0 to the held amount)
+ * @param {object} [ledger] - reference ({ kind, id }) and metadata for the ledger
+ * @returns {Promise<{hold: object, breakdown: object, remaining: object}>} Settled hold, tokens spent per bucket and the new balance
+ */
+export const commitTokenHold = async (holdId, amount, ledger = {}) => {
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error("Committed amount must be a number of at least 0");
+  }
+
+  // The status changes in the same transaction as the settlement, so a
+  // failed settlement leaves the hold held for a retry or the expiry cron
+  const now = new Date();
+  const settled = await withLedgerTransaction(async (session) => {
+    const hold = await TokenHold.findOneAndUpdate(
+      {
+        _id: holdId,
+        status: "held",
+        expiresAt: { $gt: now },
+        amount: { $gte: amount },
+      },
+      {
+        $set: { status: "committed", committedAmount: amount, settledAt: now },
+      },
+      { new: true, session },
+    );
+    if (!hold) return null;
+
+    const { user, spent } = await settleHold(hold, amount, ledger, session);
+    await TokenHold.updateOne(
+      { _id: hold._id },
+      { $set: { committedBreakdown: spent } },
+      { session },
+    );
+    hold.committedBreakdown = spent;
+    return { hold, user, spent };
+  });
+
+  if (!settled) {
+    const existing = await TokenHold.findById(holdId);
+    if (!existing) throw new Error("Token hold not found");
+    if (existing.status !== "held") {
+      throw new Error(`Token hold already ${existing.status}`);
+    }
+    if (existing.expiresAt <= now) throw new Error("Token hold expired");
+    throw new Error(`Cannot commit more than the ${existing.amount} tokens held`);
+  }
+
+  const { hold, user, spent } = settled;
+  return {
+    hold,
+    breakdown: spent,
+    remaining: user ? getTokenBreakdown(user) : null,
+  };
+};
+
+/**
+ * Spend a hold on what was actually delivered (emails sent, rows exported).
+ * When the work outlived the hold and it can no longer be committed, what
+ * is left of it goes back and the tokens are deducted directly instead.
+ * @param {object} hold - Hold from reserveTokens
+ * @param {number} amount - Tokens to charge
+ * @param {object} [ledger] - reference ({ kind, id }) and metadata for the ledger
+ * @returns {Promise<number>} Tokens charged, 0 if neither way worked
+ */
+export const chargeTokenHold = async (hold, amount, ledger = {}) => {
+  try {
+    await commitTokenHold(hold._id, amount, ledger);
+    return amount;
+  } catch (error) {
+    console.error(`⚠️ Token hold ${hold._id} not committed:`, error.message);
+  }
+
+  try {
+    await releaseTokenHold(hold._id);
+    if (amount > 0) {
+      await deductTokens(hold.userId, amount, hold.reason, ledger);
+    }
+    return amount;
+  } catch (error) {
+    console.error(
+      `❌ Could not charge ${amount} tokens for ${hold.reason}:`,
+      error.message,
+    );
+    return 0;
+  }
+};
+
+/**
+ * Give every token of a hold back to its user
+ * @param {string} holdId - Hold ID
+ * @param {string} [status] - released, or expired for the timeout
+ * @returns {Promise<{hold: object, remaining: object}|null>} Released hold, null if it was already settled
+ */
+export const releaseTokenHold = async (holdId, status = "released") => {
+  return withLedgerTransaction(async (session) => {
+    const hold = await TokenHold.findOneAndUpdate(
+      { _id: holdId, status: "held" },
+      { $set: { status, settledAt: new Date() } },
+      { new: true, session },
+    );
+    if (!hold) return null;
+
+    const { user } = await settleHold(hold, 0, {}, session);
+    return { hold, remaining: user ? getTokenBreakdown(user) : null };
+  });
+};
+
+/**
+ * Release holds whose operation never committed
+ * @returns {Promise<{released: number}|null>} Count, null if a run is already active
+ */
+export const releaseExpiredHolds = async () => {
+  if (runnerActive) return null;
+  runnerActive = true;
+
+  try {
+    const expired = await TokenHold.find({
+      status: "held",
+      expiresAt: { $lte: new Date() },
+    })
+      .select("_id")
+      .lean();
+
+    let released = 0;
+    for (const { _id } of expired) {
+      if (await releaseTokenHold(_id, "expired")) released++;
+    }
+    return { released };
+  } finally {
+    runnerActive = false;
+  }
+};
+
+/**
+ * Tokens a user has on hold right now
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Held tokens
+ */
+export const getHeldTokens = async (userId) => {
+  const [row] = await TokenHold.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        status: "held",
+      },
+    },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  return row?.amount || 0;
+};
@@ -0,0 +1,475 @@
+import mongoose from "mongoose";
+import { TokenLedgerEntry, User } from "../models/index.js";
+import {
+  BUCKET_FIELDS,
+  DERIVED_SOURCE_FIELDS,
+  TOKEN_BUCKETS,
+  diffBucketBalances,
+  diffDerivedFields,
+  readBucketBalances,
+} from "../utils/tokenLedgerUtils.js";
+
+let runnerActive = false;
+
+const emptyBalances = () =>
+  Object.fromEntries(TOKEN_BUCKETS.map((bucket) => [bucket, 0]));
+
+// Fields reconciliation reads: buckets and the fields derived from them
+const RECONCILE_FIELDS = [
+  "email",
+  ...Object.values(BUCKET_FIELDS),
+  ...DERIVED_SOURCE_FIELDS,
+].join(" ");
+
+// User with its buckets set to `balances`
+const withBalances = (user, balances) => ({
+  ...user,
+  ...Object.fromEntries(
+    TOKEN_BUCKETS.map((bucket) => [
+      BUCKET_FIELDS[bucket],
+      { ...user[BUCKET_FIELDS[bucket]], current: balances[bucket] },
+    ]),
+  ),
+});
+
+/**
+ * Run a balance change and its ledger entries in one transaction, so a
+ * failed ledger write also undoes the balance change. `work` gets the
+ * session and may be retried on transient errors.
+ * @param {function(object): Promise<*>} work - Writes using the session
+ * @returns {Promise<*>} What `work` returned
+ */
+export const withLedgerTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+/**
+ * Append ledger entries for bucket changes made on a user. Pass the session
+ * of the balance update (see withLedgerTransaction); a failed write throws.
+ * @param {string} userId - User ID
+ * @param {Array<{bucket: string, amount: number, balanceAfter?: number}>} changes - Per-bucket changes
+ * @param {object} meta
+ * @param {string} meta.reason - Why the balance changed, e.g. lead_access
+ * @param {string} [meta.type] - Entry type for every change
+ * @param {string} [meta.credit] - Entry type for increases (default grant)
+ * @param {string} [meta.debit] - Entry type for decreases (default deduction)
+ * @param {{kind: string, id: string}} [meta.reference] - Lead, resource, transaction...
+ * @param {string} [meta.description] - Shown on the statement
+ * @param {object} [meta.metadata] - Extra context
+ * @param {string} [meta.createdBy] - Admin who made the change
+ * @param {object} [options]
+ * @param {object} [options.session] - Transaction of the balance update
+ * @returns {Promise<object[]>} Saved entries
+ */
+export const recordLedgerEntries = async (
+  userId,
+  changes,
+  meta,
+  { session } = {},
+) => {
+  const entries = changes
+    .filter((change) => change.amount !== 0)
+    .map((change) => ({
+      userId,
+      bucket: change.bucket,
+      type:
+        meta.type ||
+        (change.amount > 0
+          ? meta.credit || "grant"
+          : meta.debit || "deduction"),
+      amount: change.amount,
+      balanceAfter: change.balanceAfter ?? null,
+      reason: meta.reason,
+      description: meta.description,
+      reference: meta.reference || undefined,
+      metadata: meta.metadata,
+      createdBy: meta.createdBy || null,
+    }));
+  if (entries.length === 0) return [];
+
+  return TokenLedgerEntry.insertMany(entries, { session });
+};
+
+/**
+ * Record the bucket changes made to a saved user since a snapshot
+ * @param {object} user - User after the change was saved
+ * @param {object} before - readBucketBalances(user) taken before the change
+ * @param {object} meta - See recordLedgerEntries
+ * @param {object} [options] - See recordLedgerEntries
+ * @returns {Promise<object[]>} Saved entries
+ */
+export const recordBalanceChange = (user, before, meta, options) =>
+  recordLedgerEntries(
+    user._id,
+    diffBucketBalances(before, readBucketBalances(user)),
+    meta,
+    options,
+  );
+
+/**
+ * Balance of every bucket according to the ledger
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Balances by bucket
+ */
+export const getLedgerBalances = async (userId) => {
+  const rows = await TokenLedgerEntry.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: "$bucket", balance: { $sum: "$amount" } } },
+  ]);
+
+  const balances = emptyBalances();
+  for (const row of rows) balances[row._id] = row.balance;
+  return balances;
+};
+
+/**
+ * Tokens a user was charged for one item, from its deduction entries (a
+ * charge split across buckets has one entry per bucket)
+ * @param {string} userId - User ID
+ * @param {{kind: string, id: string}} reference - What the tokens were spent on
+ * @returns {Promise<number>} Tokens deducted, 0 when nothing was charged
+ */
+export const getTokensSpentOn = async (userId, { kind, id }) => {
+  const [row] = await TokenLedgerEntry.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        type: "deduction",
+        "reference.kind": kind,
+        "reference.id": new mongoose.Types.ObjectId(String(id)),
+      },
+    },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  return row ? -row.amount : 0;
+};
+
+/**
+ * Ledger entries of a user, newest first, with current balances
+ * @param {string} userId - User ID
+ * @param {object} filters - From parseStatementQuery
+ * @returns {Promise<object>} Entries, totals by type for the filter, balances and pagination
+ */
+export const getLedgerStatement = async (userId, filters) => {
+  const { page, limit, bucket, type, from, to } = filters;
+  const query = { userId: new mongoose.Types.ObjectId(String(userId)) };
+  if (bucket) query.bucket = bucket;
+  if (type) query.type = type;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  const skip = (page - 1) * limit;
+
+  const [entries, total, totalsByType, user, ledger] = await Promise.all([
+    TokenLedgerEntry.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    TokenLedgerEntry.countDocuments(query),
+    TokenLedgerEntry.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: "$type",
+          amount: { $sum: "$amount" },
+          entries: { $sum: 1 },
+        },
+      },
+    ]),
+    User.findById(userId).select(Object.values(BUCKET_FIELDS).join(" ")).lean(),
+    getLedgerBalances(userId),
+  ]);
+
+  return {
+    entries: entries.map((entry) => ({
+      id: entry._id,
+      date: entry.createdAt,
+      type: entry.type,
+      bucket: entry.bucket,
+      amount: entry.amount,
+      balanceAfter: entry.balanceAfter,
+      reason: entry.reason,
+      description: entry.description || null,
+      reference: entry.reference?.kind ? entry.reference : null,
+      metadata: entry.metadata || null,
+    })),
+    totals: Object.fromEntries(
+      totalsByType.map((row) => [
+        row._id,
+        { amount: row.amount, entries: row.entries },
+      ]),
+    ),
+    balances: {
+      ledger,
+      stored: readBucketBalances(user),
+    },
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      hasNext: skip + entries.length < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+const REPAIR_ATTEMPTS = 3;
+
+// Filter matching a user whose buckets still hold `balances`
+const bucketsUnchanged = (balances) =>
+  Object.fromEntries(
+    TOKEN_BUCKETS.map((bucket) => [
+      `${BUCKET_FIELDS[bucket]}.current`,
+      balances[bucket] === 0 ? { $in: [0, null] } : balances[bucket],
+    ]),
+  );
+
+// Buckets whose drift no ledger entry explains. Drift is explained when the
+// entries agree with their own sum and the stored balance is one the ledger
+// already passed through, i.e. a later recorded change was overwritten.
+// Anything else (a change that was never recorded) needs a person.
+const findUnexplainedDrift = async (userId, drift, ledger) => {
+  const unexplained = [];
+  for (const { bucket, balanceAfter: stored } of drift) {
+    const latest = await TokenLedgerEntry.findOne({ userId, bucket })
+      .sort({ createdAt: -1, _id: -1 })
+      .select("balanceAfter")
+      .lean();
+    const passedThrough =
+      latest?.balanceAfter === ledger[bucket] &&
+      (await TokenLedgerEntry.exists({
+        userId,
+        bucket,
+        balanceAfter: stored,
+        _id: { $ne: latest._id },
+      }));
+    if (!passedThrough) unexplained.push(bucket);
+  }
+  return unexplained;
+};
+
+// Set one user's buckets back to the ledger. The user is read before the
+// ledger and the update only applies if the buckets did not move since, so
+// a deduction or grant in between (written with its entries in one
+// transaction) makes us read again instead of undoing it.
+const repairUser = async (userId) => {
+  for (let attempt = 0; attempt < REPAIR_ATTEMPTS; attempt++) {
+    const user = await User.findById(userId).select(RECONCILE_FIELDS).lean();
+    if (!user) return null;
+
+    const ledgerState = (await loadLedgerState([user._id])).get(
+      user._id.toString(),
+    );
+    const stored = readBucketBalances(user);
+    const ledger = ledgerState?.balances || emptyBalances();
+    const drift = diffBucketBalances(ledger, stored);
+    const result = {
+      userId: user._id,
+      email: user.email,
+      opened: false,
+      unopened: false,
+      repaired: false,
+      needsReview: [],
+      drift: Object.fromEntries(drift.map((row) => [row.bucket, row.amount])),
+      derived: diffDerivedFields(user),
+    };
+    if (drift.length === 0 && result.derived.length === 0) return result;
+
+    const update = {};
+    if (drift.length > 0 && !ledgerState?.hasOpening) {
+      // First reconciliation: the ledger takes over the stored balances
+      await recordLedgerEntries(user._id, drift, {
+        type: "opening",
+        reason: "opening_balance",
+        description: "Balance before the token ledger",
+      });
+      result.opened = true;
+    } else if (drift.length > 0) {
+      result.needsReview = await findUnexplainedDrift(
+        user._id,
+        drift,
+        ledger,
+      );
+      if (result.needsReview.length > 0) {
+        console.warn(
+          `⚠️ Token drift for ${user.email} (${user._id}) is not explained ` +
+            "by the ledger; left for manual review:",
+          result.drift,
+        );
+        return result;
+      }
+
+      // The ledger is the source of truth: move the buckets back to it
+      update.$inc = Object.fromEntries(
+        drift.map((row) => [
+          `${BUCKET_FIELDS[row.bucket]}.current`,
+          -row.amount,
+        ]),
+      );
+    }
+
+    // Derived fields follow the buckets as they are after the repair
+    const derived = diffDerivedFields(
+      withBalances(user, update.$inc ? ledger : stored),
+    );
+    if (derived.length > 0) {
+      update.$set = Object.fromEntries(
+        derived.map((row) => [row.field, row.expected]),
+      );
+    }
+    if (!update.$inc && !update.$set) return result;
+
+    const { matchedCount } = await User.updateOne(
+      { _id: user._id, ...bucketsUnchanged(stored) },
+      update,
+    );
+    if (matchedCount === 1) {
+      result.repaired = true;
+      return result;
+    }
+  }
+
+  console.warn(
+    `⚠️ Token balances of user ${userId} kept changing; not reconciled`,
+  );
+  return null;
+};
+
+// Compare one user's buckets with the ledger and optionally repair them
+const reconcileUser = async (user, ledgerState, apply) => {
+  const stored = readBucketBalances(user);
+  const ledger = ledgerState?.balances || emptyBalances();
+  const drift = diffBucketBalances(ledger, stored);
+
+  const result = {
+    userId: user._id,
+    email: user.email,
+    opened: false,
+    // Balance from before the ledger, taken over by the first apply run
+    unopened: drift.length > 0 && !ledgerState?.hasOpening,
+    repaired: false,
+    needsReview: [],
+    drift: Object.fromEntries(drift.map((row) => [row.bucket, row.amount])),
+    derived: diffDerivedFields(user),
+  };
+  if ((drift.length === 0 && result.derived.length === 0) || !apply) {
+    return result;
+  }
+
+  // The bulk read may be stale by now; decide on a fresh one
+  return (await repairUser(user._id)) || result;
+};
+
+// Ledger balances and opening flag of every user with entries
+const loadLedgerState = async (userIds = null) => {
+  const match = userIds ? { userId: { $in: userIds } } : {};
+  const rows = TokenLedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { userId: "$userId", bucket: "$bucket" },
+        balance: { $sum: "$amount" },
+        hasOpening: { $max: { $eq: ["$type", "opening"] } },
+      },
+    },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize: 1000 });
+
+  const state = new Map();
+  for await (const row of rows) {
+    const key = row._id.userId.toString();
+    if (!state.has(key)) {
+      state.set(key, { balances: emptyBalances(), hasOpening: false });
+    }
+    const userState = state.get(key);
+    userState.balances[row._id.bucket] = row.balance;
+    userState.hasOpening = userState.hasOpening || row.hasOpening;
+  }
+  return state;
+};
+
+// One run of reconcileTokenLedger
+const reconcileUsers = async ({ apply, userId }) => {
+  const startedAt = new Date();
+  const userIds = userId
+    ? [new mongoose.Types.ObjectId(String(userId))]
+    : null;
+  const ledgerState = await loadLedgerState(userIds);
+
+  const cursor = User.find(userIds ? { _id: { $in: userIds } } : {})
+    .select(RECONCILE_FIELDS)
+    .lean()
+    .cursor();
+
+  let checked = 0;
+  let opened = 0;
+  let unopened = 0;
+  let repaired = 0;
+  let needsReview = 0;
+  const mismatches = [];
+  for await (const user of cursor) {
+    checked++;
+    const result = await reconcileUser(
+      user,
+      ledgerState.get(user._id.toString()),
+      apply,
+    );
+    if (result.opened) opened++;
+    else if (result.repaired) repaired++;
+    else if (result.unopened) unopened++;
+    else if (
+      Object.keys(result.drift).length > 0 ||
+      result.derived.length > 0
+    ) {
+      mismatches.push(result);
+    }
+    if (result.needsReview.length > 0) needsReview++;
+  }
+
+  return {
+    startedAt,
+    finishedAt: new Date(),
+    applied: apply,
+    checked,
+    opened,
+    unopened,
+    repaired,
+    needsReview,
+    mismatched: mismatches.length,
+    // Cap the detail so a first run over every user stays readable
+    mismatches: mismatches.slice(0, 100),
+  };
+};
+
+/**
+ * Compare every user's stored buckets with the ledger, and the derived
+ * fields (DERIVED_BALANCE_FIELDS) with the buckets. With apply, users
+ * without an opening balance get one, drifted buckets are set back to the
+ * ledger balance when the ledger explains the drift (other drift is logged
+ * and counted in needsReview) and derived fields are rewritten. Without
+ * apply, users without an opening balance are counted in unopened rather
+ * than as mismatches: their balances predate the ledger until the first
+ * apply run (npm run migrate:token-ledger) opens them.
+ * @param {object} [options]
+ * @param {boolean} [options.apply] - Write opening entries and repair drift
+ * @param {string} [options.userId] - Only this user
+ * @returns {Promise<object|null>} Run summary, null if a run is already active
+ */
+export const reconcileTokenLedger = async ({ apply = false, userId } = {}) => {
+  if (runnerActive) return null;
+  runnerActive = true;
+
+  try {
+    return await reconcileUsers({ apply, userId });
+  } finally {
+    runnerActive = false;
+  }
+};
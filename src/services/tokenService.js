@@ -0,0 +1,922 @@
+import User from "../models/User.js";
+import TokenTransaction from "../models/TokenTransaction.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import {
+  TOKEN_BUCKETS,
+  derivedBalanceFields,
+  readBucketBalances,
+} from "../utils/tokenLedgerUtils.js";
+import {
+  recordBalanceChange,
+  recordLedgerEntries,
+  withLedgerTransaction,
+} from "./tokenLedgerService.js";
+
+// Token balances live in four buckets on User: dailyTokens, purchasedTokens,
+// bonusTokens and prizeTokens, all valid until subscription.endDate (prize
+// tokens for PRIZE_TOKEN_HOURS at most, see expirePrizeTokens). The
+// older flat fields (tokens, tokensUsedToday, temporaryTokens.amount, ...)
+// are kept only as mirrors for old clients; see legacyTokenFields.
+
+// Prize tokens (leaderboard prizes, referral milestones) last 24 hours
+export const PRIZE_TOKEN_HOURS = 24;
+
+let prizeRunnerActive = false;
+
+/**
+ * Calculate total available tokens for user across all types
+ * All tokens are valid until subscription.endDate
+ */
+export const calculateTotalTokens = (user) => {
+  // Check if subscription is active
+  const now = new Date();
+  if (!user.subscription?.endDate || user.subscription.endDate < now) {
+    return 0; // All tokens expired with plan
+  }
+
+  let total = 0;
+  total += user.dailyTokens?.current || 0;
+  total += user.purchasedTokens?.current || 0;
+  total += user.bonusTokens?.current || 0;
+  total += user.prizeTokens?.current || 0;
+
+  return total;
+};
+
+/**
+ * Get detailed token breakdown
+ */
+export const getTokenBreakdown = (user) => {
+  const now = new Date();
+  const planActive =
+    user.subscription?.endDate && user.subscription.endDate > now;
+  const daysRemaining = planActive
+    ? Math.ceil((user.subscription.endDate - now) / (1000 * 60 * 60 * 24))
+    : 0;
+
+  return {
+    daily: {
+      current: planActive ? user.dailyTokens?.current || 0 : 0,
+      limit: user.dailyTokens?.limit || 100,
+      usedToday: user.dailyTokens?.usedToday || 0,
+      lastRefreshedAt: user.dailyTokens?.lastRefreshedAt,
+    },
+    purchased: {
+      current: planActive ? user.purchasedTokens?.current || 0 : 0,
+      total: user.purchasedTokens?.total || 0,
+      used: user.purchasedTokens?.used || 0,
+      lastPurchasedAt: user.purchasedTokens?.lastPurchasedAt,
+    },
+    bonus: {
+      current: planActive ? user.bonusTokens?.current || 0 : 0,
+      initial: user.bonusTokens?.initial || 0,
+      used: user.bonusTokens?.used || 0,
+      grantedAt: user.bonusTokens?.grantedAt,
+    },
+    prize: {
+      current: planActive ? user.prizeTokens?.current || 0 : 0,
+      used: user.prizeTokens?.used || 0,
+      grantedBy: user.prizeTokens?.grantedBy,
+      prizeType: user.prizeTokens?.prizeType,
+      history: user.prizeTokens?.history || [],
+    },
+    total: planActive ? calculateTotalTokens(user) : 0,
+    planExpiry: {
+      isActive: planActive,
+      endDate: user.subscription?.endDate,
+      daysRemaining,
+    },
+  };
+};
+
+// Buckets in deduction order, with their usage counters
+const DEDUCTION_ORDER = [
+  {
+    bucket: "daily",
+    field: "dailyTokens",
+    used: "usedToday",
+    stat: "dailyUsed",
+  },
+  {
+    bucket: "purchased",
+    field: "purchasedTokens",
+    used: "used",
+    stat: "purchasedUsed",
+  },
+  { bucket: "bonus", field: "bonusTokens", used: "used", stat: "bonusUsed" },
+  { bucket: "prize", field: "prizeTokens", used: "used", stat: "prizeUsed" },
+];
+
+// Aggregation expressions for the update pipeline below
+const storedNumber = (path) => ({ $ifNull: [`$${path}`, 0] });
+const bucketBalance = (field) => ({
+  $max: [storedNumber(`${field}.current`), 0],
+});
+
+/**
+ * Split a deduction over the buckets: Daily → Purchased → Bonus → Prize
+ * @param {object} balances - From readBucketBalances
+ * @param {number} amount - Tokens to deduct
+ * @returns {{daily: number, purchased: number, bonus: number, prize: number}} Tokens taken from each bucket
+ */
+export const splitDeduction = (balances, amount) => {
+  let remaining = amount;
+  const breakdown = {};
+  for (const { bucket } of DEDUCTION_ORDER) {
+    breakdown[bucket] = Math.min(remaining, Math.max(balances[bucket], 0));
+    remaining -= breakdown[bucket];
+  }
+  return breakdown;
+};
+
+// Usage counters and legacy fields for tokens spent from each bucket.
+// `spent` values are numbers or aggregation expressions.
+const usageStages = (spent, total) => {
+  const counters = {};
+  for (const { bucket, field, used, stat } of DEDUCTION_ORDER) {
+    counters[`${field}.${used}`] = {
+      $add: [storedNumber(`${field}.${used}`), spent[bucket]],
+    };
+    counters[`tokenStats.${stat}`] = {
+      $add: [storedNumber(`tokenStats.${stat}`), spent[bucket]],
+    };
+  }
+
+  return [
+    {
+      $set: {
+        ...counters,
+        "tokenStats.totalUsed": {
+          $add: [storedNumber("tokenStats.totalUsed"), total],
+        },
+        "tokenStats.planPeriodUsed": {
+          $add: [storedNumber("tokenStats.planPeriodUsed"), total],
+        },
+        // Legacy/Flat monthly stats
+        monthlyTokensUsed: {
+          $add: [storedNumber("monthlyTokensUsed"), total],
+        },
+        monthlyTokensRemaining: {
+          $cond: [
+            { $gt: [storedNumber("monthlyTokensRemaining"), 0] },
+            { $max: [{ $subtract: ["$monthlyTokensRemaining", total] }, 0] },
+            "$monthlyTokensRemaining",
+          ],
+        },
+      },
+    },
+    {
+      $set: {
+        tokensUsedTotal: "$tokenStats.totalUsed",
+        tokensUsedToday: "$dailyTokens.usedToday",
+      },
+    },
+  ];
+};
+
+// Legacy `tokens` mirrors the bucket total, temporaryTokens the prize bucket
+const syncTotalStage = {
+  $set: {
+    tokens: {
+      $add: DEDUCTION_ORDER.map(({ field }) => `$${field}.current`),
+    },
+    "temporaryTokens.amount": storedNumber("prizeTokens.current"),
+  },
+};
+
+// Update pipeline doing splitDeduction inside MongoDB, so the balance
+// check and the write are one atomic operation
+const buildWithdrawalPipeline = (amount, countUsage) => {
+  const taken = [];
+  const splitStages = DEDUCTION_ORDER.map(({ bucket, field }) => {
+    const stage = {
+      $set: {
+        [`_deduction.${bucket}`]: {
+          $min: [
+            taken.length > 0
+              ? { $subtract: [amount, { $add: [...taken] }] }
+              : amount,
+            bucketBalance(field),
+          ],
+        },
+      },
+    };
+    taken.push(`$_deduction.${bucket}`);
+    return stage;
+  });
+
+  const balances = {};
+  const spent = {};
+  for (const { bucket, field } of DEDUCTION_ORDER) {
+    spent[bucket] = `$_deduction.${bucket}`;
+    balances[`${field}.current`] = {
+      $subtract: [bucketBalance(field), spent[bucket]],
+    };
+  }
+
+  return [
+    ...splitStages,
+    { $set: balances },
+    ...(countUsage ? usageStages(spent, amount) : []),
+    syncTotalStage,
+    { $unset: "_deduction" },
+  ];
+};
+
+/**
+ * Atomically take tokens out of a user's buckets (Daily → Purchased →
+ * Bonus → Prize). The balance check and the write are one conditional
+ * update, so parallel requests cannot take the same tokens twice.
+ * @param {string} userId - User ID
+ * @param {number} amount - Tokens to take
+ * @param {object} [options]
+ * @param {boolean} [options.countUsage] - Count the tokens as used (false for holds)
+ * @param {object} [options.session] - Transaction the ledger entries are written in
+ * @returns {Promise<{user: object, balancesBefore: object, breakdown: object}>} User with the new balances, balances before and tokens taken per bucket
+ */
+export const withdrawTokens = async (
+  userId,
+  amount,
+  { countUsage = true, session } = {},
+) => {
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error("Token amount must be a positive number");
+  }
+
+  const now = new Date();
+  // Returns the user as it was before the update
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      "subscription.endDate": { $gt: now },
+      $expr: {
+        $gte: [
+          { $add: DEDUCTION_ORDER.map(({ field }) => bucketBalance(field)) },
+          amount,
+        ],
+      },
+    },
+    buildWithdrawalPipeline(amount, countUsage),
+    { new: false, session },
+  );
+
+  if (!user) {
+    // Find out why the update did not match
+    const current = await User.findById(userId).select(
+      "subscription dailyTokens purchasedTokens bonusTokens prizeTokens",
+    );
+    if (!current) {
+      throw new Error("User not found");
+    }
+    if (!current.subscription?.endDate || current.subscription.endDate < now) {
+      throw new Error(
+        "Subscription expired. Please renew to access resources.",
+      );
+    }
+    throw new Error(
+      `Insufficient tokens. Required: ${amount}, Available: ${calculateTotalTokens(current)}`,
+    );
+  }
+
+  // Apply the same split to the loaded copy for the response and ledger
+  const balancesBefore = readBucketBalances(user);
+  const breakdown = splitDeduction(balancesBefore, amount);
+  for (const { bucket, field, used } of DEDUCTION_ORDER) {
+    user[field].current =
+      Math.max(user[field].current || 0, 0) - breakdown[bucket];
+    if (countUsage) {
+      user[field][used] = (user[field][used] || 0) + breakdown[bucket];
+    }
+  }
+
+  return { user, balancesBefore, breakdown };
+};
+
+/**
+ * Settle tokens taken by withdrawTokens without counting usage (a hold):
+ * put `returned` back into the buckets and count `spent` as used
+ * @param {string} userId - User ID
+ * @param {object} settlement
+ * @param {object} settlement.returned - Tokens to put back, by bucket
+ * @param {object} settlement.spent - Tokens used, by bucket
+ * @param {object} [options]
+ * @param {object} [options.session] - Transaction the ledger entries are written in
+ * @returns {Promise<object|null>} User after the update
+ */
+export const settleWithdrawnTokens = async (
+  userId,
+  { returned, spent },
+  { session } = {},
+) => {
+  const balances = {};
+  for (const { bucket, field } of DEDUCTION_ORDER) {
+    balances[`${field}.current`] = {
+      $add: [storedNumber(`${field}.current`), returned[bucket] || 0],
+    };
+  }
+  const spentTotal = DEDUCTION_ORDER.reduce(
+    (sum, { bucket }) => sum + (spent[bucket] || 0),
+    0,
+  );
+
+  return User.findOneAndUpdate(
+    { _id: userId },
+    [
+      { $set: balances },
+      ...(spentTotal > 0
+        ? usageStages(
+            Object.fromEntries(
+              DEDUCTION_ORDER.map(({ bucket }) => [bucket, spent[bucket] || 0]),
+            ),
+            spentTotal,
+          )
+        : []),
+      syncTotalStage,
+    ],
+    { new: true, session },
+  );
+};
+
+/**
+ * Deduct tokens with priority: Daily → Purchased → Bonus → Prize
+ * and record one ledger entry per bucket used.
+ * `ledger` takes the spend's reference ({ kind, id }) and metadata.
+ */
+export const deductTokens = async (
+  userId,
+  tokensToDeduct,
+  reason = "resource_access",
+  ledger = {},
+) => {
+  try {
+    const { user, breakdown: deductionBreakdown } =
+      await withLedgerTransaction(async (session) => {
+        const withdrawal = await withdrawTokens(userId, tokensToDeduct, {
+          session,
+        });
+        await recordBalanceChange(
+          withdrawal.user,
+          withdrawal.balancesBefore,
+          {
+            reason,
+            reference: ledger.reference,
+            metadata: ledger.metadata,
+          },
+          { session },
+        );
+        return withdrawal;
+      });
+
+    console.log(
+      `✅ Deducted ${tokensToDeduct} tokens from ${user.email}:`,
+      deductionBreakdown,
+    );
+
+    return {
+      success: true,
+      tokensDeducted: tokensToDeduct,
+      breakdown: deductionBreakdown,
+      remaining: getTokenBreakdown(user),
+      reason,
+    };
+  } catch (error) {
+    console.error("Token deduction error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Add purchased tokens to user's account
+ */
+export const addPurchasedTokens = async (userId, amount, transactionId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    // Check if user has active subscription
+    const now = new Date();
+    if (!user.subscription?.endDate || user.subscription.endDate < now) {
+      throw new Error("Active subscription required to purchase extra tokens");
+    }
+
+    // Initialize purchasedTokens if not exists
+    if (!user.purchasedTokens) {
+      user.purchasedTokens = {
+        current: 0,
+        total: 0,
+        used: 0,
+        lastPurchasedAt: null,
+        expiresAt: null,
+      };
+    }
+
+    // Add to purchased tokens
+    const balancesBefore = readBucketBalances(user);
+    user.purchasedTokens.current += amount;
+    user.purchasedTokens.total += amount;
+    user.purchasedTokens.lastPurchasedAt = now;
+    user.purchasedTokens.expiresAt = user.subscription.endDate; // Expires with plan
+
+    // Update legacy token field for backward compatibility
+    user.tokens = calculateTotalTokens(user);
+
+    await withLedgerTransaction(async (session) => {
+      await user.save({ session });
+      await recordBalanceChange(
+        user,
+        balancesBefore,
+        {
+          reason: "token_purchase",
+          reference: transactionId
+            ? { kind: "TokenTransaction", id: transactionId }
+            : undefined,
+        },
+        { session },
+      );
+    });
+
+    console.log(
+      `✅ Added ${amount} purchased tokens to ${user.email}, ` +
+        `valid until ${user.subscription.endDate.toISOString()}`,
+    );
+
+    // Send notification
+    await createNotification(
+      userId,
+      "system",
+      `🎉 ${amount} tokens added to your account! They're valid until your plan expires.`,
+      null,
+      null,
+    );
+
+    return {
+      success: true,
+      amount,
+      currentBalance: user.purchasedTokens.current,
+      totalPurchased: user.purchasedTokens.total,
+      expiresAt: user.subscription.endDate,
+    };
+  } catch (error) {
+    console.error("Add purchased tokens error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Grant prize tokens, valid for PRIZE_TOKEN_HOURS (or until the plan
+ * expires, if that is sooner). A new grant extends the prize bucket's
+ * expiry.
+ */
+export const grantPrizeTokens = async (
+  userId,
+  amount,
+  prizeType,
+  grantedBy = "system",
+) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    // Check if user has active subscription
+    const now = new Date();
+    if (!user.subscription?.endDate || user.subscription.endDate < now) {
+      throw new Error(
+        "User must have active subscription to receive prize tokens",
+      );
+    }
+
+    // Initialize prizeTokens if not exists
+    if (!user.prizeTokens) {
+      user.prizeTokens = {
+        current: 0,
+        used: 0,
+        grantedAt: null,
+        expiresAt: null,
+        grantedBy: null,
+        prizeType: null,
+        history: [],
+      };
+    }
+
+    const expiresAt = new Date(
+      Math.min(
+        now.getTime() + PRIZE_TOKEN_HOURS * 60 * 60 * 1000,
+        user.subscription.endDate.getTime(),
+      ),
+    );
+
+    // Add to current prize tokens
+    const balancesBefore = readBucketBalances(user);
+    user.prizeTokens.current += amount;
+    user.prizeTokens.grantedAt = now;
+    user.prizeTokens.expiresAt = expiresAt;
+    user.prizeTokens.grantedBy = grantedBy;
+    user.prizeTokens.prizeType = prizeType;
+
+    // Add to history
+    if (!user.prizeTokens.history) {
+      user.prizeTokens.history = [];
+    }
+    user.prizeTokens.history.push({
+      amount,
+      grantedAt: now,
+      grantedBy,
+      prizeType,
+    });
+
+    // Update legacy fields
+    user.tokens = calculateTotalTokens(user);
+    user.temporaryTokens = {
+      amount: user.prizeTokens.current,
+      grantedAt: now,
+      expiresAt,
+      grantedBy,
+      prizeType,
+    };
+
+    await withLedgerTransaction(async (session) => {
+      await user.save({ session });
+      await recordBalanceChange(
+        user,
+        balancesBefore,
+        {
+          reason: "prize",
+          description: `${prizeType} (granted by ${grantedBy})`,
+        },
+        { session },
+      );
+    });
+
+    console.log(
+      `✅ Granted ${amount} prize tokens to ${user.email} (${prizeType}), ` +
+        `valid until ${expiresAt.toISOString()}`,
+    );
+
+    return {
+      success: true,
+      amount,
+      expiresAt,
+      prizeType,
+      totalPrizeTokens: user.prizeTokens.current,
+    };
+  } catch (error) {
+    console.error("Grant prize tokens error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Refund spent tokens and record a `refund` TokenTransaction.
+ * Refunds are credited as bonus tokens so they stay valid until the plan
+ * ends (daily tokens would be lost at the next reset).
+ */
+export const refundTokens = async (
+  userId,
+  amount,
+  { description = "Token refund", leadReportId = null } = {},
+) => {
+  try {
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new Error("Refund amount must be a positive integer");
+    }
+
+    const { user, transaction } = await withLedgerTransaction(
+      async (session) => {
+        const updated = await User.findByIdAndUpdate(
+          userId,
+          { $inc: { "bonusTokens.current": amount, tokens: amount } },
+          { new: true, session },
+        );
+        if (!updated) {
+          throw new Error("User not found");
+        }
+
+        const balanceAfter = calculateTotalTokens(updated);
+        const [created] = await TokenTransaction.create(
+          [
+            {
+              userId,
+              type: "refund",
+              tokens: amount,
+              amount: 0,
+              status: "completed",
+              completedAt: new Date(),
+              description,
+              leadReportId,
+              paymentDetails: { gateway: "internal" },
+              // Refunds are permanent records, not pending payments
+              metadata: { expiresAt: null },
+              balanceBefore: Math.max(0, balanceAfter - amount),
+              balanceAfter,
+            },
+          ],
+          { session },
+        );
+        await recordLedgerEntries(
+          updated._id,
+          [
+            {
+              bucket: "bonus",
+              amount,
+              balanceAfter: updated.bonusTokens.current,
+            },
+          ],
+          {
+            type: "refund",
+            reason: "refund",
+            description,
+            reference: leadReportId
+              ? { kind: "LeadReport", id: leadReportId }
+              : undefined,
+          },
+          { session },
+        );
+        return { user: updated, transaction: created };
+      },
+    );
+
+    console.log(`✅ Refunded ${amount} tokens to ${user.email}: ${description}`);
+
+    return {
+      success: true,
+      amount,
+      transactionId: transaction._id,
+      remaining: getTokenBreakdown(user),
+    };
+  } catch (error) {
+    console.error("Token refund error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Clean expired tokens (when plan expires)
+ */
+export const cleanExpiredTokens = async (user) => {
+  const now = new Date();
+
+  if (!user.subscription?.endDate || user.subscription.endDate < now) {
+    let cleaned = false;
+    const balancesBefore = readBucketBalances(user);
+
+    // Clean all tokens when plan expires
+    if (user.dailyTokens?.current > 0) {
+      console.log(
+        `Expiring daily tokens for ${user.email}: ${user.dailyTokens.current}`,
+      );
+      user.dailyTokens.current = 0;
+      cleaned = true;
+    }
+
+    if (user.purchasedTokens?.current > 0) {
+      console.log(
+        `Expiring purchased tokens for ${user.email}: ${user.purchasedTokens.current}`,
+      );
+      user.purchasedTokens.current = 0;
+      cleaned = true;
+    }
+
+    if (user.bonusTokens?.current > 0) {
+      console.log(
+        `Expiring bonus tokens for ${user.email}: ${user.bonusTokens.current}`,
+      );
+      user.bonusTokens.current = 0;
+      cleaned = true;
+    }
+
+    if (user.prizeTokens?.current > 0) {
+      console.log(
+        `Expiring prize tokens for ${user.email}: ${user.prizeTokens.current}`,
+      );
+      user.prizeTokens.current = 0;
+      cleaned = true;
+    }
+
+    if (cleaned) {
+      user.tokens = 0;
+      user.temporaryTokens.amount = 0;
+      await withLedgerTransaction(async (session) => {
+        await user.save({ session });
+        await recordBalanceChange(
+          user,
+          balancesBefore,
+          { type: "expiry", reason: "plan_expired" },
+          { session },
+        );
+      });
+    }
+
+    return cleaned;
+  }
+
+  return false;
+};
+
+/**
+ * Zero prize buckets whose expiry has passed, with an expiry ledger entry
+ * @returns {Promise<{expired: number}|null>} Users whose prize tokens expired, null if a run is already active
+ */
+export const expirePrizeTokens = async () => {
+  if (prizeRunnerActive) return null;
+  prizeRunnerActive = true;
+
+  try {
+    const now = new Date();
+    const due = {
+      "prizeTokens.current": { $gt: 0 },
+      "prizeTokens.expiresAt": { $lte: now },
+    };
+    const users = await User.find(due).select("_id").lean();
+
+    let expired = 0;
+    for (const { _id } of users) {
+      const done = await withLedgerTransaction(async (session) => {
+        // Returns the user as it was before the update
+        const before = await User.findOneAndUpdate(
+          { _id, ...due },
+          [{ $set: { "prizeTokens.current": 0 } }, syncTotalStage],
+          { new: false, session },
+        );
+        if (!before) return false;
+
+        await recordLedgerEntries(
+          _id,
+          [
+            {
+              bucket: "prize",
+              amount: -before.prizeTokens.current,
+              balanceAfter: 0,
+            },
+          ],
+          { type: "expiry", reason: "prize_expired" },
+          { session },
+        );
+        return true;
+      });
+      if (done) expired++;
+    }
+    return { expired };
+  } finally {
+    prizeRunnerActive = false;
+  }
+};
+
+const readField = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+/**
+ * Values the legacy flat token fields should hold for a user's buckets
+ * @param {object} user - User (document or plain object)
+ * @returns {object} Legacy field values by path
+ */
+export const legacyTokenFields = (user) => ({
+  ...derivedBalanceFields(user),
+  tokensUsedToday: user.dailyTokens?.usedToday || 0,
+  tokensUsedTotal: Math.max(
+    user.tokensUsedTotal || 0,
+    user.tokenStats?.totalUsed || 0,
+  ),
+});
+
+/**
+ * Rewrite a user document's legacy flat fields from its buckets. Call after
+ * changing buckets or plan fields on the document; the caller saves.
+ * @param {object} user - User document
+ */
+export const syncLegacyTokenFields = (user) => {
+  for (const [path, value] of Object.entries(legacyTokenFields(user))) {
+    user.set(path, value);
+  }
+};
+
+/**
+ * Start a new day for a user: the daily bucket is reset to the plan's daily
+ * tokens (purchased, bonus and prize are kept). Saves the user, with other
+ * changes already made on the document, and records the ledger entries.
+ * @param {object} user - User document; a populated subscription.planId wins
+ *   over subscription.dailyTokens
+ * @param {Date} [now]
+ * @returns {Promise<object>} The saved user
+ */
+export const refreshDailyTokens = async (user, now = new Date()) => {
+  const plan = user.subscription.planId;
+  const dailyLimit = plan?.dailyTokens ?? user.subscription.dailyTokens ?? 100;
+  const balancesBefore = readBucketBalances(user);
+
+  // Initialize dailyTokens if not exists
+  if (!user.dailyTokens) {
+    user.dailyTokens = {
+      current: dailyLimit,
+      limit: dailyLimit,
+      usedToday: 0,
+      lastRefreshedAt: now,
+    };
+  } else {
+    user.dailyTokens.current = dailyLimit;
+    user.dailyTokens.limit = dailyLimit;
+    user.dailyTokens.usedToday = 0;
+    user.dailyTokens.lastRefreshedAt = now;
+  }
+
+  // Reset daily stats in tokenStats
+  if (user.tokenStats) {
+    user.tokenStats.dailyUsed = 0;
+  }
+  user.subscription.lastRefreshedAt = now;
+  syncLegacyTokenFields(user);
+
+  await withLedgerTransaction(async (session) => {
+    await user.save({ session });
+    await recordBalanceChange(
+      user,
+      balancesBefore,
+      { reason: "daily_refresh", debit: "expiry" },
+      { session },
+    );
+  });
+  return user;
+};
+
+/**
+ * Bucket balances and legacy mirrors for a user last written by the old
+ * daily + temporary token code. Daily tokens only in `tokens` (more than
+ * the buckets hold, which start at 0) move to the daily bucket; unexpired
+ * temporary tokens missing from the prize bucket move there.
+ * @param {object} user - Plain user object (lean), so unset fields show
+ * @returns {object} $set for the user, empty if nothing changes
+ */
+export const planLegacyTokenMigration = (user) => {
+  const update = {};
+  const migrated = { ...user };
+
+  const balances = readBucketBalances(user);
+  const bucketTotal = TOKEN_BUCKETS.reduce(
+    (sum, bucket) => sum + Math.max(balances[bucket], 0),
+    0,
+  );
+  const unmigrated = (user.tokens || 0) - bucketTotal;
+  if (unmigrated > 0) {
+    const daily = balances.daily + unmigrated;
+    // The old code counted today's use on the flat field only
+    const usedToday =
+      bucketTotal === 0
+        ? user.tokensUsedToday || 0
+        : user.dailyTokens?.usedToday || 0;
+    update["dailyTokens.current"] = daily;
+    update["dailyTokens.usedToday"] = usedToday;
+    migrated.dailyTokens = { ...user.dailyTokens, current: daily, usedToday };
+  }
+
+  const temporary = user.temporaryTokens;
+  const prize = user.prizeTokens?.current || 0;
+  if (
+    temporary?.amount > prize &&
+    temporary.expiresAt &&
+    new Date(temporary.expiresAt) > new Date()
+  ) {
+    update["prizeTokens.current"] = temporary.amount;
+    migrated.prizeTokens = { ...user.prizeTokens, current: temporary.amount };
+  }
+
+  // Stats the old code only kept in the flat fields
+  if ((user.tokenStats?.totalUsed || 0) < (user.tokensUsedTotal || 0)) {
+    update["tokenStats.totalUsed"] = user.tokensUsedTotal;
+  }
+
+  for (const [path, value] of Object.entries(legacyTokenFields(migrated))) {
+    const current = readField(user, path);
+    if (current !== value) {
+      update[path] = value;
+    }
+  }
+
+  return update;
+};
+
+/**
+ * Ways a user's token fields disagree with each other
+ * @param {object} user - User (document or plain object)
+ * @returns {Array<{field: string, expected: number, actual: number}>} Problems, empty if consistent
+ */
+export const checkTokenConsistency = (user) => {
+  const issues = [];
+  const balances = readBucketBalances(user);
+  for (const bucket of TOKEN_BUCKETS) {
+    if (balances[bucket] < 0) {
+      issues.push({ field: bucket, expected: 0, actual: balances[bucket] });
+    }
+  }
+
+  for (const [path, expected] of Object.entries(legacyTokenFields(user))) {
+    const actual = readField(user, path) || 0;
+    if (actual !== expected) {
+      issues.push({ field: path, expected, actual });
+    }
+  }
+
+  return issues;
+};
@@ -0,0 +1,247 @@
+import { Plan, TokenSpendPolicy, TokenSpendUsage } from "../models/index.js";
+import {
+  SPEND_ACTIONS,
+  parseSpendPolicy,
+  resolveSpendCost,
+  spendDayKey,
+} from "../utils/tokenSpendUtils.js";
+
+// Saved policy merged over the action's defaults
+const withDefaults = (action, saved) => ({
+  action,
+  unit: SPEND_ACTIONS[action].unit,
+  description: SPEND_ACTIONS[action].description,
+  tokens: saved?.tokens ?? SPEND_ACTIONS[action].tokens,
+  freePerDay: saved?.freePerDay ?? 0,
+  planOverrides: saved?.planOverrides ?? [],
+  isDefault: !saved,
+  updatedBy: saved?.updatedBy ?? null,
+  updatedAt: saved?.updatedAt ?? null,
+});
+
+// Plan of a user whether or not subscription.planId is populated
+const planIdOf = (user) =>
+  user?.subscription?.planId?._id ?? user?.subscription?.planId ?? null;
+
+/**
+ * Policy of every action, defaults included
+ * @returns {Promise<object[]>} Policies in SPEND_ACTIONS order
+ */
+export const getSpendPolicies = async () => {
+  const saved = await TokenSpendPolicy.find().lean();
+  return Object.keys(SPEND_ACTIONS).map((action) =>
+    withDefaults(
+      action,
+      saved.find((policy) => policy.action === action),
+    ),
+  );
+};
+
+/**
+ * Policy of one action, defaults included
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @returns {Promise<object>} Policy
+ */
+export const getSpendPolicy = async (action) =>
+  withDefaults(action, await TokenSpendPolicy.findOne({ action }).lean());
+
+/**
+ * Save an action's policy
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @param {object} input - tokens, freePerDay, planOverrides
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<{policy?: object, error?: string}>} Saved policy or a validation error
+ */
+export const updateSpendPolicy = async (action, input, adminId) => {
+  const { policy, error } = parseSpendPolicy(
+    input,
+    await getSpendPolicy(action),
+  );
+  if (error) return { error };
+
+  const planIds = policy.planOverrides.map((override) => override.planId);
+  if (planIds.length > 0) {
+    const found = await Plan.countDocuments({ _id: { $in: planIds } });
+    if (found !== planIds.length) {
+      return { error: "planOverrides names a plan that does not exist" };
+    }
+  }
+
+  await TokenSpendPolicy.findOneAndUpdate(
+    { action },
+    { $set: { ...policy, updatedBy: adminId } },
+    { upsert: true, setDefaultsOnInsert: true },
+  );
+  return { policy: await getSpendPolicy(action) };
+};
+
+/**
+ * Drop an action's saved policy so its default applies again
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @returns {Promise<object>} Default policy
+ */
+export const resetSpendPolicy = async (action) => {
+  await TokenSpendPolicy.deleteOne({ action });
+  return getSpendPolicy(action);
+};
+
+/**
+ * Token cost and free quota of an action for a plan
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @param {string} [planId] - User's plan
+ * @returns {Promise<{tokens: number, freePerDay: number}>} Cost per action
+ */
+export const getSpendCost = async (action, planId) => {
+  const policy = await getSpendPolicy(action);
+  return {
+    tokens: resolveSpendCost(policy, planId),
+    freePerDay: policy.freePerDay,
+  };
+};
+
+/**
+ * Free uses of an action a user has left today
+ * @param {string} userId - User ID
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @param {number} freePerDay - From the action's policy
+ * @returns {Promise<number>} Free uses left
+ */
+export const getFreeUsesLeft = async (userId, action, freePerDay) => {
+  if (!(freePerDay > 0)) return 0;
+
+  const usage = await TokenSpendUsage.findOne({
+    userId,
+    action,
+    day: spendDayKey(),
+  }).lean();
+  return Math.max(freePerDay - (usage?.freeUsed || 0), 0);
+};
+
+// Take one free use if today's counter is below the quota
+const claimOne = async (filter, freePerDay) => {
+  const bounded = { ...filter, freeUsed: { $lt: freePerDay } };
+  const update = { $inc: { freeUsed: 1 } };
+  try {
+    return await TokenSpendUsage.findOneAndUpdate(bounded, update, {
+      upsert: true,
+      new: true,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Today's counter exists: it is full, or a parallel claim created it
+    return TokenSpendUsage.findOneAndUpdate(bounded, update, { new: true });
+  }
+};
+
+/**
+ * Take up to `count` free uses of an action from today's quota
+ * @param {string} userId - User ID
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @param {number} freePerDay - From the action's policy
+ * @param {number} [count] - Free uses wanted
+ * @returns {Promise<number>} Free uses taken (fewer once the quota runs out)
+ */
+export const claimFreeUses = async (userId, action, freePerDay, count = 1) => {
+  if (!(freePerDay > 0)) return 0;
+
+  const filter = { userId, action, day: spendDayKey() };
+  let claimed = 0;
+  while (claimed < count && (await claimOne(filter, freePerDay))) {
+    claimed++;
+  }
+  return claimed;
+};
+
+/**
+ * Give back free uses that were claimed but not used
+ * @param {string} userId - User ID
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @param {number} count - Free uses to give back
+ */
+export const releaseFreeUses = async (userId, action, count) => {
+  if (!(count > 0)) return;
+
+  await TokenSpendUsage.updateOne(
+    { userId, action, day: spendDayKey(), freeUsed: { $gte: count } },
+    { $inc: { freeUsed: -count } },
+  );
+};
+
+/**
+ * Price `units` of an action for a user, free quota included. Nothing is
+ * claimed; see claimSpend.
+ * @param {string} action - Key of SPEND_ACTIONS
+ * @param {object} user - User (_id, subscription.planId)
+ * @param {number} [units] - Resources, emails, ...
+ * @returns {Promise<object>} action, units, unitCost, free, freePerDay, tokens
+ */
+export const quoteSpend = async (action, user, units = 1) => {
+  const { tokens: unitCost, freePerDay } = await getSpendCost(
+    action,
+    planIdOf(user),
+  );
+  const freeLeft = await getFreeUsesLeft(user._id, action, freePerDay);
+  const free = Math.min(units, freeLeft);
+
+  return {
+    action,
+    units,
+    unitCost,
+    free,
+    freePerDay,
+    tokens: (units - free) * unitCost,
+  };
+};
+
+/**
+ * Claim the free uses of a quote. If the quota ran out in the meantime the
+ * rest is charged.
+ * @param {object} quote - From quoteSpend
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} The quote with the free uses actually claimed
+ */
+export const claimSpend = async (quote, userId) => {
+  const free = await claimFreeUses(
+    userId,
+    quote.action,
+    quote.freePerDay,
+    quote.free,
+  );
+  return { ...quote, free, tokens: (quote.units - free) * quote.unitCost };
+};
+
+/**
+ * Public price list. Plan overrides carry the plan name; with a planId
+ * every action also shows that plan's price.
+ * @param {string} [planId] - Plan to price for
+ * @returns {Promise<object[]>} One entry per action
+ */
+export const getSpendPricing = async (planId) => {
+  const policies = await getSpendPolicies();
+  const planIds = policies.flatMap((policy) =>
+    policy.planOverrides.map((override) => override.planId),
+  );
+  const plans =
+    planIds.length > 0
+      ? await Plan.find({ _id: { $in: planIds } })
+          .select("name")
+          .lean()
+      : [];
+  const planNames = new Map(
+    plans.map((plan) => [plan._id.toString(), plan.name]),
+  );
+
+  return policies.map((policy) => ({
+    action: policy.action,
+    unit: policy.unit,
+    description: policy.description,
+    tokens: policy.tokens,
+    freePerDay: policy.freePerDay,
+    planOverrides: policy.planOverrides.map((override) => ({
+      planId: override.planId,
+      planName: planNames.get(override.planId.toString()) || null,
+      tokens: override.tokens,
+    })),
+    ...(planId ? { planTokens: resolveSpendCost(policy, planId) } : {}),
+  }));
+};
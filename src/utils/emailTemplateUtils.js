@@ -0,0 +1,92 @@
+// Lead fields that can be used as {{merge}} variables in email templates
+export const TEMPLATE_MERGE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "city",
+  "country",
+  "category",
+  "websiteLink",
+  "linkedin",
+  "addressStreet",
+];
+
+// {{field}} or {{field|fallback text}}
+const MERGE_TAG_PATTERN = /\{\{\s*([a-zA-Z]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ],
+  );
+
+/**
+ * List the merge fields referenced by a template text
+ * @param {string} text - Subject or message
+ * @returns {{fields: string[], unknown: string[]}} Known and unknown field names
+ */
+export const extractMergeFields = (text) => {
+  const fields = new Set();
+  const unknown = new Set();
+
+  for (const [, field] of String(text || "").matchAll(MERGE_TAG_PATTERN)) {
+    if (TEMPLATE_MERGE_FIELDS.includes(field)) {
+      fields.add(field);
+    } else {
+      unknown.add(field);
+    }
+  }
+
+  return { fields: [...fields], unknown: [...unknown] };
+};
+
+/**
+ * Keep only fallbacks for known merge fields
+ * @param {object|Map} fallbacks - Raw fallbacks from a request body or template
+ * @returns {object} Fallback text keyed by merge field
+ */
+export const normalizeFallbacks = (fallbacks) => {
+  const entries =
+    fallbacks instanceof Map
+      ? [...fallbacks.entries()]
+      : Object.entries(fallbacks || {});
+
+  return Object.fromEntries(
+    entries
+      .filter(([field]) => TEMPLATE_MERGE_FIELDS.includes(field))
+      .map(([field, value]) => [field, String(value ?? "").trim()]),
+  );
+};
+
+/**
+ * Replace {{merge}} variables with lead values.
+ * An inline fallback ({{city|your area}}) wins over the template-level
+ * fallback; unknown fields are left untouched.
+ * @param {string} text - Template text
+ * @param {object} lead - Lead document or plain object
+ * @param {object} [options]
+ * @param {object|Map} [options.fallbacks] - Template-level fallbacks
+ * @param {boolean} [options.html] - Escape lead values for HTML output
+ * @returns {string} Rendered text
+ */
+export const renderMergeFields = (text, lead, { fallbacks, html } = {}) => {
+  const defaults = normalizeFallbacks(fallbacks);
+
+  return String(text || "").replace(
+    MERGE_TAG_PATTERN,
+    (match, field, inlineFallback) => {
+      if (!TEMPLATE_MERGE_FIELDS.includes(field)) return match;
+
+      const raw = lead?.[field];
+      const value =
+        raw !== undefined && raw !== null && String(raw).trim() !== ""
+          ? String(raw).trim()
+          : (inlineFallback?.trim() ?? defaults[field] ?? "");
+
+      return html ? escapeHtml(value) : value;
+    },
+  );
+};
@@ -0,0 +1,148 @@
+import crypto from "crypto";
+
+// Key for tracking and unsubscribe links (falls back to JWT_SECRET). There
+// is no built-in default: anyone could forge links signed with one.
+const getTrackingSecret = () => {
+  const secret = process.env.EMAIL_TRACKING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("EMAIL_TRACKING_SECRET is not configured");
+  }
+  return secret;
+};
+
+/**
+ * Whether tracking links can be signed
+ * @returns {boolean} True when EMAIL_TRACKING_SECRET or JWT_SECRET is set
+ */
+export const isTrackingConfigured = () =>
+  Boolean(process.env.EMAIL_TRACKING_SECRET || process.env.JWT_SECRET);
+
+export const getBackendUrl = () =>
+  (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5001}`)
+    .replace(/\/+$/, "");
+
+/**
+ * HMAC-sign a value for use in public tracking links
+ * @param {string} value - Value to sign
+ * @returns {string} Hex signature
+ */
+export const signTrackingValue = (value) =>
+  crypto
+    .createHmac("sha256", getTrackingSecret())
+    .update(value)
+    .digest("hex")
+    .slice(0, 32);
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Check a signature produced by signTrackingValue
+ * @param {string} value - Signed value
+ * @param {string} signature - Signature to verify
+ * @returns {boolean} True when the signature matches
+ */
+export const verifySignedValue = (value, signature) =>
+  safeEqual(String(signature || ""), signTrackingValue(value));
+
+/**
+ * Create a signed token identifying one recipient of one email
+ * @param {string} emailFeedbackId - EmailFeedback document ID
+ * @param {string} recipientId - Recipient subdocument ID
+ * @returns {string} Token
+ */
+export const createTrackingToken = (emailFeedbackId, recipientId) => {
+  const value = `${emailFeedbackId}.${recipientId}`;
+  return `${value}.${signTrackingValue(value)}`;
+};
+
+/**
+ * Verify and decode a tracking token
+ * @param {string} token - Token from a tracking URL
+ * @returns {{emailFeedbackId: string, recipientId: string}|null} Decoded IDs or null if invalid
+ */
+export const parseTrackingToken = (token) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [emailFeedbackId, recipientId, signature] = parts;
+  const expected = signTrackingValue(`${emailFeedbackId}.${recipientId}`);
+  if (!safeEqual(signature, expected)) return null;
+
+  return { emailFeedbackId, recipientId };
+};
+
+/**
+ * Verify the signature of a click redirect
+ * @param {string} token - Tracking token
+ * @param {string} url - Destination URL
+ * @param {string} signature - Signature from the query string
+ * @returns {boolean} True when the link was issued by us
+ */
+export const verifyClickSignature = (token, url, signature) =>
+  safeEqual(String(signature || ""), signTrackingValue(`${token}|${url}`));
+
+/**
+ * Build the Message-ID for a tracked email. Replies quote it in
+ * In-Reply-To/References, which lets inbound mail be matched back to the
+ * recipient without a database lookup.
+ * @param {string} token - Tracking token for the recipient
+ * @returns {string} Message-ID without angle brackets
+ */
+export const buildMessageId = (token) => {
+  let host = "clientsure.local";
+  try {
+    host = new URL(getBackendUrl()).hostname || host;
+  } catch {
+    // keep the fallback host
+  }
+  return `${token}@${host}`;
+};
+
+/**
+ * Recover the tracking IDs from a Message-ID created by buildMessageId
+ * @param {string} messageId - Message-ID with or without angle brackets
+ * @returns {{emailFeedbackId: string, recipientId: string}|null} Decoded IDs or null
+ */
+export const parseMessageIdToken = (messageId) => {
+  const localPart = String(messageId || "")
+    .replace(/^<|>$/g, "")
+    .split("@")[0];
+  return parseTrackingToken(localPart);
+};
+
+export const buildOpenPixelUrl = (token) =>
+  `${getBackendUrl()}/api/track/open/${token}.gif`;
+
+export const buildClickUrl = (token, url) =>
+  `${getBackendUrl()}/api/track/click/${token}?u=${encodeURIComponent(
+    url,
+  )}&s=${signTrackingValue(`${token}|${url}`)}`;
+
+/**
+ * Rewrite an email's links through the click redirect and append an open pixel
+ * Only absolute http(s) links are rewritten; mailto:, tel:, anchors and
+ * links carrying a data-notrack attribute are kept.
+ * @param {string} html - Email HTML
+ * @param {string} token - Tracking token for the recipient
+ * @returns {string} HTML with tracking
+ */
+export const injectEmailTracking = (html, token) => {
+  const withLinks = html.replace(
+    /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi,
+    (match, prefix, quote, url) =>
+      // Links marked data-notrack (e.g. unsubscribe) are left untouched
+      /\bdata-notrack\b/i.test(prefix)
+        ? match
+        : `${prefix}${quote}${buildClickUrl(token, url.replace(/&amp;/g, "&"))}${quote}`,
+  );
+
+  const pixel = `<img src="${buildOpenPixelUrl(token)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+
+  return /<\/body>/i.test(withLinks)
+    ? withLinks.replace(/<\/body>/i, `${pixel}</body>`)
+    : `${withLinks}${pixel}`;
+};
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+
+// 32-byte key derived from SECRETS_ENCRYPTION_KEY (falls back to JWT_SECRET)
+const getEncryptionKey = () => {
+  const secret =
+    process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET || "";
+  if (!secret) {
+    throw new Error("SECRETS_ENCRYPTION_KEY is not configured");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plainText - Secret to encrypt
+ * @returns {string} "iv:authTag:cipherText" (base64 parts)
+ */
+export const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(":");
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload - Stored value
+ * @returns {string} Plain text (throws if the value was tampered with)
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = String(payload || "")
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  if (!iv || !authTag || !encrypted) {
+    throw new Error("Invalid encrypted value");
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8",
+  );
+};
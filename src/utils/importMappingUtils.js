@@ -0,0 +1,204 @@
+// Column mapping for lead imports: turns a vendor row into Lead fields.
+
+// Lead fields an import can fill
+export const LEAD_IMPORT_FIELDS = [
+  "leadId",
+  "name",
+  "email",
+  "phone",
+  "category",
+  "city",
+  "country",
+  "addressStreet",
+  "linkedin",
+  "facebookLink",
+  "websiteLink",
+  "googleMapLink",
+  "instagram",
+  "lastVerifiedAt",
+];
+
+export const IMPORT_TRANSFORMS = [
+  "trim",
+  "lowercase",
+  "uppercase",
+  "titlecase",
+  "digits",
+  "url",
+  "split",
+];
+
+// Header spellings understood without a mapping profile
+const DEFAULT_HEADER_ALIASES = {
+  leadId: ["id", "leadid", "lead id"],
+  name: ["name"],
+  email: ["email"],
+  phone: ["phone"],
+  category: ["category"],
+  city: ["city"],
+  country: ["country"],
+  addressStreet: ["addressstreet", "address street"],
+  linkedin: ["linkedin"],
+  facebookLink: ["facebooklink", "facebook link"],
+  websiteLink: ["websitelink", "website link"],
+  googleMapLink: ["googlemaplink", "google map link"],
+  instagram: ["instagram"],
+  lastVerifiedAt: ["lastverifiedat", "last verified at"],
+};
+
+export const normalizeHeader = (header) =>
+  String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const toTitleCase = (value) =>
+  value.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match) => match.toUpperCase());
+
+/**
+ * Apply a list of transforms to a cell value. Strings are always trimmed;
+ * numbers and dates pass through untouched unless a transform is given.
+ * @param {*} value - Raw cell value
+ * @param {object[]} transforms - [{ type, delimiter, index }]
+ * @returns {*} Transformed value ("" for empty)
+ */
+export const applyTransforms = (value, transforms = []) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value !== "string" && transforms.length === 0) return value;
+
+  let result = String(value).trim();
+  for (const transform of transforms) {
+    switch (transform.type) {
+      case "trim":
+        result = result.trim();
+        break;
+      case "lowercase":
+        result = result.toLowerCase();
+        break;
+      case "uppercase":
+        result = result.toUpperCase();
+        break;
+      case "titlecase":
+        result = toTitleCase(result);
+        break;
+      case "digits":
+        // Keeps a leading "+" so international numbers survive
+        result = result.trim().replace(/(?!^\+)[^\d]/g, "");
+        break;
+      case "url":
+        result = result.trim();
+        if (result && !/^https?:\/\//i.test(result)) result = `https://${result}`;
+        break;
+      case "split": {
+        const parts = result.split(transform.delimiter ?? ",");
+        result = (parts[transform.index ?? 0] ?? "").trim();
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return result;
+};
+
+/**
+ * Map a raw row to Lead fields with a profile's mappings
+ * @param {object} row - Row keyed by the file's headers
+ * @param {object[]} mappings - [{ source, field, transforms }]
+ * @returns {object} Values keyed by Lead field
+ */
+export const applyMappings = (row, mappings) => {
+  const byHeader = new Map(
+    Object.entries(row).map(([header, value]) => [normalizeHeader(header), value]),
+  );
+
+  const mapped = {};
+  for (const mapping of mappings) {
+    const value = applyTransforms(
+      byHeader.get(normalizeHeader(mapping.source)),
+      mapping.transforms,
+    );
+    // Several columns may feed one field; the first non-empty value wins
+    if (value !== "" && (mapped[mapping.field] === undefined || mapped[mapping.field] === "")) {
+      mapped[mapping.field] = value;
+    }
+  }
+  return mapped;
+};
+
+/**
+ * Map a raw row using the built-in header spellings (no profile)
+ * @param {object} row - Row keyed by the file's headers
+ * @returns {object} Values keyed by Lead field
+ */
+export const applyDefaultMapping = (row) => {
+  const mappings = Object.entries(DEFAULT_HEADER_ALIASES).flatMap(
+    ([field, aliases]) =>
+      aliases.map((source) => ({ source, field, transforms: [] })),
+  );
+  return applyMappings(row, mappings);
+};
+
+/**
+ * Validate mappings from a request body
+ * @param {object[]} mappings - Raw mappings
+ * @returns {{mappings?: object[], error?: string}} Normalized mappings or error
+ */
+export const parseMappings = (mappings) => {
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return { error: "At least one column mapping is required" };
+  }
+
+  const parsed = [];
+  for (let i = 0; i < mappings.length; i++) {
+    const { source, field, transforms = [] } = mappings[i] || {};
+    if (!source || !String(source).trim()) {
+      return { error: `Mapping ${i + 1}: source column is required` };
+    }
+    if (!LEAD_IMPORT_FIELDS.includes(field)) {
+      return {
+        error: `Mapping ${i + 1}: field must be one of ${LEAD_IMPORT_FIELDS.join(", ")}`,
+      };
+    }
+    if (!Array.isArray(transforms)) {
+      return { error: `Mapping ${i + 1}: transforms must be an array` };
+    }
+
+    const parsedTransforms = [];
+    for (const transform of transforms) {
+      const item = typeof transform === "string" ? { type: transform } : transform;
+      if (!IMPORT_TRANSFORMS.includes(item?.type)) {
+        return {
+          error: `Mapping ${i + 1}: unknown transform "${item?.type}"`,
+        };
+      }
+      if (item.type === "split") {
+        const index = Number(item.index ?? 0);
+        if (!Number.isInteger(index) || index < 0) {
+          return { error: `Mapping ${i + 1}: split index must be 0 or more` };
+        }
+        parsedTransforms.push({
+          type: "split",
+          delimiter: item.delimiter ?? ",",
+          index,
+        });
+      } else {
+        parsedTransforms.push({ type: item.type });
+      }
+    }
+
+    parsed.push({
+      source: String(source).trim(),
+      field,
+      transforms: parsedTransforms,
+    });
+  }
+
+  const fields = new Set(parsed.map((mapping) => mapping.field));
+  const missing = ["leadId", "name", "email"].filter((field) => !fields.has(field));
+  if (missing.length > 0) {
+    return { error: `Mappings must include the required fields: ${missing.join(", ")}` };
+  }
+
+  return { mappings: parsed };
+};
@@ -0,0 +1,256 @@
+// Normalization and similarity helpers used to spot the same business
+// uploaded twice under different lead IDs.
+
+// Calling codes for countries that show up in lead uploads
+const COUNTRY_CALLING_CODES = {
+  india: "91",
+  "united states": "1",
+  usa: "1",
+  us: "1",
+  canada: "1",
+  "united kingdom": "44",
+  uk: "44",
+  australia: "61",
+  "new zealand": "64",
+  "united arab emirates": "971",
+  uae: "971",
+  singapore: "65",
+  germany: "49",
+  france: "33",
+  netherlands: "31",
+  "saudi arabia": "966",
+  "south africa": "27",
+};
+
+// Hosts that identify a profile, not the business itself
+const SHARED_HOSTS = [
+  "facebook.com",
+  "instagram.com",
+  "linkedin.com",
+  "twitter.com",
+  "x.com",
+  "google.com",
+  "goo.gl",
+  "wa.me",
+  "whatsapp.com",
+  "youtube.com",
+  "linktr.ee",
+];
+
+const NAME_STOP_WORDS = new Set([
+  "the",
+  "pvt",
+  "private",
+  "ltd",
+  "limited",
+  "llc",
+  "inc",
+  "co",
+  "company",
+  "corp",
+  "llp",
+  "and",
+]);
+
+// Name similarity at or above this is a duplicate when the city matches
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Normalize an email for comparison: lowercase, no +tag, and no dots in
+ * Gmail local parts
+ * @param {string} email - Email address
+ * @returns {string|null} Normalized email
+ */
+export const normalizeEmail = (email) => {
+  const value = String(email || "")
+    .trim()
+    .toLowerCase();
+  const at = value.lastIndexOf("@");
+  if (at <= 0) return null;
+
+  let local = value.slice(0, at).split("+")[0];
+  let domain = value.slice(at + 1);
+  if (domain === "googlemail.com") domain = "gmail.com";
+  if (domain === "gmail.com") local = local.replace(/\./g, "");
+
+  return local ? `${local}@${domain}` : null;
+};
+
+/**
+ * Convert a phone number to E.164 (+<country code><number>)
+ * @param {string|number} phone - Phone as uploaded
+ * @param {string} [country] - Lead country, used when the number has no prefix
+ * @returns {string|null} E.164 phone or null when it cannot be normalized
+ */
+export const normalizePhone = (phone, country) => {
+  const raw = String(phone ?? "").trim();
+  if (!raw) return null;
+
+  let digits = raw.replace(/[^\d+]/g, "");
+  if (digits.startsWith("00")) digits = `+${digits.slice(2)}`;
+
+  if (!digits.startsWith("+")) {
+    const callingCode =
+      COUNTRY_CALLING_CODES[
+        String(country || "")
+          .trim()
+          .toLowerCase()
+      ] ||
+      process.env.DEFAULT_PHONE_COUNTRY_CODE ||
+      "91";
+    digits = digits.replace(/^0+/, "");
+    // Already carries the country code without a "+"
+    digits =
+      digits.startsWith(callingCode) && digits.length > 10
+        ? `+${digits}`
+        : `+${callingCode}${digits}`;
+  }
+
+  const number = digits.slice(1).replace(/\D/g, "");
+  return number.length >= 8 && number.length <= 15 ? `+${number}` : null;
+};
+
+/**
+ * Extract the registrable website host ("www." stripped) from a URL
+ * @param {string} url - Website link
+ * @returns {string|null} Domain, or null for social/shared hosts
+ */
+export const normalizeDomain = (url) => {
+  const value = String(url || "").trim();
+  if (!value) return null;
+
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    if (!host.includes(".")) return null;
+    if (SHARED_HOSTS.some((shared) => host === shared || host.endsWith(`.${shared}`))) {
+      return null;
+    }
+    return host;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Normalize a business name: lowercase, no punctuation or legal suffixes
+ * @param {string} name - Business name
+ * @returns {string} Normalized name
+ */
+export const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !NAME_STOP_WORDS.has(word))
+    .join(" ");
+
+export const normalizeCity = (city) =>
+  String(city || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ") || null;
+
+const bigrams = (value) => {
+  const text = value.replace(/\s+/g, "");
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+/**
+ * Dice coefficient on character bigrams of two normalized names
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity from 0 to 1
+ */
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  });
+  gramsB.forEach((count) => {
+    total += count;
+  });
+
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+/**
+ * Compute the match keys stored on a lead
+ * @param {object} lead - Lead fields
+ * @returns {object} dedupe keys for Lead.dedupe
+ */
+export const getLeadMatchKeys = (lead) => {
+  const name = normalizeName(lead.name);
+  return {
+    email: normalizeEmail(lead.email),
+    phone: normalizePhone(lead.phone, lead.country),
+    domain: normalizeDomain(lead.websiteLink),
+    name: name || null,
+    // First word of the name, used to narrow name+city comparisons
+    nameBlock: name ? name.split(" ")[0] : null,
+    city: normalizeCity(lead.city),
+  };
+};
+
+/**
+ * Compare two sets of match keys
+ * @param {object} keys - Keys of the candidate lead
+ * @param {object} other - Keys of an existing lead
+ * @returns {{isDuplicate: boolean, reasons: string[], nameSimilarity: number}} Comparison
+ */
+export const compareMatchKeys = (keys, other) => {
+  const reasons = [];
+  const sameCity = Boolean(keys.city && keys.city === other.city);
+  const similarity = nameSimilarity(keys.name, other.name);
+
+  if (keys.email && keys.email === other.email) reasons.push("email");
+  if (keys.phone && keys.phone === other.phone) reasons.push("phone");
+  // Chains share a website across branches, so a domain alone is not enough
+  if (
+    keys.domain &&
+    keys.domain === other.domain &&
+    (sameCity || similarity >= 0.6)
+  ) {
+    reasons.push("domain");
+  }
+  if (sameCity && similarity >= NAME_SIMILARITY_THRESHOLD) {
+    reasons.push("name_city");
+  }
+
+  return {
+    isDuplicate: reasons.length > 0,
+    reasons,
+    nameSimilarity: Number(similarity.toFixed(2)),
+  };
+};
+
+/**
+ * Build the Lead query that finds possible duplicates of the given keys
+ * @param {object} keys - Match keys from getLeadMatchKeys
+ * @returns {object|null} Mongo query, null when the lead has no usable keys
+ */
+export const buildDuplicateQuery = (keys) => {
+  const or = [];
+  if (keys.email) or.push({ "dedupe.email": keys.email });
+  if (keys.phone) or.push({ "dedupe.phone": keys.phone });
+  if (keys.domain) or.push({ "dedupe.domain": keys.domain });
+  if (keys.city && keys.nameBlock) {
+    or.push({ "dedupe.city": keys.city, "dedupe.nameBlock": keys.nameBlock });
+  }
+  return or.length > 0 ? { $or: or } : null;
+};
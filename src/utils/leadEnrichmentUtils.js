@@ -0,0 +1,411 @@
+import dns from "dns";
+import fs from "fs";
+import net from "net";
+import { normalizeDomain, normalizePhone } from "./leadDedupUtils.js";
+
+// Lead fields that can be filled from a website
+export const ENRICHABLE_FIELDS = [
+  "email",
+  "phone",
+  "instagram",
+  "facebookLink",
+  "linkedin",
+];
+export const LEAD_ENRICHMENT_STATUSES = ["found", "none", "failed"];
+
+const TEXT_EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/i;
+// Asset names like logo@2x.png look like emails
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|css|js)$/i;
+// Placeholder and tracking addresses that show up in site templates
+const IGNORED_EMAIL_DOMAINS = [
+  "example.com",
+  "domain.com",
+  "email.com",
+  "sentry.io",
+  "wixpress.com",
+  "sentry.wixpress.com",
+];
+
+// Social hosts and the paths that are not profiles (share buttons etc.)
+const SOCIAL_PROFILES = {
+  instagram: {
+    hosts: ["instagram.com"],
+    ignored: /^\/(p|reel|reels|explore|accounts|stories)(\/|$)/i,
+    segments: 1,
+  },
+  facebookLink: {
+    hosts: ["facebook.com", "fb.com"],
+    ignored: /^\/(sharer|share|dialog|plugins|tr|login|policies)(\.php)?(\/|$)/i,
+    segments: 2,
+  },
+  linkedin: {
+    hosts: ["linkedin.com"],
+    // Only company, school and personal pages
+    required: /^\/(company|in|school|showcase)\/[^/]+/i,
+    segments: 2,
+  },
+};
+
+// Ranking of extraction methods: explicit links beat text matches
+const METHOD_RANK = { mailto: 3, tel: 3, link: 3, "json-ld": 2, text: 1 };
+const MAX_PROPOSALS_PER_FIELD = 3;
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) =>
+      String.fromCodePoint(parseInt(code, 16)),
+    )
+    .replace(/&quot;/g, '"')
+    .replace(/&(apos|#39);/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const resolveUrl = (href, baseUrl) => {
+  try {
+    return new URL(decodeEntities(href.trim()), baseUrl);
+  } catch {
+    return null;
+  }
+};
+
+const cleanEmail = (value) => {
+  const email = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (!EMAIL_PATTERN.test(email) || ASSET_EXTENSIONS.test(email)) return null;
+  const domain = email.split("@")[1];
+  return IGNORED_EMAIL_DOMAINS.some(
+    (ignored) => domain === ignored || domain.endsWith(`.${ignored}`),
+  )
+    ? null
+    : email;
+};
+
+/**
+ * Normalize a social profile URL for a lead field
+ * @param {string} field - instagram | facebookLink | linkedin
+ * @param {URL} url - Link found on the page
+ * @returns {string|null} https://www.<host>/<profile>, or null if not a profile
+ */
+export const normalizeSocialUrl = (field, url) => {
+  const profile = SOCIAL_PROFILES[field];
+  // www., m. and country subdomains (in.linkedin.com, de-de.facebook.com)
+  const host = url.hostname
+    .toLowerCase()
+    .replace(/^(www|m|[a-z]{2}(-[a-z]{2})?)\./, "");
+  if (!profile.hosts.includes(host)) return null;
+
+  const path = url.pathname.replace(/\/+$/, "");
+  if (!path || profile.ignored?.test(path)) return null;
+  if (profile.required && !profile.required.test(path)) return null;
+
+  const segments = path.split("/").filter(Boolean).slice(0, profile.segments);
+  return `https://www.${host}/${segments.join("/")}`;
+};
+
+// Emails, phones and profiles from schema.org JSON-LD blocks
+const extractJsonLd = (html) => {
+  const found = { email: [], telephone: [], sameAs: [] };
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== "object") return;
+    for (const key of Object.keys(found)) {
+      if (node[key]) found[key].push(...[node[key]].flat());
+    }
+    Object.values(node).forEach(walk);
+  };
+
+  const pattern =
+    /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  for (const [, body] of html.matchAll(pattern)) {
+    try {
+      walk(JSON.parse(body));
+    } catch {
+      // Malformed JSON-LD is common; skip it
+    }
+  }
+  return found;
+};
+
+/**
+ * Extract contact details from a web page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page (for relative links)
+ * @param {object} [lead] - Lead, for the phone country
+ * @returns {Array<{field: string, value: string, method: string, url: string}>} Candidates
+ */
+export const extractLeadContacts = (html, pageUrl, lead = {}) => {
+  const candidates = [];
+  const add = (field, value, method) => {
+    if (value) candidates.push({ field, value, method, url: pageUrl });
+  };
+  const addSocial = (url, method) => {
+    if (!url || !/^https?:$/.test(url.protocol)) return;
+    for (const field of Object.keys(SOCIAL_PROFILES)) {
+      add(field, normalizeSocialUrl(field, url), method);
+    }
+  };
+
+  const anchorPattern =
+    /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  for (const match of html.matchAll(anchorPattern)) {
+    const href = (match[1] ?? match[2] ?? match[3] ?? "").trim();
+    if (/^mailto:/i.test(href)) {
+      const address = safeDecode(decodeEntities(href.slice(7)).split("?")[0]);
+      for (const email of address.split(",")) {
+        add("email", cleanEmail(email), "mailto");
+      }
+    } else if (/^tel:/i.test(href)) {
+      const phone = safeDecode(decodeEntities(href.slice(4)));
+      add("phone", normalizePhone(phone, lead.country), "tel");
+    } else {
+      addSocial(resolveUrl(href, pageUrl), "link");
+    }
+  }
+
+  const jsonLd = extractJsonLd(html);
+  jsonLd.email.forEach((email) =>
+    add("email", cleanEmail(String(email).replace(/^mailto:/i, "")), "json-ld"),
+  );
+  jsonLd.telephone.forEach((phone) =>
+    add("phone", normalizePhone(String(phone), lead.country), "json-ld"),
+  );
+  jsonLd.sameAs.forEach((url) =>
+    addSocial(resolveUrl(String(url), pageUrl), "json-ld"),
+  );
+
+  // Visible text, for addresses that are not linked
+  const text = decodeEntities(
+    html
+      .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<[^>]+>/g, " "),
+  );
+  for (const [email] of text.matchAll(TEXT_EMAIL_PATTERN)) {
+    add("email", cleanEmail(email), "text");
+  }
+
+  return candidates;
+};
+
+/**
+ * Links to likely contact pages on the same site
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page
+ * @param {number} [max] - Maximum links to return
+ * @returns {string[]} Absolute URLs
+ */
+export const findContactPageUrls = (html, pageUrl, max = 2) => {
+  const base = new URL(pageUrl);
+  const urls = new Set();
+  const pattern =
+    /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/gi;
+
+  for (const match of html.matchAll(pattern)) {
+    const href = match[1] ?? match[2] ?? match[3] ?? "";
+    const label = match[4].replace(/<[^>]+>/g, " ");
+    if (!/contact|about|reach|get-in-touch/i.test(`${href} ${label}`)) continue;
+
+    const url = resolveUrl(href, base);
+    if (
+      !url ||
+      url.hostname !== base.hostname ||
+      !/^https?:$/.test(url.protocol)
+    ) {
+      continue;
+    }
+    url.hash = "";
+    if (url.href !== base.href) urls.add(url.href);
+    if (urls.size >= max) break;
+  }
+  return [...urls];
+};
+
+/**
+ * Pick the values to propose per field: best method first, emails on the
+ * lead's own domain before others, at most MAX_PROPOSALS_PER_FIELD each
+ * @param {Array<object>} candidates - From extractLeadContacts
+ * @param {object} lead - Lead the candidates were found for
+ * @returns {Object<string, Array<object>>} Candidates by field
+ */
+export const rankLeadContacts = (candidates, lead) => {
+  const siteDomain = normalizeDomain(lead.websiteLink);
+  const score = (candidate) =>
+    METHOD_RANK[candidate.method] * 2 +
+    (candidate.field === "email" &&
+    siteDomain &&
+    candidate.value.endsWith(`@${siteDomain}`)
+      ? 1
+      : 0);
+
+  const byField = {};
+  for (const candidate of candidates) {
+    const list = (byField[candidate.field] ||= []);
+    const existing = list.find((item) => item.value === candidate.value);
+    if (!existing) list.push(candidate);
+    else if (score(candidate) > score(existing)) {
+      list.splice(list.indexOf(existing), 1, candidate);
+    }
+  }
+
+  for (const field of Object.keys(byField)) {
+    byField[field] = byField[field]
+      .sort((a, b) => score(b) - score(a))
+      .slice(0, MAX_PROPOSALS_PER_FIELD);
+  }
+  return byField;
+};
+
+/**
+ * fetch() stand-in backed by a static table of pages instead of the network.
+ * Used when LEAD_ENRICH_HTTP=local (offline environments, tests). Pages can be
+ * supplied as JSON ({ "https://site/": "<html>" or { status, body } }) via
+ * LEAD_ENRICH_HTTP_FILE.
+ * @param {Object<string, string|{status: number, body: string}>} [pages] - Pages by URL
+ * @returns {function(string|URL, object=): Promise<Response>} fetch-compatible function
+ */
+export const createLocalHttpFetcher = (pages) => {
+  let table = pages;
+  if (!table) {
+    table = process.env.LEAD_ENRICH_HTTP_FILE
+      ? JSON.parse(fs.readFileSync(process.env.LEAD_ENRICH_HTTP_FILE, "utf8"))
+      : {};
+  }
+  // Match regardless of protocol and trailing slash
+  const key = (url) =>
+    String(url)
+      .replace(/^https?:\/\//i, "")
+      .replace(/\/+$/, "");
+  const byKey = new Map(
+    Object.entries(table).map(([url, page]) => [key(url), page]),
+  );
+
+  return async (url) => {
+    const page = byKey.get(key(url));
+    if (page === undefined) {
+      throw Object.assign(new TypeError("fetch failed"), {
+        cause: { code: "ENOTFOUND" },
+      });
+    }
+    const { status = 200, body = "" } =
+      typeof page === "string" ? { body: page } : page;
+    return new Response(body, {
+      status,
+      headers: { "content-type": "text/html; charset=utf-8" },
+    });
+  };
+};
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges. IPv4 rules also match IPv4-mapped IPv6 addresses.
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+  blockedAddresses.addSubnet(address, prefix, type);
+}
+
+const blockedUrlError = (message) =>
+  Object.assign(new Error(message), { code: "BLOCKED_URL" });
+
+/**
+ * Whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Reject URLs the enrichment job must not fetch: non-HTTP protocols and
+ * hosts that resolve to a non-public address
+ * @param {URL} url - URL about to be fetched
+ * @param {Function} [lookup] - dns.promises.lookup-compatible resolver
+ * @returns {Promise<void>} Resolves when every address of the host is public
+ */
+export const assertPublicUrl = async (url, lookup = dns.promises.lookup) => {
+  if (!/^https?:$/.test(url.protocol)) {
+    throw blockedUrlError(`Unsupported protocol ${url.protocol}`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await lookup(host, { all: true, verbatim: true });
+  if (
+    addresses.length === 0 ||
+    addresses.some(({ address }) => isBlockedAddress(address))
+  ) {
+    throw blockedUrlError(`Blocked non-public host ${host}`);
+  }
+};
+
+/**
+ * fetch() that only reaches public hosts. Redirects are followed here, one
+ * hop at a time, so every target is checked before it is requested.
+ * @param {Function} [fetch] - Underlying fetch
+ * @param {Function} [lookup] - dns.promises.lookup-compatible resolver
+ * @returns {function(string|URL, object=): Promise<Response>} fetch-compatible function
+ */
+export const createPublicHttpFetcher = (
+  fetch = globalThis.fetch,
+  lookup = dns.promises.lookup,
+) =>
+  async (input, options = {}) => {
+    let url = new URL(String(input));
+
+    for (let hop = 0; ; hop += 1) {
+      await assertPublicUrl(url, lookup);
+      const response = await fetch(url, { ...options, redirect: "manual" });
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return response;
+      }
+
+      await response.body?.cancel().catch(() => {});
+      if (hop >= MAX_REDIRECTS) throw new Error("Too many redirects");
+      url = new URL(location, url);
+    }
+  };
+
+/**
+ * HTTP client used by the enrichment job: fetch limited to public hosts, or
+ * the local stand-in when LEAD_ENRICH_HTTP=local
+ * @returns {Function} fetch-compatible function
+ */
+export const createEnrichmentFetcher = () =>
+  process.env.LEAD_ENRICH_HTTP === "local"
+    ? createLocalHttpFetcher()
+    : createPublicHttpFetcher();
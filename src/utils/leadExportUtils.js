@@ -0,0 +1,321 @@
+import { once } from "events";
+import * as XLSX from "xlsx";
+
+export const XLSX_CONTENT_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+export const EXPORT_FORMATS = {
+  xlsx: { contentType: XLSX_CONTENT_TYPE, extension: "xlsx" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  vcf: { contentType: "text/vcard; charset=utf-8", extension: "vcf" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+export const EXPORT_DATE_FORMATS = ["dmy", "iso", "locale"];
+
+// XLSX has to be assembled in memory; larger exports should use CSV/JSON
+export const MAX_XLSX_ROWS = 50000;
+
+// Exportable columns in their default order. `date` is the per-row date
+// (accessed or added-to-list), labelled by the caller.
+export const EXPORT_COLUMNS = {
+  leadId: { header: "Lead ID", value: ({ lead }) => lead.leadId },
+  name: { header: "Name", value: ({ lead }) => lead.name },
+  email: { header: "Email", value: ({ lead }) => lead.email },
+  phone: { header: "Phone", value: ({ lead }) => lead.phone },
+  category: { header: "Category", value: ({ lead }) => lead.category },
+  city: { header: "City", value: ({ lead }) => lead.city },
+  country: { header: "Country", value: ({ lead }) => lead.country },
+  address: { header: "Address", value: ({ lead }) => lead.addressStreet },
+  website: { header: "Website", value: ({ lead }) => lead.websiteLink },
+  linkedin: { header: "LinkedIn", value: ({ lead }) => lead.linkedin },
+  facebook: { header: "Facebook", value: ({ lead }) => lead.facebookLink },
+  instagram: { header: "Instagram", value: ({ lead }) => lead.instagram },
+  googleMaps: { header: "Google Maps", value: ({ lead }) => lead.googleMapLink },
+  lastVerified: {
+    header: "Last Verified",
+    value: ({ lead }) => lead.lastVerifiedAt,
+    isDate: true,
+  },
+  date: { header: "Accessed Date", value: ({ date }) => date, isDate: true },
+};
+
+/**
+ * Format a date as DD/MM/YYYY
+ * @param {Date|string|null} dateString - Date to format
+ * @returns {string} Formatted date or "N/A"
+ */
+export const formatExportDate = (dateString) => {
+  if (!dateString) return "N/A";
+  const date = new Date(dateString);
+  const day = date.getDate().toString().padStart(2, "0");
+  const month = (date.getMonth() + 1).toString().padStart(2, "0");
+  const year = date.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+const readList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Validate export options from a request. Without options the export is the
+ * original XLSX with every column, DD/MM/YYYY dates and "N/A" placeholders.
+ * @param {object} input - { format, columns, dateFormat, locale, timeZone }
+ * @returns {{options?: object, error?: string}} Options or an error message
+ */
+export const parseExportOptions = (input = {}) => {
+  const format = String(input.format || "xlsx").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return {
+      error: `Invalid format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    };
+  }
+
+  let columns = Object.keys(EXPORT_COLUMNS);
+  if (input.columns !== undefined && input.columns !== "") {
+    columns = [...new Set(readList(input.columns))];
+    const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+    if (unknown.length > 0 || columns.length === 0) {
+      return {
+        error: `Unknown columns: ${unknown.join(", ") || "(none)"}. Available: ${Object.keys(EXPORT_COLUMNS).join(", ")}`,
+      };
+    }
+  }
+
+  const dateFormat = input.dateFormat || (format === "xlsx" ? "dmy" : "iso");
+  if (!EXPORT_DATE_FORMATS.includes(dateFormat)) {
+    return {
+      error: `Invalid dateFormat. Use one of: ${EXPORT_DATE_FORMATS.join(", ")}`,
+    };
+  }
+
+  const locale = input.locale || "en-IN";
+  const timeZone = input.timeZone || "Asia/Kolkata";
+  try {
+    new Intl.DateTimeFormat(locale, { timeZone });
+  } catch {
+    return { error: "Invalid locale or timeZone" };
+  }
+
+  return {
+    options: {
+      format,
+      columns,
+      dateFormat,
+      locale,
+      timeZone,
+      // Legacy spreadsheets used "N/A" for empty cells
+      placeholder: format === "xlsx" && dateFormat === "dmy" ? "N/A" : "",
+    },
+  };
+};
+
+const formatDateValue = (value, options) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (options.dateFormat === "iso") return date.toISOString();
+  if (options.dateFormat === "locale") {
+    return date.toLocaleDateString(options.locale, {
+      timeZone: options.timeZone,
+    });
+  }
+  return formatExportDate(date);
+};
+
+// Selected column values for one row; null when empty
+const rowValues = (row, options) =>
+  options.columns.map((key) => {
+    const column = EXPORT_COLUMNS[key];
+    const value = column.value(row);
+    if (column.isDate) return formatDateValue(value, options);
+    return value === undefined || value === null || value === ""
+      ? null
+      : String(value);
+  });
+
+const escapeCsv = (value) => {
+  if (value === null) return "";
+  // Keep spreadsheet apps from evaluating cells as formulas, but leave
+  // phone numbers such as "+91 98765 43210" alone
+  const isFormula =
+    /^[=@\t\r]/.test(value) ||
+    (/^[+-]/.test(value) && !/^[+-][\d\s().-]*$/.test(value));
+  const text = isFormula ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeVcard = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+
+// URIs are not text values, so only line breaks are removed
+const uriValue = (value) => String(value).replace(/[\r\n]/g, "");
+
+// Fold vCard lines longer than 75 characters (RFC 6350 3.2)
+const foldVcardLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i === 0 ? "" : " ") + line.slice(i, i + 74));
+  }
+  return parts.join("\r\n");
+};
+
+const buildVcard = (row, options, headers) => {
+  const { lead } = row;
+  const selected = rowValues(row, options);
+  const values = Object.fromEntries(
+    options.columns.map((key, index) => [key, selected[index]]),
+  );
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${escapeVcard(lead.name || lead.email || "Lead")}`,
+    `N:;${escapeVcard(lead.name || "")};;;`,
+    `ORG:${escapeVcard(lead.name || "")}`,
+  ];
+  if (values.email) lines.push(`EMAIL;TYPE=WORK:${escapeVcard(values.email)}`);
+  if (values.phone) lines.push(`TEL;TYPE=WORK:${escapeVcard(values.phone)}`);
+  if (values.address || values.city || values.country) {
+    lines.push(
+      `ADR;TYPE=WORK:;;${escapeVcard(values.address || "")};${escapeVcard(values.city || "")};;;${escapeVcard(values.country || "")}`,
+    );
+  }
+  if (values.website) lines.push(`URL:${uriValue(values.website)}`);
+  if (values.category) lines.push(`CATEGORIES:${escapeVcard(values.category)}`);
+  for (const key of ["linkedin", "facebook", "instagram"]) {
+    if (values[key]) {
+      lines.push(`X-SOCIALPROFILE;TYPE=${key}:${uriValue(values[key])}`);
+    }
+  }
+
+  const notes = ["leadId", "googleMaps", "lastVerified", "date"]
+    .filter((key) => values[key])
+    .map((key) => `${headers[options.columns.indexOf(key)]}: ${values[key]}`);
+  if (notes.length > 0) lines.push(`NOTE:${escapeVcard(notes.join("\n"))}`);
+
+  lines.push("END:VCARD");
+  return `${lines.map(foldVcardLine).join("\r\n")}\r\n`;
+};
+
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, "drain");
+};
+
+/**
+ * Write leads to the response in the requested format. CSV, vCard and JSON
+ * are streamed row by row; XLSX is assembled in memory (up to MAX_XLSX_ROWS).
+ * @param {object} res - Express response
+ * @param {AsyncIterable<{lead: object, date: Date}>|Array} rows - Rows to export
+ * @param {object} options - From parseExportOptions
+ * @param {object} [meta]
+ * @param {string} [meta.filename] - File name without extension
+ * @param {string} [meta.dateColumn] - Header for the per-row date column
+ * @param {string} [meta.sheetName] - XLSX worksheet name
+ * @returns {Promise<number>} Number of exported rows
+ */
+export const streamLeadExport = async (
+  res,
+  rows,
+  options,
+  { filename = `leads_export_${Date.now()}`, dateColumn, sheetName } = {},
+) => {
+  const { contentType, extension } = EXPORT_FORMATS[options.format];
+  const headers = options.columns.map((key) =>
+    key === "date" && dateColumn ? dateColumn : EXPORT_COLUMNS[key].header,
+  );
+  const cell = (value) => value ?? options.placeholder;
+
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${extension}"`,
+  );
+  res.setHeader("Content-Type", contentType);
+
+  let count = 0;
+
+  if (options.format === "xlsx") {
+    const data = [headers];
+    for await (const row of rows) {
+      if (++count > MAX_XLSX_ROWS) {
+        throw new Error(
+          `XLSX exports are limited to ${MAX_XLSX_ROWS} rows, use CSV or JSON`,
+        );
+      }
+      data.push(rowValues(row, options).map(cell));
+    }
+
+    const wb = XLSX.utils.book_new();
+    // Excel limits sheet names to 31 characters without []:*?/\
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.aoa_to_sheet(data),
+      (sheetName || "").replace(/[[\]:*?/\\]/g, " ").slice(0, 31) ||
+        "Leads Data",
+    );
+    res.send(XLSX.write(wb, { type: "buffer", bookType: "xlsx" }));
+    return count;
+  }
+
+  if (options.format === "csv") {
+    // BOM so Excel opens the file as UTF-8
+    await write(res, `\uFEFF${headers.map(escapeCsv).join(",")}\r\n`);
+  } else if (options.format === "json") {
+    await write(res, "[");
+  }
+
+  for await (const row of rows) {
+    if (options.format === "csv") {
+      await write(
+        res,
+        `${rowValues(row, options)
+          .map((value) => escapeCsv(cell(value)))
+          .join(",")}\r\n`,
+      );
+    } else if (options.format === "json") {
+      const values = rowValues(row, options);
+      const item = Object.fromEntries(
+        options.columns.map((key, index) => [key, values[index]]),
+      );
+      await write(res, `${count === 0 ? "\n" : ",\n"}${JSON.stringify(item)}`);
+    } else {
+      await write(res, buildVcard(row, options, headers));
+    }
+    count++;
+  }
+
+  if (options.format === "json") {
+    await write(res, count === 0 ? "]\n" : "\n]\n");
+  }
+  res.end();
+  return count;
+};
+
+/**
+ * Load leads for a list of IDs in batches, keeping the given order
+ * @param {object} Lead - Lead model
+ * @param {Array<{leadId: object, date: Date}>} entries - Lead IDs with row dates
+ * @param {number} [batchSize] - Leads per query
+ * @returns {AsyncGenerator<{lead: object, date: Date}>} Rows for streamLeadExport
+ */
+export async function* iterateLeadRows(Lead, entries, batchSize = 500) {
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    const leads = await Lead.find({
+      _id: { $in: batch.map((entry) => entry.leadId) },
+    })
+      .select("-accessedBy -dedupe -mergedFrom -verification")
+      .lean();
+    const leadsById = new Map(leads.map((lead) => [lead._id.toString(), lead]));
+
+    for (const entry of batch) {
+      const lead = leadsById.get(entry.leadId.toString());
+      if (lead) yield { lead, date: entry.date };
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import { LEAD_PIPELINE_STAGES } from "../models/User.js";
+
+// Stages that close a lead - follow-ups on these are never overdue
+export const CLOSED_PIPELINE_STAGES = ["won", "lost"];
+
+/**
+ * Shape the pipeline fields of an accessedLeads entry for API responses.
+ * Entries created before the pipeline existed have no stage, so they are
+ * reported as "new".
+ * @param {object} accessItem - Entry from user.accessedLeads
+ * @returns {object} Pipeline data
+ */
+export const formatPipeline = (accessItem) => ({
+  stage: accessItem.stage || "new",
+  stageUpdatedAt: accessItem.stageUpdatedAt || null,
+  nextFollowUpAt: accessItem.nextFollowUpAt || null,
+  tags: accessItem.tags || [],
+  notes: (accessItem.notes || []).map((note) => ({
+    id: note._id,
+    text: note.text,
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt,
+  })),
+});
+
+/**
+ * Whether an accessedLeads entry holds pipeline work (a stage other than
+ * "new", notes, tags or a follow-up) that must not be dropped
+ * @param {object} accessItem - Entry from user.accessedLeads
+ * @returns {boolean} True when the entry has pipeline data
+ */
+export const hasPipelineData = (accessItem) =>
+  Boolean(
+    (accessItem.stage && accessItem.stage !== "new") ||
+      accessItem.stageUpdatedAt ||
+      accessItem.nextFollowUpAt ||
+      accessItem.tags?.length ||
+      accessItem.notes?.length,
+  );
+
+/**
+ * Parse a stage filter from a query string ("contacted,replied")
+ * @param {string|string[]} value - Raw query value
+ * @returns {{stages: string[], error?: string}} Stages (empty when no filter
+ * applies) or an error naming the unknown stages
+ */
+export const parseStageFilter = (value) => {
+  if (!value) return { stages: [] };
+  const raw = Array.isArray(value) ? value : String(value).split(",");
+  const stages = raw
+    .map((stage) => String(stage).trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = stages.filter((stage) => !LEAD_PIPELINE_STAGES.includes(stage));
+  if (invalid.length > 0) {
+    return {
+      error: `Invalid stage: ${invalid.join(", ")}. Use: ${LEAD_PIPELINE_STAGES.join(", ")}`,
+    };
+  }
+  return { stages };
+};
+
+/**
+ * Normalize tags from a request body into a deduplicated lowercase list
+ * @param {string|string[]} value - Comma separated string or array
+ * @returns {string[]} Tags
+ */
+export const normalizeTags = (value) => {
+  const raw = Array.isArray(value) ? value : String(value || "").split(",");
+  return [
+    ...new Set(
+      raw
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter((tag) => tag.length > 0),
+    ),
+  ];
+};
+
+/**
+ * Check whether a follow-up date has passed for a lead that is still open
+ * @param {object} accessItem - Entry from user.accessedLeads
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when the follow-up is overdue
+ */
+export const isFollowUpOverdue = (accessItem, now = new Date()) =>
+  Boolean(
+    accessItem.nextFollowUpAt &&
+      new Date(accessItem.nextFollowUpAt) < now &&
+      !CLOSED_PIPELINE_STAGES.includes(accessItem.stage || "new"),
+  );
@@ -0,0 +1,210 @@
+import {
+  LEAD_FRESHNESS_LEVELS,
+  getLeadFreshness,
+} from "./leadVerificationUtils.js";
+
+// How a matching rule changes the running price
+export const PRICING_ACTIONS = ["set", "add", "multiply"];
+
+// Optional contact fields counted for completeness
+export const LEAD_COMPLETENESS_FIELDS = [
+  "phone",
+  "linkedin",
+  "websiteLink",
+  "googleMapLink",
+  "facebookLink",
+  "instagram",
+  "addressStreet",
+];
+
+const MAX_PRICE = 1000;
+
+const hasValue = (value) => Boolean(String(value ?? "").trim());
+
+const normalizeList = (value) =>
+  [
+    ...new Set(
+      (Array.isArray(value) ? value : value ? [value] : [])
+        .map((item) => String(item).trim())
+        .filter(Boolean),
+    ),
+  ];
+
+const sameText = (a, b) =>
+  String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+/**
+ * Share of optional contact fields a lead has, 0-100
+ * @param {object} lead - Lead
+ * @returns {number} Completeness percentage
+ */
+export const getLeadCompleteness = (lead) =>
+  Math.round(
+    (LEAD_COMPLETENESS_FIELDS.filter((field) => hasValue(lead[field])).length /
+      LEAD_COMPLETENESS_FIELDS.length) *
+      100,
+  );
+
+/**
+ * Validate a pricing rule from the request body
+ * @param {object} input - name, description, priority, isActive, conditions, action
+ * @param {object} [current] - Existing rule when updating (fields not sent are kept)
+ * @returns {{rule?: object, error?: string}} Rule fields or an error
+ */
+export const parsePricingRule = (input = {}, current = {}) => {
+  const name = String(input.name ?? current.name ?? "").trim();
+  if (!name) return { error: "Rule name is required" };
+
+  const source = { ...current.conditions, ...input.conditions };
+  const conditions = {
+    categories: normalizeList(source.categories),
+    countries: normalizeList(source.countries),
+    freshness: normalizeList(source.freshness),
+    minCompleteness: source.minCompleteness ?? null,
+    maxCompleteness: source.maxCompleteness ?? null,
+    exclusive: source.exclusive ?? null,
+  };
+
+  const invalidFreshness = conditions.freshness.filter(
+    (level) => !LEAD_FRESHNESS_LEVELS.includes(level),
+  );
+  if (invalidFreshness.length > 0) {
+    return {
+      error: `Invalid freshness: ${invalidFreshness.join(", ")}. Use: ${LEAD_FRESHNESS_LEVELS.join(", ")}`,
+    };
+  }
+  for (const key of ["minCompleteness", "maxCompleteness"]) {
+    if (conditions[key] === null) continue;
+    const value = Number(conditions[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return { error: `${key} must be between 0 and 100` };
+    }
+    conditions[key] = value;
+  }
+  if (
+    conditions.minCompleteness !== null &&
+    conditions.maxCompleteness !== null &&
+    conditions.minCompleteness > conditions.maxCompleteness
+  ) {
+    return { error: "minCompleteness cannot be above maxCompleteness" };
+  }
+  if (conditions.exclusive !== null) {
+    conditions.exclusive =
+      conditions.exclusive === true || conditions.exclusive === "true";
+  }
+
+  const action = { ...current.action, ...input.action };
+  if (!PRICING_ACTIONS.includes(action.type)) {
+    return { error: `action.type must be one of: ${PRICING_ACTIONS.join(", ")}` };
+  }
+  action.value = Number(action.value);
+  if (!Number.isFinite(action.value)) {
+    return { error: "action.value must be a number" };
+  }
+  if (action.type !== "add" && action.value < 0) {
+    return { error: `action.value cannot be negative for ${action.type}` };
+  }
+
+  return {
+    rule: {
+      name,
+      description: input.description ?? current.description,
+      priority: Number(input.priority ?? current.priority ?? 100) || 0,
+      isActive: input.isActive ?? current.isActive ?? true,
+      conditions,
+      action: { type: action.type, value: action.value },
+    },
+  };
+};
+
+/**
+ * Whether a rule applies to a lead
+ * @param {object} rule - Pricing rule
+ * @param {object} lead - Lead
+ * @param {object} facts - { exclusive, completeness, freshness }
+ * @returns {boolean} True when every set condition matches
+ */
+export const ruleMatchesLead = (rule, lead, facts) => {
+  const { conditions = {} } = rule;
+
+  if (
+    conditions.categories?.length > 0 &&
+    !conditions.categories.some((category) => sameText(category, lead.category))
+  ) {
+    return false;
+  }
+  if (
+    conditions.countries?.length > 0 &&
+    !conditions.countries.some((country) => sameText(country, lead.country))
+  ) {
+    return false;
+  }
+  if (
+    conditions.freshness?.length > 0 &&
+    !conditions.freshness.includes(facts.freshness)
+  ) {
+    return false;
+  }
+  if (
+    conditions.minCompleteness != null &&
+    facts.completeness < conditions.minCompleteness
+  ) {
+    return false;
+  }
+  if (
+    conditions.maxCompleteness != null &&
+    facts.completeness > conditions.maxCompleteness
+  ) {
+    return false;
+  }
+  if (conditions.exclusive != null && conditions.exclusive !== facts.exclusive) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Token price of a lead: start from the base price and apply every matching
+ * active rule in priority order (lowest first)
+ * @param {object} lead - Lead
+ * @param {object[]} rules - Pricing rules
+ * @param {object} options
+ * @param {number} options.basePrice - Price before rules
+ * @param {boolean} [options.exclusive] - Exclusive unlock
+ * @returns {{price: number, basePrice: number, appliedRules: Array<{id: string, name: string}>}} Price (whole tokens, at least 1 unless the base price is 0)
+ */
+export const calculateLeadPrice = (
+  lead,
+  rules,
+  { basePrice, exclusive = false },
+) => {
+  const facts = {
+    exclusive,
+    completeness: getLeadCompleteness(lead),
+    freshness: getLeadFreshness(lead.lastVerifiedAt),
+  };
+
+  let price = basePrice;
+  const appliedRules = [];
+  const ordered = [...rules]
+    .filter((rule) => rule.isActive !== false)
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+
+  for (const rule of ordered) {
+    if (!ruleMatchesLead(rule, lead, facts)) continue;
+
+    if (rule.action.type === "set") price = rule.action.value;
+    else if (rule.action.type === "add") price += rule.action.value;
+    else price *= rule.action.value;
+    appliedRules.push({ id: rule._id, name: rule.name });
+  }
+
+  // Leads cost at least 1 token unless the admin made lead access free
+  const minPrice = basePrice > 0 ? 1 : 0;
+
+  return {
+    price: Math.min(Math.max(Math.round(price), minPrice), MAX_PRICE),
+    basePrice,
+    appliedRules,
+  };
+};
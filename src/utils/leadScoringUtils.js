@@ -0,0 +1,120 @@
+import { getLeadFreshness } from "./leadVerificationUtils.js";
+
+// Score inputs, each valued 0..1 before weighting
+export const LEAD_SCORE_COMPONENTS = [
+  "phone",
+  "linkedin",
+  "website",
+  "googleMaps",
+  "freshness",
+  "opens",
+  "clicks",
+  "replies",
+];
+
+export const DEFAULT_SCORE_WEIGHTS = {
+  phone: 15,
+  linkedin: 10,
+  website: 10,
+  googleMaps: 5,
+  freshness: 20,
+  opens: 10,
+  clicks: 15,
+  replies: 15,
+};
+
+const MAX_WEIGHT = 100;
+// Sends added to the denominator of engagement rates, so one open out of
+// one send does not count as a perfect open rate
+const ENGAGEMENT_PRIOR = 2;
+const FRESHNESS_VALUES = { fresh: 1, aging: 0.5, stale: 0 };
+
+const hasValue = (value) => Boolean(String(value ?? "").trim());
+
+/**
+ * Validate a weights update. Missing components keep their current weight.
+ * @param {object} input - Weights by component
+ * @param {object} [current] - Weights to start from
+ * @returns {{weights?: object, error?: string}} Complete weights or an error
+ */
+export const validateScoreWeights = (input, current = DEFAULT_SCORE_WEIGHTS) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "weights must be an object" };
+  }
+
+  const unknown = Object.keys(input).filter(
+    (key) => !LEAD_SCORE_COMPONENTS.includes(key),
+  );
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown score components: ${unknown.join(", ")}. Use: ${LEAD_SCORE_COMPONENTS.join(", ")}`,
+    };
+  }
+
+  const weights = {};
+  for (const component of LEAD_SCORE_COMPONENTS) {
+    const value =
+      input[component] === undefined
+        ? (current[component] ?? DEFAULT_SCORE_WEIGHTS[component])
+        : Number(input[component]);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_WEIGHT) {
+      return {
+        error: `Weight for ${component} must be a number between 0 and ${MAX_WEIGHT}`,
+      };
+    }
+    weights[component] = value;
+  }
+
+  if (Object.values(weights).every((value) => value === 0)) {
+    return { error: "At least one weight must be greater than 0" };
+  }
+  return { weights };
+};
+
+/**
+ * Score a lead from 0 to 100 as the weighted average of its components
+ * @param {object} lead - Lead (plain object or document)
+ * @param {{sent: number, opened: number, clicked: number, replied: number}} [engagement] - Email stats across all users
+ * @param {object} [weights] - Weights by component
+ * @param {Date} [now] - Reference time for freshness
+ * @returns {{score: number, components: object}} Score and component values
+ */
+export const computeLeadScore = (
+  lead,
+  engagement = {},
+  weights = DEFAULT_SCORE_WEIGHTS,
+  now = new Date(),
+) => {
+  const sent = engagement.sent || 0;
+  const rate = (count) =>
+    sent > 0 ? (count || 0) / (sent + ENGAGEMENT_PRIOR) : 0;
+
+  const components = {
+    phone: hasValue(lead.phone) ? 1 : 0,
+    linkedin: hasValue(lead.linkedin) ? 1 : 0,
+    website: hasValue(lead.websiteLink) ? 1 : 0,
+    googleMaps: hasValue(lead.googleMapLink) ? 1 : 0,
+    freshness: FRESHNESS_VALUES[getLeadFreshness(lead.lastVerifiedAt, now)],
+    opens: rate(engagement.opened),
+    clicks: rate(engagement.clicked),
+    replies: rate(engagement.replied),
+  };
+
+  let total = 0;
+  let weighted = 0;
+  for (const component of LEAD_SCORE_COMPONENTS) {
+    const weight = weights[component] ?? 0;
+    total += weight;
+    weighted += weight * components[component];
+  }
+
+  return {
+    score: total > 0 ? Math.round((weighted / total) * 100) : 0,
+    components: Object.fromEntries(
+      Object.entries(components).map(([key, value]) => [
+        key,
+        Math.round(value * 1000) / 1000,
+      ]),
+    ),
+  };
+};
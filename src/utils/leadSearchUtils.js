@@ -0,0 +1,276 @@
+import mongoose from "mongoose";
+
+// Multi-value facets: query param → Lead field
+export const LEAD_SEARCH_FACETS = {
+  category: "category",
+  city: "city",
+  country: "country",
+};
+
+// "Has ..." toggles: query param → Lead field
+export const LEAD_SEARCH_TOGGLES = {
+  hasPhone: "phone",
+  hasLinkedin: "linkedin",
+  hasWebsite: "websiteLink",
+};
+
+// Sorts usable with cursors. Each ends on _id so the order is total.
+export const LEAD_SEARCH_SORTS = {
+  newest: [["_id", -1]],
+  oldest: [["_id", 1]],
+  name_asc: [
+    ["name", 1],
+    ["_id", 1],
+  ],
+  name_desc: [
+    ["name", -1],
+    ["_id", -1],
+  ],
+  verified: [
+    ["lastVerifiedAt", -1],
+    ["_id", -1],
+  ],
+  score: [
+    ["score", -1],
+    ["_id", -1],
+  ],
+};
+
+const MAX_FACET_VALUES = 50;
+const MAX_QUERY_LENGTH = 200;
+
+const hasValue = (field) => ({ [field]: { $nin: [null, ""] } });
+
+/**
+ * Read a multi-value query param (?city=a&city=b). Values are not split on
+ * commas since categories and cities can contain them.
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} Distinct trimmed values
+ */
+export const parseListParam = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = (Array.isArray(value) ? value : [value])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+  return [...new Set(values)];
+};
+
+const isTrue = (value) => value === true || value === "true" || value === "1";
+
+/**
+ * Build the search conditions from request params. Facet conditions are kept
+ * separate so each facet's counts can ignore its own selection.
+ * @param {object} params - Query params (q, category, city, country, has*)
+ * @returns {{base: object[], facets: Object<string, object>}} Conditions
+ */
+export const buildLeadSearchConditions = (params) => {
+  const base = [];
+  const q = String(params.q || "")
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+  if (q) {
+    base.push({ $text: { $search: q } });
+  }
+
+  for (const [param, field] of Object.entries(LEAD_SEARCH_TOGGLES)) {
+    if (isTrue(params[param])) base.push(hasValue(field));
+  }
+
+  const facets = {};
+  for (const [param, field] of Object.entries(LEAD_SEARCH_FACETS)) {
+    const values = parseListParam(params[param]);
+    if (values.length > 0) {
+      facets[param] = { [field]: { $in: values } };
+    }
+  }
+
+  return { base, facets };
+};
+
+/**
+ * Normalize filters for a saved search (same shape as the search params)
+ * @param {object} input - Filters from the request body
+ * @returns {{filters?: object, error?: string}} Normalized filters or an error
+ */
+export const normalizeSavedSearchFilters = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "filters must be an object" };
+  }
+
+  const filters = {
+    q: String(input.q || "")
+      .trim()
+      .slice(0, MAX_QUERY_LENGTH),
+  };
+  for (const param of Object.keys(LEAD_SEARCH_FACETS)) {
+    filters[param] = parseListParam(input[param]);
+  }
+  for (const param of Object.keys(LEAD_SEARCH_TOGGLES)) {
+    filters[param] = isTrue(input[param]);
+  }
+
+  const hasFilter =
+    filters.q ||
+    Object.keys(LEAD_SEARCH_FACETS).some((param) => filters[param].length) ||
+    Object.keys(LEAD_SEARCH_TOGGLES).some((param) => filters[param]);
+  if (!hasFilter) {
+    return { error: "A saved search needs at least one filter" };
+  }
+
+  return { filters };
+};
+
+/**
+ * Encode the sort values of the last lead on a page as an opaque cursor
+ * @param {object} lead - Last lead of the page
+ * @param {string} sortKey - Key of LEAD_SEARCH_SORTS
+ * @returns {string} Cursor
+ */
+export const encodeSearchCursor = (lead, sortKey) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortKey,
+      v: LEAD_SEARCH_SORTS[sortKey].map(([field]) =>
+        field === "_id" ? String(lead._id) : (lead[field] ?? null),
+      ),
+    }),
+  ).toString("base64url");
+
+/**
+ * Decode a cursor created by encodeSearchCursor
+ * @param {string} cursor - Cursor from the previous page
+ * @param {string} sortKey - Sort of the current request
+ * @returns {Array|null} Sort values, or null if invalid or for another sort
+ */
+export const decodeSearchCursor = (cursor, sortKey) => {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const fields = LEAD_SEARCH_SORTS[sortKey];
+    if (data.s !== sortKey || data.v?.length !== fields.length) return null;
+
+    return data.v.map((value, index) => {
+      const field = fields[index][0];
+      if (field === "_id") return new mongoose.Types.ObjectId(value);
+      if (field === "lastVerifiedAt" && value !== null) return new Date(value);
+      return value;
+    });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Condition matching leads that come after the cursor in the given sort.
+ * Null values sort first ascending and last descending, as in MongoDB.
+ * @param {string} sortKey - Key of LEAD_SEARCH_SORTS
+ * @param {Array} values - Decoded cursor values
+ * @returns {object} Query condition
+ */
+export const buildCursorCondition = (sortKey, values) => {
+  const fields = LEAD_SEARCH_SORTS[sortKey];
+
+  const after = (index) => {
+    const [field, direction] = fields[index];
+    const value = values[index];
+    const isLast = index === fields.length - 1;
+    const beyond = [];
+
+    if (value === null) {
+      // Descending: nothing comes after null. Ascending: every non-null value.
+      if (direction === 1) beyond.push({ [field]: { $ne: null } });
+    } else {
+      beyond.push({ [field]: { [direction === 1 ? "$gt" : "$lt"]: value } });
+      if (direction === -1) beyond.push({ [field]: null });
+    }
+
+    if (!isLast) {
+      beyond.push({ $and: [{ [field]: value }, after(index + 1)] });
+    }
+    return beyond.length === 1 ? beyond[0] : { $or: beyond };
+  };
+
+  return after(0);
+};
+
+/**
+ * Mongo sort object for a sort key
+ * @param {string} sortKey - Key of LEAD_SEARCH_SORTS
+ * @returns {object} Sort specification
+ */
+export const getSearchSort = (sortKey) =>
+  Object.fromEntries(LEAD_SEARCH_SORTS[sortKey]);
+
+/**
+ * Aggregation that counts facet values and toggles for the current search.
+ * Each facet is counted with every filter except its own.
+ * @param {object[]} base - Non-facet conditions (from buildLeadSearchConditions)
+ * @param {Object<string, object>} facets - Facet conditions
+ * @returns {object[]} Aggregation pipeline
+ */
+export const buildFacetPipeline = (base, facets) => {
+  const otherFacets = (except) =>
+    Object.entries(facets)
+      .filter(([param]) => param !== except)
+      .map(([, condition]) => condition);
+  const matchAll = (conditions) =>
+    conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+
+  const branches = {};
+  for (const [param, field] of Object.entries(LEAD_SEARCH_FACETS)) {
+    branches[param] = [
+      ...matchAll(otherFacets(param)),
+      { $match: hasValue(field) },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES },
+    ];
+  }
+
+  const toggleCounts = Object.fromEntries(
+    Object.entries(LEAD_SEARCH_TOGGLES).map(([param, field]) => [
+      param,
+      {
+        $sum: {
+          $cond: [
+            { $gt: [{ $strLenCP: { $ifNull: [`$${field}`, ""] } }, 0] },
+            1,
+            0,
+          ],
+        },
+      },
+    ]),
+  );
+  branches.totals = [
+    ...matchAll(otherFacets(null)),
+    { $group: { _id: null, total: { $sum: 1 }, ...toggleCounts } },
+  ];
+
+  return [...matchAll(base), { $facet: branches }];
+};
+
+/**
+ * Shape the $facet output for the API response
+ * @param {object} result - First document of the facet aggregation
+ * @returns {object} Facet counts
+ */
+export const formatFacetCounts = (result = {}) => {
+  const totals = result.totals?.[0] || {};
+  const facets = {};
+  for (const param of Object.keys(LEAD_SEARCH_FACETS)) {
+    facets[param] = (result[param] || []).map((item) => ({
+      value: item._id,
+      count: item.count,
+    }));
+  }
+
+  return {
+    total: totals.total || 0,
+    facets,
+    toggles: Object.fromEntries(
+      Object.keys(LEAD_SEARCH_TOGGLES).map((param) => [
+        param,
+        totals[param] || 0,
+      ]),
+    ),
+  };
+};
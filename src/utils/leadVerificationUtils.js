@@ -0,0 +1,262 @@
+import dns from "dns";
+import fs from "fs";
+import { normalizePhone } from "./leadDedupUtils.js";
+
+export const FIELD_VERIFICATION_STATUSES = [
+  "valid",
+  "invalid",
+  "unknown",
+  "missing",
+];
+export const LEAD_VERIFICATION_STATUSES = [
+  "unverified",
+  "verified",
+  "partial",
+  "failed",
+];
+export const LEAD_FRESHNESS_LEVELS = ["fresh", "aging", "stale"];
+
+const EMAIL_PATTERN =
+  /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/i;
+// DNS answers that mean the domain cannot receive mail (vs. a lookup failure)
+const DNS_NOT_FOUND_CODES = new Set([dns.NOTFOUND, dns.NODATA]);
+const DNS_TIMEOUT_MS = 5000;
+const WEBSITE_TIMEOUT_MS = 8000;
+
+// Mail domains the local resolver knows without a DNS server
+const LOCAL_MX_RECORDS = {
+  "gmail.com": ["gmail-smtp-in.l.google.com"],
+  "googlemail.com": ["gmail-smtp-in.l.google.com"],
+  "outlook.com": ["outlook-com.olc.protection.outlook.com"],
+  "hotmail.com": ["hotmail-com.olc.protection.outlook.com"],
+  "live.com": ["live-com.olc.protection.outlook.com"],
+  "yahoo.com": ["mta5.am0.yahoodns.net"],
+  "yahoo.co.in": ["mx-apac.mail.gm0.yahoodns.net"],
+  "icloud.com": ["mx01.mail.icloud.com"],
+  "rediffmail.com": ["mx.rediffmail.rediff.akadns.net"],
+  "zoho.com": ["mx.zoho.com"],
+  "proton.me": ["mail.protonmail.ch"],
+  "protonmail.com": ["mail.protonmail.ch"],
+};
+
+const getFreshDays = () => Number(process.env.LEAD_FRESH_DAYS) || 30;
+export const getStaleDays = () => Number(process.env.LEAD_STALE_DAYS) || 90;
+
+const dnsError = (code, domain) =>
+  Object.assign(new Error(`${code} ${domain}`), { code });
+
+/**
+ * Resolver backed by a static table instead of a DNS server. Used when
+ * LEAD_VERIFY_DNS=local (offline environments, tests). Extra records can be
+ * supplied as JSON ({ "domain": ["mx.host", ...] }) via LEAD_VERIFY_DNS_FILE.
+ * @param {Object<string, string[]>} [records] - Records to use instead of the defaults
+ * @returns {{resolveMx: function(string): Promise<{exchange: string, priority: number}[]>}} Resolver
+ */
+export const createLocalDnsResolver = (records) => {
+  let table = records;
+  if (!table) {
+    table = { ...LOCAL_MX_RECORDS };
+    if (process.env.LEAD_VERIFY_DNS_FILE) {
+      Object.assign(
+        table,
+        JSON.parse(fs.readFileSync(process.env.LEAD_VERIFY_DNS_FILE, "utf8")),
+      );
+    }
+  }
+
+  return {
+    resolveMx: async (domain) => {
+      const hosts = table[domain.toLowerCase()];
+      if (!hosts) throw dnsError(dns.NOTFOUND, domain);
+      if (hosts.length === 0) throw dnsError(dns.NODATA, domain);
+      return hosts.map((exchange, index) => ({
+        exchange,
+        priority: (index + 1) * 10,
+      }));
+    },
+  };
+};
+
+/**
+ * Resolver used by the email verifier: the system DNS, or the local stand-in
+ * when LEAD_VERIFY_DNS=local
+ * @returns {{resolveMx: function(string): Promise<object[]>}} Resolver
+ */
+export const createDnsResolver = () => {
+  if (process.env.LEAD_VERIFY_DNS === "local") {
+    return createLocalDnsResolver();
+  }
+
+  const resolver = new dns.promises.Resolver({
+    timeout: DNS_TIMEOUT_MS,
+    tries: 2,
+  });
+  return { resolveMx: (domain) => resolver.resolveMx(domain) };
+};
+
+/**
+ * Email verifier: syntax check, then an MX lookup for the domain.
+ * Lookups are cached per run in context.mxCache.
+ */
+export const emailVerifier = {
+  name: "email_mx",
+  field: "email",
+  verify: async (lead, context) => {
+    const email = String(lead.email || "").trim().toLowerCase();
+    if (!email) return { status: "missing" };
+    if (!EMAIL_PATTERN.test(email)) {
+      return { status: "invalid", detail: "Invalid email syntax" };
+    }
+
+    const domain = email.split("@")[1];
+    if (!context.mxCache.has(domain)) {
+      context.mxCache.set(
+        domain,
+        context.dns
+          .resolveMx(domain)
+          .then((records) =>
+            records.length > 0
+              ? { status: "valid", detail: `MX ${records[0].exchange}` }
+              : { status: "invalid", detail: "No MX records" },
+          )
+          .catch((error) =>
+            DNS_NOT_FOUND_CODES.has(error.code)
+              ? { status: "invalid", detail: `No MX records for ${domain}` }
+              : {
+                  status: "unknown",
+                  detail: `DNS lookup failed: ${error.code || error.message}`,
+                },
+          ),
+      );
+    }
+    return context.mxCache.get(domain);
+  },
+};
+
+/**
+ * Website verifier: the site answers an HTTP request. Bot protection
+ * responses (401/403/429) still count as reachable.
+ */
+export const websiteVerifier = {
+  name: "website_reachable",
+  field: "website",
+  verify: async (lead, context) => {
+    const value = String(lead.websiteLink || "").trim();
+    if (!value) return { status: "missing" };
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+    } catch {
+      return { status: "invalid", detail: "Invalid URL" };
+    }
+
+    const request = (method) =>
+      context.fetch(url, {
+        method,
+        redirect: "follow",
+        signal: AbortSignal.timeout(WEBSITE_TIMEOUT_MS),
+      });
+
+    try {
+      let response = await request("HEAD");
+      // Some servers reject HEAD
+      if ([405, 501].includes(response.status)) {
+        response = await request("GET");
+      }
+
+      const reachable =
+        response.status < 400 || [401, 403, 429].includes(response.status);
+      return {
+        status: reachable ? "valid" : "invalid",
+        detail: `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        return { status: "unknown", detail: "Request timed out" };
+      }
+      return {
+        status: "invalid",
+        detail: error.cause?.code || error.message,
+      };
+    }
+  },
+};
+
+/**
+ * Phone verifier: the number normalizes to a plausible E.164 number
+ */
+export const phoneVerifier = {
+  name: "phone_format",
+  field: "phone",
+  verify: async (lead) => {
+    if (!String(lead.phone || "").trim()) return { status: "missing" };
+
+    const normalized = normalizePhone(lead.phone, lead.country);
+    return normalized
+      ? { status: "valid", detail: normalized }
+      : { status: "invalid", detail: "Invalid phone number format" };
+  },
+};
+
+/**
+ * Roll per-field results up into a lead status. The email decides whether
+ * the lead is usable; other invalid fields make it partial.
+ * @param {Object<string, {status: string}>} fields - Results by field
+ * @returns {string} verified | partial | failed | unverified
+ */
+export const summarizeVerification = (fields) => {
+  const statuses = Object.values(fields).map((result) => result.status);
+
+  if (fields.email?.status === "invalid" || fields.email?.status === "missing") {
+    return "failed";
+  }
+  if (fields.email && fields.email.status !== "valid") return "unverified";
+  return statuses.includes("invalid") ? "partial" : "verified";
+};
+
+/**
+ * Freshness bucket for a verification date
+ * @param {Date|null} lastVerifiedAt - Last successful verification
+ * @param {Date} [now] - Reference time
+ * @returns {string} fresh | aging | stale
+ */
+export const getLeadFreshness = (lastVerifiedAt, now = new Date()) => {
+  if (!lastVerifiedAt) return "stale";
+
+  const ageDays = (now - new Date(lastVerifiedAt)) / (24 * 60 * 60 * 1000);
+  if (ageDays <= getFreshDays()) return "fresh";
+  if (ageDays <= getStaleDays()) return "aging";
+  return "stale";
+};
+
+/**
+ * Mongo condition on lastVerifiedAt for a freshness bucket
+ * @param {string} freshness - fresh | aging | stale
+ * @param {Date} [now] - Reference time
+ * @returns {object|null} Query fragment, or null for an unknown value
+ */
+export const buildFreshnessQuery = (freshness, now = new Date()) => {
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  switch (freshness) {
+    case "fresh":
+      return { lastVerifiedAt: { $gte: daysAgo(getFreshDays()) } };
+    case "aging":
+      return {
+        lastVerifiedAt: {
+          $lt: daysAgo(getFreshDays()),
+          $gte: daysAgo(getStaleDays()),
+        },
+      };
+    case "stale":
+      return {
+        $or: [
+          { lastVerifiedAt: { $lt: daysAgo(getStaleDays()) } },
+          { lastVerifiedAt: null },
+        ],
+      };
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,183 @@
+// Minimal RFC 5322 / MIME reader for inbound replies. It only extracts what
+// reply matching needs: headers, the sender and a plain-text body.
+
+const splitHeaderBody = (raw) => {
+  const text = String(raw || "").replace(/\r\n/g, "\n");
+  const index = text.indexOf("\n\n");
+  return index === -1
+    ? { headerText: text, body: "" }
+    : { headerText: text.slice(0, index), body: text.slice(index + 2) };
+};
+
+/**
+ * Parse a header block into a map of lowercase names to values
+ * (folded lines are unfolded; repeated headers keep the first value)
+ * @param {string} headerText - Raw header block
+ * @returns {object} Headers
+ */
+export const parseHeaders = (headerText) => {
+  const headers = {};
+  const unfolded = headerText.replace(/\n[ \t]+/g, " ");
+
+  for (const line of unfolded.split("\n")) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = line.slice(colon + 1).trim();
+    }
+  }
+
+  return headers;
+};
+
+const decodeQuotedPrintable = (text) =>
+  Buffer.from(
+    text
+      .replace(/=\n/g, "")
+      .replace(/=([0-9A-F]{2})/gi, (match, hex) =>
+        String.fromCharCode(parseInt(hex, 16)),
+      ),
+    "latin1",
+  ).toString("utf8");
+
+const decodeTransfer = (body, encoding = "") => {
+  switch (encoding.toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+    case "quoted-printable":
+      return decodeQuotedPrintable(body);
+    default:
+      return body;
+  }
+};
+
+/**
+ * Decode RFC 2047 encoded words (=?utf-8?B?...?= / =?utf-8?Q?...?=)
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+export const decodeHeaderValue = (value) =>
+  String(value || "")
+    .replace(/\?=\s+=\?/g, "?==?")
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, type, text) => {
+      try {
+        return type.toUpperCase() === "B"
+          ? Buffer.from(text, "base64").toString("utf8")
+          : decodeQuotedPrintable(text.replace(/_/g, " "));
+      } catch {
+        return match;
+      }
+    });
+
+const getParam = (headerValue, param) => {
+  const match = String(headerValue || "").match(
+    new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, "i"),
+  );
+  return match ? match[1] : null;
+};
+
+const stripHtml = (html) =>
+  html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">");
+
+// Walk a (possibly multipart) entity and collect its text parts
+const collectText = (headers, body, parts) => {
+  const contentType = headers["content-type"] || "text/plain";
+  const boundary = getParam(contentType, "boundary");
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const sections = body.split(`--${boundary}`).slice(1);
+    for (const section of sections) {
+      if (section.startsWith("--")) break;
+      const { headerText, body: partBody } = splitHeaderBody(
+        section.replace(/^\n/, ""),
+      );
+      collectText(parseHeaders(headerText), partBody, parts);
+    }
+    return;
+  }
+
+  const decoded = decodeTransfer(
+    body,
+    headers["content-transfer-encoding"] || "",
+  );
+  if (/^text\/plain/i.test(contentType)) parts.plain.push(decoded);
+  else if (/^text\/html/i.test(contentType)) parts.html.push(decoded);
+};
+
+/**
+ * Extract message IDs from a Message-ID / In-Reply-To / References value
+ * @param {string} value - Header value
+ * @returns {string[]} IDs without angle brackets
+ */
+export const extractMessageIds = (value) =>
+  [...String(value || "").matchAll(/<([^<>\s]+)>/g)].map((match) => match[1]);
+
+/**
+ * Parse an email address header ("Name <a@b.c>" or "a@b.c")
+ * @param {string} value - Header value
+ * @returns {{name: string, email: string}} Address (email lowercase, "" when missing)
+ */
+export const parseAddress = (value) => {
+  const decoded = decodeHeaderValue(value);
+  const angle = decoded.match(/<([^<>\s]+@[^<>\s]+)>/);
+  const bare = decoded.match(/[^\s<>"]+@[^\s<>"]+/);
+  const email = (angle?.[1] || bare?.[0] || "").toLowerCase();
+  const name = angle
+    ? decoded.slice(0, angle.index).trim().replace(/^"|"$/g, "")
+    : "";
+  return { name, email };
+};
+
+/**
+ * Parse a raw MIME message
+ * @param {string|Buffer} raw - Full message including headers
+ * @returns {object} Parsed message
+ */
+export const parseMimeMessage = (raw) => {
+  const { headerText, body } = splitHeaderBody(raw.toString());
+  const headers = parseHeaders(headerText);
+
+  const parts = { plain: [], html: [] };
+  collectText(headers, body, parts);
+  const text = parts.plain.length
+    ? parts.plain.join("\n")
+    : stripHtml(parts.html.join("\n"));
+
+  return {
+    headers,
+    messageId: extractMessageIds(headers["message-id"])[0] || null,
+    inReplyTo: extractMessageIds(headers["in-reply-to"]),
+    references: extractMessageIds(headers.references),
+    from: parseAddress(headers.from),
+    subject: decodeHeaderValue(headers.subject || ""),
+    date: headers.date ? new Date(headers.date) : null,
+    text,
+    html: parts.html.join("\n"),
+  };
+};
+
+/**
+ * Drop the quoted original from a reply ("On ... wrote:" and "> " lines)
+ * @param {string} text - Plain-text body
+ * @returns {string} Reply text only
+ */
+export const stripQuotedReply = (text) => {
+  const lines = String(text || "").split("\n");
+  const kept = [];
+  for (const line of lines) {
+    if (/^On .+wrote:\s*$/i.test(line.trim())) break;
+    if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line.trim())) break;
+    if (/^>/.test(line)) continue;
+    kept.push(line);
+  }
+  return kept.join("\n").trim();
+};
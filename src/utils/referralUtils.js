@@ -1,5 +1,6 @@
 import crypto from "crypto";
 import User from "../models/User.js";
+import { grantPrizeTokens } from "../services/tokenService.js";
 
 // Generate unique 12-character referral code
 export const generateReferralCode = () => {
@@ -82,22 +83,17 @@ export const checkReferralMilestones = async (referrerId) => {
 // Grant milestone reward and reset progress for next cycle
 const grantMilestoneRewardAndReset = async (user, milestoneType, milestone) => {
   try {
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
     const currentCycle =
       (user.milestoneRewards?.[milestone.cycleField] || 0) + 1;
 
-    // Grant temporary tokens (similar to leaderboard prizes)
-    // Grant tokens to main balance
-    user.tokens = (user.tokens || 0) + milestone.reward;
-
-    // Grant temporary tokens record (optional/legacy)
-    user.temporaryTokens = {
-      amount: milestone.reward,
-      grantedAt: new Date(),
-      expiresAt: expiresAt,
-      grantedBy: "system",
-      prizeType: `${milestoneType}_cycle_${currentCycle}`,
-    };
+    // Reward goes to the prize bucket (similar to leaderboard prizes).
+    // Granted before the reset: if it fails (e.g. no active plan) progress
+    // is kept and the reward is granted on a later check.
+    await grantPrizeTokens(
+      user._id,
+      milestone.reward,
+      `${milestoneType}_cycle_${currentCycle}`,
+    );
 
     // Initialize milestoneRewards if not exists
     if (!user.milestoneRewards) {
@@ -0,0 +1,98 @@
+import EmailSuppression from "../models/EmailSuppression.js";
+import {
+  getBackendUrl,
+  signTrackingValue,
+  verifySignedValue,
+} from "./emailTrackingUtils.js";
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Create a signed unsubscribe token for a recipient of a given sender
+ * @param {string} userId - Sending user ID
+ * @param {string} email - Recipient email
+ * @returns {string} Token
+ */
+export const createUnsubscribeToken = (userId, email) => {
+  const value = `${userId}.${Buffer.from(normalizeEmail(email)).toString(
+    "base64url",
+  )}`;
+  return `${value}.${signTrackingValue(`unsubscribe|${value}`)}`;
+};
+
+/**
+ * Verify and decode an unsubscribe token
+ * @param {string} token - Token from an unsubscribe URL
+ * @returns {{userId: string, email: string}|null} Decoded values or null if invalid
+ */
+export const parseUnsubscribeToken = (token) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [userId, encodedEmail, signature] = parts;
+  if (!verifySignedValue(`unsubscribe|${userId}.${encodedEmail}`, signature)) {
+    return null;
+  }
+
+  const email = Buffer.from(encodedEmail, "base64url").toString("utf8");
+  return email ? { userId, email } : null;
+};
+
+export const buildUnsubscribeUrl = (userId, email) =>
+  `${getBackendUrl()}/api/unsubscribe/${createUnsubscribeToken(userId, email)}`;
+
+/**
+ * Find which of the given addresses a sender may not email
+ * (suppressed globally or for this sender)
+ * @param {string} userId - Sending user ID
+ * @param {string[]} emails - Candidate recipient addresses
+ * @returns {Promise<Set<string>>} Suppressed addresses (lowercase)
+ */
+export const getSuppressedEmails = async (userId, emails) => {
+  const normalized = [...new Set(emails.map(normalizeEmail).filter(Boolean))];
+  if (normalized.length === 0) return new Set();
+
+  const entries = await EmailSuppression.find({
+    email: { $in: normalized },
+    $or: [{ scope: "global" }, { scope: "sender", userId }],
+  })
+    .select("email")
+    .lean();
+
+  return new Set(entries.map((entry) => entry.email));
+};
+
+/**
+ * Add an address to the suppression list (idempotent)
+ * @param {object} params
+ * @param {string} params.email - Address to suppress
+ * @param {string|null} params.userId - Sender to suppress for, null for global
+ * @param {string} params.reason - unsubscribe | manual | bounce | complaint
+ * @param {string} params.source - link | one_click | user | admin | system
+ * @param {string} [params.note] - Free-text note
+ * @returns {Promise<object>} Suppression entry
+ */
+export const suppressEmail = async ({
+  email,
+  userId = null,
+  reason = "unsubscribe",
+  source = "link",
+  note,
+}) =>
+  EmailSuppression.findOneAndUpdate(
+    { email: normalizeEmail(email), userId },
+    {
+      $setOnInsert: {
+        email: normalizeEmail(email),
+        userId,
+        scope: userId ? "sender" : "global",
+        reason,
+        source,
+        note,
+      },
+    },
+    { upsert: true, new: true },
+  );
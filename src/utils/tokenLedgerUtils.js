@@ -0,0 +1,149 @@
+// Balance buckets on User, in the order deductTokens spends them
+export const TOKEN_BUCKETS = ["daily", "purchased", "bonus", "prize"];
+
+// opening: balance a user had before the ledger existed
+// adjustment: correction written by reconciliation or an admin
+// hold / release: tokens set aside for a multi-step operation and given back
+export const LEDGER_ENTRY_TYPES = [
+  "opening",
+  "grant",
+  "deduction",
+  "refund",
+  "expiry",
+  "adjustment",
+  "hold",
+  "release",
+];
+
+// User field holding each bucket
+export const BUCKET_FIELDS = {
+  daily: "dailyTokens",
+  purchased: "purchasedTokens",
+  bonus: "bonusTokens",
+  prize: "prizeTokens",
+};
+
+// Flat User fields that mirror the buckets instead of holding tokens of
+// their own: tokens is the bucket total, temporaryTokens.amount the prize
+// bucket and monthlyTokensRemaining the plan allocation left. They get no
+// ledger entries; reconciliation checks them against the buckets and
+// rewrites them.
+export const DERIVED_BALANCE_FIELDS = [
+  "tokens",
+  "temporaryTokens.amount",
+  "monthlyTokensRemaining",
+];
+
+// User fields the derived values are computed from
+export const DERIVED_SOURCE_FIELDS = [
+  "tokens",
+  "temporaryTokens",
+  "monthlyTokensTotal",
+  "monthlyTokensUsed",
+  "monthlyTokensRemaining",
+  "subscription.endDate",
+];
+
+/**
+ * Current balance of every bucket on a user
+ * @param {object} user - User (document or plain object)
+ * @returns {{daily: number, purchased: number, bonus: number, prize: number}} Balances
+ */
+export const readBucketBalances = (user) =>
+  Object.fromEntries(
+    TOKEN_BUCKETS.map((bucket) => [
+      bucket,
+      user?.[BUCKET_FIELDS[bucket]]?.current || 0,
+    ]),
+  );
+
+/**
+ * Values the derived balance fields should hold for a user's buckets
+ * @param {object} user - User (document or plain object)
+ * @returns {object} Values by field path
+ */
+export const derivedBalanceFields = (user) => {
+  const balances = readBucketBalances(user);
+  const fields = {
+    tokens: TOKEN_BUCKETS.reduce((sum, bucket) => sum + balances[bucket], 0),
+    "temporaryTokens.amount": balances.prize,
+  };
+
+  // The expiry cron zeroes the monthly balance when a plan ends
+  if (user.subscription?.endDate > new Date()) {
+    fields.monthlyTokensRemaining = Math.max(
+      (user.monthlyTokensTotal || 0) - (user.monthlyTokensUsed || 0),
+      0,
+    );
+  }
+
+  return fields;
+};
+
+/**
+ * Derived balance fields that disagree with the buckets
+ * @param {object} user - User (document or plain object)
+ * @returns {Array<{field: string, expected: number, actual: number}>} Mismatches
+ */
+export const diffDerivedFields = (user) =>
+  Object.entries(derivedBalanceFields(user))
+    .map(([field, expected]) => ({
+      field,
+      expected,
+      actual:
+        field.split(".").reduce((value, key) => value?.[key], user) || 0,
+    }))
+    .filter((row) => row.actual !== row.expected);
+
+/**
+ * Per-bucket change between two balance snapshots
+ * @param {object} before - From readBucketBalances
+ * @param {object} after - From readBucketBalances
+ * @returns {Array<{bucket: string, amount: number, balanceAfter: number}>} Non-zero changes
+ */
+export const diffBucketBalances = (before, after) =>
+  TOKEN_BUCKETS.map((bucket) => ({
+    bucket,
+    amount: (after[bucket] || 0) - (before[bucket] || 0),
+    balanceAfter: after[bucket] || 0,
+  })).filter((change) => change.amount !== 0);
+
+/**
+ * Validate statement filters from the query string
+ * @param {object} query - page, limit, bucket, type, from, to
+ * @returns {{filters?: object, error?: string}} Filters or an error
+ */
+export const parseStatementQuery = (query = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+  if (query.bucket && !TOKEN_BUCKETS.includes(query.bucket)) {
+    return { error: `Invalid bucket. Use one of: ${TOKEN_BUCKETS.join(", ")}` };
+  }
+  if (query.type && !LEDGER_ENTRY_TYPES.includes(query.type)) {
+    return {
+      error: `Invalid type. Use one of: ${LEDGER_ENTRY_TYPES.join(", ")}`,
+    };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (to && query.to.length <= 10) {
+    // A bare date includes the whole day
+    to.setHours(23, 59, 59, 999);
+  }
+
+  return {
+    filters: {
+      page,
+      limit,
+      bucket: query.bucket || null,
+      type: query.type || null,
+      from,
+      to,
+    },
+  };
+};
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// Actions that cost tokens, with the cost used until an admin sets one.
+// lead_access is the base price of a shared unlock; pricing rules apply on
+// top and exclusive unlocks use the lead access policy's exclusivePrice.
+export const SPEND_ACTIONS = {
+  resource_access: {
+    tokens: 10,
+    unit: "resource",
+    description: "Open a resource",
+  },
+  lead_access: {
+    tokens: 1,
+    unit: "lead",
+    description: "Unlock a lead (before pricing rules)",
+  },
+  email_send: {
+    tokens: 0,
+    unit: "email",
+    description: "Send a bulk email to one lead",
+  },
+  lead_export: {
+    tokens: 0,
+    unit: "lead",
+    description: "Export one unlocked lead",
+  },
+};
+
+/**
+ * Cost of one action for a plan
+ * @param {object} policy - Spend policy (tokens, planOverrides)
+ * @param {string} [planId] - User's plan
+ * @returns {number} Tokens per action
+ */
+export const resolveSpendCost = (policy, planId) => {
+  const override = planId
+    ? policy.planOverrides?.find(
+        (item) => item.planId?.toString() === planId.toString(),
+      )
+    : null;
+  return override ? override.tokens : policy.tokens;
+};
+
+/**
+ * Day the free quota counts against, in IST like the daily token refresh
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD
+ */
+export const spendDayKey = (date = new Date()) =>
+  date.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
+
+const parseTokenAmount = (value, field) => {
+  const tokens = Number(value);
+  if (!Number.isInteger(tokens) || tokens < 0) {
+    return { error: `${field} must be a whole number of at least 0` };
+  }
+  return { tokens };
+};
+
+/**
+ * Validate a spend policy from the request body
+ * @param {object} input - tokens, freePerDay, planOverrides [{ planId, tokens }]
+ * @param {object} current - Policy now in effect (fields not sent are kept)
+ * @returns {{policy?: object, error?: string}} Policy fields or an error
+ */
+export const parseSpendPolicy = (input = {}, current = {}) => {
+  const cost = parseTokenAmount(input.tokens ?? current.tokens, "tokens");
+  if (cost.error) return cost;
+
+  const free = parseTokenAmount(
+    input.freePerDay ?? current.freePerDay ?? 0,
+    "freePerDay",
+  );
+  if (free.error) return free;
+
+  const overrides = input.planOverrides ?? current.planOverrides ?? [];
+  if (!Array.isArray(overrides)) {
+    return { error: "planOverrides must be an array" };
+  }
+  const planOverrides = [];
+  for (const item of overrides) {
+    if (!mongoose.isValidObjectId(item?.planId)) {
+      return { error: "Every plan override needs a valid planId" };
+    }
+    const override = parseTokenAmount(item.tokens, "planOverrides.tokens");
+    if (override.error) return override;
+    if (
+      planOverrides.some((o) => o.planId.toString() === String(item.planId))
+    ) {
+      return { error: `Plan ${item.planId} is overridden more than once` };
+    }
+    planOverrides.push({ planId: item.planId, tokens: override.tokens });
+  }
+
+  return {
+    policy: {
+      tokens: cost.tokens,
+      freePerDay: free.tokens,
+      planOverrides,
+    },
+  };
+};